@@ -14,8 +14,13 @@
 const { initializeTokenSystem } = require('./index');
 const utils = require('./utils');
 const readline = require('readline');
+const fs = require('fs');
 const { createEd25519PeerId } = require('@libp2p/peer-id-factory');
 const { fromString } = require('uint8arrays/from-string');
+const { signTransaction } = require('./token/transaction-signing');
+
+// Signed transactions stay valid for five minutes
+const SIGNATURE_TTL = 5 * 60 * 1000;
 
 // Create readline interface for CLI
 const rl = readline.createInterface({
@@ -58,11 +63,15 @@ function displayHelp() {
   console.log('--------------------------');
   console.log('Available commands:');
   console.log('  help                 - Show this help message');
-  console.log('  create <name> <symbol> [decimals] - Create a new token');
-  console.log('  mint <recipient> <amount> - Mint new tokens (owner only)');
-  console.log('  transfer <to> <amount> - Transfer tokens');
+  console.log('  create <name> <symbol> [decimals] - Create a new token and select it');
+  console.log('  tokens               - List all tokens');
+  console.log('  use <tokenId>        - Select the token to work on');
+  console.log('  mint <recipient> <amount> - Mint new tokens (MINTER role), e.g. 1.5');
+  console.log('  transfer <to> <amount> - Transfer tokens, e.g. 0.25');
+  console.log('  batch <file>         - Apply mint, transfer and burn operations from a JSON file all-or-nothing');
   console.log('  balance [address]    - Check token balance');
   console.log('  info                 - Show token information');
+  console.log('  migrate <cid> [--dry-run] - Migrate a saved state to the current schema as a new block');
   console.log('  peers                - List connected peers');
   console.log('  entropy <data>       - Calculate Shannon entropy of data');
   console.log('  verify <operation>   - Verify an operation');
@@ -95,6 +104,14 @@ async function processCommand(input) {
         await createToken(args);
         break;
         
+      case 'tokens':
+        listTokens();
+        break;
+        
+      case 'use':
+        await useToken(args);
+        break;
+        
       case 'mint':
         await mintTokens(args);
         break;
@@ -103,6 +120,10 @@ async function processCommand(input) {
         await transferTokens(args);
         break;
         
+      case 'batch':
+        await executeBatch(args);
+        break;
+        
       case 'balance':
         await checkBalance(args);
         break;
@@ -111,6 +132,10 @@ async function processCommand(input) {
         showTokenInfo();
         break;
         
+      case 'migrate':
+        await migrateState(args);
+        break;
+        
       case 'peers':
         await listPeers();
         break;
@@ -184,6 +209,46 @@ async function createToken(args) {
   promptCommand();
 }
 
+/**
+ * List all tokens known to this node
+ */
+function listTokens() {
+  const tokens = tokenSystem.token.listTokens();
+  
+  if (tokens.length === 0) {
+    console.log('No tokens created yet.');
+  } else {
+    console.log('\nTokens:');
+    tokens.forEach(info => {
+      const marker = currentToken && currentToken.id === info.tokenId ? '*' : ' ';
+      console.log(` ${marker} ${info.tokenId} ${info.name} (${info.symbol})`);
+    });
+  }
+  
+  promptCommand();
+}
+
+/**
+ * Select the token to work on
+ * @param {Array} args - Command arguments
+ */
+async function useToken(args) {
+  if (args.length < 1) {
+    console.log('Usage: use <tokenId>');
+    promptCommand();
+    return;
+  }
+  
+  try {
+    currentToken = await tokenSystem.token.getToken(args[0]);
+    console.log(`Selected token ${currentToken.getName()} (${currentToken.getSymbol()})`);
+  } catch (error) {
+    console.log(`Unknown token: ${args[0]}`);
+  }
+  
+  promptCommand();
+}
+
 /**
  * Mint new tokens
  * @param {Array} args - Command arguments
@@ -202,20 +267,19 @@ async function mintTokens(args) {
   }
   
   const [recipient, amountStr] = args;
-  const amount = BigInt(amountStr);
+  const amount = currentToken.parseAmount(amountStr);
   
-  console.log(`Minting ${amount} tokens to ${recipient}...`);
+  console.log(`Minting ${currentToken.formatAmount(amount)} tokens to ${recipient}...`);
   
   try {
     const myAddress = tokenSystem.utils.leibniz.monadHash(keyPair.publicKey);
-    const result = await currentToken.mint(recipient, amount, { 
-      sender: myAddress,
-      publicKey: keyPair.publicKey,
-      isOwner: true
+    const result = await currentToken.mint(recipient, amount, {
+      from: myAddress,
+      ...signOperation('mint', myAddress, { from: myAddress, to: recipient, amount })
     });
     
     if (result.success) {
-      console.log(`Successfully minted ${amount} tokens to ${recipient}`);
+      console.log(`Successfully minted ${currentToken.formatAmount(amount)} tokens to ${recipient}`);
       console.log(`Transaction ID: ${result.transactionId}`);
     } else {
       console.log(`Mint failed: ${result.error}`);
@@ -227,6 +291,28 @@ async function mintTokens(args) {
   promptCommand();
 }
 
+/**
+ * Sign an operation on the current token with the CLI key pair
+ * @param {string} type - Operation type
+ * @param {string} address - Signer address
+ * @param {Object} fields - Operation fields
+ * @returns {Object} - Signature options for the token ledger
+ */
+function signOperation(type, address, fields) {
+  const nonce = currentToken.getNonce(address);
+  const expiry = Date.now() + SIGNATURE_TTL;
+  
+  const signature = signTransaction(keyPair.privateKey, {
+    tokenId: currentToken.id,
+    type,
+    ...fields,
+    nonce,
+    expiry
+  });
+  
+  return { signature, publicKey: keyPair.publicKey, nonce, expiry };
+}
+
 /**
  * Transfer tokens
  * @param {Array} args - Command arguments
@@ -245,35 +331,19 @@ async function transferTokens(args) {
   }
   
   const [to, amountStr] = args;
-  const amount = BigInt(amountStr);
+  const amount = currentToken.parseAmount(amountStr);
   
   const myAddress = tokenSystem.utils.leibniz.monadHash(keyPair.publicKey);
-  console.log(`Transferring ${amount} tokens from ${myAddress} to ${to}...`);
+  console.log(`Transferring ${currentToken.formatAmount(amount)} tokens from ${myAddress} to ${to}...`);
   
   try {
-    const operation = {
-      type: 'transfer',
-      from: myAddress,
-      to,
-      amount,
-      timestamp: Date.now(),
-      nonce: Math.random().toString()
-    };
-    
-    // Sign the operation
-    const signature = tokenSystem.utils.leibniz.createSignature(
-      keyPair.privateKey,
-      operation
+    const result = await currentToken.transfer(
+      myAddress, to, amount,
+      signOperation('transfer', myAddress, { from: myAddress, to, amount })
     );
     
-    const result = await currentToken.transfer(myAddress, to, amount, {
-      sender: myAddress,
-      signature,
-      publicKey: keyPair.publicKey
-    });
-    
     if (result.success) {
-      console.log(`Successfully transferred ${amount} tokens to ${to}`);
+      console.log(`Successfully transferred ${currentToken.formatAmount(amount)} tokens to ${to}`);
       console.log(`Transaction ID: ${result.transactionId}`);
     } else {
       console.log(`Transfer failed: ${result.error}`);
@@ -285,6 +355,61 @@ async function transferTokens(args) {
   promptCommand();
 }
 
+/**
+ * Apply a batch of operations read from a JSON file
+ * The file holds an array of `{ type, to, from, amount }` operations (or an
+ * object with an `operations` array); amounts are decimal strings.
+ * @param {Array} args - Command arguments
+ */
+async function executeBatch(args) {
+  if (!currentToken) {
+    console.log('No token selected. Create a token first with the "create" command.');
+    promptCommand();
+    return;
+  }
+  
+  if (args.length < 1) {
+    console.log('Usage: batch <file>');
+    promptCommand();
+    return;
+  }
+  
+  try {
+    const content = JSON.parse(fs.readFileSync(args[0], 'utf8'));
+    const entries = Array.isArray(content) ? content : content.operations;
+    if (!Array.isArray(entries)) {
+      throw new Error('Batch file must contain an array of operations');
+    }
+    
+    // Build the canonical operations the ledger expects us to sign
+    const myAddress = tokenSystem.utils.leibniz.monadHash(keyPair.publicKey);
+    const operations = entries.map(op => {
+      const amount = currentToken.parseAmount(String(op.amount));
+      switch (op.type) {
+        case 'mint':
+          return { type: op.type, to: op.to, amount };
+        case 'burn':
+          return { type: op.type, from: op.from || myAddress, amount };
+        default:
+          return { type: op.type, from: op.from || myAddress, to: op.to, amount };
+      }
+    });
+    
+    console.log(`Executing batch of ${operations.length} operations from ${args[0]}...`);
+    const result = await currentToken.executeBatch(operations, {
+      from: myAddress,
+      ...signOperation('batch', myAddress, { from: myAddress, operations })
+    });
+    
+    console.log(`Successfully applied ${result.operations} operations`);
+    console.log(`Transaction ID: ${result.transactionId}`);
+  } catch (error) {
+    console.error('Failed to execute batch:', error.message);
+  }
+  
+  promptCommand();
+}
+
 /**
  * Check token balance
  * @param {Array} args - Command arguments
@@ -304,8 +429,8 @@ async function checkBalance(args) {
   }
   
   try {
-    const balance = currentToken.balanceOf(address);
-    console.log(`Balance of ${address}: ${balance} ${currentToken.getInfo().symbol}`);
+    const balance = await currentToken.balanceOf(address);
+    console.log(`Balance of ${address}: ${currentToken.formatAmount(balance)} ${currentToken.getInfo().symbol}`);
   } catch (error) {
     console.error('Failed to check balance:', error);
   }
@@ -329,7 +454,10 @@ function showTokenInfo() {
   console.log(`Name: ${info.name}`);
   console.log(`Symbol: ${info.symbol}`);
   console.log(`Decimals: ${info.decimals}`);
-  console.log(`Total Supply: ${info.totalSupply}`);
+  console.log(`Total Supply: ${currentToken.formatAmount(info.totalSupply)}`);
+  if (info.maxSupply !== null) {
+    console.log(`Max Supply: ${currentToken.formatAmount(info.maxSupply)}`);
+  }
   console.log(`Token ID: ${info.tokenId}`);
   console.log(`Owner: ${info.owner}`);
   console.log(`Genesis Block: ${info.genesisBlock}`);
@@ -337,6 +465,45 @@ function showTokenInfo() {
   promptCommand();
 }
 
+/**
+ * Migrate a saved token state to the current schema version
+ * @param {Array} args - Command arguments
+ */
+async function migrateState(args) {
+  const dryRun = args.includes('--dry-run');
+  const [cid] = args.filter(arg => arg !== '--dry-run');
+  if (!cid) {
+    console.log('Usage: migrate <cid> [--dry-run]');
+    promptCommand();
+    return;
+  }
+  
+  try {
+    const report = await tokenSystem.token.migrateState(cid, { dryRun });
+    console.log(`\nState of token ${report.tokenId}: schema version ${report.fromVersion} -> ${report.toVersion}`);
+    
+    if (report.applied.length === 0) {
+      console.log('Already at the current schema version, nothing to migrate.');
+    } else {
+      console.log('\nMigrations:');
+      report.applied.forEach(step => console.log(`  v${step.from} -> v${step.to}: ${step.description}`));
+      console.log('\nChanges:');
+      report.changes.forEach(change => console.log(`  ${change.kind} ${change.path}`));
+    }
+    
+    if (report.migratedCid) {
+      currentToken = await tokenSystem.token.getToken(report.tokenId);
+      console.log(`\nMigrated state saved as ${report.migratedCid}, linked to ${report.cid}`);
+    } else if (dryRun) {
+      console.log('\nDry run, nothing was written.');
+    }
+  } catch (error) {
+    console.error('Failed to migrate state:', error.message);
+  }
+  
+  promptCommand();
+}
+
 /**
  * List connected peers
  */
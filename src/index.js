@@ -31,6 +31,9 @@ const turing = require('./utils/turing');
 /**
  * Initializes the Helia Blockchain Token system with the specified configuration
  * @param {Object} config - Configuration options
+ * @param {Object} [config.token] - Token registry options
+ * @param {string} [config.token.headFile] - Pointer file recording each token's head block
+ * @param {boolean} [config.token.resume] - Resume every token from the pointer file
  * @returns {Promise<Object>} - Initialized token system
  */
 async function initializeTokenSystem(config = {}) {
@@ -46,10 +49,15 @@ async function initializeTokenSystem(config = {}) {
     // Initialize network layer
     const network = await networkModule.initialize({ helia, ...config.network });
     
+    // Create token categorization system
+    const categorization = new aristotle.AristotelianRuleSystem();
+    setupTokenCategories(categorization);
+    
     // Initialize token logic
     const token = await tokenModule.initialize({
       storage,
       network,
+      categorization,
       ...config.token
     });
     
@@ -62,10 +70,6 @@ async function initializeTokenSystem(config = {}) {
     // Create verification system
     const verifier = godel.createVerifier();
     
-    // Create token categorization system
-    const categorization = new aristotle.AristotelianRuleSystem();
-    setupTokenCategories(categorization);
-    
     console.log('Helia blockchain token system initialized successfully');
     
     return {
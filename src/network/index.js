@@ -55,18 +55,22 @@ class Network {
         }
       });
       
-      // Set up token transaction topic
+      // Set up token transaction and swap offer topics
       this.topics = {
-        transactions: 'helia-blockchain-token/transactions/v1'
+        transactions: 'helia-blockchain-token/transactions/v1',
+        swaps: 'helia-blockchain-token/swaps/v1'
       };
       
-      // Subscribe to transaction topic
+      // Subscribe to transaction and swap offer topics
       await this.libp2p.services.pubsub.subscribe(this.topics.transactions);
+      await this.libp2p.services.pubsub.subscribe(this.topics.swaps);
       
-      // Handle incoming transactions
+      // Handle incoming transactions and swap offers
       this.libp2p.services.pubsub.addEventListener('message', (message) => {
         if (message.topic === this.topics.transactions) {
           this._handleTransaction(message.data);
+        } else if (message.topic === this.topics.swaps) {
+          this._handleSwapOffer(message.data);
         }
       });
       
@@ -164,6 +168,58 @@ class Network {
     }
   }
 
+  /**
+   * Broadcast the current state of a swap offer to the network
+   * @param {Object} offer - Swap offer with amounts as decimal strings
+   * @returns {boolean} - Success status
+   */
+  async broadcastSwapOffer(offer) {
+    try {
+      const offerBytes = new TextEncoder().encode(JSON.stringify(offer));
+      await this.libp2p.services.pubsub.publish(
+        this.topics.swaps,
+        offerBytes
+      );
+      
+      console.log(`Swap offer broadcasted: ${offer.id}`);
+      return true;
+    } catch (error) {
+      console.error('Error broadcasting swap offer:', error);
+      throw new Error('Failed to broadcast swap offer');
+    }
+  }
+
+  /**
+   * Handle an incoming swap offer from the network
+   * @private
+   * @param {Uint8Array} data - Swap offer data
+   */
+  _handleSwapOffer(data) {
+    try {
+      const offer = JSON.parse(new TextDecoder().decode(data));
+      
+      if (
+        !offer.id ||
+        !offer.maker ||
+        !offer.sellTokenId ||
+        !offer.buyTokenId ||
+        !offer.status
+      ) {
+        console.warn('Received invalid swap offer', offer);
+        return;
+      }
+      
+      // Emit event for other parts of the system to handle
+      const event = new CustomEvent('swap:received', {
+        detail: offer
+      });
+      this.emit(event);
+      
+    } catch (error) {
+      console.error('Error handling swap offer:', error);
+    }
+  }
+
   /**
    * Get the list of connected peers
    * @returns {Array} - List of peers
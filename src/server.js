@@ -7,9 +7,13 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const { initializeTokenSystem } = require('./index');
+const planck = require('./utils/planck');
+const { ErrorCodes, TokenError } = require('./token/errors');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+// Address receiving relayer fees for intents submitted through this server
+const RELAYER_ADDRESS = process.env.RELAYER_ADDRESS;
 
 // Middleware
 app.use(cors());
@@ -33,6 +37,10 @@ async function initializeSystem() {
             Swarm: ['/ip4/127.0.0.1/tcp/0']
           }
         }
+      },
+      token: {
+        // State changes over the API must be signed by the acting account
+        requireSignatures: true
       }
     });
     console.log('✅ Token system initialized successfully');
@@ -83,98 +91,1697 @@ app.get('/api/system/info', async (req, res) => {
   }
 });
 
+/**
+ * Converts every BigInt amount in a value into a decimal string
+ * Amounts travel through the API as decimal strings such as "1.5"
+ * @param {*} value - Value containing BigInt base-unit amounts
+ * @param {number} decimals - Decimals of the token
+ * @returns {*} - JSON-safe copy of the value
+ */
+function formatAmounts(value, decimals) {
+  if (typeof value === 'bigint') {
+    return planck.formatUnits(value, decimals);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => formatAmounts(item, decimals));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, formatAmounts(item, decimals)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Converts a token summary into a JSON-safe object
+ * @param {Object} info - Token summary from TokenLedger.getInfo()
+ * @returns {Object} - Serializable token summary
+ */
+function serializeTokenInfo(info) {
+  return formatAmounts(info, info.decimals);
+}
+
+/**
+ * Extracts the signature fields of a signed transaction from a request body
+ * The signature covers the amount in base units (see src/token/transaction-signing.js)
+ * @param {Object} body - Request body
+ * @returns {Object} - Signature options for the token ledger
+ */
+function signatureOptions(body) {
+  const { signature, publicKey, nonce, expiry } = body;
+  return { signature, publicKey, nonce, expiry };
+}
+
+/**
+ * Converts the decimal amounts of a fee model to base units
+ * @param {Object} model - Fee model with decimal string amounts
+ * @param {number} decimals - Token decimals
+ * @returns {Object} - Fee model with BigInt amounts
+ */
+function parseFeeModel(model, decimals) {
+  const parse = value => (value === undefined || value === null
+    ? value
+    : parseUnits(value, decimals));
+
+  return {
+    ...model,
+    amount: parse(model.amount),
+    min: parse(model.min),
+    max: parse(model.max),
+    tiers: Array.isArray(model.tiers)
+      ? model.tiers.map(tier => ({ ...tier, upTo: parse(tier.upTo), amount: parse(tier.amount) }))
+      : model.tiers
+  };
+}
+
+/**
+ * Converts the decimal amounts of an emission schedule to base units
+ * @param {Object} schedule - Emission schedule with decimal string amounts
+ * @param {number} decimals - Token decimals
+ * @returns {Object} - Emission schedule with BigInt amounts
+ */
+function parseEmission(schedule, decimals) {
+  const parse = value => (value === undefined || value === null
+    ? value
+    : parseUnits(value, decimals));
+
+  return {
+    ...schedule,
+    amount: parse(schedule.amount),
+    cap: parse(schedule.cap)
+  };
+}
+
+// HTTP statuses of the codes of token errors
+const ERROR_STATUSES = {
+  [ErrorCodes.REJECTED]: 400,
+  [ErrorCodes.UNAUTHORIZED]: 403,
+  [ErrorCodes.NOT_FOUND]: 404
+};
+
+/**
+ * Maps an error thrown while handling a request to an HTTP status
+ * Token errors map through their code; any other error is a server error
+ * @param {Error} error - Error thrown while handling a request
+ * @returns {number} - HTTP status
+ */
+function errorStatus(error) {
+  return (error instanceof TokenError && ERROR_STATUSES[error.code]) || 500;
+}
+
+/**
+ * Sends an error response with the status that matches the error
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown while handling a request
+ */
+function sendError(res, error) {
+  res.status(errorStatus(error)).json({ error: error.message });
+}
+
+/**
+ * Parses the decimal amount of a token that is not created yet
+ * Malformed amounts are rejected like any other bad input
+ * @param {string|number} amount - Decimal amount
+ * @param {number} decimals - Token decimals
+ * @returns {bigint} - Amount in base units
+ */
+function parseUnits(amount, decimals) {
+  try {
+    return planck.parseUnits(amount, decimals, planck.RoundingModes.EXACT);
+  } catch (error) {
+    throw new TokenError(error.message);
+  }
+}
+
 // Token operations
+app.get('/api/tokens', (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    res.json({
+      tokens: tokenSystem.token.listTokens().map(serializeTokenInfo)
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
 app.post('/api/tokens/create', async (req, res) => {
   try {
     if (!tokenSystem) {
       return res.status(503).json({ error: 'Token system not initialized' });
     }
 
-    const { name, symbol, supply } = req.body;
-    
-    if (!name || !symbol || !supply) {
-      return res.status(400).json({ error: 'Name, symbol, and supply are required' });
+    const { name, symbol, supply, owner, decimals, maxSupply, fees, emission } = req.body;
+    
+    if (!name || !symbol || !supply || !owner) {
+      return res.status(400).json({ error: 'Name, symbol, supply, and owner are required' });
+    }
+
+    const tokenDecimals = decimals !== undefined ? parseInt(decimals) : 18;
+    const result = await tokenSystem.token.createToken({
+      name,
+      symbol,
+      decimals: tokenDecimals,
+      initialSupply: parseUnits(supply, tokenDecimals),
+      maxSupply: maxSupply !== undefined
+        ? parseUnits(maxSupply, tokenDecimals)
+        : undefined,
+      fees: fees ? parseFeeModel(fees, tokenDecimals) : undefined,
+      emission: emission ? parseEmission(emission, tokenDecimals) : undefined,
+      owner
+    });
+
+    res.json({
+      success: true,
+      message: 'Token created successfully',
+      token: serializeTokenInfo(result.getInfo())
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/tokens/mint', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { tokenId, from, to, amount } = req.body;
+    
+    if (!tokenId || !from || !to || !amount) {
+      return res.status(400).json({ error: 'Token ID, minter address, recipient address and amount are required' });
+    }
+
+    const token = await tokenSystem.token.getToken(tokenId);
+    const result = await tokenSystem.token.mint(tokenId, to, token.parseAmount(amount), {
+      from,
+      ...signatureOptions(req.body)
+    });
+
+    res.json({
+      success: true,
+      message: 'Tokens minted successfully',
+      transaction: formatAmounts(result, token.getDecimals())
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/tokens/transfer', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { tokenId, from, to, amount } = req.body;
+    
+    if (!tokenId || !from || !to || !amount) {
+      return res.status(400).json({ error: 'Token ID, from, to, and amount are required' });
+    }
+
+    const token = await tokenSystem.token.getToken(tokenId);
+    const result = await tokenSystem.token.transfer(
+      tokenId, from, to, token.parseAmount(amount), signatureOptions(req.body)
+    );
+
+    res.json({
+      success: true,
+      message: 'Transfer completed successfully',
+      transaction: formatAmounts(result, token.getDecimals())
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/tokens/approve', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { tokenId, owner, spender, amount } = req.body;
+    
+    if (!tokenId || !owner || !spender || amount === undefined) {
+      return res.status(400).json({ error: 'Token ID, owner, spender, and amount are required' });
+    }
+
+    const token = await tokenSystem.token.getToken(tokenId);
+    const result = await tokenSystem.token.approve(
+      tokenId, owner, spender, token.parseAmount(amount), signatureOptions(req.body)
+    );
+
+    res.json({
+      success: true,
+      message: 'Allowance approved successfully',
+      transaction: formatAmounts(result, token.getDecimals())
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/tokens/transferFrom', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { tokenId, spender, from, to, amount } = req.body;
+    
+    if (!tokenId || !spender || !from || !to || !amount) {
+      return res.status(400).json({ error: 'Token ID, spender, from, to, and amount are required' });
+    }
+
+    const token = await tokenSystem.token.getToken(tokenId);
+    const result = await tokenSystem.token.transferFrom(
+      tokenId, spender, from, to, token.parseAmount(amount), signatureOptions(req.body)
+    );
+
+    res.json({
+      success: true,
+      message: 'Delegated transfer completed successfully',
+      transaction: formatAmounts(result, token.getDecimals())
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/tokens/fees', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { tokenId, from, fees } = req.body;
+
+    if (!tokenId || !from || fees === undefined) {
+      return res.status(400).json({ error: 'Token ID, admin address and fee model (or null) are required' });
+    }
+
+    const token = await tokenSystem.token.getToken(tokenId);
+    const model = fees ? parseFeeModel(fees, token.getDecimals()) : null;
+    const result = await tokenSystem.token.setFeeModel(tokenId, model, {
+      from,
+      ...signatureOptions(req.body)
+    });
+
+    res.json({
+      success: true,
+      message: model ? 'Transfer fees updated successfully' : 'Transfer fees removed successfully',
+      transaction: result
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/tokens/distributions', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { tokenId, from, amount, mode, exclude } = req.body;
+
+    if (!tokenId || !from || !amount) {
+      return res.status(400).json({ error: 'Token ID, from, and amount are required' });
+    }
+
+    const token = await tokenSystem.token.getToken(tokenId);
+    const result = await tokenSystem.token.distribute(tokenId, from, token.parseAmount(amount), {
+      mode,
+      exclude,
+      ...signatureOptions(req.body)
+    });
+
+    res.json({
+      success: true,
+      message: 'Distribution created successfully',
+      transaction: result
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/tokens/distributions/claim', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { tokenId, distributionId, address } = req.body;
+
+    if (!tokenId || !distributionId || !address) {
+      return res.status(400).json({ error: 'Token ID, distribution ID, and address are required' });
+    }
+
+    const token = await tokenSystem.token.getToken(tokenId);
+    const result = await tokenSystem.token.claimDistribution(tokenId, distributionId, address);
+
+    res.json({
+      success: true,
+      message: 'Distribution claimed successfully',
+      transaction: formatAmounts(result, token.getDecimals())
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/tokens/emission', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { tokenId } = req.body;
+
+    if (!tokenId) {
+      return res.status(400).json({ error: 'Token ID is required' });
+    }
+
+    const token = await tokenSystem.token.getToken(tokenId);
+    const result = await tokenSystem.token.emitScheduled(tokenId);
+
+    res.json({
+      success: true,
+      message: 'Scheduled emission minted successfully',
+      transaction: formatAmounts(result, token.getDecimals())
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Staking operations
+
+app.post('/api/tokens/staking/configure', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { tokenId, from, rewardRate, unbondingPeriod } = req.body;
+
+    if (!tokenId || !from || rewardRate === undefined) {
+      return res.status(400).json({ error: 'Token ID, admin address and reward rate are required' });
+    }
+
+    const token = await tokenSystem.token.getToken(tokenId);
+    const result = await tokenSystem.token.configureStaking(tokenId, {
+      rewardRate: token.parseAmount(rewardRate),
+      unbondingPeriod: Number(unbondingPeriod || 0)
+    }, {
+      from,
+      ...signatureOptions(req.body)
+    });
+
+    res.json({
+      success: true,
+      message: 'Staking configured successfully',
+      transaction: result
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * Runs a staking operation of an account
+ * Funding, staking and unstaking move an amount and must be signed by `address`;
+ * withdrawing unbonded tokens and claiming rewards only pay `address`
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} action - Registry method (fundStakingRewards, stake, unstake, withdrawUnstaked, claimRewards)
+ * @param {string} message - Success message
+ */
+async function runStakingAction(req, res, action, message) {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { tokenId, address, amount } = req.body;
+    const needsAmount = ['fundStakingRewards', 'stake', 'unstake'].includes(action);
+
+    if (!tokenId || !address || (needsAmount && !amount)) {
+      return res.status(400).json({
+        error: needsAmount ? 'Token ID, address, and amount are required' : 'Token ID and address are required'
+      });
+    }
+
+    const token = await tokenSystem.token.getToken(tokenId);
+    const result = needsAmount
+      ? await tokenSystem.token[action](tokenId, address, token.parseAmount(amount), signatureOptions(req.body))
+      : await tokenSystem.token[action](tokenId, address);
+
+    res.json({
+      success: true,
+      message,
+      transaction: formatAmounts(result, token.getDecimals())
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+app.post('/api/tokens/staking/fund', (req, res) =>
+  runStakingAction(req, res, 'fundStakingRewards', 'Staking rewards funded successfully'));
+
+app.post('/api/tokens/staking/stake', (req, res) =>
+  runStakingAction(req, res, 'stake', 'Tokens staked successfully'));
+
+app.post('/api/tokens/staking/unstake', (req, res) =>
+  runStakingAction(req, res, 'unstake', 'Tokens unstaked, unbonding started'));
+
+app.post('/api/tokens/staking/withdraw', (req, res) =>
+  runStakingAction(req, res, 'withdrawUnstaked', 'Unbonded tokens withdrawn successfully'));
+
+app.post('/api/tokens/staking/claim', (req, res) =>
+  runStakingAction(req, res, 'claimRewards', 'Staking rewards claimed successfully'));
+
+app.get('/api/tokens/:tokenId/staking/:address', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { tokenId, address } = req.params;
+    const token = await tokenSystem.token.getToken(tokenId);
+
+    res.json(formatAmounts({
+      tokenId,
+      address,
+      ...tokenSystem.token.getStakingInfo(tokenId, address)
+    }, token.getDecimals()));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/tokens/metadata', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { tokenId, from, patch } = req.body;
+
+    if (!tokenId || !from || !patch) {
+      return res.status(400).json({ error: 'Token ID, owner address and metadata patch are required' });
+    }
+
+    const result = await tokenSystem.token.updateMetadata(tokenId, patch, {
+      from,
+      ...signatureOptions(req.body)
+    });
+
+    res.json({
+      success: true,
+      message: 'Token metadata updated successfully',
+      transaction: result
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/tokens/snapshot', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { tokenId, from } = req.body;
+
+    if (!tokenId || !from) {
+      return res.status(400).json({ error: 'Token ID and RULE_ADMIN address are required' });
+    }
+
+    const result = await tokenSystem.token.snapshot(tokenId, {
+      from,
+      ...signatureOptions(req.body)
+    });
+
+    res.json({
+      success: true,
+      message: 'Snapshot taken successfully',
+      transaction: result
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/tokens/batch', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { tokenId, from, operations } = req.body;
+
+    if (!tokenId || !from || !Array.isArray(operations) || operations.length === 0) {
+      return res.status(400).json({ error: 'Token ID, submitter address and a list of operations are required' });
+    }
+
+    // Amounts arrive as decimal strings and are converted to base units
+    const token = await tokenSystem.token.getToken(tokenId);
+    const ops = operations.map(op => ({ ...op, amount: token.parseAmount(op.amount) }));
+    const result = await tokenSystem.token.executeBatch(tokenId, ops, {
+      from,
+      ...signatureOptions(req.body)
+    });
+
+    res.json({
+      success: true,
+      message: 'Batch executed successfully',
+      transaction: formatAmounts(result, token.getDecimals())
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/tokens/vesting', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { tokenId, grantor, beneficiary, amount, kind, start, duration, cliff, steps, revocable } = req.body;
+    
+    if (!tokenId || !grantor || !beneficiary || !amount || start === undefined) {
+      return res.status(400).json({ error: 'Token ID, grantor, beneficiary, amount and start are required' });
+    }
+
+    const token = await tokenSystem.token.getToken(tokenId);
+    const result = await tokenSystem.token.createVestingSchedule(
+      tokenId, grantor, beneficiary, token.parseAmount(amount),
+      { kind, start, duration, cliff, steps, revocable },
+      signatureOptions(req.body)
+    );
+
+    res.json({
+      success: true,
+      message: 'Vesting schedule created successfully',
+      transaction: formatAmounts(result, token.getDecimals())
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/tokens/vesting/release', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { tokenId, beneficiary } = req.body;
+    
+    if (!tokenId || !beneficiary) {
+      return res.status(400).json({ error: 'Token ID and beneficiary are required' });
+    }
+
+    const token = await tokenSystem.token.getToken(tokenId);
+    const result = await tokenSystem.token.release(tokenId, beneficiary);
+
+    res.json({
+      success: true,
+      message: 'Vested tokens released successfully',
+      transaction: formatAmounts(result, token.getDecimals())
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/tokens/vesting/revoke', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { tokenId, grantor, scheduleId } = req.body;
+    
+    if (!tokenId || !grantor || scheduleId === undefined) {
+      return res.status(400).json({ error: 'Token ID, grantor and schedule ID are required' });
+    }
+
+    const token = await tokenSystem.token.getToken(tokenId);
+    const result = await tokenSystem.token.revokeVesting(tokenId, grantor, scheduleId, signatureOptions(req.body));
+
+    res.json({
+      success: true,
+      message: 'Vesting schedule revoked successfully',
+      transaction: formatAmounts(result, token.getDecimals())
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * Runs an emergency action that only accounts with the PAUSER role may perform
+ * The pauser is identified by `from` and, when signatures are required, by the signature
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} action - Registry method (pause, unpause, freeze, unfreeze)
+ * @param {string} message - Success message
+ */
+async function runAdminAction(req, res, action, message) {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { tokenId, from, reason, address } = req.body;
+    const needsAccount = action === 'freeze' || action === 'unfreeze';
+    
+    if (!tokenId || !from || !reason || (needsAccount && !address)) {
+      return res.status(400).json({
+        error: needsAccount
+          ? 'Token ID, admin address, account address and reason are required'
+          : 'Token ID, admin address and reason are required'
+      });
+    }
+
+    const options = { from, reason, ...signatureOptions(req.body) };
+    const result = needsAccount
+      ? await tokenSystem.token[action](tokenId, address, options)
+      : await tokenSystem.token[action](tokenId, options);
+
+    res.json({
+      success: true,
+      message,
+      transaction: result
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+app.post('/api/tokens/pause', (req, res) =>
+  runAdminAction(req, res, 'pause', 'Token paused successfully'));
+
+app.post('/api/tokens/unpause', (req, res) =>
+  runAdminAction(req, res, 'unpause', 'Token unpaused successfully'));
+
+app.post('/api/tokens/freeze', (req, res) =>
+  runAdminAction(req, res, 'freeze', 'Account frozen successfully'));
+
+app.post('/api/tokens/unfreeze', (req, res) =>
+  runAdminAction(req, res, 'unfreeze', 'Account unfrozen successfully'));
+
+/**
+ * Grants, revokes or renounces a token role
+ * Granting and revoking need the ROLE_ADMIN role; renouncing drops a role held by `from`
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} action - Registry method (grantRole, revokeRole, renounceRole)
+ * @param {string} message - Success message
+ */
+async function runRoleAction(req, res, action, message) {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { tokenId, from, role, account } = req.body;
+    const needsAccount = action !== 'renounceRole';
+
+    if (!tokenId || !from || !role || (needsAccount && !account)) {
+      return res.status(400).json({
+        error: needsAccount
+          ? 'Token ID, admin address, role and account address are required'
+          : 'Token ID, address and role are required'
+      });
+    }
+
+    const options = { from, ...signatureOptions(req.body) };
+    const result = needsAccount
+      ? await tokenSystem.token[action](tokenId, role, account, options)
+      : await tokenSystem.token[action](tokenId, role, options);
+
+    res.json({
+      success: true,
+      message,
+      transaction: result
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+app.post('/api/tokens/roles/grant', (req, res) =>
+  runRoleAction(req, res, 'grantRole', 'Role granted successfully'));
+
+app.post('/api/tokens/roles/revoke', (req, res) =>
+  runRoleAction(req, res, 'revokeRole', 'Role revoked successfully'));
+
+app.post('/api/tokens/roles/renounce', (req, res) =>
+  runRoleAction(req, res, 'renounceRole', 'Role renounced successfully'));
+
+app.get('/api/events', (req, res) => {
+  if (!tokenSystem) {
+    return res.status(503).json({ error: 'Token system not initialized' });
+  }
+
+  const { type = '*', tokenId, address } = req.query;
+
+  // Each event is sent as a server-sent event with amounts in decimal units
+  const send = async event => {
+    const token = await tokenSystem.token.getToken(event.tokenId);
+    const payload = formatAmounts(event, token.getDecimals());
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(payload)}\n\n`);
+  };
+
+  let unsubscribe;
+  try {
+    unsubscribe = tokenSystem.token.on(type, event => {
+      send(event).catch(error => console.error('Failed to stream token event:', error));
+    }, { tokenId, address });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  req.on('close', unsubscribe);
+});
+
+app.get('/api/tokens/:tokenId', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const token = await tokenSystem.token.getToken(req.params.tokenId);
+
+    res.json(serializeTokenInfo(token.getInfo()));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/tokens/:tokenId/metadata/history', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const history = await tokenSystem.token.getMetadataHistory(req.params.tokenId);
+
+    res.json({
+      tokenId: req.params.tokenId,
+      versions: history
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/tokens/:tokenId/balance/:address', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { tokenId, address } = req.params;
+    const token = await tokenSystem.token.getToken(tokenId);
+    const balance = await tokenSystem.token.getBalance(address, tokenId);
+
+    res.json({
+      tokenId,
+      address,
+      balance: token.formatAmount(balance)
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/tokens/:tokenId/allowance/:owner/:spender', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { tokenId, owner, spender } = req.params;
+    const token = await tokenSystem.token.getToken(tokenId);
+    const allowance = await tokenSystem.token.allowance(tokenId, owner, spender);
+
+    res.json({
+      tokenId,
+      owner,
+      spender,
+      allowance: token.formatAmount(allowance)
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/tokens/:tokenId/vesting/:address', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { tokenId, address } = req.params;
+    const token = await tokenSystem.token.getToken(tokenId);
+    const schedules = await tokenSystem.token.getVestingSchedules(tokenId, address);
+
+    res.json(formatAmounts({
+      tokenId,
+      address,
+      locked: token.lockedBalanceOf(address),
+      releasable: token.releasable(address),
+      schedules
+    }, token.getDecimals()));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/tokens/:tokenId/distributions/:distributionId', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { tokenId, distributionId } = req.params;
+    const token = await tokenSystem.token.getToken(tokenId);
+
+    res.json(formatAmounts(tokenSystem.token.getDistribution(tokenId, distributionId), token.getDecimals()));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/tokens/:tokenId/distributions/claimable/:address', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { tokenId, address } = req.params;
+    const token = await tokenSystem.token.getToken(tokenId);
+
+    res.json(formatAmounts({
+      tokenId,
+      address,
+      claimable: tokenSystem.token.getClaimableDistributions(tokenId, address)
+    }, token.getDecimals()));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/tokens/:tokenId/emission/preview', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { tokenId } = req.params;
+    const { at } = req.query;
+
+    if (!at) {
+      return res.status(400).json({ error: 'Comma-separated timestamps (at) are required' });
+    }
+
+    const token = await tokenSystem.token.getToken(tokenId);
+
+    res.json(formatAmounts({
+      tokenId,
+      schedule: token.getEmissionSchedule(),
+      supply: tokenSystem.token.previewSupply(tokenId, String(at).split(','))
+    }, token.getDecimals()));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/tokens/:tokenId/nonce/:address', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { tokenId, address } = req.params;
+    const nonce = tokenSystem.token.getNonce(tokenId, address);
+
+    res.json({
+      tokenId,
+      address,
+      nonce
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/tokens/:tokenId/roles/:address', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { tokenId, address } = req.params;
+    const token = await tokenSystem.token.getToken(tokenId);
+
+    res.json({
+      tokenId,
+      address,
+      roles: token.getRolesOf(address)
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/tokens/:tokenId/fees/preview', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { tokenId } = req.params;
+    const { amount } = req.query;
+
+    if (!amount) {
+      return res.status(400).json({ error: 'Amount is required' });
+    }
+
+    const token = await tokenSystem.token.getToken(tokenId);
+    const quote = await tokenSystem.token.previewFee(tokenId, token.parseAmount(amount));
+
+    res.json({
+      tokenId,
+      ...formatAmounts(quote, token.getDecimals())
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/tokens/:tokenId/snapshots', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { tokenId } = req.params;
+    const { transaction, timestamp } = req.query;
+    const token = await tokenSystem.token.getToken(tokenId);
+
+    if (transaction === undefined && timestamp === undefined) {
+      return res.json({ tokenId, snapshots: token.getSnapshots() });
+    }
+
+    const snapshot = tokenSystem.token.findSnapshot(tokenId, { transaction, timestamp });
+    res.json({
+      tokenId,
+      snapshotId: snapshot.id,
+      exact: snapshot.exact,
+      snapshot,
+      totalSupply: token.formatAmount(token.totalSupplyAt(snapshot.id))
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/tokens/:tokenId/snapshots/:snapshotId', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { tokenId, snapshotId } = req.params;
+    const token = await tokenSystem.token.getToken(tokenId);
+    const totalSupply = await tokenSystem.token.totalSupplyAt(tokenId, Number(snapshotId));
+
+    res.json({
+      tokenId,
+      snapshotId: Number(snapshotId),
+      totalSupply: token.formatAmount(totalSupply)
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/tokens/:tokenId/snapshots/:snapshotId/balance/:address', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { tokenId, snapshotId, address } = req.params;
+    const token = await tokenSystem.token.getToken(tokenId);
+    const balance = await tokenSystem.token.balanceOfAt(tokenId, address, Number(snapshotId));
+
+    res.json({
+      tokenId,
+      snapshotId: Number(snapshotId),
+      address,
+      balance: token.formatAmount(balance)
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/tokens/:tokenId/history', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { tokenId } = req.params;
+    const token = await tokenSystem.token.getToken(tokenId);
+    const history = await tokenSystem.token.getTransactionHistory(tokenId);
+
+    res.json({
+      tokenId,
+      history: formatAmounts(history, token.getDecimals())
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Multisig operations
+
+/**
+ * Converts a multisig proposal into a JSON-safe object
+ * Amounts stay in base units because that is what key holders sign
+ * @param {Object} proposal - Multisig proposal
+ * @returns {Object} - Serializable proposal
+ */
+function serializeProposal(proposal) {
+  const { amount } = proposal.transaction;
+  return {
+    ...proposal,
+    transaction: {
+      ...proposal.transaction,
+      amount: amount !== undefined ? amount.toString() : undefined
+    }
+  };
+}
+
+app.post('/api/multisig', (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { publicKeys, threshold } = req.body;
+
+    if (!Array.isArray(publicKeys) || threshold === undefined) {
+      return res.status(400).json({ error: 'Public keys and threshold are required' });
+    }
+
+    const account = tokenSystem.token.createMultisig({ publicKeys, threshold: Number(threshold) });
+
+    res.json({
+      success: true,
+      message: 'Multisig account created successfully',
+      account
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/multisig/proposals', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { multisig, tokenId, type, fields = {}, expiry } = req.body;
+
+    if (!multisig || !tokenId || !type) {
+      return res.status(400).json({ error: 'Multisig address, token ID and operation type are required' });
+    }
+
+    const token = await tokenSystem.token.getToken(tokenId);
+    const proposal = tokenSystem.token.proposeMultisig(multisig, {
+      tokenId,
+      type,
+      fields: fields.amount !== undefined ? { ...fields, amount: token.parseAmount(fields.amount) } : fields,
+      expiry: expiry !== undefined ? Number(expiry) : undefined
+    });
+
+    res.json({
+      success: true,
+      message: 'Proposal created successfully',
+      proposal: serializeProposal(proposal)
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/multisig/proposals/:proposalId/sign', (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { publicKey, signature } = req.body;
+
+    if (!publicKey || !signature) {
+      return res.status(400).json({ error: 'Public key and signature are required' });
     }
 
-    const result = await tokenSystem.token.createToken({
-      name,
-      symbol,
-      totalSupply: parseInt(supply)
+    const proposal = tokenSystem.token.signProposal(req.params.proposalId, publicKey, signature);
+
+    res.json({
+      success: true,
+      message: 'Proposal signed successfully',
+      proposal: serializeProposal(proposal)
     });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/multisig/proposals/:proposalId/execute', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const result = await tokenSystem.token.executeProposal(req.params.proposalId);
+    const token = await tokenSystem.token.getToken(result.tokenId);
 
     res.json({
       success: true,
-      message: 'Token created successfully',
-      token: result
+      message: 'Proposal executed successfully',
+      transaction: formatAmounts(result, token.getDecimals())
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
-app.post('/api/tokens/mint', async (req, res) => {
+app.get('/api/multisig/:address/proposals', (req, res) => {
   try {
     if (!tokenSystem) {
       return res.status(503).json({ error: 'Token system not initialized' });
     }
 
-    const { to, amount } = req.body;
-    
-    if (!to || !amount) {
-      return res.status(400).json({ error: 'Recipient address and amount are required' });
+    const { address } = req.params;
+
+    res.json({
+      multisig: tokenSystem.token.getMultisig(address),
+      proposals: tokenSystem.token.listPendingProposals(address).map(serializeProposal)
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Relayed transfers
+
+app.post('/api/relay', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { tokenId, from, to, amount, relayerFee } = req.body;
+    const relayer = RELAYER_ADDRESS || req.body.relayer;
+
+    if (!tokenId || !from || !to || !amount) {
+      return res.status(400).json({ error: 'Token ID, from, to, and amount are required' });
+    }
+    if (!relayer) {
+      return res.status(400).json({ error: 'A relayer address is required' });
     }
 
-    const result = await tokenSystem.token.mint(to, parseInt(amount));
+    const token = await tokenSystem.token.getToken(tokenId);
+    const result = await tokenSystem.token.submitSignedIntent({
+      tokenId,
+      from,
+      to,
+      amount: token.parseAmount(amount),
+      relayerFee: relayerFee !== undefined ? token.parseAmount(relayerFee) : undefined,
+      relayer: req.body.relayer,
+      ...signatureOptions(req.body)
+    }, relayer);
 
     res.json({
       success: true,
-      message: 'Tokens minted successfully',
-      transaction: result
+      message: 'Transfer intent relayed successfully',
+      transaction: formatAmounts(result, token.getDecimals())
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
-app.post('/api/tokens/transfer', async (req, res) => {
+// Swap offers
+
+/**
+ * Formats the amounts of a swap offer or fill in the decimals of their tokens
+ * Offered amounts use the sell token, asked amounts and payments the buy token
+ * @param {Object} value - Swap offer or fill result
+ * @param {Object} offer - Swap offer the value belongs to
+ * @returns {Promise<Object>} - Serializable value
+ */
+async function formatSwapAmounts(value, offer) {
+  const sellToken = await tokenSystem.token.getToken(offer.sellTokenId);
+  const buyToken = await tokenSystem.token.getToken(offer.buyTokenId);
+  const buyFields = ['buyAmount', 'paid', 'payment'];
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    formatAmounts(item, buyFields.includes(key) ? buyToken.getDecimals() : sellToken.getDecimals())
+  ]));
+}
+
+app.post('/api/swaps', async (req, res) => {
   try {
     if (!tokenSystem) {
       return res.status(503).json({ error: 'Token system not initialized' });
     }
 
-    const { from, to, amount } = req.body;
-    
-    if (!from || !to || !amount) {
-      return res.status(400).json({ error: 'From, to, and amount are required' });
+    const { tokenId, maker, sellAmount, buyTokenId, buyAmount } = req.body;
+
+    if (!tokenId || !maker || !sellAmount || !buyTokenId || !buyAmount) {
+      return res.status(400).json({ error: 'Token ID, maker, sell amount, buy token ID, and buy amount are required' });
     }
 
-    const result = await tokenSystem.token.transfer(from, to, parseInt(amount));
+    const sellToken = await tokenSystem.token.getToken(tokenId);
+    const buyToken = await tokenSystem.token.getToken(buyTokenId);
+    const result = await tokenSystem.token.createSwapOffer(
+      tokenId,
+      maker,
+      sellToken.parseAmount(sellAmount),
+      buyTokenId,
+      buyToken.parseAmount(buyAmount),
+      signatureOptions(req.body)
+    );
 
     res.json({
       success: true,
-      message: 'Transfer completed successfully',
+      message: 'Swap offer created successfully',
       transaction: result
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
-app.get('/api/tokens/balance/:address', async (req, res) => {
+app.post('/api/swaps/fill', async (req, res) => {
   try {
     if (!tokenSystem) {
       return res.status(503).json({ error: 'Token system not initialized' });
     }
 
-    const { address } = req.params;
-    const balance = await tokenSystem.token.getBalance(address);
+    const { tokenId, offerId, taker, amount } = req.body;
+
+    if (!tokenId || !offerId || !taker || !amount) {
+      return res.status(400).json({ error: 'Token ID, offer ID, taker, and amount are required' });
+    }
+
+    const token = await tokenSystem.token.getToken(tokenId);
+    const offer = tokenSystem.token.getSwapOffer(tokenId, offerId);
+    const result = await tokenSystem.token.fillSwapOffer(
+      tokenId,
+      offerId,
+      taker,
+      token.parseAmount(amount),
+      signatureOptions(req.body)
+    );
 
     res.json({
-      address,
-      balance
+      success: true,
+      message: 'Swap offer filled successfully',
+      transaction: await formatSwapAmounts(result, offer)
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
+  }
+});
+
+app.post('/api/swaps/cancel', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { tokenId, offerId, from } = req.body;
+
+    if (!tokenId || !offerId || !from) {
+      return res.status(400).json({ error: 'Token ID, offer ID, and maker address are required' });
+    }
+
+    const token = await tokenSystem.token.getToken(tokenId);
+    const result = await tokenSystem.token.cancelSwapOffer(tokenId, offerId, {
+      from,
+      ...signatureOptions(req.body)
+    });
+
+    res.json({
+      success: true,
+      message: 'Swap offer cancelled successfully',
+      transaction: formatAmounts(result, token.getDecimals())
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/swaps', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    // Open offers by default; `status=all` lists filled and cancelled offers too
+    const { status = 'open', maker, sellTokenId, buyTokenId } = req.query;
+    const offers = tokenSystem.token.listSwapOffers({
+      status: status === 'all' ? undefined : status,
+      maker,
+      sellTokenId,
+      buyTokenId
+    });
+
+    res.json({
+      offers: await Promise.all(offers.map(offer => formatSwapAmounts(offer, offer)))
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Liquidity pools
+
+/**
+ * Formats the amounts of a pool summary, quote or result in the decimals of their tokens
+ * Reserves and deposits use their pool token, shares the LP token and swap
+ * amounts the token they are paid in; the invariant stays in base units
+ * @param {Object} value - Pool summary, quote or transaction result
+ * @param {Object} pool - Pool summary the value belongs to
+ * @returns {Promise<Object>} - Serializable value
+ */
+async function formatPoolAmounts(value, pool) {
+  const tokenOfField = {
+    reserveA: pool.tokenA,
+    amountA: pool.tokenA,
+    reserveB: pool.tokenB,
+    amountB: pool.tokenB,
+    shares: pool.poolId,
+    totalShares: pool.poolId,
+    amountIn: value.tokenIn,
+    fee: value.tokenIn,
+    amountOut: value.tokenOut
+  };
+
+  const entries = await Promise.all(Object.entries(value).map(async ([key, item]) => {
+    if (typeof item !== 'bigint') {
+      return [key, item];
+    }
+    if (!tokenOfField[key]) {
+      return [key, item.toString()];
+    }
+    const token = await tokenSystem.token.getToken(tokenOfField[key]);
+    return [key, planck.formatUnits(item, token.getDecimals())];
+  }));
+  return Object.fromEntries(entries);
+}
+
+/**
+ * Parses an amount given in the decimals of a token; missing amounts stay undefined
+ * @param {string} tokenId - Token ID
+ * @param {string|undefined} value - Decimal amount
+ * @returns {Promise<bigint|undefined>} - Amount in base units
+ */
+async function parseTokenAmount(tokenId, value) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  return (await tokenSystem.token.getToken(tokenId)).parseAmount(value);
+}
+
+app.post('/api/pools', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { tokenA, tokenB, fee } = req.body;
+
+    if (!tokenA || !tokenB) {
+      return res.status(400).json({ error: 'Both token IDs are required' });
+    }
+
+    const pool = await tokenSystem.token.createPool(tokenA, tokenB, {
+      fee: fee !== undefined ? Number(fee) : undefined
+    });
+
+    res.json({
+      success: true,
+      message: 'Liquidity pool created successfully',
+      pool: await formatPoolAmounts(pool, pool)
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/pools/liquidity/add', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { poolId, provider, amountA, amountB, minShares } = req.body;
+
+    if (!poolId || !provider || !amountA || !amountB) {
+      return res.status(400).json({ error: 'Pool ID, provider, and both amounts are required' });
+    }
+
+    const pool = tokenSystem.token.getPool(poolId);
+    const result = await tokenSystem.token.addLiquidity(
+      poolId,
+      provider,
+      await parseTokenAmount(pool.tokenA, amountA),
+      await parseTokenAmount(pool.tokenB, amountB),
+      {
+        minShares: await parseTokenAmount(poolId, minShares),
+        ...signatureOptions(req.body),
+        // Signatures of the provider on each pool token's ledger, by token ID
+        authorizations: req.body.authorizations && Object.fromEntries(
+          Object.entries(req.body.authorizations).map(([tokenId, body]) => [tokenId, signatureOptions(body)])
+        )
+      }
+    );
+
+    res.json({
+      success: true,
+      message: 'Liquidity added successfully',
+      transaction: await formatPoolAmounts(result, pool)
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/pools/liquidity/remove', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { poolId, provider, shares, minAmountA, minAmountB } = req.body;
+
+    if (!poolId || !provider || !shares) {
+      return res.status(400).json({ error: 'Pool ID, provider, and shares are required' });
+    }
+
+    const pool = tokenSystem.token.getPool(poolId);
+    const result = await tokenSystem.token.removeLiquidity(
+      poolId,
+      provider,
+      await parseTokenAmount(poolId, shares),
+      {
+        minAmountA: await parseTokenAmount(pool.tokenA, minAmountA),
+        minAmountB: await parseTokenAmount(pool.tokenB, minAmountB),
+        ...signatureOptions(req.body)
+      }
+    );
+
+    res.json({
+      success: true,
+      message: 'Liquidity removed successfully',
+      transaction: await formatPoolAmounts(result, pool)
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/pools/swap-exact-in', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { poolId, trader, tokenIn, amountIn, minAmountOut } = req.body;
+
+    if (!poolId || !trader || !tokenIn || !amountIn || minAmountOut === undefined) {
+      return res.status(400).json({ error: 'Pool ID, trader, input token, input amount, and minimum output are required' });
+    }
+
+    const pool = tokenSystem.token.getPool(poolId);
+    const tokenOut = tokenIn === pool.tokenA ? pool.tokenB : pool.tokenA;
+    const result = await tokenSystem.token.swapExactIn(
+      poolId,
+      trader,
+      tokenIn,
+      await parseTokenAmount(tokenIn, amountIn),
+      await parseTokenAmount(tokenOut, minAmountOut),
+      signatureOptions(req.body)
+    );
+
+    res.json({
+      success: true,
+      message: 'Swap executed successfully',
+      transaction: await formatPoolAmounts(result, pool)
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/pools/swap-exact-out', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { poolId, trader, tokenIn, amountOut, maxAmountIn } = req.body;
+
+    if (!poolId || !trader || !tokenIn || !amountOut || !maxAmountIn) {
+      return res.status(400).json({ error: 'Pool ID, trader, input token, output amount, and maximum input are required' });
+    }
+
+    const pool = tokenSystem.token.getPool(poolId);
+    const tokenOut = tokenIn === pool.tokenA ? pool.tokenB : pool.tokenA;
+    const result = await tokenSystem.token.swapExactOut(
+      poolId,
+      trader,
+      tokenIn,
+      await parseTokenAmount(tokenOut, amountOut),
+      await parseTokenAmount(tokenIn, maxAmountIn),
+      signatureOptions(req.body)
+    );
+
+    res.json({
+      success: true,
+      message: 'Swap executed successfully',
+      transaction: await formatPoolAmounts(result, pool)
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/pools/sync', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { poolId } = req.body;
+
+    if (!poolId) {
+      return res.status(400).json({ error: 'Pool ID is required' });
+    }
+
+    const pool = tokenSystem.token.getPool(poolId);
+    const result = await tokenSystem.token.syncPool(poolId);
+
+    res.json({
+      success: true,
+      message: 'Pool reserves synced successfully',
+      transaction: await formatPoolAmounts(result, pool)
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/pools', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const pools = tokenSystem.token.listPools();
+    res.json({ pools: await Promise.all(pools.map(pool => formatPoolAmounts(pool, pool))) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/pools/:poolId', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const pool = tokenSystem.token.getPool(req.params.poolId);
+    res.json(await formatPoolAmounts(pool, pool));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/pools/:poolId/quote', async (req, res) => {
+  try {
+    if (!tokenSystem) {
+      return res.status(503).json({ error: 'Token system not initialized' });
+    }
+
+    const { poolId } = req.params;
+    const { tokenIn, amountIn, amountOut } = req.query;
+
+    if (!tokenIn || (!amountIn && !amountOut)) {
+      return res.status(400).json({ error: 'Input token and either amountIn or amountOut are required' });
+    }
+
+    const pool = tokenSystem.token.getPool(poolId);
+    const tokenOut = tokenIn === pool.tokenA ? pool.tokenB : pool.tokenA;
+    const quote = tokenSystem.token.quoteSwap(poolId, tokenIn, {
+      amountIn: await parseTokenAmount(tokenIn, amountIn),
+      amountOut: await parseTokenAmount(tokenOut, amountOut)
+    });
+
+    res.json({ poolId, ...(await formatPoolAmounts(quote, pool)) });
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
@@ -245,13 +1852,12 @@ app.get('/api/network/peers', async (req, res) => {
 // Philosophical utility endpoints
 app.post('/api/utils/planck/quantize', (req, res) => {
   try {
-    const { value } = req.body;
+    const { value, rounding } = req.body;
     if (!value) {
       return res.status(400).json({ error: 'Value is required' });
     }
 
-    const planck = require('./utils/planck');
-    const quantized = planck.quantize(BigInt(value));
+    const quantized = planck.quantize(value, rounding);
 
     res.json({
       original: value,
@@ -623,10 +2229,22 @@ app.get('/', (req, res) => {
                             <label>Total Supply:</label>
                             <input type="number" id="tokenSupply" placeholder="1000000">
                         </div>
+                        <div class="form-group">
+                            <label>Owner Address:</label>
+                            <input type="text" id="tokenOwner" placeholder="0x...">
+                        </div>
                     \`;
                     break;
                 case 'mint':
                     html = \`
+                        <div class="form-group">
+                            <label>Token ID:</label>
+                            <input type="text" id="tokenId" placeholder="0x...">
+                        </div>
+                        <div class="form-group">
+                            <label>Minter (Owner) Address:</label>
+                            <input type="text" id="mintFrom" placeholder="0x...">
+                        </div>
                         <div class="form-group">
                             <label>To Address:</label>
                             <input type="text" id="mintTo" placeholder="0x...">
@@ -639,6 +2257,10 @@ app.get('/', (req, res) => {
                     break;
                 case 'transfer':
                     html = \`
+                        <div class="form-group">
+                            <label>Token ID:</label>
+                            <input type="text" id="tokenId" placeholder="0x...">
+                        </div>
                         <div class="form-group">
                             <label>From Address:</label>
                             <input type="text" id="transferFrom" placeholder="0x...">
@@ -655,6 +2277,10 @@ app.get('/', (req, res) => {
                     break;
                 case 'balance':
                     html = \`
+                        <div class="form-group">
+                            <label>Token ID:</label>
+                            <input type="text" id="tokenId" placeholder="0x...">
+                        </div>
                         <div class="form-group">
                             <label>Address:</label>
                             <input type="text" id="balanceAddress" placeholder="0x...">
@@ -726,7 +2352,8 @@ app.get('/', (req, res) => {
                             body: JSON.stringify({
                                 name: document.getElementById('tokenName').value,
                                 symbol: document.getElementById('tokenSymbol').value,
-                                supply: document.getElementById('tokenSupply').value
+                                supply: document.getElementById('tokenSupply').value,
+                                owner: document.getElementById('tokenOwner').value
                             })
                         });
                         break;
@@ -735,6 +2362,8 @@ app.get('/', (req, res) => {
                             method: 'POST',
                             headers: { 'Content-Type': 'application/json' },
                             body: JSON.stringify({
+                                tokenId: document.getElementById('tokenId').value,
+                                from: document.getElementById('mintFrom').value,
                                 to: document.getElementById('mintTo').value,
                                 amount: document.getElementById('mintAmount').value
                             })
@@ -745,6 +2374,7 @@ app.get('/', (req, res) => {
                             method: 'POST',
                             headers: { 'Content-Type': 'application/json' },
                             body: JSON.stringify({
+                                tokenId: document.getElementById('tokenId').value,
                                 from: document.getElementById('transferFrom').value,
                                 to: document.getElementById('transferTo').value,
                                 amount: document.getElementById('transferAmount').value
@@ -752,8 +2382,9 @@ app.get('/', (req, res) => {
                         });
                         break;
                     case 'balance':
+                        const tokenId = document.getElementById('tokenId').value;
                         const address = document.getElementById('balanceAddress').value;
-                        response = await fetch(\`/api/tokens/balance/\${address}\`);
+                        response = await fetch(\`/api/tokens/\${tokenId}/balance/\${address}\`);
                         break;
                 }
                 
@@ -242,6 +242,25 @@ class Storage {
     }
   }
 
+  /**
+   * Stores raw bytes in Helia
+   * Used by the token ledger for states and blocks
+   * @param {Uint8Array} bytes - Bytes to store
+   * @returns {Promise<CID>} - Content identifier
+   */
+  async addBytes(bytes) {
+    return this.storeBinary(Buffer.from(bytes));
+  }
+
+  /**
+   * Retrieves raw bytes from Helia by CID
+   * @param {CID|string} cid - Content identifier
+   * @returns {Promise<Buffer>} - Retrieved bytes
+   */
+  async getBytes(cid) {
+    return this.retrieveBinary(cid);
+  }
+
   /**
    * Retrieves data from Helia by CID
    * @param {CID|string} cid - Content identifier
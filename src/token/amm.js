@@ -0,0 +1,313 @@
+/**
+ * Constant-product liquidity pools for the Helia blockchain token registry
+ *
+ * A pool holds reserves of two tokens and prices swaps between them so that
+ * the product of its reserves, k = x * y, never decreases. Every swap pays
+ * a fee in basis points of the input amount; the fee stays in the reserves,
+ * so k grows with every swap and the growth belongs to the liquidity
+ * providers. Providers receive LP shares, an ordinary token whose ledger
+ * holds the pool, in proportion to the reserves they add.
+ *
+ * All amounts are BigInt base units. Rounding always favours the pool:
+ * outputs and shares are rounded down, required inputs up (see Planck).
+ * The first deposit locks MINIMUM_LIQUIDITY shares in the pool itself, so
+ * the share price can never be inflated by draining a nearly empty pool.
+ *
+ * The pool only does the accounting; the ledger of its LP shares moves the
+ * balances of both tokens and records the history.
+ *
+ * @see Related modules:
+ * - {@link ../utils/planck.js} - Rounding of amounts and shares
+ * - {@link ./fees.js} - Basis points
+ * - {@link ./token-ledger.js} - Ledger of the LP shares holding the pool
+ */
+
+const planck = require('../utils/planck');
+const leibniz = require('../utils/leibniz');
+const { BPS_DENOMINATOR } = require('./fees');
+const { TokenError } = require('./errors');
+
+// Shares locked in the pool by the first deposit
+const MINIMUM_LIQUIDITY = BigInt(1000);
+
+// Swap fee of new pools in basis points
+const DEFAULT_FEE_BPS = 30;
+
+/**
+ * Derives the address holding the reserves of the pool of a token pair
+ * The reserves are ordinary balances of this address on both token ledgers.
+ * The address has no key, so on tokens requiring signatures no one can sign
+ * for it; on tokens accepting unsigned operations it is as exposed as any
+ * other address
+ * @param {string} tokenA - First token ID
+ * @param {string} tokenB - Second token ID
+ * @returns {string} - Pool address, the same in either token order
+ */
+function poolAddress(tokenA, tokenB) {
+  const [first, second] = [tokenA, tokenB].sort();
+  return leibniz.monadHash(`pool:${first}:${second}`);
+}
+
+/**
+ * Computes the integer square root of a BigInt by Newton's method
+ * @param {bigint} value - Non-negative value
+ * @returns {bigint} - Largest integer whose square does not exceed the value
+ */
+function sqrt(value) {
+  if (value < BigInt(0)) {
+    throw new Error('Square root of a negative value');
+  }
+  if (value < BigInt(2)) {
+    return value;
+  }
+
+  let root = value;
+  let next = (value + BigInt(1)) / BigInt(2);
+  while (next < root) {
+    root = next;
+    next = (root + value / root) / BigInt(2);
+  }
+  return root;
+}
+
+/**
+ * Computes the output of a swap for an exact input
+ * @param {bigint} amountIn - Input amount in base units
+ * @param {bigint} reserveIn - Reserve of the input token
+ * @param {bigint} reserveOut - Reserve of the output token
+ * @param {number} fee - Swap fee in basis points
+ * @returns {bigint} - Output amount, rounded down
+ */
+function getAmountOut(amountIn, reserveIn, reserveOut, fee) {
+  if (reserveIn <= BigInt(0) || reserveOut <= BigInt(0)) {
+    throw new TokenError('Pool has no liquidity');
+  }
+
+  const amountInWithFee = amountIn * BigInt(BPS_DENOMINATOR - fee);
+  return planck.quantize(planck.divideRounded(
+    amountInWithFee * reserveOut,
+    reserveIn * BigInt(BPS_DENOMINATOR) + amountInWithFee,
+    planck.RoundingModes.FLOOR
+  ));
+}
+
+/**
+ * Computes the input a swap requires for an exact output
+ * @param {bigint} amountOut - Output amount in base units
+ * @param {bigint} reserveIn - Reserve of the input token
+ * @param {bigint} reserveOut - Reserve of the output token
+ * @param {number} fee - Swap fee in basis points
+ * @returns {bigint} - Input amount, rounded up
+ */
+function getAmountIn(amountOut, reserveIn, reserveOut, fee) {
+  if (reserveIn <= BigInt(0) || reserveOut <= BigInt(0)) {
+    throw new TokenError('Pool has no liquidity');
+  }
+  if (amountOut >= reserveOut) {
+    throw new TokenError(`Output exceeds the pool reserve of ${reserveOut}`);
+  }
+
+  return planck.quantize(planck.divideRounded(
+    reserveIn * amountOut * BigInt(BPS_DENOMINATOR),
+    (reserveOut - amountOut) * BigInt(BPS_DENOMINATOR - fee),
+    planck.RoundingModes.CEIL
+  ), planck.RoundingModes.CEIL);
+}
+
+/**
+ * LiquidityPool tracks the reserves of a token pair and prices its swaps
+ */
+class LiquidityPool {
+  /**
+   * Creates a pool
+   * @param {Object} params - Pool parameters or serialized pool state
+   * @param {string} params.tokenA - First token ID
+   * @param {string} params.tokenB - Second token ID
+   * @param {number} [params.fee] - Swap fee in basis points, defaults to DEFAULT_FEE_BPS
+   * @param {bigint|string} [params.reserveA] - Reserve of the first token
+   * @param {bigint|string} [params.reserveB] - Reserve of the second token
+   */
+  constructor(params) {
+    const fee = params.fee !== undefined ? Number(params.fee) : DEFAULT_FEE_BPS;
+    if (!params.tokenA || !params.tokenB || params.tokenA === params.tokenB) {
+      throw new TokenError('A liquidity pool requires two different tokens');
+    }
+    if (!Number.isInteger(fee) || fee < 0 || fee >= BPS_DENOMINATOR) {
+      throw new TokenError(`Swap fee must be an integer between 0 and ${BPS_DENOMINATOR - 1} basis points`);
+    }
+
+    this.tokenA = params.tokenA;
+    this.tokenB = params.tokenB;
+    this.address = poolAddress(params.tokenA, params.tokenB);
+    this.fee = fee;
+    this.reserveA = BigInt(params.reserveA || 0);
+    this.reserveB = BigInt(params.reserveB || 0);
+  }
+
+  /**
+   * Get the reserves on both sides of a swap
+   * @param {string} tokenIn - Token paid into the pool
+   * @returns {Object} - `{ tokenOut, reserveIn, reserveOut }`
+   */
+  sides(tokenIn) {
+    if (tokenIn === this.tokenA) {
+      return { tokenOut: this.tokenB, reserveIn: this.reserveA, reserveOut: this.reserveB };
+    }
+    if (tokenIn === this.tokenB) {
+      return { tokenOut: this.tokenA, reserveIn: this.reserveB, reserveOut: this.reserveA };
+    }
+    throw new TokenError(`Token ${tokenIn} is not part of this pool`);
+  }
+
+  /**
+   * Quote a swap of an exact input
+   * @param {string} tokenIn - Token paid into the pool
+   * @param {bigint} amountIn - Input amount in base units
+   * @returns {Object} - Quote `{ tokenIn, tokenOut, amountIn, amountOut, fee }`
+   */
+  quoteExactIn(tokenIn, amountIn) {
+    const { tokenOut, reserveIn, reserveOut } = this.sides(tokenIn);
+    const amountOut = getAmountOut(amountIn, reserveIn, reserveOut, this.fee);
+    if (amountOut === BigInt(0)) {
+      throw new TokenError('Swap input is too small to return any output');
+    }
+    return { tokenIn, tokenOut, amountIn, amountOut, fee: this._feeOf(amountIn) };
+  }
+
+  /**
+   * Quote a swap of an exact output
+   * @param {string} tokenIn - Token paid into the pool
+   * @param {bigint} amountOut - Output amount in base units
+   * @returns {Object} - Quote `{ tokenIn, tokenOut, amountIn, amountOut, fee }`
+   */
+  quoteExactOut(tokenIn, amountOut) {
+    const { tokenOut, reserveIn, reserveOut } = this.sides(tokenIn);
+    const amountIn = getAmountIn(amountOut, reserveIn, reserveOut, this.fee);
+    return { tokenIn, tokenOut, amountIn, amountOut, fee: this._feeOf(amountIn) };
+  }
+
+  /**
+   * Quote a deposit of liquidity
+   * Beyond the first deposit the amounts are cut down to the pool ratio
+   * @param {bigint} amountA - Most of the first token to deposit
+   * @param {bigint} amountB - Most of the second token to deposit
+   * @param {bigint} totalShares - Shares issued so far
+   * @returns {Object} - `{ amountA, amountB, shares, locked }`, `locked` shares going to the pool
+   */
+  quoteAddLiquidity(amountA, amountB, totalShares) {
+    if (totalShares === BigInt(0)) {
+      const shares = sqrt(amountA * amountB) - MINIMUM_LIQUIDITY;
+      if (shares <= BigInt(0)) {
+        throw new TokenError(`The first deposit must be worth more than ${MINIMUM_LIQUIDITY} shares`);
+      }
+      return { amountA, amountB, shares, locked: MINIMUM_LIQUIDITY };
+    }
+
+    const optimalB = planck.divideRounded(amountA * this.reserveB, this.reserveA, planck.RoundingModes.CEIL);
+    if (optimalB <= amountB) {
+      amountB = optimalB;
+    } else {
+      amountA = planck.divideRounded(amountB * this.reserveA, this.reserveB, planck.RoundingModes.CEIL);
+    }
+
+    const sharesA = planck.divideRounded(amountA * totalShares, this.reserveA, planck.RoundingModes.FLOOR);
+    const sharesB = planck.divideRounded(amountB * totalShares, this.reserveB, planck.RoundingModes.FLOOR);
+    const shares = sharesA < sharesB ? sharesA : sharesB;
+    if (shares === BigInt(0)) {
+      throw new TokenError('Deposit is too small to issue any shares');
+    }
+    return { amountA, amountB, shares, locked: BigInt(0) };
+  }
+
+  /**
+   * Quote a withdrawal of liquidity
+   * @param {bigint} shares - Shares to redeem
+   * @param {bigint} totalShares - Shares issued so far
+   * @returns {Object} - `{ amountA, amountB }`, rounded down
+   */
+  quoteRemoveLiquidity(shares, totalShares) {
+    if (shares > totalShares) {
+      throw new TokenError('Cannot redeem more shares than were issued');
+    }
+    return {
+      amountA: planck.divideRounded(shares * this.reserveA, totalShares, planck.RoundingModes.FLOOR),
+      amountB: planck.divideRounded(shares * this.reserveB, totalShares, planck.RoundingModes.FLOOR)
+    };
+  }
+
+  /**
+   * Update the reserves after a swap
+   * @param {string} tokenIn - Token paid into the pool
+   * @param {bigint} amountIn - Input amount
+   * @param {bigint} amountOut - Output amount
+   */
+  applySwap(tokenIn, amountIn, amountOut) {
+    const before = this.invariant();
+    if (tokenIn === this.tokenA) {
+      this.reserveA += amountIn;
+      this.reserveB -= amountOut;
+    } else {
+      this.reserveB += amountIn;
+      this.reserveA -= amountOut;
+    }
+
+    if (this.invariant() < before) {
+      throw new Error('Swap would decrease the pool invariant');
+    }
+  }
+
+  /**
+   * Update the reserves after a deposit or withdrawal of liquidity
+   * @param {bigint} amountA - Change of the first reserve
+   * @param {bigint} amountB - Change of the second reserve
+   */
+  applyLiquidity(amountA, amountB) {
+    this.reserveA += amountA;
+    this.reserveB += amountB;
+  }
+
+  /**
+   * Get the product of the reserves
+   * @returns {bigint} - k = reserveA * reserveB
+   */
+  invariant() {
+    return this.reserveA * this.reserveB;
+  }
+
+  /**
+   * Convert the pool into a JSON-safe object
+   * @returns {Object} - Pool state with reserves as decimal strings
+   */
+  serialize() {
+    return {
+      tokenA: this.tokenA,
+      tokenB: this.tokenB,
+      fee: this.fee,
+      reserveA: this.reserveA.toString(),
+      reserveB: this.reserveB.toString()
+    };
+  }
+
+  /**
+   * Compute the fee charged on a swap input
+   * @private
+   * @param {bigint} amountIn - Input amount
+   * @returns {bigint} - Fee in base units of the input token
+   */
+  _feeOf(amountIn) {
+    return planck.quantize(
+      planck.divideRounded(amountIn * BigInt(this.fee), BigInt(BPS_DENOMINATOR), planck.RoundingModes.CEIL),
+      planck.RoundingModes.CEIL
+    );
+  }
+}
+
+module.exports = {
+  MINIMUM_LIQUIDITY,
+  DEFAULT_FEE_BPS,
+  poolAddress,
+  sqrt,
+  getAmountOut,
+  getAmountIn,
+  LiquidityPool
+};
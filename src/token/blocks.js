@@ -0,0 +1,214 @@
+/**
+ * Hash-linked blocks for the Helia blockchain token ledger
+ *
+ * Every block seals a group of ledger transactions. It records its height,
+ * a link to the previous block, the Merkle root of its transactions and the
+ * root of the token state that results from applying them, so a token's
+ * full history can be walked and verified starting from the CID of its head
+ * block.
+ *
+ * Blocks and states are stored as plain JSON bytes through the storage
+ * interface. Links are written in the `{ "/": cid }` shape, but they are only
+ * strings inside that JSON: the blocks are not encoded with an IPLD codec, so
+ * IPLD tooling cannot follow or pin the chain. Only walkChain and verifyChain
+ * below know how to follow it.
+ *
+ * @see Related modules:
+ * - {@link ../utils/crypto-definitions.js} - Merkle trees and hashing
+ * - {@link ./transaction-signing.js} - Canonical serialization
+ * - {@link ./token-ledger.js} - Ledger that commits blocks
+ */
+
+const { createMerkleTree, createHash } = require('../utils/crypto-definitions');
+const { canonicalize } = require('./transaction-signing');
+
+/**
+ * Creates a link to a CID in the `{ "/": cid }` shape
+ * @param {string|null} cid - Linked CID
+ * @returns {Object|null} - Link object
+ */
+function toLink(cid) {
+  return cid ? { '/': cid.toString() } : null;
+}
+
+/**
+ * Reads the CID of a link
+ * @param {Object|null} link - Link object
+ * @returns {string|null} - Linked CID
+ */
+function fromLink(link) {
+  return link && link['/'] ? link['/'] : null;
+}
+
+/**
+ * Computes the Merkle root of a list of transactions
+ * @param {Array<Object>} transactions - Transactions in ledger order
+ * @returns {string|null} - Merkle root, or null for an empty block
+ */
+function computeMerkleRoot(transactions) {
+  if (transactions.length === 0) {
+    return null;
+  }
+  return createMerkleTree(transactions.map(canonicalize)).root;
+}
+
+/**
+ * Computes the root hash of a serialized token state
+ * @param {Object} state - Serialized token state
+ * @returns {string} - State root
+ */
+function computeStateRoot(state) {
+  return createHash(canonicalize(state));
+}
+
+/**
+ * Encodes a value as JSON bytes, writing BigInt amounts as strings
+ * @param {Object} value - Value to encode
+ * @returns {Buffer} - Encoded bytes
+ */
+function encode(value) {
+  return Buffer.from(JSON.stringify(value, (key, item) =>
+    typeof item === 'bigint' ? item.toString() : item
+  ));
+}
+
+/**
+ * Decodes JSON bytes
+ * @param {Uint8Array} bytes - Encoded bytes
+ * @returns {Object} - Decoded value
+ */
+function decode(bytes) {
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+/**
+ * Stores a serialized state and a block sealing the given transactions
+ * @param {Object} storage - Storage interface
+ * @param {Object} params - Block parameters
+ * @param {string} params.tokenId - Token ID
+ * @param {number} params.height - Block height
+ * @param {string|null} params.previous - CID of the previous block
+ * @param {Array<Object>} params.transactions - Transactions sealed in the block
+ * @param {Object} params.state - Serialized state after the transactions
+ * @returns {Promise<Object>} - Stored block and its CID
+ */
+async function storeBlock(storage, params) {
+  const { tokenId, height, previous, transactions, state } = params;
+
+  const stateCid = await storage.addBytes(encode(state));
+
+  const block = {
+    tokenId,
+    height,
+    previous: toLink(previous),
+    merkleRoot: computeMerkleRoot(transactions),
+    transactions,
+    stateRoot: computeStateRoot(state),
+    state: toLink(stateCid),
+    timestamp: Date.now()
+  };
+
+  const cid = await storage.addBytes(encode(block));
+  return { cid: cid.toString(), block: decode(encode(block)) };
+}
+
+/**
+ * Loads a block from storage
+ * @param {Object} storage - Storage interface
+ * @param {string} cid - Block CID
+ * @returns {Promise<Object>} - Decoded block
+ */
+async function loadBlock(storage, cid) {
+  return decode(await storage.getBytes(cid));
+}
+
+/**
+ * Loads the state linked from a block
+ * @param {Object} storage - Storage interface
+ * @param {Object} block - Decoded block
+ * @returns {Promise<Object>} - Serialized token state
+ */
+async function loadBlockState(storage, block) {
+  return decode(await storage.getBytes(fromLink(block.state)));
+}
+
+/**
+ * Walks a chain of blocks from its head back to the genesis block
+ * @param {Object} storage - Storage interface
+ * @param {string} headCid - CID of the head block
+ * @yields {{cid: string, block: Object}} - Blocks from newest to oldest
+ */
+async function* walkChain(storage, headCid) {
+  let cid = headCid;
+
+  while (cid) {
+    const block = await loadBlock(storage, cid);
+    yield { cid, block };
+    cid = fromLink(block.previous);
+  }
+}
+
+/**
+ * Verifies a chain of blocks from its head back to the genesis block
+ * Checks heights, links, Merkle roots and state roots of every block
+ * @param {Object} storage - Storage interface
+ * @param {string} headCid - CID of the head block
+ * @returns {Promise<Object>} - Verification result
+ */
+async function verifyChain(storage, headCid) {
+  let expectedHeight = null;
+  let tokenId = null;
+  let blocks = 0;
+
+  try {
+    for await (const { cid, block } of walkChain(storage, headCid)) {
+      const fail = reason => ({ valid: false, height: block.height, cid, error: reason });
+
+      if (tokenId === null) {
+        tokenId = block.tokenId;
+        expectedHeight = block.height;
+      }
+
+      if (block.tokenId !== tokenId) {
+        return fail(`Block belongs to token ${block.tokenId}, expected ${tokenId}`);
+      }
+      if (block.height !== expectedHeight) {
+        return fail(`Unexpected block height ${block.height}, expected ${expectedHeight}`);
+      }
+      if ((block.height === 0) !== (block.previous === null)) {
+        return fail('Only the genesis block may omit the previous block link');
+      }
+      if (computeMerkleRoot(block.transactions) !== block.merkleRoot) {
+        return fail('Merkle root does not match block transactions');
+      }
+
+      const state = await loadBlockState(storage, block);
+      if (computeStateRoot(state) !== block.stateRoot) {
+        return fail('State root does not match linked state');
+      }
+
+      expectedHeight--;
+      blocks++;
+    }
+  } catch (error) {
+    return { valid: false, height: expectedHeight, error: `Failed to load chain: ${error.message}` };
+  }
+
+  if (blocks === 0) {
+    return { valid: false, height: null, error: 'Empty chain' };
+  }
+
+  return { valid: true, tokenId, height: blocks - 1, blocks };
+}
+
+module.exports = {
+  toLink,
+  fromLink,
+  computeMerkleRoot,
+  computeStateRoot,
+  storeBlock,
+  loadBlock,
+  loadBlockState,
+  walkChain,
+  verifyChain
+};
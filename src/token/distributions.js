@@ -0,0 +1,136 @@
+/**
+ * Pro-rata distributions for the Helia blockchain token ledger
+ *
+ * A distribution splits a total amount among holders in proportion to their
+ * balances. Every share is rounded down to whole quanta (see Planck); the
+ * quanta left over are handed out one at a time by the largest-remainder
+ * method, ties going to the lowest address, so the payouts always add up to
+ * the total and the same balances always produce the same payouts.
+ *
+ * Push distributions credit every holder at once. Pull distributions only
+ * reserve the payouts and let each holder claim theirs, which keeps large
+ * holder sets out of a single operation.
+ *
+ * @see Related modules:
+ * - {@link ../utils/planck.js} - Quanta and rounding
+ * - {@link ./token-ledger.js} - Ledger holding the reserved payouts
+ */
+
+const planck = require('../utils/planck');
+const { TokenError } = require('./errors');
+
+// How payouts reach the holders
+const DistributionModes = {
+  PUSH: 'push',
+  PULL: 'pull'
+};
+
+/**
+ * Splits an amount among holders in proportion to their balances
+ * @param {bigint} total - Amount to distribute in base units, a whole number of quanta
+ * @param {Array<Array>} holdings - Pairs `[address, balance]` with positive balances
+ * @returns {Array<Object>} - Payouts `{ address, balance, amount }` sorted by address
+ */
+function allocatePayouts(total, holdings) {
+  if (holdings.length === 0) {
+    throw new TokenError('There are no holders to distribute to');
+  }
+
+  const held = holdings.reduce((sum, [, balance]) => sum + balance, BigInt(0));
+  const denominator = held * planck.QUANTUM_VALUE;
+
+  const payouts = holdings
+    .map(([address, balance]) => {
+      const quanta = planck.divideRounded(total * balance, denominator, planck.RoundingModes.FLOOR);
+      return {
+        address,
+        balance,
+        amount: quanta * planck.QUANTUM_VALUE,
+        remainder: total * balance - quanta * denominator
+      };
+    })
+    .sort((a, b) => (a.address < b.address ? -1 : a.address > b.address ? 1 : 0));
+
+  // Leftover quanta go to the largest remainders, then to the lowest addresses
+  let leftover = total - payouts.reduce((sum, payout) => sum + payout.amount, BigInt(0));
+  const byRemainder = payouts
+    .slice()
+    .sort((a, b) => (a.remainder === b.remainder ? 0 : a.remainder > b.remainder ? -1 : 1));
+  for (const payout of byRemainder) {
+    if (leftover < planck.QUANTUM_VALUE) {
+      break;
+    }
+    payout.amount += planck.QUANTUM_VALUE;
+    leftover -= planck.QUANTUM_VALUE;
+  }
+
+  return payouts.map(({ address, balance, amount }) => ({ address, balance, amount }));
+}
+
+/**
+ * Builds the report of a distribution stored in Helia
+ * @param {Object} distribution - Distribution with its payouts
+ * @returns {Object} - JSON-safe report listing every payout
+ */
+function createReport(distribution) {
+  return {
+    tokenId: distribution.tokenId,
+    distributionId: distribution.id,
+    mode: distribution.mode,
+    from: distribution.from,
+    total: distribution.total.toString(),
+    holders: distribution.payouts.length,
+    payouts: distribution.payouts.map(payout => ({
+      address: payout.address,
+      balance: payout.balance.toString(),
+      amount: payout.amount.toString()
+    })),
+    createdAt: distribution.createdAt
+  };
+}
+
+/**
+ * Converts a distribution into a JSON-safe object
+ * @param {Object} distribution - Distribution
+ * @returns {Object} - Distribution with amounts as decimal strings
+ */
+function serializeDistribution(distribution) {
+  return {
+    ...distribution,
+    total: distribution.total.toString(),
+    remaining: distribution.remaining.toString(),
+    payouts: distribution.payouts.map(payout => ({
+      ...payout,
+      balance: payout.balance.toString(),
+      amount: payout.amount.toString()
+    })),
+    claimed: Array.from(distribution.claimed)
+  };
+}
+
+/**
+ * Converts a stored distribution back to BigInt amounts
+ * @param {Object} distribution - Serialized distribution
+ * @returns {Object} - Distribution
+ */
+function deserializeDistribution(distribution) {
+  return {
+    ...distribution,
+    total: BigInt(distribution.total),
+    remaining: BigInt(distribution.remaining),
+    payouts: distribution.payouts.map(payout => ({
+      ...payout,
+      balance: BigInt(payout.balance),
+      amount: BigInt(payout.amount)
+    })),
+    claimed: new Set(distribution.claimed)
+  };
+}
+
+module.exports = {
+  DistributionModes,
+  allocatePayouts,
+  createReport,
+  serializeDistribution,
+  deserializeDistribution
+};
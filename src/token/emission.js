@@ -0,0 +1,162 @@
+/**
+ * Emission schedules for the Helia blockchain token ledger
+ *
+ * An emission schedule issues new tokens to its recipients every period
+ * after `start`. Three kinds are supported:
+ * - `fixed`: `amount` per period, forever
+ * - `halving`: `amount` per period, halved every `halvingPeriods` periods
+ * - `capped`: `amount` per period until `cap` has been emitted in total
+ * Fixed and halving schedules may also set a `cap`. Each emission is split
+ * among the recipients by their share in basis points; quanta left over by
+ * the split go to the first recipient, like fee splits (see fees.js).
+ *
+ * @see Related modules:
+ * - {@link ../utils/planck.js} - Rounding of emitted amounts
+ * - {@link ./token-ledger.js} - Ledger minting the scheduled emissions
+ */
+
+const planck = require('../utils/planck');
+const { BPS_DENOMINATOR } = require('./fees');
+const { TokenError } = require('./errors');
+
+// Supported emission curves
+const EmissionKinds = {
+  FIXED: 'fixed',
+  HALVING: 'halving',
+  CAPPED: 'capped'
+};
+
+/**
+ * Validates and normalizes an emission schedule
+ * @param {Object} schedule - Emission schedule
+ * @param {string} schedule.kind - One of EmissionKinds
+ * @param {number} schedule.start - Start timestamp in milliseconds
+ * @param {number} schedule.period - Period length in milliseconds
+ * @param {bigint|number|string} schedule.amount - Amount emitted per period in base units
+ * @param {number} [schedule.halvingPeriods] - Periods between halvings (halving)
+ * @param {bigint|number|string} [schedule.cap] - Total emission cap in base units (required for capped)
+ * @param {Array<Object>} schedule.recipients - Recipients `{ address, share }` with shares in basis points summing to 10000
+ * @returns {Object} - Normalized emission schedule
+ */
+function normalizeEmission(schedule = {}) {
+  const kind = schedule.kind;
+  const start = Number(schedule.start);
+  const period = Number(schedule.period);
+
+  if (!Object.values(EmissionKinds).includes(kind)) {
+    throw new TokenError(`Unknown emission kind: ${kind}`);
+  }
+  if (!Number.isSafeInteger(start) || start < 0) {
+    throw new TokenError('Emission start must be a timestamp in milliseconds');
+  }
+  if (!Number.isSafeInteger(period) || period <= 0) {
+    throw new TokenError('Emission period must be a positive number of milliseconds');
+  }
+
+  const amount = planck.quantize(schedule.amount || 0);
+  if (amount <= BigInt(0)) {
+    throw new TokenError('Emission amount must be positive');
+  }
+
+  const halvingPeriods = kind === EmissionKinds.HALVING ? Number(schedule.halvingPeriods) : null;
+  if (halvingPeriods !== null && (!Number.isSafeInteger(halvingPeriods) || halvingPeriods <= 0)) {
+    throw new TokenError('Halving emission requires a positive number of periods between halvings');
+  }
+
+  const cap = schedule.cap !== undefined && schedule.cap !== null ? planck.quantize(schedule.cap) : null;
+  if (kind === EmissionKinds.CAPPED && cap === null) {
+    throw new TokenError('Capped emission requires a cap');
+  }
+  if (cap !== null && cap <= BigInt(0)) {
+    throw new TokenError('Emission cap must be positive');
+  }
+
+  if (!Array.isArray(schedule.recipients) || schedule.recipients.length === 0) {
+    throw new TokenError('Emission requires at least one recipient');
+  }
+  const recipients = schedule.recipients.map(recipient => {
+    const share = Number(recipient.share);
+    if (!recipient.address) {
+      throw new TokenError('Emission recipient address is required');
+    }
+    if (!Number.isInteger(share) || share <= 0 || share > BPS_DENOMINATOR) {
+      throw new TokenError(`Emission share must be an integer between 1 and ${BPS_DENOMINATOR} basis points`);
+    }
+    return { address: recipient.address, share };
+  });
+  const totalShare = recipients.reduce((sum, recipient) => sum + recipient.share, 0);
+  if (totalShare !== BPS_DENOMINATOR) {
+    throw new TokenError(`Emission shares must sum to ${BPS_DENOMINATOR} basis points`);
+  }
+
+  return { kind, start, period, amount, halvingPeriods, cap, recipients };
+}
+
+/**
+ * Computes the total a schedule has emitted by a point in time
+ * Only whole periods count; halved amounts are rounded down to whole quanta
+ * @param {Object} schedule - Normalized emission schedule
+ * @param {number} at - Timestamp in milliseconds
+ * @returns {bigint} - Cumulative scheduled emission
+ */
+function scheduledEmission(schedule, at) {
+  if (at < schedule.start) {
+    return BigInt(0);
+  }
+  const periods = BigInt(Math.floor((at - schedule.start) / schedule.period));
+
+  let total;
+  if (schedule.kind === EmissionKinds.HALVING) {
+    const interval = BigInt(schedule.halvingPeriods);
+    let remaining = periods;
+    let rate = schedule.amount;
+    total = BigInt(0);
+    while (remaining > BigInt(0) && rate > BigInt(0)) {
+      const count = remaining < interval ? remaining : interval;
+      total += count * rate;
+      remaining -= count;
+      rate = planck.quantize(planck.divideRounded(rate, BigInt(2)));
+    }
+  } else {
+    total = periods * schedule.amount;
+  }
+
+  return schedule.cap !== null && total > schedule.cap ? schedule.cap : total;
+}
+
+/**
+ * Splits an emitted amount among the recipients of a schedule
+ * @param {Object} schedule - Normalized emission schedule
+ * @param {bigint} amount - Emitted amount in base units
+ * @returns {Array<Object>} - Splits `{ address, amount }`
+ */
+function splitEmission(schedule, amount) {
+  const splits = schedule.recipients.map(recipient => ({
+    address: recipient.address,
+    amount: planck.quantize(planck.divideRounded(amount * BigInt(recipient.share), BigInt(BPS_DENOMINATOR)))
+  }));
+  const distributed = splits.reduce((sum, split) => sum + split.amount, BigInt(0));
+  splits[0].amount += amount - distributed;
+  return splits;
+}
+
+/**
+ * Converts a normalized schedule into a JSON-safe object
+ * @param {Object} schedule - Normalized emission schedule
+ * @returns {Object} - Schedule with amounts as decimal strings
+ */
+function serializeEmission(schedule) {
+  return {
+    ...schedule,
+    amount: schedule.amount.toString(),
+    cap: schedule.cap !== null ? schedule.cap.toString() : null
+  };
+}
+
+module.exports = {
+  EmissionKinds,
+  normalizeEmission,
+  scheduledEmission,
+  splitEmission,
+  serializeEmission
+};
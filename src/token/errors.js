@@ -0,0 +1,83 @@
+/**
+ * Errors thrown by the Helia blockchain token registry
+ *
+ * Every error a caller can cause — bad input, an operation the ledger state
+ * does not allow, a missing signature or role, an unknown ID — is a
+ * TokenError whose `code` tells the three apart. Any other error is an
+ * internal fault. The REST API maps the codes to HTTP statuses.
+ *
+ * @see Related modules:
+ * - {@link ./index.js} - Token registry
+ * - {@link ../server.js} - REST API mapping codes to statuses
+ */
+
+// Kinds of rejection a caller can cause
+const ErrorCodes = {
+  REJECTED: 'REJECTED',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  NOT_FOUND: 'NOT_FOUND'
+};
+
+/**
+ * TokenError rejects an operation because of its input or the ledger state
+ */
+class TokenError extends Error {
+  /**
+   * Creates an error
+   * @param {string} message - Error message
+   * @param {string} [code] - Error code from ErrorCodes
+   */
+  constructor(message, code = ErrorCodes.REJECTED) {
+    super(message);
+    this.name = 'TokenError';
+    this.code = code;
+  }
+}
+
+/**
+ * UnauthorizedError rejects an operation its caller may not perform
+ */
+class UnauthorizedError extends TokenError {
+  /**
+   * Creates an error
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message, ErrorCodes.UNAUTHORIZED);
+    this.name = 'UnauthorizedError';
+  }
+}
+
+/**
+ * NotFoundError rejects an operation naming an unknown ID
+ */
+class NotFoundError extends TokenError {
+  /**
+   * Creates an error
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message, ErrorCodes.NOT_FOUND);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * Prefixes the message of an error with the operation that failed
+ * Token errors keep their code; any other error stays an internal fault.
+ * @param {string} context - Failed operation, e.g. "Failed to load state"
+ * @param {Error} error - Cause
+ * @returns {Error} - Error to throw
+ */
+function wrapError(context, error) {
+  const message = `${context}: ${error.message}`;
+  return error instanceof TokenError ? new TokenError(message, error.code) : new Error(message);
+}
+
+module.exports = {
+  ErrorCodes,
+  TokenError,
+  UnauthorizedError,
+  NotFoundError,
+  wrapError
+};
@@ -0,0 +1,192 @@
+/**
+ * Hash time-locked escrows for the Helia blockchain token ledger
+ *
+ * A sender locks an amount for a recipient under a hashlock (the sha256 of
+ * a secret preimage) and a timelock. Before the timelock the recipient's
+ * side claims by revealing the preimage; from the timelock on the sender
+ * can take a refund. Every transition is a rule of a Turing state machine
+ * whose operations carry their own timestamp, so replaying the recorded
+ * operations always yields the same escrow state.
+ *
+ * @see Related modules:
+ * - {@link ../utils/turing.js} - State machine enforcing the transitions
+ * - {@link ../utils/crypto-definitions.js} - sha256 hashing
+ * - {@link ./token-ledger.js} - Ledger holding the escrowed funds
+ */
+
+const { TokenStateMachine } = require('../utils/turing');
+const { createHash, HashAlgorithms } = require('../utils/crypto-definitions');
+const { TokenError, NotFoundError } = require('./errors');
+
+// Lifecycle of an escrow
+const EscrowStatus = {
+  LOCKED: 'locked',
+  CLAIMED: 'claimed',
+  REFUNDED: 'refunded'
+};
+
+// History entry types produced by escrow transitions
+const ESCROW_OPERATIONS = ['lockEscrow', 'claimEscrow', 'refundEscrow'];
+
+/**
+ * Computes the hashlock of a preimage
+ * @param {string} preimage - Secret preimage
+ * @returns {string} - sha256 hash as hex string
+ */
+function createHashlock(preimage) {
+  return createHash(String(preimage), HashAlgorithms.SHA256);
+}
+
+/**
+ * Looks up a locked escrow or throws
+ * @param {Object} state - Machine state
+ * @param {string} id - Escrow ID
+ * @returns {Object} - Escrow
+ */
+function lockedEscrow(state, id) {
+  const escrow = state.escrows[id];
+  if (!escrow) {
+    throw new NotFoundError(`Escrow does not exist: ${id}`);
+  }
+  if (escrow.status !== EscrowStatus.LOCKED) {
+    throw new TokenError(`Escrow ${id} is already ${escrow.status}`);
+  }
+  return escrow;
+}
+
+/**
+ * Creates the state machine enforcing escrow transitions
+ * Amounts are kept as decimal strings so the state stays JSON-safe
+ * @param {Object} initialState - Initial escrow state
+ * @returns {TokenStateMachine} - Escrow state machine
+ */
+function createEscrowMachine(initialState = { escrows: {} }) {
+  const machine = new TokenStateMachine(initialState);
+
+  machine.addRule(
+    'lockEscrow',
+    (state, op) => op.type === 'lockEscrow',
+    (state, op) => {
+      if (state.escrows[op.escrowId]) {
+        throw new TokenError(`Escrow already exists: ${op.escrowId}`);
+      }
+      if (!op.from || !op.to || op.from === op.to) {
+        throw new TokenError('Escrow requires distinct sender and recipient');
+      }
+      if (!(BigInt(op.amount) > BigInt(0))) {
+        throw new TokenError('Escrow amount must be positive');
+      }
+      if (!/^[0-9a-f]{64}$/.test(op.hashlock)) {
+        throw new TokenError('Hashlock must be a sha256 hex digest');
+      }
+      if (!(op.timelock > op.at)) {
+        throw new TokenError('Timelock must be in the future');
+      }
+
+      state.escrows[op.escrowId] = {
+        id: op.escrowId,
+        sender: op.from,
+        recipient: op.to,
+        amount: op.amount,
+        hashlock: op.hashlock,
+        timelock: op.timelock,
+        status: EscrowStatus.LOCKED,
+        createdAt: op.at
+      };
+      return state;
+    }
+  );
+
+  machine.addRule(
+    'claimEscrow',
+    (state, op) => op.type === 'claimEscrow',
+    (state, op) => {
+      const escrow = lockedEscrow(state, op.escrowId);
+      if (op.at >= escrow.timelock) {
+        throw new TokenError(`Escrow ${op.escrowId} expired`);
+      }
+      if (createHashlock(op.preimage) !== escrow.hashlock) {
+        throw new TokenError('Preimage does not match hashlock');
+      }
+
+      escrow.status = EscrowStatus.CLAIMED;
+      escrow.preimage = op.preimage;
+      escrow.settledAt = op.at;
+      return state;
+    }
+  );
+
+  machine.addRule(
+    'refundEscrow',
+    (state, op) => op.type === 'refundEscrow',
+    (state, op) => {
+      const escrow = lockedEscrow(state, op.escrowId);
+      if (op.at < escrow.timelock) {
+        throw new TokenError(`Escrow ${op.escrowId} cannot be refunded before ${escrow.timelock}`);
+      }
+
+      escrow.status = EscrowStatus.REFUNDED;
+      escrow.settledAt = op.at;
+      return state;
+    }
+  );
+
+  return machine;
+}
+
+/**
+ * Converts a history entry into an escrow machine operation
+ * @param {Object} entry - Ledger history entry
+ * @returns {Object} - Machine operation
+ */
+function toEscrowOperation(entry) {
+  const operation = {
+    type: entry.type,
+    escrowId: entry.escrowId,
+    at: entry.at
+  };
+
+  if (entry.type === 'lockEscrow') {
+    Object.assign(operation, {
+      from: entry.from,
+      to: entry.to,
+      amount: entry.amount.toString(),
+      hashlock: entry.hashlock,
+      timelock: entry.timelock
+    });
+  }
+  if (entry.type === 'claimEscrow') {
+    operation.preimage = entry.preimage;
+  }
+
+  return operation;
+}
+
+/**
+ * Replays escrow history entries into a fresh state machine
+ * @param {Array<Object>} history - Ledger history entries
+ * @returns {Object} - Resulting escrow state
+ */
+function replayEscrows(history) {
+  const machine = createEscrowMachine();
+
+  history
+    .filter(entry => ESCROW_OPERATIONS.includes(entry.type))
+    .forEach(entry => {
+      const result = machine.processOperation(toEscrowOperation(entry));
+      if (!result.success) {
+        throw new Error(`Escrow replay failed at ${entry.id}: ${result.error}`);
+      }
+    });
+
+  return machine.getCurrentState();
+}
+
+module.exports = {
+  EscrowStatus,
+  ESCROW_OPERATIONS,
+  createHashlock,
+  createEscrowMachine,
+  toEscrowOperation,
+  replayEscrows
+};
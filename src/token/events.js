@@ -0,0 +1,132 @@
+/**
+ * Typed events for the Helia blockchain token registry
+ *
+ * Ledgers emit an event for every change subscribers may care about. Every
+ * event carries the token ID, a sequence number that increases by one for
+ * each event of the same token, and the ID of the transaction that caused
+ * it. Subscribers can listen to one event type or to all of them (`*`) and
+ * narrow the events down to a token and to an address taking part.
+ *
+ * @see Related modules:
+ * - {@link ./token-ledger.js} - Ledger emitting the events
+ * - {@link ./index.js} - Registry exposing `on` and `off`
+ */
+
+const { TokenError } = require('./errors');
+
+// Event types emitted by the token registry
+const TokenEvents = {
+  TRANSFER: 'Transfer',
+  MINT: 'Mint',
+  BURN: 'Burn',
+  APPROVAL: 'Approval',
+  RULE_ADDED: 'RuleAdded',
+  PAUSED: 'Paused',
+  METADATA_UPDATED: 'MetadataUpdated',
+  TOKEN_CREATED: 'TokenCreated'
+};
+
+// Subscribing to this type receives every event
+const ALL_EVENTS = '*';
+
+// Event fields holding addresses, used by the address filter
+const ADDRESS_FIELDS = ['from', 'to', 'owner', 'spender', 'account', 'actor', 'minter', 'burner', 'relayer'];
+
+/**
+ * Checks whether an event matches a subscription filter
+ * @param {Object} event - Token event
+ * @param {Object} filter - Subscription filter
+ * @returns {boolean} - Whether the subscriber should receive the event
+ */
+function matchesFilter(event, filter) {
+  if (filter.tokenId && event.tokenId !== filter.tokenId) {
+    return false;
+  }
+  if (filter.address && !ADDRESS_FIELDS.some(field => event[field] === filter.address)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * TokenEventBus delivers typed token events to subscribers
+ */
+class TokenEventBus {
+  /**
+   * Creates an event bus without subscribers
+   */
+  constructor() {
+    this.handlers = {}; // event type -> Array of { handler, filter }
+    this.sequences = new Map(); // token ID -> next sequence number
+  }
+
+  /**
+   * Subscribe to events
+   * @param {string} type - One of TokenEvents, or `*` for every event
+   * @param {Function} handler - Called with each matching event
+   * @param {Object} [filter] - Optional filter
+   * @param {string} [filter.tokenId] - Only events of this token
+   * @param {string} [filter.address] - Only events this address takes part in
+   * @returns {Function} - Unsubscribes the handler
+   */
+  on(type, handler, filter = {}) {
+    if (type !== ALL_EVENTS && !Object.values(TokenEvents).includes(type)) {
+      throw new TokenError(`Unknown token event: ${type}`);
+    }
+    if (typeof handler !== 'function') {
+      throw new TokenError('Event handler must be a function');
+    }
+
+    if (!this.handlers[type]) {
+      this.handlers[type] = [];
+    }
+    this.handlers[type].push({ handler, filter });
+
+    return () => this.off(type, handler);
+  }
+
+  /**
+   * Remove a subscription
+   * @param {string} type - Event type the handler was added for
+   * @param {Function} handler - Handler to remove
+   */
+  off(type, handler) {
+    if (this.handlers[type]) {
+      this.handlers[type] = this.handlers[type].filter(entry => entry.handler !== handler);
+    }
+  }
+
+  /**
+   * Emit an event to every matching subscriber
+   * A failing subscriber, synchronous or async, is logged and never affects
+   * the ledger or other subscribers
+   * @param {string} type - One of TokenEvents
+   * @param {Object} payload - Event fields, including `tokenId` and `transactionId`
+   * @returns {Object} - The emitted event
+   */
+  emit(type, payload) {
+    const sequence = this.sequences.get(payload.tokenId) || 0;
+    this.sequences.set(payload.tokenId, sequence + 1);
+
+    const event = { type, ...payload, sequence, timestamp: Date.now() };
+
+    [...(this.handlers[type] || []), ...(this.handlers[ALL_EVENTS] || [])]
+      .filter(({ filter }) => matchesFilter(event, filter))
+      .forEach(({ handler }) => {
+        const logError = error => console.error(`Error in ${type} event handler:`, error);
+        try {
+          Promise.resolve(handler(event)).catch(logError);
+        } catch (error) {
+          logError(error);
+        }
+      });
+
+    return event;
+  }
+}
+
+module.exports = {
+  TokenEvents,
+  ALL_EVENTS,
+  TokenEventBus
+};
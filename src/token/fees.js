@@ -0,0 +1,215 @@
+/**
+ * Transfer fees for the Helia blockchain token ledger
+ *
+ * A fee model charges every transfer either a flat amount, a rate in basis
+ * points, or the flat amount and rate of the tier the transfer falls into.
+ * The fee is clamped to an optional minimum and maximum and split among
+ * treasury accounts by their share in basis points. Fractional quanta are
+ * rounded down through `planck.divideRounded`; quanta left over by the split go
+ * to the first treasury, so the fee always equals the sum of its splits.
+ *
+ * @see Related modules:
+ * - {@link ../utils/planck.js} - Rounding of fractional quanta
+ * - {@link ./token-ledger.js} - Ledger charging the fees
+ */
+
+const planck = require('../utils/planck');
+const { TokenError } = require('./errors');
+
+// Supported fee models
+const FeeKinds = {
+  FLAT: 'flat',
+  BPS: 'bps',
+  TIERED: 'tiered'
+};
+
+// One basis point is a hundredth of a percent
+const BPS_DENOMINATOR = 10000;
+
+/**
+ * Converts an optional amount to base units
+ * @param {bigint|number|string|null} value - Amount
+ * @param {string} label - Name used in error messages
+ * @returns {bigint|null} - Amount in base units or null
+ */
+function optionalAmount(value, label) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const amount = planck.quantize(value);
+  if (amount < BigInt(0)) {
+    throw new TokenError(`${label} must be non-negative`);
+  }
+  return amount;
+}
+
+/**
+ * Checks a rate in basis points
+ * @param {number} bps - Rate in basis points
+ * @param {string} label - Name used in error messages
+ * @returns {number} - The rate
+ */
+function assertBps(bps, label) {
+  if (!Number.isInteger(bps) || bps < 0 || bps > BPS_DENOMINATOR) {
+    throw new TokenError(`${label} must be an integer between 0 and ${BPS_DENOMINATOR} basis points`);
+  }
+  return bps;
+}
+
+/**
+ * Validates and normalizes a fee model
+ * @param {Object} model - Fee model
+ * @param {string} model.kind - One of FeeKinds
+ * @param {bigint|number|string} [model.amount] - Flat fee in base units (flat)
+ * @param {number} [model.bps] - Rate in basis points (bps)
+ * @param {Array<Object>} [model.tiers] - Tiers `{ upTo, amount, bps }` in ascending order; the last `upTo` may be null (tiered)
+ * @param {bigint|number|string} [model.min] - Minimum fee in base units
+ * @param {bigint|number|string} [model.max] - Maximum fee in base units
+ * @param {Array<Object>} model.treasuries - Treasuries `{ address, share }` with shares in basis points summing to 10000
+ * @returns {Object} - Normalized fee model
+ */
+function normalizeFeeModel(model = {}) {
+  const kind = model.kind;
+  if (!Object.values(FeeKinds).includes(kind)) {
+    throw new TokenError(`Unknown fee kind: ${kind}`);
+  }
+
+  const normalized = {
+    kind,
+    amount: kind === FeeKinds.FLAT ? optionalAmount(model.amount, 'Flat fee') : null,
+    bps: kind === FeeKinds.BPS ? assertBps(Number(model.bps), 'Fee rate') : null,
+    tiers: null,
+    min: optionalAmount(model.min, 'Minimum fee'),
+    max: optionalAmount(model.max, 'Maximum fee'),
+    treasuries: []
+  };
+
+  if (kind === FeeKinds.FLAT && normalized.amount === null) {
+    throw new TokenError('Flat fees require an amount');
+  }
+
+  if (kind === FeeKinds.TIERED) {
+    if (!Array.isArray(model.tiers) || model.tiers.length === 0) {
+      throw new TokenError('Tiered fees require at least one tier');
+    }
+    normalized.tiers = model.tiers.map((tier, index) => {
+      const upTo = optionalAmount(tier.upTo, 'Tier bound');
+      const previous = index > 0 ? optionalAmount(model.tiers[index - 1].upTo, 'Tier bound') : null;
+      if (upTo === null && index !== model.tiers.length - 1) {
+        throw new TokenError('Only the last tier may be unbounded');
+      }
+      if (previous !== null && upTo !== null && upTo <= previous) {
+        throw new TokenError('Tier bounds must be ascending');
+      }
+      return {
+        upTo,
+        amount: optionalAmount(tier.amount, 'Tier fee') || BigInt(0),
+        bps: assertBps(Number(tier.bps || 0), 'Tier rate')
+      };
+    });
+  }
+
+  if (normalized.min !== null && normalized.max !== null && normalized.min > normalized.max) {
+    throw new TokenError('Minimum fee cannot exceed the maximum fee');
+  }
+
+  if (!Array.isArray(model.treasuries) || model.treasuries.length === 0) {
+    throw new TokenError('Fees require at least one treasury account');
+  }
+  normalized.treasuries = model.treasuries.map(treasury => {
+    if (!treasury.address) {
+      throw new TokenError('Treasury address is required');
+    }
+    return { address: treasury.address, share: assertBps(Number(treasury.share), 'Treasury share') };
+  });
+  const totalShare = normalized.treasuries.reduce((sum, treasury) => sum + treasury.share, 0);
+  if (totalShare !== BPS_DENOMINATOR) {
+    throw new TokenError(`Treasury shares must sum to ${BPS_DENOMINATOR} basis points`);
+  }
+
+  return normalized;
+}
+
+/**
+ * Applies a rate in basis points to an amount, dropping fractional quanta
+ * @param {bigint} amount - Amount in base units
+ * @param {number} bps - Rate in basis points
+ * @returns {bigint} - Rounded product
+ */
+function applyBps(amount, bps) {
+  return planck.divideRounded(amount * BigInt(bps), BigInt(BPS_DENOMINATOR), planck.RoundingModes.FLOOR);
+}
+
+/**
+ * Computes the fee of a transfer and its split among the treasuries
+ * @param {Object} model - Normalized fee model
+ * @param {bigint} amount - Gross transfer amount in base units
+ * @returns {Object} - `{ gross, fee, net, splits }`
+ */
+function calculateFee(model, amount) {
+  let fee;
+  switch (model.kind) {
+    case FeeKinds.FLAT:
+      fee = model.amount;
+      break;
+    case FeeKinds.BPS:
+      fee = applyBps(amount, model.bps);
+      break;
+    case FeeKinds.TIERED: {
+      const tier = model.tiers.find(t => t.upTo === null || amount <= t.upTo) ||
+        model.tiers[model.tiers.length - 1];
+      fee = tier.amount + applyBps(amount, tier.bps);
+      break;
+    }
+  }
+
+  if (model.min !== null && fee < model.min) {
+    fee = model.min;
+  }
+  if (model.max !== null && fee > model.max) {
+    fee = model.max;
+  }
+  if (fee > amount) {
+    throw new TokenError(`Transfer amount ${amount} does not cover the fee of ${fee}`);
+  }
+
+  const splits = model.treasuries.map(treasury => ({
+    address: treasury.address,
+    amount: applyBps(fee, treasury.share)
+  }));
+  const distributed = splits.reduce((sum, split) => sum + split.amount, BigInt(0));
+  splits[0].amount += fee - distributed;
+
+  return { gross: amount, fee, net: amount - fee, splits };
+}
+
+/**
+ * Converts a normalized fee model into a JSON-safe object
+ * @param {Object|null} model - Normalized fee model
+ * @returns {Object|null} - Model with amounts as decimal strings
+ */
+function serializeFeeModel(model) {
+  if (!model) {
+    return null;
+  }
+  const toString = value => (value === null ? null : value.toString());
+  return {
+    ...model,
+    amount: toString(model.amount),
+    min: toString(model.min),
+    max: toString(model.max),
+    tiers: model.tiers && model.tiers.map(tier => ({
+      ...tier,
+      upTo: toString(tier.upTo),
+      amount: tier.amount.toString()
+    }))
+  };
+}
+
+module.exports = {
+  FeeKinds,
+  BPS_DENOMINATOR,
+  normalizeFeeModel,
+  calculateFee,
+  serializeFeeModel
+};
@@ -0,0 +1,103 @@
+/**
+ * Local pointer file recording the head block of every token
+ *
+ * The file maps token IDs to the CID of their latest block so a node can
+ * resume after a restart. It is replaced atomically: the new content is
+ * written and flushed to a temporary file which is then renamed over the
+ * old one, so a crash mid-save leaves the previous heads in place.
+ *
+ * @see Related modules:
+ * - {@link ./blocks.js} - Blocks referenced by the pointer file
+ * - {@link ./index.js} - Registry that resumes from the pointer file
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * HeadPointer reads and atomically updates a pointer file
+ */
+class HeadPointer {
+  /**
+   * Creates a pointer for a file path
+   * @param {string} filePath - Path of the pointer file
+   */
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+    this.heads = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Read the recorded heads
+   * @returns {Promise<Object>} - Map of token ID to head block CID
+   */
+  async read() {
+    try {
+      const content = await fs.promises.readFile(this.filePath, 'utf8');
+      const pointer = JSON.parse(content);
+      this.heads = pointer.heads || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to read head pointer:', error.message);
+        throw error;
+      }
+      this.heads = {};
+    }
+    return { ...this.heads };
+  }
+
+  /**
+   * Record the head block of a token
+   * @param {string} tokenId - Token ID
+   * @param {string} cid - CID of the head block
+   * @returns {Promise<void>}
+   */
+  async write(tokenId, cid) {
+    // Writes are queued so concurrent commits never interleave
+    const write = this.writeQueue.then(async () => {
+      if (this.heads === null) {
+        await this.read();
+      }
+      this.heads[tokenId] = cid;
+      await this._replace({ heads: this.heads, updatedAt: Date.now() });
+    });
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Atomically replace the pointer file
+   * @private
+   * @param {Object} pointer - Pointer content
+   * @returns {Promise<void>}
+   */
+  async _replace(pointer) {
+    const directory = path.dirname(this.filePath);
+    const tempPath = path.join(
+      directory,
+      `.${path.basename(this.filePath)}.${process.pid}.${Date.now()}.tmp`
+    );
+
+    await fs.promises.mkdir(directory, { recursive: true });
+
+    const handle = await fs.promises.open(tempPath, 'w');
+    try {
+      await handle.writeFile(JSON.stringify(pointer, null, 2));
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    try {
+      await fs.promises.rename(tempPath, this.filePath);
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  HeadPointer
+};
@@ -1,32 +1,55 @@
 /**
  * Token implementation module for Helia blockchain
  * Integrates with Leibniz (cryptography) and Turing (state transitions)
+ *
+ * The module exports a registry of tokens. Every token created through
+ * `createToken` gets its own {@link ./token-ledger.js} ledger, and every
+ * NFT collection created through `createCollection` gets its own
+ * {@link ./nft-ledger.js} ledger.
  */
 
 const { getCID, createCID, isCID, cidToString } = require('../utils/multiformats-compat');
 const { ethers } = require('ethers');
+const { TokenLedger } = require('./token-ledger');
+const { HeadPointer } = require('./head-pointer');
+const { NFTLedger } = require('./nft-ledger');
+const blocks = require('./blocks');
+const fees = require('./fees');
+const emission = require('./emission');
+const { TokenEvents, TokenEventBus } = require('./events');
+const multisig = require('./multisig');
+const { validateMetadata } = require('./metadata');
+const swaps = require('./swaps');
+const amm = require('./amm');
+const migrations = require('./migrations');
+const planck = require('../utils/planck');
+const leibniz = require('../utils/leibniz');
+const { TokenError, NotFoundError, wrapError } = require('./errors');
+
+// Pointer file used when resuming without an explicit path
+const DEFAULT_HEAD_FILE = '.token-heads.json';
 
 /**
- * Token class represents a blockchain token
+ * Token class is the registry of all tokens known to this node
  */
 class Token {
   /**
-   * Creates a new token instance
-   */  constructor() {
+   * Creates a new token registry
+   */
+  constructor() {
     this.storage = null;
     this.network = null;
-    this.transactionHistory = []; // Add transaction history tracking
-      // Initialize internal state
-    this.state = {
-      name: '',
-      symbol: '',
-      totalSupply: BigInt(0),
-      decimals: 18,
-      balances: new Map(),
-      owner: null,
-      metadata: {},
-      rules: new Map()
-    };
+    this.tokens = new Map();
+    this.collections = new Map();
+    this.categorization = null;
+    this.publicKeys = new Map();
+    this.multisigAccounts = new Map();
+    this.proposals = new multisig.ProposalBook();
+    this.requireSignatures = false;
+    this.headPointer = null;
+    this.clock = null;
+    this.events = new TokenEventBus();
+    this._recordHead = this._recordHead.bind(this);
   }
   
   /**
@@ -34,17 +57,34 @@ class Token {
    * @param {Object} params - Initialization parameters
    * @param {Object} params.storage - Storage interface
    * @param {Object} params.network - Network interface
-   * @returns {Promise<Token>} - This token instance
+   * @param {boolean} [params.requireSignatures] - Require signed transactions on new tokens by default; unsigned role checks trust `from`
+   * @param {string} [params.headFile] - Pointer file recording the head block of every token
+   * @param {boolean} [params.resume] - Reload every token recorded in the pointer file
+   * @param {AristotelianRuleSystem} [params.categorization] - Categorization system used for NFTs
+   * @param {Function} [params.clock] - Default clock of new ledgers, returns milliseconds
+   * @returns {Promise<Token>} - This token registry
    */
   async initialize(params) {
     try {
       this.storage = params.storage;
       this.network = params.network;
+      this.categorization = params.categorization || null;
+      this.requireSignatures = params.requireSignatures === true;
+      this.clock = params.clock || null;
       
       // Set up internal structures
       this.tokens = new Map();
-      this.balances = new Map();
-      this.totalSupply = 0;
+      this.collections = new Map();
+      this.publicKeys = new Map();
+      this.multisigAccounts = new Map();
+      this.proposals = new multisig.ProposalBook();
+
+      const headFile = params.headFile || (params.resume ? DEFAULT_HEAD_FILE : null);
+      this.headPointer = headFile ? new HeadPointer(headFile) : null;
+
+      if (params.resume) {
+        await this._resume();
+      }
       
       console.log('Token system initialized');
       return this;
@@ -53,346 +93,1475 @@ class Token {
       throw error;
     }
   }
-    /**
+
+  /**
    * Create a new token
    * @param {Object} options - Token creation options
    * @param {string} options.name - Token name
    * @param {string} options.symbol - Token symbol
-   * @param {number} options.initialSupply - Initial token supply
-   * @param {Object} options.owner - Owner's wallet details
-   * @returns {Object} - Created token details
+   * @param {bigint|number|string} options.initialSupply - Initial token supply in base units
+   * @param {bigint|number|string} [options.maxSupply] - Optional cap on the total supply
+   * @param {number} options.decimals - Token decimals (defaults to 18)
+   * @param {string} options.owner - Owner's address
+   * @param {Object} options.metadata - Additional token metadata
+   * @param {boolean} [options.requireSignatures] - Reject unsigned state changes (defaults to the registry setting)
+   * @param {Object} [options.fees] - Transfer fee model (see fees.js)
+   * @param {Object} [options.emission] - Emission schedule minting to its recipients (see emission.js)
+   * @param {Function} [options.clock] - Clock of the ledger's timestamps, timelocks and schedules, defaults to the registry clock
+   * @param {Object} [options.pool] - Liquidity pool whose shares the token represents, set by createPool
+   * @returns {Promise<TokenLedger>} - Ledger of the created token
    */
   async createToken(options) {
     try {
-      const { name, symbol, initialSupply, owner } = options;
+      const { name, symbol, owner, metadata = {} } = options;
+      const requireSignatures = options.requireSignatures !== undefined
+        ? options.requireSignatures === true
+        : this.requireSignatures;
+      const decimals = options.decimals !== undefined ? options.decimals : 18;
+      if (!Number.isInteger(decimals) || decimals < 0) {
+        throw new TokenError('Decimals must be a non-negative integer');
+      }
+      const initialSupply = planck.quantize(options.initialSupply || 0);
+      const maxSupply = options.maxSupply !== undefined && options.maxSupply !== null
+        ? planck.quantize(options.maxSupply)
+        : null;
+      
+      if (maxSupply !== null && initialSupply > maxSupply) {
+        throw new TokenError('Initial supply exceeds max supply');
+      }
+      const feeModel = options.fees ? fees.normalizeFeeModel(options.fees) : null;
+      const emissionSchedule = options.emission ? emission.normalizeEmission(options.emission) : null;
       
       // Generate token ID
       const tokenId = ethers.hexlify(ethers.randomBytes(32));
-        // Create token metadata
+
+      // Create token metadata
       const tokenMetadata = {
+        ...metadata,
         id: tokenId,
         name,
         symbol,
-        totalSupply: initialSupply,
+        decimals,
+        totalSupply: initialSupply.toString(),
+        maxSupply: maxSupply !== null ? maxSupply.toString() : null,
         owner: owner, // owner is already a string address
         createdAt: Date.now(),
         transactions: []
-      };// Store token metadata in Helia
+      };
+      validateMetadata(tokenMetadata);
+
+      // Store token metadata in Helia
       const tokenBytes = new TextEncoder().encode(JSON.stringify(tokenMetadata));
       const cid = await this.storage.addBytes(tokenBytes);
       
-      // Update internal data
-      this.tokens.set(tokenId, {
+      // Register a dedicated ledger for this token
+      const ledger = new TokenLedger({
+        id: tokenId,
+        name,
+        symbol,
+        decimals,
+        owner,
+        initialSupply,
+        maxSupply,
         metadata: tokenMetadata,
-        cid: cid.toString()
-      });      // Update current token state
-      this.state.name = name;
-      this.state.symbol = symbol;
-      this.state.totalSupply = BigInt(initialSupply); // Use the provided initialSupply
-      this.state.owner = owner; // owner is already a string address
-      this.state.metadata = tokenMetadata;
+        cid: cid.toString(),
+        requireSignatures,
+        fees: feeModel,
+        emission: emissionSchedule,
+        pool: options.pool,
+        clock: options.clock || this.clock,
+        publicKeys: this.publicKeys,
+        multisigAccounts: this.multisigAccounts,
+        onCommit: this._recordHead,
+        events: this.events,
+        storage: this.storage,
+        network: this.network
+      });
+      this.tokens.set(tokenId, ledger);
       
-      // Initialize owner balance with initial supply
-      this.balances.set(owner, initialSupply);
-      this.totalSupply = initialSupply;
+      // Creation has no history entry, the metadata CID identifies it instead
+      this.events.emit(TokenEvents.TOKEN_CREATED, {
+        tokenId,
+        transactionId: ledger.cid,
+        name,
+        symbol,
+        owner,
+        initialSupply
+      });
       
       console.log(`Token created: ${name} (${symbol}) with ID ${tokenId}`);
       
-      // Return this token instance so tests can call methods on it
-      return this;
+      // Return the ledger so callers can operate on this token directly
+      return ledger;
     } catch (error) {
       console.error('Error creating token:', error);
-      throw new Error('Failed to create token');
+      throw wrapError('Failed to create token', error);
     }
   }
+
   /**
-   * Mint new tokens to an address
+   * Mint new tokens of a given token to an address
+   * @param {string} tokenId - Token ID
    * @param {string} to - Address to mint tokens to
-   * @param {number} amount - Amount to mint
+   * @param {bigint|number|string} amount - Amount to mint in base units
    * @param {Object} options - Minting options
-   * @returns {Promise<boolean>} Success status
+   * @returns {Promise<Object>} Transaction result
    */
-  async mint(to, amount, options = {}) {
-    try {
-      // Check authorization - only owner can mint
-      if (options.from !== this.state.owner) {
-        throw new Error('Unauthorized: Only token owner can mint');
-      }
+  async mint(tokenId, to, amount, options = {}) {
+    return this._getLedger(tokenId).mint(to, amount, options);
+  }
 
-      // Convert amount to integer (quantum discretization)
-      const mintAmount = Math.floor(amount);
-      
-      // Update balances
-      const currentBalance = this.balances.get(to) || 0;
-      this.balances.set(to, currentBalance + mintAmount);
-      
-      // Update total supply
-      this.state.totalSupply += BigInt(mintAmount);
-      this.totalSupply += mintAmount;
-      
-      // Track transaction
-      this.transactionHistory.push({
-        type: 'mint',
-        to: to,
-        amount: mintAmount,
-        from: options.from,
-        timestamp: Date.now()
-      });
-      
-      return true;
-    } catch (error) {
-      console.error('Error minting tokens:', error);
-      throw error;
-    }
+  /**
+   * Transfer tokens of a given token between addresses
+   * @param {string} tokenId - Token ID
+   * @param {string} from - Source address
+   * @param {string} to - Destination address
+   * @param {bigint|number|string} amount - Amount to transfer in base units
+   * @param {Object} options - Transfer options
+   * @returns {Promise<Object>} Transaction result
+   */
+  async transfer(tokenId, from, to, amount, options = {}) {
+    return this._getLedger(tokenId).transfer(from, to, amount, options);
+  }
+
+  /**
+   * Burn tokens of a given token
+   * @param {string} tokenId - Token ID
+   * @param {string} from - Address whose tokens are destroyed
+   * @param {bigint|number|string} amount - Amount to burn in base units
+   * @param {Object} options - Signature options
+   * @returns {Promise<Object>} Transaction result
+   */
+  async burn(tokenId, from, amount, options = {}) {
+    return this._getLedger(tokenId).burn(from, amount, options);
+  }
+
+  /**
+   * Burn tokens of a given token on behalf of their holder
+   * @param {string} tokenId - Token ID
+   * @param {string} spender - Address spending the allowance
+   * @param {string} from - Address whose tokens are destroyed
+   * @param {bigint|number|string} amount - Amount to burn in base units
+   * @param {Object} options - Signature options
+   * @returns {Promise<Object>} Transaction result
+   */
+  async burnFrom(tokenId, spender, from, amount, options = {}) {
+    return this._getLedger(tokenId).burnFrom(spender, from, amount, options);
+  }
+
+  /**
+   * Approve a spender for a given token
+   * @param {string} tokenId - Token ID
+   * @param {string} owner - Address whose tokens may be spent
+   * @param {string} spender - Address allowed to spend
+   * @param {bigint|number|string} amount - Allowance amount in base units
+   * @param {Object} options - Signature options
+   * @returns {Promise<Object>} Transaction result
+   */
+  async approve(tokenId, owner, spender, amount, options = {}) {
+    return this._getLedger(tokenId).approve(owner, spender, amount, options);
+  }
+
+  /**
+   * Increase the allowance of a spender for a given token
+   * @param {string} tokenId - Token ID
+   * @param {string} owner - Address whose tokens may be spent
+   * @param {string} spender - Address allowed to spend
+   * @param {bigint|number|string} addedValue - Amount to add
+   * @param {Object} options - Signature options
+   * @returns {Promise<Object>} Transaction result
+   */
+  async increaseAllowance(tokenId, owner, spender, addedValue, options = {}) {
+    return this._getLedger(tokenId).increaseAllowance(owner, spender, addedValue, options);
+  }
+
+  /**
+   * Decrease the allowance of a spender for a given token
+   * @param {string} tokenId - Token ID
+   * @param {string} owner - Address whose tokens may be spent
+   * @param {string} spender - Address allowed to spend
+   * @param {bigint|number|string} subtractedValue - Amount to remove
+   * @param {Object} options - Signature options
+   * @returns {Promise<Object>} Transaction result
+   */
+  async decreaseAllowance(tokenId, owner, spender, subtractedValue, options = {}) {
+    return this._getLedger(tokenId).decreaseAllowance(owner, spender, subtractedValue, options);
+  }
+
+  /**
+   * Get the allowance of a spender for a given token
+   * @param {string} tokenId - Token ID
+   * @param {string} owner - Address whose tokens may be spent
+   * @param {string} spender - Address allowed to spend
+   * @returns {Promise<bigint>} Remaining allowance
+   */
+  async allowance(tokenId, owner, spender) {
+    return this._getLedger(tokenId).allowance(owner, spender);
   }
+
   /**
-   * Transfer tokens between addresses
+   * Transfer tokens of a given token on behalf of an owner
+   * @param {string} tokenId - Token ID
+   * @param {string} spender - Address spending the allowance
    * @param {string} from - Source address
    * @param {string} to - Destination address
-   * @param {number} amount - Amount to transfer
-   * @returns {Promise<boolean>} Success status
-   */  async transfer(from, to, amount) {
-    try {
-      // Validate that source and destination are different (Gödel's consistency)
-      if (from === to) {
-        throw new Error('Cannot transfer to the same address');
-      }
-      
-      const fromBalance = this.balances.get(from) || 0;
-      
-      if (fromBalance < amount) {
-        throw new Error('Insufficient balance');
-      }
-      
-      // Check governance rules if they exist
-      if (this.state.rules) {
-        const transaction = { type: 'transfer', from, to, amount };
-        for (const [ruleName, rule] of this.state.rules.entries()) {
-          if (!rule.check(transaction)) {
-            throw new Error(rule.message);
-          }
-        }
-      }
-      
-      // Update balances
-      this.balances.set(from, fromBalance - amount);
-      const toBalance = this.balances.get(to) || 0;
-      this.balances.set(to, toBalance + amount);
-      
-      // Track transaction
-      this.transactionHistory.push({
-        type: 'transfer',
-        from: from,
-        to: to,
-        amount: amount,
-        timestamp: Date.now()
-      });
-      
-      return true;
-    } catch (error) {
-      console.error('Error transferring tokens:', error);
-      throw error;
-    }
+   * @param {bigint|number|string} amount - Amount to transfer in base units
+   * @param {Object} options - Signature options
+   * @returns {Promise<Object>} Transaction result
+   */
+  async transferFrom(tokenId, spender, from, to, amount, options = {}) {
+    return this._getLedger(tokenId).transferFrom(spender, from, to, amount, options);
   }
 
   /**
-   * Get token details
+   * Distribute an amount of a given token to every holder pro rata
    * @param {string} tokenId - Token ID
-   * @returns {Object} - Token details
+   * @param {string} from - Address paying the distribution
+   * @param {bigint|number|string} amount - Total amount in base units
+   * @param {Object} options - Mode ('push' or 'pull'), excluded addresses and signature options
+   * @returns {Promise<Object>} Transaction result with the distribution ID and report CID
    */
-  async getToken(tokenId) {
-    try {
-      if (!this.tokens.has(tokenId)) {
-        throw new Error('Token does not exist');
-      }
-      
-      return this.tokens.get(tokenId);
-    } catch (error) {
-      console.error('Error getting token:', error);
-      throw new Error('Failed to get token');
-    }
+  async distribute(tokenId, from, amount, options = {}) {
+    return this._getLedger(tokenId).distribute(from, amount, options);
   }
 
   /**
-   * Get balance for an address
-   * @param {string} address - Account address
+   * Claim a holder's payout from a pull distribution of a given token
    * @param {string} tokenId - Token ID
-   * @returns {number} - Account balance
+   * @param {string} distributionId - Distribution ID
+   * @param {string} address - Holder address
+   * @returns {Promise<Object>} Transaction result
    */
-  async getBalance(address, tokenId) {
-    try {
-      // Verify token exists
-      if (!this.tokens.has(tokenId)) {
-        throw new Error('Token does not exist');
-      }
-      
-      return this.balances.get(address) || 0;
-    } catch (error) {
-      console.error('Error getting balance:', error);
-      throw new Error('Failed to get balance');
-    }
+  async claimDistribution(tokenId, distributionId, address) {
+    return this._getLedger(tokenId).claimDistribution(distributionId, address);
   }
 
   /**
-   * Get the name of the current token
-   * @returns {string} Token name
+   * Get a distribution of a given token with its payouts
+   * @param {string} tokenId - Token ID
+   * @param {string} distributionId - Distribution ID
+   * @returns {Object} Distribution
    */
-  getName() {
-    return this.state.name;
+  getDistribution(tokenId, distributionId) {
+    return this._getLedger(tokenId).getDistribution(distributionId);
   }
 
   /**
-   * Get the symbol of the current token
-   * @returns {string} Token symbol
+   * Get the unclaimed payouts of a holder of a given token
+   * @param {string} tokenId - Token ID
+   * @param {string} address - Holder address
+   * @returns {Array<Object>} Claimable payouts `{ distributionId, amount }`
    */
-  getSymbol() {
-    return this.state.symbol;
+  getClaimableDistributions(tokenId, address) {
+    return this._getLedger(tokenId).getClaimableDistributions(address);
   }
 
   /**
-   * Get the total supply of the current token
-   * @returns {bigint} Total supply
+   * Mint the due emissions of a given token's emission schedule
+   * @param {string} tokenId - Token ID
+   * @returns {Promise<Object>} Transaction result with the emitted amount
    */
-  getTotalSupply() {
-    return this.state.totalSupply;
+  async emitScheduled(tokenId) {
+    return this._getLedger(tokenId).emitScheduled();
   }
 
   /**
-   * Get the owner of the current token
-   * @returns {string} Owner address
+   * Preview the total supply of a given token at future points in time
+   * @param {string} tokenId - Token ID
+   * @param {Array<number>} timestamps - Timestamps in milliseconds
+   * @returns {Array<Object>} Points `{ timestamp, emitted, totalSupply }`
    */
-  getOwner() {
-    return this.state.owner;
+  previewSupply(tokenId, timestamps) {
+    return this._getLedger(tokenId).previewSupply(timestamps);
   }
 
   /**
-   * Get balance for an address (async version for compatibility)
-   * @param {string} address - Address to check
-   * @returns {Promise<bigint>} Balance as bigint
+   * Set the staking reward rate and unbonding period of a given token
+   * @param {string} tokenId - Token ID
+   * @param {Object} params - `{ rewardRate, unbondingPeriod }`
+   * @param {Object} options - Signature options with `from`, holding RULE_ADMIN
+   * @returns {Promise<Object>} Transaction result
+   */
+  async configureStaking(tokenId, params, options = {}) {
+    return this._getLedger(tokenId).configureStaking(params, options);
+  }
+
+  /**
+   * Add tokens to the staking reward pool of a given token
+   * @param {string} tokenId - Token ID
+   * @param {string} from - Address funding the rewards
+   * @param {bigint|number|string} amount - Amount in base units
+   * @param {Object} options - Signature options
+   * @returns {Promise<Object>} Transaction result
    */
-  async balanceOf(address) {
-    const balance = this.balances.get(address) || 0;
-    return BigInt(balance);
+  async fundStakingRewards(tokenId, from, amount, options = {}) {
+    return this._getLedger(tokenId).fundStakingRewards(from, amount, options);
   }
+
   /**
-   * Get transaction history
-   * @returns {Promise<Array>} Transaction history
+   * Stake tokens of a given token
+   * @param {string} tokenId - Token ID
+   * @param {string} address - Staker address
+   * @param {bigint|number|string} amount - Amount in base units
+   * @param {Object} options - Signature options
+   * @returns {Promise<Object>} Transaction result
+   */
+  async stake(tokenId, address, amount, options = {}) {
+    return this._getLedger(tokenId).stake(address, amount, options);
+  }
+
+  /**
+   * Unstake tokens of a given token, starting their unbonding period
+   * @param {string} tokenId - Token ID
+   * @param {string} address - Staker address
+   * @param {bigint|number|string} amount - Amount in base units
+   * @param {Object} options - Signature options
+   * @returns {Promise<Object>} Transaction result with the release time
+   */
+  async unstake(tokenId, address, amount, options = {}) {
+    return this._getLedger(tokenId).unstake(address, amount, options);
+  }
+
+  /**
+   * Withdraw the unbonded tokens of a staker of a given token
+   * @param {string} tokenId - Token ID
+   * @param {string} address - Staker address
+   * @returns {Promise<Object>} Transaction result with the withdrawn amount
+   */
+  async withdrawUnstaked(tokenId, address) {
+    return this._getLedger(tokenId).withdrawUnstaked(address);
+  }
+
+  /**
+   * Pay a staker of a given token the rewards accrued so far
+   * @param {string} tokenId - Token ID
+   * @param {string} address - Staker address
+   * @returns {Promise<Object>} Transaction result with the claimed amount
+   */
+  async claimRewards(tokenId, address) {
+    return this._getLedger(tokenId).claimRewards(address);
+  }
+
+  /**
+   * Get the staked balance of an address for a given token
+   * @param {string} tokenId - Token ID
+   * @param {string} address - Staker address
+   * @returns {bigint} Staked amount
+   */
+  stakedBalanceOf(tokenId, address) {
+    return this._getLedger(tokenId).stakedBalanceOf(address);
+  }
+
+  /**
+   * Get the staking position of an address for a given token
+   * @param {string} tokenId - Token ID
+   * @param {string} address - Staker address
+   * @returns {Object} Staked amount, claimable rewards and unbonding tokens
+   */
+  getStakingInfo(tokenId, address) {
+    return this._getLedger(tokenId).getStakingInfo(address);
+  }
+
+  /**
+   * Offer tokens of one token for tokens of another and broadcast the offer
+   * @param {string} tokenId - Token offered
+   * @param {string} maker - Address making the offer
+   * @param {bigint|number|string} sellAmount - Amount offered in base units
+   * @param {string} buyTokenId - Token asked in exchange
+   * @param {bigint|number|string} buyAmount - Amount asked in base units of the buy token
+   * @param {Object} options - Signature options
+   * @returns {Promise<Object>} Transaction result with the offer ID
+   */
+  async createSwapOffer(tokenId, maker, sellAmount, buyTokenId, buyAmount, options = {}) {
+    const ledger = this._getLedger(tokenId);
+    this._getLedger(buyTokenId);
+    const result = await ledger.createSwapOffer(maker, sellAmount, buyTokenId, buyAmount, options);
+    await this._broadcastSwapOffer(ledger.getSwapOffer(result.offerId));
+    return result;
+  }
+
+  /**
+   * Fill a swap offer fully or in part and broadcast its new state
+   * @param {string} tokenId - Token offered
+   * @param {string} offerId - Offer ID
+   * @param {string} taker - Address filling the offer
+   * @param {bigint|number|string} amount - Amount of the offered token to take in base units
+   * @param {Object} options - Signature options of the taker, verified on the buy token
+   * @returns {Promise<Object>} Transaction result with the payment
+   */
+  async fillSwapOffer(tokenId, offerId, taker, amount, options = {}) {
+    const ledger = this._getLedger(tokenId);
+    const buyLedger = this._getLedger(ledger.getSwapOffer(offerId).buyTokenId);
+    const result = await ledger.fillSwapOffer(offerId, taker, amount, buyLedger, options);
+    await this._broadcastSwapOffer(ledger.getSwapOffer(offerId));
+    return result;
+  }
+
+  /**
+   * Cancel a swap offer and broadcast its new state
+   * @param {string} tokenId - Token offered
+   * @param {string} offerId - Offer ID
+   * @param {Object} options - Signature options with `from`, the maker
+   * @returns {Promise<Object>} Transaction result with the refunded amount
+   */
+  async cancelSwapOffer(tokenId, offerId, options = {}) {
+    const ledger = this._getLedger(tokenId);
+    const result = await ledger.cancelSwapOffer(offerId, options);
+    await this._broadcastSwapOffer(ledger.getSwapOffer(offerId));
+    return result;
+  }
+
+  /**
+   * Get a swap offer
+   * @param {string} tokenId - Token offered
+   * @param {string} offerId - Offer ID
+   * @returns {Object} Swap offer
    */
-  async getTransactionHistory() {
-    return [...this.transactionHistory]; // Return copy of history
+  getSwapOffer(tokenId, offerId) {
+    return this._getLedger(tokenId).getSwapOffer(offerId);
   }
+
+  /**
+   * List the swap offers of every token
+   * @param {Object} [filter] - Offer filter
+   * @param {string} [filter.status] - Only offers with this status
+   * @param {string} [filter.maker] - Only offers of this maker
+   * @param {string} [filter.sellTokenId] - Only offers selling this token
+   * @param {string} [filter.buyTokenId] - Only offers asking for this token
+   * @returns {Array<Object>} Swap offers
+   */
+  listSwapOffers(filter = {}) {
+    const ledgers = filter.sellTokenId ? [this._getLedger(filter.sellTokenId)] : Array.from(this.tokens.values());
+    return ledgers.flatMap(ledger => ledger.getSwapOffers(filter));
+  }
+
   /**
-   * Save current token state to storage
-   * @returns {Promise<string>} CID of stored state
+   * Open a constant-product liquidity pool between two tokens
+   * The pool's LP shares are a new token without an owner or role holders,
+   * so only the pool issues and redeems them; its token ID is the pool ID.
+   * The shares require signatures when either pool token does.
+   * There is one pool per token pair.
+   * @param {string} tokenA - First token ID
+   * @param {string} tokenB - Second token ID
+   * @param {Object} [options] - Pool options
+   * @param {number} [options.fee] - Swap fee in basis points (defaults to 30)
+   * @returns {Promise<Object>} - Pool summary
    */
-  async saveState() {
+  async createPool(tokenA, tokenB, options = {}) {
     try {
-      const stateData = {
-        state: {
-          ...this.state,
-          totalSupply: this.state.totalSupply.toString() // Convert BigInt to string
-        },
-        balances: Object.fromEntries(this.balances),
-        totalSupply: this.totalSupply
-      };
-      
-      const cid = await this.storage.addBytes(Buffer.from(JSON.stringify(stateData)));
-      return cid.toString();
+      const ledgerA = this._getLedger(tokenA);
+      const ledgerB = this._getLedger(tokenB);
+      const pool = new amm.LiquidityPool({ tokenA, tokenB, fee: options.fee });
+      const existing = this.listPools().find(info => info.address === pool.address);
+      if (existing) {
+        throw new TokenError(`A liquidity pool already exists for this pair: ${existing.poolId}`);
+      }
+
+      const ledger = await this.createToken({
+        name: `${ledgerA.getSymbol()}/${ledgerB.getSymbol()} LP`,
+        symbol: 'LP',
+        decimals: 18,
+        initialSupply: 0,
+        owner: null,
+        requireSignatures: ledgerA.requiresSignatures() || ledgerB.requiresSignatures(),
+        metadata: { description: `Liquidity pool shares of ${tokenA} and ${tokenB}` },
+        pool: pool.serialize()
+      });
+      return ledger.getPoolInfo();
     } catch (error) {
-      console.error('Error saving state:', error);
+      console.error('Error creating liquidity pool:', error);
       throw error;
     }
   }
 
   /**
-   * Add a governance rule
-   * @param {string} name - Rule name
-   * @param {Object} rule - Rule definition
+   * Deposit both tokens of a pool in exchange for LP shares
+   * @param {string} poolId - Pool ID
+   * @param {string} provider - Address depositing the tokens
+   * @param {bigint|number|string} amountA - Most of the pool's first token to deposit
+   * @param {bigint|number|string} amountB - Most of the pool's second token to deposit
+   * @param {Object} options - Signature options and `minShares`
+   * @returns {Promise<Object>} Transaction result with the issued shares
    */
-  async addRule(name, rule) {
-    if (!this.state.rules) {
-      this.state.rules = new Map();
-    }
-    this.state.rules.set(name, rule);
+  async addLiquidity(poolId, provider, amountA, amountB, options = {}) {
+    const ledger = this._getPool(poolId);
+    return ledger.addLiquidity(provider, amountA, amountB, this._poolTokenLedgers(ledger), options);
   }
+
   /**
-   * Clear all governance rules
+   * Redeem LP shares for their part of both pool reserves
+   * @param {string} poolId - Pool ID
+   * @param {string} provider - Address redeeming the shares
+   * @param {bigint|number|string} shares - Shares to redeem
+   * @param {Object} options - Signature options, `minAmountA` and `minAmountB`
+   * @returns {Promise<Object>} Transaction result with the withdrawn amounts
    */
-  async clearRules() {
-    this.state.rules = new Map();
+  async removeLiquidity(poolId, provider, shares, options = {}) {
+    const ledger = this._getPool(poolId);
+    return ledger.removeLiquidity(provider, shares, this._poolTokenLedgers(ledger), options);
   }
 
   /**
-   * Get transaction statistics using Shannon entropy
-   * @returns {Promise<Object>} Statistics including entropy
+   * Swap an exact input through a pool
+   * @param {string} poolId - Pool ID
+   * @param {string} trader - Address swapping
+   * @param {string} tokenIn - Token paid into the pool
+   * @param {bigint|number|string} amountIn - Input amount in base units
+   * @param {bigint|number|string} minAmountOut - Least output the trader accepts
+   * @param {Object} options - Signature options
+   * @returns {Promise<Object>} Transaction result with the swapped amounts
    */
-  async getTransactionStatistics() {
-    const history = await this.getTransactionHistory();
-    
-    // Calculate Shannon entropy based on transaction types
-    const typeCounts = {};
-    let totalAmount = 0;
-    
-    history.forEach(tx => {
-      typeCounts[tx.type] = (typeCounts[tx.type] || 0) + 1;
-      totalAmount += tx.amount || 0;
-    });
-    
-    let entropy = 0;
-    const total = history.length;
-    
-    if (total > 0) {
-      Object.values(typeCounts).forEach(count => {
-        const probability = count / total;
-        entropy -= probability * Math.log2(probability);
-      });
-    }
-    
-    // Calculate patterns (simple analysis)
-    const patterns = {
-      mostActiveAddress: null,
-      averageTimeBetweenTx: 0
-    };
-    
-    if (history.length > 1) {
-      const timeGaps = [];
-      for (let i = 1; i < history.length; i++) {
-        timeGaps.push(history[i].timestamp - history[i-1].timestamp);
-      }
-      patterns.averageTimeBetweenTx = timeGaps.reduce((a, b) => a + b, 0) / timeGaps.length;
+  async swapExactIn(poolId, trader, tokenIn, amountIn, minAmountOut, options = {}) {
+    const ledger = this._getPool(poolId);
+    return ledger.swapExactIn(trader, tokenIn, amountIn, minAmountOut, this._poolTokenLedgers(ledger), options);
+  }
+
+  /**
+   * Swap for an exact output through a pool
+   * @param {string} poolId - Pool ID
+   * @param {string} trader - Address swapping
+   * @param {string} tokenIn - Token paid into the pool
+   * @param {bigint|number|string} amountOut - Output amount in base units
+   * @param {bigint|number|string} maxAmountIn - Most input the trader pays
+   * @param {Object} options - Signature options
+   * @returns {Promise<Object>} Transaction result with the swapped amounts
+   */
+  async swapExactOut(poolId, trader, tokenIn, amountOut, maxAmountIn, options = {}) {
+    const ledger = this._getPool(poolId);
+    return ledger.swapExactOut(trader, tokenIn, amountOut, maxAmountIn, this._poolTokenLedgers(ledger), options);
+  }
+
+  /**
+   * Add tokens sent to a pool address outside pool operations to its reserves
+   * @param {string} poolId - Pool ID
+   * @returns {Promise<Object>} Transaction result with the increases of both reserves
+   */
+  async syncPool(poolId) {
+    const ledger = this._getPool(poolId);
+    return ledger.syncReserves(this._poolTokenLedgers(ledger));
+  }
+
+  /**
+   * Quote a swap through a pool without executing it
+   * @param {string} poolId - Pool ID
+   * @param {string} tokenIn - Token paid into the pool
+   * @param {Object} amounts - Either `amountIn` or `amountOut` in base units
+   * @returns {Object} Quote `{ tokenIn, tokenOut, amountIn, amountOut, fee }`
+   */
+  quoteSwap(poolId, tokenIn, amounts = {}) {
+    const ledger = this._getPool(poolId);
+    return amounts.amountOut !== undefined
+      ? ledger.quoteExactOut(tokenIn, amounts.amountOut)
+      : ledger.quoteExactIn(tokenIn, amounts.amountIn);
+  }
+
+  /**
+   * Get a liquidity pool
+   * @param {string} poolId - Pool ID
+   * @returns {Object} Pool summary
+   */
+  getPool(poolId) {
+    return this._getPool(poolId).getPoolInfo();
+  }
+
+  /**
+   * List all liquidity pools
+   * @returns {Array<Object>} Pool summaries
+   */
+  listPools() {
+    return Array.from(this.tokens.values())
+      .filter(ledger => ledger.liquidityPool)
+      .map(ledger => ledger.getPoolInfo());
+  }
+
+  /**
+   * Store a new version of a token's metadata, linked to the previous one
+   * @param {string} tokenId - Token ID
+   * @param {Object} patch - Fields to change; null removes a field
+   * @param {Object} options - Signature options with `from`, the token owner
+   * @returns {Promise<Object>} Transaction result with the new metadata CID
+   */
+  async updateMetadata(tokenId, patch, options = {}) {
+    return this._getLedger(tokenId).updateMetadata(patch, options);
+  }
+
+  /**
+   * Get every metadata version of a token
+   * @param {string} tokenId - Token ID
+   * @returns {Promise<Array<Object>>} Versions `{ cid, version, metadata }`, newest first
+   */
+  async getMetadataHistory(tokenId) {
+    return this._getLedger(tokenId).getMetadataHistory();
+  }
+
+  /**
+   * Submit a transfer intent a user signed offline (see intents.js)
+   * @param {Object} intent - Signed transfer intent, including its token ID
+   * @param {string} relayer - Address submitting the intent and receiving the relayer fee
+   * @returns {Promise<Object>} Transaction result
+   */
+  async submitSignedIntent(intent, relayer) {
+    if (!intent || !intent.tokenId) {
+      throw new TokenError('Transfer intent requires a token ID');
     }
-    
-    return {
-      totalTransactions: history.length,
-      entropy: entropy,
-      averageAmount: total > 0 ? totalAmount / total : 0,
-      typeDistribution: typeCounts,
-      patterns: patterns
-    };
+    return this._getLedger(intent.tokenId).relayTransfer(intent, relayer);
   }
 
   /**
-   * Load a token from storage by CID
-   * @param {string} cid - Token CID to load
-   * @returns {Promise<Token>} - Token instance
+   * Apply mint, transfer and burn operations of a given token all-or-nothing
+   * @param {string} tokenId - Token ID
+   * @param {Array<Object>} ops - Operations `{ type, from, to, amount }`
+   * @param {Object} options - Submitter (`from`) and signature options
+   * @returns {Promise<Object>} Transaction result
    */
-  async loadToken(cid) {
+  async executeBatch(tokenId, ops, options = {}) {
+    return this._getLedger(tokenId).executeBatch(ops, options);
+  }
+
+  /**
+   * Set or remove the transfer fee of a given token
+   * @param {string} tokenId - Token ID
+   * @param {Object|null} model - Fee model, or null to stop charging fees
+   * @param {Object} options - Actor (`from`) and signature options
+   * @returns {Promise<Object>} Transaction result
+   */
+  async setFeeModel(tokenId, model, options = {}) {
+    return this._getLedger(tokenId).setFeeModel(model, options);
+  }
+
+  /**
+   * Preview the fee of a transfer of a given token
+   * @param {string} tokenId - Token ID
+   * @param {bigint|number|string} amount - Gross transfer amount in base units
+   * @returns {Promise<Object>} `{ gross, fee, net, splits }`
+   */
+  async previewFee(tokenId, amount) {
+    return this._getLedger(tokenId).previewFee(amount);
+  }
+
+  /**
+   * Create a new NFT collection
+   * @param {Object} options - Collection creation options
+   * @param {string} options.name - Collection name
+   * @param {string} options.symbol - Collection symbol
+   * @param {string} options.owner - Owner's address, the only address allowed to mint
+   * @param {Object} options.metadata - Additional collection metadata
+   * @returns {Promise<NFTLedger>} - Ledger of the created collection
+   */
+  async createCollection(options) {
     try {
-      const tokenBytes = await this.storage.getBytes(cid);
-      const tokenMetadata = JSON.parse(new TextDecoder().decode(tokenBytes));
-      
-      // Update current token state
-      this.state.name = tokenMetadata.name;
-      this.state.symbol = tokenMetadata.symbol;
-      this.state.totalSupply = BigInt(tokenMetadata.totalSupply || 0);
-      this.state.owner = tokenMetadata.owner;
-      this.state.metadata = tokenMetadata;
-      
-      return this;
+      const { name, symbol, owner, metadata = {} } = options;
+
+      if (!this.categorization) {
+        throw new TokenError('NFT collections require a categorization system');
+      }
+
+      // Generate collection ID
+      const collectionId = ethers.hexlify(ethers.randomBytes(32));
+
+      // Store collection metadata in Helia
+      const collectionMetadata = {
+        ...metadata,
+        id: collectionId,
+        name,
+        symbol,
+        owner,
+        fungible: false,
+        createdAt: Date.now()
+      };
+      const collectionBytes = new TextEncoder().encode(JSON.stringify(collectionMetadata));
+      const cid = await this.storage.addBytes(collectionBytes);
+
+      const ledger = new NFTLedger({
+        id: collectionId,
+        name,
+        symbol,
+        owner,
+        metadata: collectionMetadata,
+        cid: cid.toString(),
+        categorization: this.categorization,
+        storage: this.storage,
+        network: this.network
+      });
+      this.collections.set(collectionId, ledger);
+
+      console.log(`NFT collection created: ${name} (${symbol}) with ID ${collectionId}`);
+
+      return ledger;
     } catch (error) {
-      console.error('Error loading token:', error);
-      throw new Error('Failed to load token');
+      console.error('Error creating collection:', error);
+      throw wrapError('Failed to create collection', error);
+    }
+  }
+
+  /**
+   * Mint a new item of an NFT collection
+   * @param {string} collectionId - Collection ID
+   * @param {string} to - Address receiving the item
+   * @param {string} tokenURI - URI of the item
+   * @param {Object} metadata - Item metadata stored in Helia
+   * @param {Object} options - Minting options
+   * @returns {Promise<Object>} Transaction result
+   */
+  async mintNFT(collectionId, to, tokenURI, metadata = {}, options = {}) {
+    return this._getCollection(collectionId).mintNFT(to, tokenURI, metadata, options);
+  }
+
+  /**
+   * Get the owner of an NFT
+   * @param {string} collectionId - Collection ID
+   * @param {string} itemId - Item ID
+   * @returns {Promise<string>} Owner address
+   */
+  async ownerOf(collectionId, itemId) {
+    return this._getCollection(collectionId).ownerOf(itemId);
+  }
+
+  /**
+   * Transfer an NFT between addresses
+   * @param {string} collectionId - Collection ID
+   * @param {string} from - Current owner
+   * @param {string} to - New owner
+   * @param {string} itemId - Item ID
+   * @param {Object} options - Transfer options
+   * @returns {Promise<Object>} Transaction result
+   */
+  async transferNFT(collectionId, from, to, itemId, options = {}) {
+    return this._getCollection(collectionId).transferNFT(from, to, itemId, options);
+  }
+
+  /**
+   * Approve an address to transfer one NFT
+   * @param {string} collectionId - Collection ID
+   * @param {string} owner - Caller, the owner of the item or one of its operators
+   * @param {string|null} approved - Approved address, or null to clear the approval
+   * @param {string} itemId - Item ID
+   * @returns {Promise<Object>} Transaction result
+   */
+  async approveNFT(collectionId, owner, approved, itemId) {
+    return this._getCollection(collectionId).approve(owner, approved, itemId);
+  }
+
+  /**
+   * Allow or disallow an operator to manage all NFTs of an owner in a collection
+   * @param {string} collectionId - Collection ID
+   * @param {string} owner - Owner address
+   * @param {string} operator - Operator address
+   * @param {boolean} approved - Whether the operator is approved
+   * @returns {Promise<Object>} Transaction result
+   */
+  async setApprovalForAll(collectionId, owner, operator, approved) {
+    return this._getCollection(collectionId).setApprovalForAll(owner, operator, approved);
+  }
+
+  /**
+   * Get NFT collection details
+   * @param {string} collectionId - Collection ID
+   * @returns {Promise<NFTLedger>} - Collection ledger
+   */
+  async getCollection(collectionId) {
+    try {
+      return this._getCollection(collectionId);
+    } catch (error) {
+      console.error('Error getting collection:', error);
+      throw wrapError('Failed to get collection', error);
+    }
+  }
+
+  /**
+   * List all registered NFT collections
+   * @returns {Array<Object>} - Collection summaries
+   */
+  listCollections() {
+    return Array.from(this.collections.values()).map(ledger => ledger.getInfo());
+  }
+
+  /**
+   * Register the public key used to verify an address's signatures
+   * @param {string} address - Account address
+   * @param {string} publicKey - Public key of the account
+   * @returns {boolean} - True when the key is registered
+   */
+  registerPublicKey(address, publicKey) {
+    if (!address || !publicKey) {
+      throw new TokenError('Address and public key are required');
+    }
+    if (leibniz.monadHash(publicKey) !== address) {
+      throw new TokenError('Public key does not match address');
+    }
+
+    const registeredKey = this.publicKeys.get(address);
+    if (registeredKey && registeredKey !== publicKey) {
+      throw new TokenError(`A different public key is already registered for ${address}`);
+    }
+
+    this.publicKeys.set(address, publicKey);
+    return true;
+  }
+
+  /**
+   * Register a multisig account controlled by a threshold of keys
+   * @param {Object} params - Account parameters
+   * @param {Array<string>} params.publicKeys - Public keys of the key holders
+   * @param {number} params.threshold - Number of signatures required
+   * @returns {Object} - Account `{ address, publicKeys, threshold }`
+   */
+  createMultisig(params) {
+    const account = multisig.createMultisigAccount(params);
+    this.multisigAccounts.set(account.address, account);
+    return account;
+  }
+
+  /**
+   * Get a registered multisig account
+   * @param {string} address - Multisig account address
+   * @returns {Object} - Account `{ address, publicKeys, threshold }`
+   */
+  getMultisig(address) {
+    const account = this.multisigAccounts.get(address);
+    if (!account) {
+      throw new NotFoundError(`Multisig account does not exist: ${address}`);
+    }
+    return account;
+  }
+
+  /**
+   * Propose an operation from a multisig account
+   * Key holders sign `proposal.transaction` with signTransaction
+   * @param {string} address - Multisig account address
+   * @param {Object} params - Proposal parameters
+   * @param {string} params.tokenId - Token the operation applies to
+   * @param {string} params.type - transfer, approve, burn, mint, pause or unpause
+   * @param {Object} params.fields - Operation fields (amounts in base units)
+   * @param {number} [params.expiry] - Timestamp after which the proposal expires
+   * @returns {Object} - Proposal
+   */
+  proposeMultisig(address, params) {
+    const account = this.getMultisig(address);
+    const ledger = this._getLedger(params.tokenId);
+    return this.proposals.propose(account, {
+      ...params,
+      nonce: ledger.getNonce(address)
+    });
+  }
+
+  /**
+   * Add a key holder's signature to a proposal
+   * @param {string} proposalId - Proposal ID
+   * @param {string} publicKey - Public key of the key holder
+   * @param {string} signature - Signature over the proposal transaction
+   * @returns {Object} - Updated proposal
+   */
+  signProposal(proposalId, publicKey, signature) {
+    const proposal = this.proposals.get(proposalId);
+    return this.proposals.sign(this.getMultisig(proposal.multisig), proposalId, publicKey, signature);
+  }
+
+  /**
+   * List the pending proposals, optionally of one multisig account
+   * @param {string} [address] - Multisig account address
+   * @returns {Array<Object>} - Pending proposals
+   */
+  listPendingProposals(address) {
+    return this.proposals.listPending(address);
+  }
+
+  /**
+   * Execute a proposal once enough key holders have signed it
+   * @param {string} proposalId - Proposal ID
+   * @returns {Promise<Object>} - Transaction result of the operation
+   */
+  async executeProposal(proposalId) {
+    try {
+      const proposal = this.proposals.getPending(proposalId);
+      if (proposal.signatures.length < proposal.threshold) {
+        throw new TokenError(`Proposal ${proposalId} has ${proposal.signatures.length} of ${proposal.threshold} required signatures`);
+      }
+
+      const { tokenId, type, nonce, expiry, ...fields } = proposal.transaction;
+      const result = await multisig.MULTISIG_OPERATIONS[type].execute(this._getLedger(tokenId), fields, {
+        signatures: proposal.signatures,
+        nonce,
+        expiry
+      });
+
+      this.proposals.markExecuted(proposalId, result);
+      return result;
+    } catch (error) {
+      console.error('Error executing multisig proposal:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the next nonce an address must sign with for a given token
+   * @param {string} tokenId - Token ID
+   * @param {string} address - Account address
+   * @returns {number} - Next expected nonce
+   */
+  getNonce(tokenId, address) {
+    return this._getLedger(tokenId).getNonce(address);
+  }
+
+  /**
+   * Grant tokens of a given token that unlock over time
+   * @param {string} tokenId - Token ID
+   * @param {string} grantor - Address granting the tokens
+   * @param {string} beneficiary - Address receiving the tokens
+   * @param {bigint|number|string} amount - Amount to vest in base units
+   * @param {Object} schedule - Schedule timing (see vesting.js)
+   * @param {Object} options - Signature options
+   * @returns {Promise<Object>} Transaction result
+   */
+  async createVestingSchedule(tokenId, grantor, beneficiary, amount, schedule = {}, options = {}) {
+    return this._getLedger(tokenId).createVestingSchedule(grantor, beneficiary, amount, schedule, options);
+  }
+
+  /**
+   * Get the releasable vested amount of a beneficiary for a given token
+   * @param {string} tokenId - Token ID
+   * @param {string} address - Beneficiary address
+   * @returns {Promise<bigint>} Releasable amount
+   */
+  async releasable(tokenId, address) {
+    return this._getLedger(tokenId).releasable(address);
+  }
+
+  /**
+   * Unlock all vested tokens of a beneficiary for a given token
+   * @param {string} tokenId - Token ID
+   * @param {string} beneficiary - Beneficiary address
+   * @returns {Promise<Object>} Transaction result
+   */
+  async release(tokenId, beneficiary) {
+    return this._getLedger(tokenId).release(beneficiary);
+  }
+
+  /**
+   * Revoke a vesting schedule of a given token
+   * @param {string} tokenId - Token ID
+   * @param {string} grantor - Address that granted the schedule
+   * @param {string} scheduleId - Schedule ID
+   * @param {Object} options - Signature options
+   * @returns {Promise<Object>} Transaction result
+   */
+  async revokeVesting(tokenId, grantor, scheduleId, options = {}) {
+    return this._getLedger(tokenId).revokeVesting(grantor, scheduleId, options);
+  }
+
+  /**
+   * Get the vesting schedules of a beneficiary for a given token
+   * @param {string} tokenId - Token ID
+   * @param {string} address - Beneficiary address
+   * @returns {Promise<Array<Object>>} Schedules with their progress
+   */
+  async getVestingSchedules(tokenId, address) {
+    return this._getLedger(tokenId).getVestingSchedules(address);
+  }
+
+  /**
+   * Pause all movements of a given token
+   * @param {string} tokenId - Token ID
+   * @param {Object} options - Actor (`from`), reason and signature options
+   * @returns {Promise<Object>} Transaction result
+   */
+  async pause(tokenId, options = {}) {
+    return this._getLedger(tokenId).pause(options);
+  }
+
+  /**
+   * Resume movements of a given token
+   * @param {string} tokenId - Token ID
+   * @param {Object} options - Actor (`from`), reason and signature options
+   * @returns {Promise<Object>} Transaction result
+   */
+  async unpause(tokenId, options = {}) {
+    return this._getLedger(tokenId).unpause(options);
+  }
+
+  /**
+   * Freeze an account of a given token
+   * @param {string} tokenId - Token ID
+   * @param {string} address - Account to freeze
+   * @param {Object} options - Actor (`from`), reason and signature options
+   * @returns {Promise<Object>} Transaction result
+   */
+  async freeze(tokenId, address, options = {}) {
+    return this._getLedger(tokenId).freeze(address, options);
+  }
+
+  /**
+   * Unfreeze an account of a given token
+   * @param {string} tokenId - Token ID
+   * @param {string} address - Account to unfreeze
+   * @param {Object} options - Actor (`from`), reason and signature options
+   * @returns {Promise<Object>} Transaction result
+   */
+  async unfreeze(tokenId, address, options = {}) {
+    return this._getLedger(tokenId).unfreeze(address, options);
+  }
+
+  /**
+   * Give a role of a given token to an account
+   * @param {string} tokenId - Token ID
+   * @param {string} role - One of Roles
+   * @param {string} account - Account receiving the role
+   * @param {Object} options - Actor (`from`) and signature options
+   * @returns {Promise<Object>} Transaction result
+   */
+  async grantRole(tokenId, role, account, options = {}) {
+    return this._getLedger(tokenId).grantRole(role, account, options);
+  }
+
+  /**
+   * Take a role of a given token away from an account
+   * @param {string} tokenId - Token ID
+   * @param {string} role - One of Roles
+   * @param {string} account - Account losing the role
+   * @param {Object} options - Actor (`from`) and signature options
+   * @returns {Promise<Object>} Transaction result
+   */
+  async revokeRole(tokenId, role, account, options = {}) {
+    return this._getLedger(tokenId).revokeRole(role, account, options);
+  }
+
+  /**
+   * Give up a role of a given token held by the caller
+   * @param {string} tokenId - Token ID
+   * @param {string} role - One of Roles
+   * @param {Object} options - Actor (`from`) and signature options
+   * @returns {Promise<Object>} Transaction result
+   */
+  async renounceRole(tokenId, role, options = {}) {
+    return this._getLedger(tokenId).renounceRole(role, options);
+  }
+
+  /**
+   * Check whether an account holds a role of a given token
+   * @param {string} tokenId - Token ID
+   * @param {string} role - One of Roles
+   * @param {string} account - Account address
+   * @returns {Promise<boolean>} Whether the account holds the role
+   */
+  async hasRole(tokenId, role, account) {
+    return this._getLedger(tokenId).hasRole(role, account);
+  }
+
+  /**
+   * Lock tokens of a given token in a hash time-locked escrow
+   * @param {string} tokenId - Token ID
+   * @param {string} sender - Address locking the tokens
+   * @param {string} recipient - Address that may receive the tokens
+   * @param {bigint|number|string} amount - Amount to lock in base units
+   * @param {Object} lock - Hashlock and timelock
+   * @param {Object} options - Signature options
+   * @returns {Promise<Object>} Transaction result
+   */
+  async lockEscrow(tokenId, sender, recipient, amount, lock = {}, options = {}) {
+    return this._getLedger(tokenId).lockEscrow(sender, recipient, amount, lock, options);
+  }
+
+  /**
+   * Claim an escrow of a given token with its preimage
+   * @param {string} tokenId - Token ID
+   * @param {string} escrowId - Escrow ID
+   * @param {string} preimage - Secret preimage
+   * @returns {Promise<Object>} Transaction result
+   */
+  async claimEscrow(tokenId, escrowId, preimage) {
+    return this._getLedger(tokenId).claimEscrow(escrowId, preimage);
+  }
+
+  /**
+   * Refund an expired escrow of a given token
+   * @param {string} tokenId - Token ID
+   * @param {string} escrowId - Escrow ID
+   * @returns {Promise<Object>} Transaction result
+   */
+  async refundEscrow(tokenId, escrowId) {
+    return this._getLedger(tokenId).refundEscrow(escrowId);
+  }
+
+  /**
+   * Get an escrow of a given token
+   * @param {string} tokenId - Token ID
+   * @param {string} escrowId - Escrow ID
+   * @returns {Promise<Object>} Escrow
+   */
+  async getEscrow(tokenId, escrowId) {
+    return this._getLedger(tokenId).getEscrow(escrowId);
+  }
+
+  /**
+   * Subscribe to token events
+   * @param {string} type - One of TokenEvents (Transfer, Mint, Burn, Approval, RuleAdded, Paused, TokenCreated) or `*`
+   * @param {Function} handler - Called with each matching event
+   * @param {Object} [filter] - Optional `tokenId` and `address` filter
+   * @returns {Function} - Unsubscribes the handler
+   */
+  on(type, handler, filter = {}) {
+    return this.events.on(type, handler, filter);
+  }
+
+  /**
+   * Remove a token event subscription
+   * @param {string} type - Event type the handler was added for
+   * @param {Function} handler - Handler to remove
+   */
+  off(type, handler) {
+    this.events.off(type, handler);
+  }
+
+  /**
+   * Get token details
+   * @param {string} tokenId - Token ID
+   * @returns {Promise<TokenLedger>} - Token ledger
+   */
+  async getToken(tokenId) {
+    try {
+      return this._getLedger(tokenId);
+    } catch (error) {
+      console.error('Error getting token:', error);
+      throw wrapError('Failed to get token', error);
+    }
+  }
+
+  /**
+   * List all registered tokens
+   * @returns {Array<Object>} - Token summaries
+   */
+  listTokens() {
+    return Array.from(this.tokens.values()).map(ledger => ledger.getInfo());
+  }
+
+  /**
+   * Get balance for an address
+   * @param {string} address - Account address
+   * @param {string} tokenId - Token ID
+   * @returns {Promise<bigint>} - Account balance
+   */
+  async getBalance(address, tokenId) {
+    try {
+      return await this._getLedger(tokenId).balanceOf(address);
+    } catch (error) {
+      console.error('Error getting balance:', error);
+      throw wrapError('Failed to get balance', error);
+    }
+  }
+
+  /**
+   * Get balance of an address for a given token
+   * @param {string} tokenId - Token ID
+   * @param {string} address - Address to check
+   * @returns {Promise<bigint>} Balance as bigint
+   */
+  async balanceOf(tokenId, address) {
+    return this._getLedger(tokenId).balanceOf(address);
+  }
+
+  /**
+   * Take a snapshot of the balances of a given token
+   * @param {string} tokenId - Token ID
+   * @param {Object} options - RULE_ADMIN (`from`) and signature options
+   * @returns {Promise<Object>} Transaction result with the snapshot ID
+   */
+  async snapshot(tokenId, options = {}) {
+    return this._getLedger(tokenId).snapshot(options);
+  }
+
+  /**
+   * Find the latest snapshot of a given token at or before a point in its history
+   * @param {string} tokenId - Token ID
+   * @param {Object} point - Either `transaction`, a count of transactions, or `timestamp`
+   * @returns {Object} Snapshot `{ id, transactionCount, timestamp, exact }`
+   */
+  findSnapshot(tokenId, point) {
+    return this._getLedger(tokenId).findSnapshot(point);
+  }
+
+  /**
+   * Get the balance of an address of a given token at a snapshot
+   * @param {string} tokenId - Token ID
+   * @param {string} address - Address to check
+   * @param {number} snapshotId - Snapshot ID
+   * @returns {Promise<bigint>} Balance at the snapshot
+   */
+  async balanceOfAt(tokenId, address, snapshotId) {
+    return this._getLedger(tokenId).balanceOfAt(address, snapshotId);
+  }
+
+  /**
+   * Get the total supply of a given token at a snapshot
+   * @param {string} tokenId - Token ID
+   * @param {number} snapshotId - Snapshot ID
+   * @returns {Promise<bigint>} Total supply at the snapshot
+   */
+  async totalSupplyAt(tokenId, snapshotId) {
+    return this._getLedger(tokenId).totalSupplyAt(snapshotId);
+  }
+
+  /**
+   * Get transaction history of a given token
+   * @param {string} tokenId - Token ID
+   * @returns {Promise<Array>} Transaction history
+   */
+  async getTransactionHistory(tokenId) {
+    return this._getLedger(tokenId).getTransactionHistory();
+  }
+
+  /**
+   * Seal the uncommitted transactions of a token into a new block
+   * @param {string} tokenId - Token ID
+   * @returns {Promise<string>} - CID of the new head block
+   */
+  async commitBlock(tokenId) {
+    return this._getLedger(tokenId).commitBlock();
+  }
+
+  /**
+   * Verify the block chain of a token
+   * @param {string} tokenId - Token ID
+   * @param {string} [headCid] - Head to verify from (defaults to the current head)
+   * @returns {Promise<Object>} - Verification result
+   */
+  async verifyChain(tokenId, headCid) {
+    return this._getLedger(tokenId).verifyChain(headCid);
+  }
+
+  /**
+   * Load a token from storage by CID
+   * @param {string} cid - Token CID to load
+   * @returns {Promise<TokenLedger>} - Ledger of the loaded token
+   */
+  async loadToken(cid) {
+    try {
+      const tokenBytes = await this.storage.getBytes(cid);
+      const tokenMetadata = JSON.parse(new TextDecoder().decode(tokenBytes));
+
+      // A block CID from saveState restores the full state
+      if (tokenMetadata.stateRoot && tokenMetadata.state) {
+        return await this.loadState(cid);
+      }
+      
+      const ledger = new TokenLedger({
+        id: tokenMetadata.id,
+        name: tokenMetadata.name,
+        symbol: tokenMetadata.symbol,
+        decimals: tokenMetadata.decimals,
+        owner: tokenMetadata.owner,
+        initialSupply: tokenMetadata.totalSupply,
+        maxSupply: tokenMetadata.maxSupply,
+        metadata: tokenMetadata,
+        cid: cid.toString(),
+        requireSignatures: this.requireSignatures,
+        clock: this.clock,
+        publicKeys: this.publicKeys,
+        multisigAccounts: this.multisigAccounts,
+        onCommit: this._recordHead,
+        events: this.events,
+        storage: this.storage,
+        network: this.network
+      });
+      this.tokens.set(ledger.id, ledger);
+      
+      return ledger;
+    } catch (error) {
+      console.error('Error loading token:', error);
+      throw wrapError('Failed to load token', error);
+    }
+  }
+
+  /**
+   * Rebuild a token from the head block written by saveState
+   * Restores balances, supply, owner, metadata, allowances, nonces and history.
+   * States of an older schema version are migrated first (see migrations.js).
+   * @param {string} cid - CID of the head block
+   * @param {Object} [options] - Restore options
+   * @param {Function} [options.clock] - Clock of the restored ledger, defaults to the registry clock
+   * @param {boolean} [options.dryRun] - Only report what the migrations would change
+   * @returns {Promise<TokenLedger|Object>} - Ledger of the restored token, or the migration report on a dry run
+   */
+  async loadState(cid, options = {}) {
+    try {
+      const { chain, migration } = await this._readState(cid);
+      if (options.dryRun) {
+        return migration.report;
+      }
+      const stateData = migration.state;
+
+      const ledger = new TokenLedger({
+        id: stateData.tokenId,
+        cid: stateData.metadataCid,
+        clock: options.clock || this.clock,
+        publicKeys: this.publicKeys,
+        multisigAccounts: this.multisigAccounts,
+        onCommit: this._recordHead,
+        events: this.events,
+        storage: this.storage,
+        network: this.network
+      });
+      ledger.restoreState(stateData, chain);
+      this.tokens.set(ledger.id, ledger);
+
+      return ledger;
+    } catch (error) {
+      console.error('Error loading state:', error);
+      throw wrapError('Failed to load state', error);
+    }
+  }
+
+  /**
+   * Publish the current state of a swap offer on the network
+   * The offer is already applied locally, so a failed broadcast is only logged
+   * @private
+   * @param {Object} offer - Swap offer
+   * @returns {Promise<void>}
+   */
+  async _broadcastSwapOffer(offer) {
+    if (!this.network || typeof this.network.broadcastSwapOffer !== 'function') {
+      return;
+    }
+    try {
+      await this.network.broadcastSwapOffer(swaps.serializeOffer(offer));
+    } catch (error) {
+      console.error('Error broadcasting swap offer:', error);
+    }
+  }
+
+  /**
+   * Migrate the stored state of a token to the current schema version
+   * The migrated state is sealed into a new block linked to the old head,
+   * which stays untouched. States already at the current version are left as they are.
+   * @param {string} cid - CID of the head block
+   * @param {Object} [options] - Restore options (see loadState)
+   * @param {boolean} [options.dryRun] - Only report what the migrations would change
+   * @returns {Promise<Object>} - Migration report with the CID of the new head block as `migratedCid`
+   */
+  async migrateState(cid, options = {}) {
+    try {
+      const { report } = (await this._readState(cid)).migration;
+      if (options.dryRun || report.applied.length === 0) {
+        return { ...report, dryRun: options.dryRun === true, migratedCid: null };
+      }
+
+      const ledger = await this.loadState(cid, options);
+      const migratedCid = await ledger.commitMigration(report);
+      return { ...report, dryRun: false, migratedCid };
+    } catch (error) {
+      console.error('Error migrating state:', error);
+      throw wrapError('Failed to migrate state', error);
+    }
+  }
+
+  /**
+   * Read and verify the chain of a head block and migrate its state
+   * @private
+   * @param {string} cid - CID of the head block
+   * @returns {Promise<Object>} - `{ chain, migration }`, the migration holding the migrated `state` and its `report`
+   */
+  async _readState(cid) {
+    const verification = await blocks.verifyChain(this.storage, cid);
+    if (!verification.valid) {
+      throw new TokenError(`Invalid block chain: ${verification.error}`);
+    }
+
+    const chain = [];
+    for await (const entry of blocks.walkChain(this.storage, cid)) {
+      chain.push(entry);
+    }
+    const stored = await blocks.loadBlockState(this.storage, chain[0].block);
+    const { state, ...result } = migrations.migrateState(stored);
+
+    return {
+      chain,
+      migration: {
+        state,
+        report: { tokenId: stored.tokenId, cid: cid.toString(), ...result }
+      }
+    };
+  }
+
+  /**
+   * Record a new head block in the pointer file
+   * @private
+   * @param {string} tokenId - Token ID
+   * @param {string} cid - CID of the head block
+   * @returns {Promise<void>}
+   */
+  async _recordHead(tokenId, cid) {
+    if (this.headPointer) {
+      await this.headPointer.write(tokenId, cid);
+    }
+  }
+
+  /**
+   * Reload every token recorded in the pointer file
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _resume() {
+    const heads = await this.headPointer.read();
+
+    for (const [tokenId, cid] of Object.entries(heads)) {
+      const ledger = await this.loadState(cid);
+      if (ledger.id !== tokenId) {
+        throw new TokenError(`Head ${cid} belongs to token ${ledger.id}, expected ${tokenId}`);
+      }
+    }
+
+    console.log(`Resumed ${this.tokens.size} token(s) from ${this.headPointer.filePath}`);
+  }
+
+  /**
+   * Look up the ledger of a registered NFT collection
+   * @private
+   * @param {string} collectionId - Collection ID
+   * @returns {NFTLedger} - Collection ledger
+   */
+  _getCollection(collectionId) {
+    const ledger = this.collections.get(collectionId);
+    if (!ledger) {
+      throw new NotFoundError(`Collection does not exist: ${collectionId}`);
+    }
+    return ledger;
+  }
+
+  /**
+   * Look up the LP token ledger holding a liquidity pool
+   * @private
+   * @param {string} poolId - Pool ID
+   * @returns {TokenLedger} - LP token ledger
+   */
+  _getPool(poolId) {
+    const ledger = this.tokens.get(poolId);
+    if (!ledger || !ledger.liquidityPool) {
+      throw new NotFoundError(`Liquidity pool does not exist: ${poolId}`);
+    }
+    return ledger;
+  }
+
+  /**
+   * Look up the ledgers of both tokens of a pool
+   * @private
+   * @param {TokenLedger} ledger - LP token ledger
+   * @returns {Array<TokenLedger>} - Ledgers of the first and second pool token
+   */
+  _poolTokenLedgers(ledger) {
+    return [this._getLedger(ledger.liquidityPool.tokenA), this._getLedger(ledger.liquidityPool.tokenB)];
+  }
+
+  /**
+   * Look up the ledger of a registered token
+   * @private
+   * @param {string} tokenId - Token ID
+   * @returns {TokenLedger} - Token ledger
+   */
+  _getLedger(tokenId) {
+    const ledger = this.tokens.get(tokenId);
+    if (!ledger) {
+      throw new NotFoundError(`Token does not exist: ${tokenId}`);
     }
+    return ledger;
   }
 }
 
@@ -0,0 +1,82 @@
+/**
+ * Signed transfer intents for the Helia blockchain token registry
+ *
+ * A user who does not run a node signs a transfer intent offline and hands
+ * it to a relayer, which submits it on the user's behalf. The intent is an
+ * ordinary signed transaction (see transaction-signing.js) of type
+ * `transferIntent`: it carries the user's nonce and an expiry, so a relayer
+ * can neither replay nor alter it. The user may offer the relayer a fee in
+ * the same token and may name the only relayer allowed to submit it.
+ *
+ * @see Related modules:
+ * - {@link ./transaction-signing.js} - Canonical payloads and signature checks
+ * - {@link ../utils/crypto-definitions.js} - Intent hashing
+ * - {@link ./token-ledger.js} - Ledger applying relayed transfers
+ */
+
+const planck = require('../utils/planck');
+const { createHash, HashAlgorithms } = require('../utils/crypto-definitions');
+const { createSigningPayload, signTransaction } = require('./transaction-signing');
+const { TokenError } = require('./errors');
+
+// Operation type signed by the user
+const TRANSFER_INTENT = 'transferIntent';
+
+/**
+ * Builds the transaction a user signs for a transfer intent
+ * @param {Object} intent - Transfer intent
+ * @param {string} intent.tokenId - Token ID
+ * @param {string} intent.from - Address of the user
+ * @param {string} intent.to - Destination address
+ * @param {bigint|number|string} intent.amount - Amount to transfer in base units
+ * @param {bigint|number|string} [intent.relayerFee] - Fee paid to the relayer in base units
+ * @param {string} [intent.relayer] - Only relayer allowed to submit the intent
+ * @param {number} intent.nonce - User's nonce on the token
+ * @param {number} intent.expiry - Expiry timestamp in milliseconds
+ * @returns {Object} - Transaction for signTransaction
+ */
+function createIntentTransaction(intent) {
+  const { tokenId, from, to, amount, relayerFee, relayer, nonce, expiry } = intent;
+
+  if (!tokenId || !from || !to || amount === undefined) {
+    throw new TokenError('Transfer intents require a token ID, from, to and amount');
+  }
+
+  return {
+    tokenId,
+    type: TRANSFER_INTENT,
+    from,
+    to,
+    amount: planck.quantize(amount),
+    relayerFee: planck.quantize(relayerFee || 0),
+    relayer,
+    nonce,
+    expiry
+  };
+}
+
+/**
+ * Signs a transfer intent with the user's private key
+ * @param {string} privateKey - User's private key
+ * @param {Object} intent - Transfer intent (see createIntentTransaction)
+ * @returns {string} - Signature as hex string
+ */
+function signIntent(privateKey, intent) {
+  return signTransaction(privateKey, createIntentTransaction(intent));
+}
+
+/**
+ * Hashes a transfer intent, identifying it independently of its signature
+ * @param {Object} intent - Transfer intent (see createIntentTransaction)
+ * @returns {string} - SHA-256 hash of the canonical payload
+ */
+function hashIntent(intent) {
+  return createHash(createSigningPayload(createIntentTransaction(intent)), HashAlgorithms.SHA256);
+}
+
+module.exports = {
+  TRANSFER_INTENT,
+  createIntentTransaction,
+  signIntent,
+  hashIntent
+};
@@ -0,0 +1,173 @@
+/**
+ * Versioned token metadata for the Helia blockchain token registry
+ *
+ * Token metadata is stored in Helia as immutable documents. Updating it
+ * stores a new version that links to the CID of the version before it, so
+ * the ledger only has to keep the CID of the latest version (its head) and
+ * the full history can be walked back to the document written at creation.
+ * Every version is checked against METADATA_SCHEMA, a JSON schema for the
+ * descriptive fields; fields describing the token itself cannot be patched.
+ *
+ * @see Related modules:
+ * - {@link ./token-ledger.js} - Ledger holding the metadata head
+ * - {@link ./index.js} - Registry writing the first version at creation
+ */
+
+const { TokenError } = require('./errors');
+
+// JSON schema of the descriptive metadata fields; other fields are kept as given
+const METADATA_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'Token metadata',
+  type: 'object',
+  required: ['name', 'symbol'],
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 64 },
+    symbol: { type: 'string', minLength: 1, maxLength: 16 },
+    description: { type: 'string', maxLength: 2000 },
+    image: { type: 'string', format: 'uri' },
+    links: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['label', 'url'],
+        properties: {
+          label: { type: 'string', minLength: 1, maxLength: 64 },
+          url: { type: 'string', format: 'uri' }
+        },
+        additionalProperties: false
+      }
+    }
+  }
+};
+
+// Fields set by the registry and the ledger, never by a patch
+const PROTECTED_FIELDS = [
+  'id', 'decimals', 'owner', 'totalSupply', 'maxSupply', 'createdAt',
+  'transactions', 'version', 'previous', 'updatedAt'
+];
+
+/**
+ * Gets the JSON schema type of a value
+ * @param {*} value - Value to inspect
+ * @returns {string} - JSON schema type name
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Checks whether a string is an absolute URI such as https:// or ipfs://
+ * @param {string} value - String to check
+ * @returns {boolean} - Whether the string is a URI
+ */
+function isUri(value) {
+  try {
+    return Boolean(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validates a value against the subset of JSON schema used by METADATA_SCHEMA
+ * (type, required, properties, additionalProperties, items, minLength,
+ * maxLength and the uri format)
+ * @param {Object} schema - JSON schema
+ * @param {*} value - Value to validate
+ * @param {string} path - Location of the value, used in error messages
+ * @returns {Array<string>} - Validation errors
+ */
+function validateSchema(schema, value, path) {
+  if (schema.type && typeOf(value) !== schema.type) {
+    return [`${path} must be of type ${schema.type}`];
+  }
+
+  const errors = [];
+  if (schema.type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.format === 'uri' && !isUri(value)) {
+      errors.push(`${path} must be a URI`);
+    }
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(schema.items, item, `${path}[${index}]`));
+    });
+  }
+
+  if (schema.type === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    });
+    Object.keys(value).forEach(key => {
+      if (properties[key]) {
+        errors.push(...validateSchema(properties[key], value[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Checks a metadata document against METADATA_SCHEMA
+ * @param {Object} metadata - Metadata document
+ * @returns {Object} - The metadata document
+ */
+function validateMetadata(metadata) {
+  const errors = validateSchema(METADATA_SCHEMA, metadata, 'metadata');
+  if (errors.length > 0) {
+    throw new TokenError(`Invalid token metadata: ${errors.join('; ')}`);
+  }
+  return metadata;
+}
+
+/**
+ * Applies a patch to a metadata document
+ * Fields set to null are removed, like in a JSON merge patch
+ * @param {Object} metadata - Current metadata document
+ * @param {Object} patch - Fields to change
+ * @returns {Object} - New, validated metadata document
+ */
+function applyMetadataPatch(metadata, patch) {
+  if (typeOf(patch) !== 'object' || Object.keys(patch).length === 0) {
+    throw new TokenError('Metadata patch must be a non-empty object');
+  }
+
+  const protectedField = Object.keys(patch).find(key => PROTECTED_FIELDS.includes(key));
+  if (protectedField) {
+    throw new TokenError(`Metadata field cannot be updated: ${protectedField}`);
+  }
+
+  const next = { ...metadata };
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) {
+      delete next[key];
+    } else {
+      next[key] = value;
+    }
+  });
+
+  return validateMetadata(next);
+}
+
+module.exports = {
+  METADATA_SCHEMA,
+  validateMetadata,
+  applyMetadataPatch
+};
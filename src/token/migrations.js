@@ -0,0 +1,146 @@
+/**
+ * Versioned state schemas for the Helia blockchain token ledger
+ *
+ * Every state written by `saveState` carries the `schemaVersion` of the
+ * ledger that wrote it; states written before versioning are version 1.
+ * When the ledger's semantics change, the schema version is raised and a
+ * migration from the previous version is added to MIGRATIONS. Loading a
+ * state runs every migration between its version and the current one, in
+ * order. Migrations are pure functions of the serialized state, so the
+ * changes they would make can be reported without applying them.
+ *
+ * @see Related modules:
+ * - {@link ./token-ledger.js} - Ledger writing and restoring states
+ * - {@link ./index.js} - Registry migrating states as they are loaded
+ * - {@link ./transaction-signing.js} - Canonical serialization used to compare values
+ */
+
+const { canonicalize } = require('./transaction-signing');
+const { Roles } = require('./roles');
+const { TokenError } = require('./errors');
+
+// Schema version of the states written by this ledger
+const STATE_SCHEMA_VERSION = 2;
+
+// Version of states written before schemas were versioned
+const UNVERSIONED_SCHEMA_VERSION = 1;
+
+/**
+ * Migrations by the schema version they upgrade from
+ * Each one returns a new state one version up and leaves its input untouched
+ */
+const MIGRATIONS = {
+  1: {
+    description: 'Fill in the state sections older ledgers did not write; the owner receives every role',
+    migrate(state) {
+      const owner = state.state ? state.state.owner : null;
+      return {
+        ...state,
+        metadataHead: state.metadataHead || state.metadataCid || null,
+        allowances: state.allowances || {},
+        nonces: state.nonces || {},
+        frozen: state.frozen || [],
+        fees: state.fees || null,
+        emission: state.emission || null,
+        snapshots: state.snapshots || { list: [], balances: {}, supply: [] },
+        roles: state.roles || Object.fromEntries(Object.values(Roles).map(role => [role, owner ? [owner] : []])),
+        escrows: state.escrows || { escrows: {} },
+        distributions: state.distributions || [],
+        staking: state.staking || null,
+        swapOffers: state.swapOffers || [],
+        pool: state.pool || null,
+        vesting: state.vesting || [],
+        schemaVersion: 2
+      };
+    }
+  }
+};
+
+/**
+ * Gets the schema version of a serialized state
+ * @param {Object} state - Serialized token state
+ * @returns {number} - Schema version
+ */
+function schemaVersionOf(state) {
+  return state.schemaVersion !== undefined ? state.schemaVersion : UNVERSIONED_SCHEMA_VERSION;
+}
+
+/**
+ * Checks whether a value is a plain object whose keys can be compared one by one
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether the value is a plain object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Lists the differences between two serialized states
+ * Objects are compared key by key; arrays and other values as a whole
+ * @param {*} before - Value before the migration
+ * @param {*} after - Value after the migration
+ * @param {string} [path] - Location of the values, used in the report
+ * @returns {Array<Object>} - Changes `{ path, kind, before, after }` with kind added, removed or changed
+ */
+function diffStates(before, after, path = '') {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = Array.from(new Set([...Object.keys(before), ...Object.keys(after)])).sort();
+    return keys.flatMap(key => diffStates(before[key], after[key], path ? `${path}.${key}` : key));
+  }
+
+  if (before === undefined) {
+    return [{ path, kind: 'added', before, after }];
+  }
+  if (after === undefined) {
+    return [{ path, kind: 'removed', before, after }];
+  }
+  if (canonicalize(before) !== canonicalize(after)) {
+    return [{ path, kind: 'changed', before, after }];
+  }
+  return [];
+}
+
+/**
+ * Migrates a serialized state to a schema version
+ * @param {Object} state - Serialized token state
+ * @param {Object} [migrations] - Migrations by the version they upgrade from, defaults to MIGRATIONS
+ * @param {number} [targetVersion] - Version to reach, defaults to STATE_SCHEMA_VERSION
+ * @returns {Object} - `{ state, fromVersion, toVersion, applied, changes }`, `applied` listing the migrations run
+ */
+function migrateState(state, migrations = MIGRATIONS, targetVersion = STATE_SCHEMA_VERSION) {
+  const fromVersion = schemaVersionOf(state);
+  if (fromVersion > targetVersion) {
+    throw new TokenError(`State schema version ${fromVersion} is newer than the supported version ${targetVersion}`);
+  }
+
+  let migrated = state;
+  const applied = [];
+  for (let version = fromVersion; version < targetVersion; version++) {
+    const migration = migrations[version];
+    if (!migration) {
+      throw new TokenError(`No migration from state schema version ${version}`);
+    }
+
+    migrated = migration.migrate(migrated);
+    if (schemaVersionOf(migrated) !== version + 1) {
+      throw new Error(`Migration from state schema version ${version} did not produce version ${version + 1}`);
+    }
+    applied.push({ from: version, to: version + 1, description: migration.description });
+  }
+
+  return {
+    state: migrated,
+    fromVersion,
+    toVersion: targetVersion,
+    applied,
+    changes: diffStates(state, migrated)
+  };
+}
+
+module.exports = {
+  STATE_SCHEMA_VERSION,
+  MIGRATIONS,
+  schemaVersionOf,
+  diffStates,
+  migrateState
+};
@@ -0,0 +1,271 @@
+/**
+ * Multi-signature accounts for the Helia blockchain token registry
+ *
+ * A multisig account is a set of public keys and a threshold. Its address
+ * is derived from both, so it cannot be controlled by any single key.
+ * Operations from a multisig account start as proposals: every key holder
+ * signs the same canonical transaction payload a single-key account would
+ * sign (see transaction-signing.js), and the ledger accepts the operation
+ * once `threshold` distinct keys have signed it before it expires.
+ *
+ * @see Related modules:
+ * - {@link ./transaction-signing.js} - Canonical payloads and signature checks
+ * - {@link ../utils/leibniz.js} - Address derivation and signatures
+ * - {@link ./token-ledger.js} - Ledger verifying the approvals
+ */
+
+const leibniz = require('../utils/leibniz');
+const planck = require('../utils/planck');
+const { canonicalize, verifyTransactionSignature } = require('./transaction-signing');
+const { TokenError, NotFoundError } = require('./errors');
+
+// Lifecycle of a proposal
+const ProposalStatus = {
+  PENDING: 'pending',
+  EXECUTED: 'executed',
+  EXPIRED: 'expired'
+};
+
+// Proposals expire after a day unless told otherwise
+const DEFAULT_PROPOSAL_TTL = 24 * 60 * 60 * 1000;
+
+// Operations a multisig account can propose, with the field naming the account
+const MULTISIG_OPERATIONS = {
+  transfer: {
+    signerField: 'from',
+    fields: ['from', 'to', 'amount'],
+    execute: (ledger, f, options) => ledger.transfer(f.from, f.to, f.amount, options)
+  },
+  approve: {
+    signerField: 'owner',
+    fields: ['owner', 'spender', 'amount'],
+    execute: (ledger, f, options) => ledger.approve(f.owner, f.spender, f.amount, options)
+  },
+  burn: {
+    signerField: 'from',
+    fields: ['from', 'amount'],
+    execute: (ledger, f, options) => ledger.burn(f.from, f.amount, options)
+  },
+  mint: {
+    signerField: 'from',
+    fields: ['from', 'to', 'amount'],
+    execute: (ledger, f, options) => ledger.mint(f.to, f.amount, { ...options, from: f.from })
+  },
+  pause: {
+    signerField: 'from',
+    fields: ['from', 'reason'],
+    execute: (ledger, f, options) => ledger.pause({ ...options, from: f.from, reason: f.reason })
+  },
+  unpause: {
+    signerField: 'from',
+    fields: ['from', 'reason'],
+    execute: (ledger, f, options) => ledger.unpause({ ...options, from: f.from, reason: f.reason })
+  }
+};
+
+/**
+ * Validates a set of keys and a threshold and derives the account address
+ * @param {Object} params - Account parameters
+ * @param {Array<string>} params.publicKeys - Public keys of the key holders
+ * @param {number} params.threshold - Number of signatures required
+ * @returns {Object} - Account `{ address, publicKeys, threshold }`
+ */
+function createMultisigAccount({ publicKeys, threshold } = {}) {
+  if (!Array.isArray(publicKeys) || publicKeys.length === 0) {
+    throw new TokenError('A multisig account requires at least one public key');
+  }
+  const keys = Array.from(new Set(publicKeys)).sort();
+  if (keys.length !== publicKeys.length) {
+    throw new TokenError('Multisig public keys must be distinct');
+  }
+  if (!Number.isInteger(threshold) || threshold < 1 || threshold > keys.length) {
+    throw new TokenError(`Multisig threshold must be between 1 and ${keys.length}`);
+  }
+
+  return {
+    address: leibniz.monadHash(canonicalize({ multisig: keys, threshold })),
+    publicKeys: keys,
+    threshold
+  };
+}
+
+/**
+ * Collects the key holders whose signatures over a transaction are valid
+ * Signatures from unknown keys and repeated keys are ignored
+ * @param {Object} account - Multisig account
+ * @param {Object} transaction - Transaction as passed to createSigningPayload
+ * @param {Array<Object>} signatures - Signatures `{ publicKey, signature }`
+ * @returns {Array<string>} - Public keys of the approving key holders
+ */
+function collectApprovals(account, transaction, signatures = []) {
+  const approvers = new Set();
+
+  signatures.forEach(({ publicKey, signature }) => {
+    if (account.publicKeys.includes(publicKey) && !approvers.has(publicKey) &&
+        verifyTransactionSignature(publicKey, signature, transaction)) {
+      approvers.add(publicKey);
+    }
+  });
+
+  return Array.from(approvers);
+}
+
+/**
+ * ProposalBook keeps the proposals of multisig accounts until they execute or expire
+ */
+class ProposalBook {
+  /**
+   * Creates an empty proposal book
+   */
+  constructor() {
+    this.proposals = new Map(); // proposal ID -> proposal
+    this.nextId = 1;
+  }
+
+  /**
+   * Create a proposal for an operation from a multisig account
+   * @param {Object} account - Multisig account
+   * @param {Object} params - Proposal parameters
+   * @param {string} params.tokenId - Token the operation applies to
+   * @param {string} params.type - One of the MULTISIG_OPERATIONS
+   * @param {Object} params.fields - Operation fields; the account field is filled in
+   * @param {number} params.nonce - Nonce of the account on the token
+   * @param {number} [params.expiry] - Timestamp after which the proposal expires
+   * @returns {Object} - Proposal
+   */
+  propose(account, { tokenId, type, fields = {}, nonce, expiry }) {
+    const operation = MULTISIG_OPERATIONS[type];
+    if (!operation) {
+      throw new TokenError(`Unsupported multisig operation: ${type}`);
+    }
+
+    const operationFields = {};
+    operation.fields.forEach(field => {
+      operationFields[field] = fields[field];
+    });
+    operationFields[operation.signerField] = account.address;
+    if (operationFields.amount !== undefined) {
+      operationFields.amount = planck.quantize(operationFields.amount);
+    }
+
+    const proposalExpiry = expiry !== undefined ? Number(expiry) : Date.now() + DEFAULT_PROPOSAL_TTL;
+    if (!(proposalExpiry > Date.now())) {
+      throw new TokenError('Proposal expiry must be in the future');
+    }
+
+    const proposal = {
+      id: `multisig:${this.nextId++}`,
+      multisig: account.address,
+      threshold: account.threshold,
+      // The payload every key holder signs with signTransaction
+      transaction: { tokenId, type, ...operationFields, nonce, expiry: proposalExpiry },
+      signatures: [],
+      status: ProposalStatus.PENDING,
+      createdAt: Date.now()
+    };
+    this.proposals.set(proposal.id, proposal);
+
+    return proposal;
+  }
+
+  /**
+   * Add a key holder's signature to a proposal
+   * @param {Object} account - Multisig account of the proposal
+   * @param {string} proposalId - Proposal ID
+   * @param {string} publicKey - Public key of the key holder
+   * @param {string} signature - Signature over the proposal transaction
+   * @returns {Object} - Updated proposal
+   */
+  sign(account, proposalId, publicKey, signature) {
+    const proposal = this.getPending(proposalId);
+
+    if (!account.publicKeys.includes(publicKey)) {
+      throw new TokenError(`Public key is not a key holder of multisig ${account.address}`);
+    }
+    if (proposal.signatures.some(entry => entry.publicKey === publicKey)) {
+      throw new TokenError('Key holder has already signed this proposal');
+    }
+    if (!verifyTransactionSignature(publicKey, signature, proposal.transaction)) {
+      throw new TokenError('Invalid proposal signature');
+    }
+
+    proposal.signatures.push({ publicKey, signature, signedAt: Date.now() });
+    return proposal;
+  }
+
+  /**
+   * Look up a proposal that can still be signed or executed
+   * Proposals past their expiry are marked as expired
+   * @param {string} proposalId - Proposal ID
+   * @returns {Object} - Pending proposal
+   */
+  getPending(proposalId) {
+    const proposal = this.get(proposalId);
+
+    this._expire(proposal);
+    if (proposal.status !== ProposalStatus.PENDING) {
+      throw new TokenError(`Proposal ${proposalId} is ${proposal.status}`);
+    }
+    return proposal;
+  }
+
+  /**
+   * Look up a proposal
+   * @param {string} proposalId - Proposal ID
+   * @returns {Object} - Proposal
+   */
+  get(proposalId) {
+    const proposal = this.proposals.get(proposalId);
+    if (!proposal) {
+      throw new NotFoundError(`Proposal does not exist: ${proposalId}`);
+    }
+    return proposal;
+  }
+
+  /**
+   * List the pending proposals, optionally of one multisig account
+   * @param {string} [address] - Multisig account address
+   * @returns {Array<Object>} - Pending proposals
+   */
+  listPending(address) {
+    return Array.from(this.proposals.values()).filter(proposal => {
+      this._expire(proposal);
+      return proposal.status === ProposalStatus.PENDING &&
+        (!address || proposal.multisig === address);
+    });
+  }
+
+  /**
+   * Mark a proposal as executed
+   * @param {string} proposalId - Proposal ID
+   * @param {Object} result - Transaction result
+   * @returns {Object} - Executed proposal
+   */
+  markExecuted(proposalId, result) {
+    const proposal = this.get(proposalId);
+    proposal.status = ProposalStatus.EXECUTED;
+    proposal.transactionId = result.transactionId;
+    proposal.executedAt = Date.now();
+    return proposal;
+  }
+
+  /**
+   * Expire a pending proposal once its expiry has passed
+   * @private
+   * @param {Object} proposal - Proposal
+   */
+  _expire(proposal) {
+    if (proposal.status === ProposalStatus.PENDING && proposal.transaction.expiry <= Date.now()) {
+      proposal.status = ProposalStatus.EXPIRED;
+    }
+  }
+}
+
+module.exports = {
+  ProposalStatus,
+  DEFAULT_PROPOSAL_TTL,
+  MULTISIG_OPERATIONS,
+  createMultisigAccount,
+  collectApprovals,
+  ProposalBook
+};
@@ -0,0 +1,486 @@
+/**
+ * NFT ledger for a single non-fungible token collection
+ * Each ledger owns the items, owners and approvals of one collection
+ *
+ * Item metadata is stored as JSON in Helia and referenced by CID. Every item
+ * is categorized through the Aristotelian rule system and must belong to
+ * the `NonFungibleToken` category; the system's governance rules are
+ * applied to every NFT operation.
+ *
+ * @see Related modules:
+ * - {@link ../utils/aristotle.js} - Token categories and governance rules
+ * - {@link ./token-ledger.js} - Ledger of fungible tokens
+ */
+
+const { TokenError, UnauthorizedError, NotFoundError } = require('./errors');
+
+// Category every item of a collection must belong to
+const NFT_CATEGORY = 'NonFungibleToken';
+
+/**
+ * NFTLedger holds the complete state of one collection
+ */
+class NFTLedger {
+  /**
+   * Creates a new ledger for a collection
+   * @param {Object} params - Ledger parameters
+   * @param {string} params.id - Collection ID
+   * @param {string} params.name - Collection name
+   * @param {string} params.symbol - Collection symbol
+   * @param {string} params.owner - Owner address, the only address allowed to mint
+   * @param {Object} params.metadata - Collection metadata
+   * @param {string} params.cid - CID of the stored collection metadata
+   * @param {AristotelianRuleSystem} params.categorization - Categorization system
+   * @param {Object} params.storage - Storage interface
+   * @param {Object} params.network - Network interface
+   */
+  constructor(params) {
+    if (!params.categorization) {
+      throw new TokenError('NFT collections require a categorization system');
+    }
+
+    this.id = params.id;
+    this.cid = params.cid || null;
+    this.metadata = params.metadata || {};
+    this.categorization = params.categorization;
+    this.storage = params.storage;
+    this.network = params.network;
+    this.transactionHistory = [];
+
+    this.state = {
+      name: params.name || '',
+      symbol: params.symbol || '',
+      owner: params.owner || null,
+      metadata: this.metadata
+    };
+
+    this.nextItemId = 0;
+    this.items = new Map(); // itemId -> item details
+    this.owners = new Map(); // itemId -> owner
+    this.ownedItems = new Map(); // owner -> Set(itemId)
+    this.itemApprovals = new Map(); // itemId -> approved address
+    this.operatorApprovals = new Map(); // owner -> Set(operator)
+  }
+
+  /**
+   * Mint a new item to an address
+   * @param {string} to - Address receiving the item
+   * @param {string} tokenURI - URI of the item
+   * @param {Object} metadata - Item metadata stored in Helia
+   * @param {Object} options - Minting options
+   * @param {string} options.from - Address requesting the mint
+   * @returns {Promise<Object>} Transaction result with the item ID and metadata CID
+   */
+  async mintNFT(to, tokenURI, metadata = {}, options = {}) {
+    try {
+      // Check authorization - only the collection owner can mint
+      if (options.from !== this.state.owner) {
+        throw new UnauthorizedError('Unauthorized: Only collection owner can mint');
+      }
+      if (!to) {
+        throw new TokenError('Recipient address is required');
+      }
+      if (typeof tokenURI !== 'string' || tokenURI.length === 0) {
+        throw new TokenError('Token URI is required');
+      }
+
+      // Reserve the item ID before any storage round trip
+      const itemId = String(this.nextItemId);
+      const categories = this._categorize(itemId, metadata);
+      this._applyRules({ type: 'mintNFT', from: options.from, to, itemId }, categories);
+      this.nextItemId++;
+
+      // Store item metadata in Helia
+      const itemMetadata = {
+        ...metadata,
+        collectionId: this.id,
+        itemId,
+        tokenURI
+      };
+      const metadataCid = await this.storage.addBytes(
+        new TextEncoder().encode(JSON.stringify(itemMetadata))
+      );
+
+      this.items.set(itemId, {
+        itemId,
+        tokenURI,
+        metadataCid: metadataCid.toString(),
+        categories,
+        mintedAt: Date.now()
+      });
+      this._setOwner(itemId, to);
+
+      const entry = this._recordTransaction({
+        type: 'mintNFT',
+        from: options.from,
+        to,
+        itemId,
+        metadataCid: metadataCid.toString()
+      });
+
+      return {
+        success: true,
+        collectionId: this.id,
+        itemId,
+        metadataCid: metadataCid.toString(),
+        transactionId: entry.id
+      };
+    } catch (error) {
+      console.error('Error minting NFT:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the owner of an item
+   * @param {string} itemId - Item ID
+   * @returns {string} Owner address
+   */
+  ownerOf(itemId) {
+    const owner = this.owners.get(String(itemId));
+    if (!owner) {
+      throw new NotFoundError(`Item does not exist: ${itemId}`);
+    }
+    return owner;
+  }
+
+  /**
+   * Transfer an item between addresses
+   * The caller must be the owner, the approved address or an operator
+   * @param {string} from - Current owner
+   * @param {string} to - New owner
+   * @param {string} itemId - Item ID
+   * @param {Object} options - Transfer options
+   * @param {string} [options.spender] - Address performing the transfer (defaults to from)
+   * @returns {Promise<Object>} Transaction result
+   */
+  async transferNFT(from, to, itemId, options = {}) {
+    try {
+      itemId = String(itemId);
+      const spender = options.spender || from;
+      const owner = this.ownerOf(itemId);
+
+      if (owner !== from) {
+        throw new TokenError(`Item ${itemId} is not owned by ${from}`);
+      }
+      if (!to) {
+        throw new TokenError('Recipient address is required');
+      }
+      if (from === to) {
+        throw new TokenError('Cannot transfer to the same address');
+      }
+      if (!this._isApprovedOrOwner(spender, itemId)) {
+        throw new UnauthorizedError('Unauthorized: Caller is not owner nor approved');
+      }
+
+      this._applyRules({ type: 'transferNFT', from, to, itemId, spender }, this.items.get(itemId).categories);
+
+      // Approvals do not survive a change of owner
+      this.itemApprovals.delete(itemId);
+      this._setOwner(itemId, to);
+
+      const entry = this._recordTransaction({
+        type: 'transferNFT',
+        from,
+        to,
+        itemId,
+        spender
+      });
+
+      return { success: true, collectionId: this.id, itemId, transactionId: entry.id };
+    } catch (error) {
+      console.error('Error transferring NFT:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Approve an address to transfer one item
+   * @param {string} owner - Caller, the owner of the item or one of its operators
+   * @param {string|null} approved - Approved address, or null to clear the approval
+   * @param {string} itemId - Item ID
+   * @returns {Promise<Object>} Transaction result
+   */
+  async approve(owner, approved, itemId) {
+    try {
+      itemId = String(itemId);
+      const itemOwner = this.ownerOf(itemId);
+
+      if (approved === itemOwner) {
+        throw new TokenError('Cannot approve the current owner');
+      }
+      if (owner !== itemOwner && !this.isApprovedForAll(itemOwner, owner)) {
+        throw new UnauthorizedError('Unauthorized: Caller is not owner nor approved for all');
+      }
+
+      this._applyRules({ type: 'approveNFT', owner, approved, itemId }, this.items.get(itemId).categories);
+
+      if (approved) {
+        this.itemApprovals.set(itemId, approved);
+      } else {
+        this.itemApprovals.delete(itemId);
+      }
+
+      const entry = this._recordTransaction({
+        type: 'approveNFT',
+        owner: itemOwner,
+        approved: approved || null,
+        itemId
+      });
+
+      return { success: true, collectionId: this.id, itemId, transactionId: entry.id };
+    } catch (error) {
+      console.error('Error approving NFT:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Allow or disallow an operator to manage all items of an owner
+   * @param {string} owner - Owner address
+   * @param {string} operator - Operator address
+   * @param {boolean} approved - Whether the operator is approved
+   * @returns {Promise<Object>} Transaction result
+   */
+  async setApprovalForAll(owner, operator, approved) {
+    try {
+      if (owner === operator) {
+        throw new TokenError('Cannot approve yourself as operator');
+      }
+
+      this._applyRules({ type: 'approvalForAll', owner, operator, approved: approved === true }, [NFT_CATEGORY]);
+
+      const operators = this.operatorApprovals.get(owner) || new Set();
+      if (approved) {
+        operators.add(operator);
+      } else {
+        operators.delete(operator);
+      }
+      this.operatorApprovals.set(owner, operators);
+
+      const entry = this._recordTransaction({
+        type: 'approvalForAll',
+        owner,
+        operator,
+        approved: approved === true
+      });
+
+      return { success: true, collectionId: this.id, transactionId: entry.id };
+    } catch (error) {
+      console.error('Error setting operator approval:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the address approved for an item
+   * @param {string} itemId - Item ID
+   * @returns {string|null} Approved address
+   */
+  getApproved(itemId) {
+    this.ownerOf(itemId);
+    return this.itemApprovals.get(String(itemId)) || null;
+  }
+
+  /**
+   * Check whether an operator manages all items of an owner
+   * @param {string} owner - Owner address
+   * @param {string} operator - Operator address
+   * @returns {boolean} Whether the operator is approved
+   */
+  isApprovedForAll(owner, operator) {
+    const operators = this.operatorApprovals.get(owner);
+    return operators ? operators.has(operator) : false;
+  }
+
+  /**
+   * Get the number of items owned by an address
+   * @param {string} owner - Owner address
+   * @returns {number} Item count
+   */
+  balanceOf(owner) {
+    const owned = this.ownedItems.get(owner);
+    return owned ? owned.size : 0;
+  }
+
+  /**
+   * Get the number of items in the collection
+   * @returns {number} Item count
+   */
+  getTotalSupply() {
+    return this.items.size;
+  }
+
+  /**
+   * Get an item ID by its position in the collection
+   * @param {number} index - Position in mint order
+   * @returns {string} Item ID
+   */
+  tokenByIndex(index) {
+    const itemIds = Array.from(this.items.keys());
+    if (!Number.isInteger(index) || index < 0 || index >= itemIds.length) {
+      throw new TokenError(`Index out of bounds: ${index}`);
+    }
+    return itemIds[index];
+  }
+
+  /**
+   * Get an item ID by its position among an owner's items
+   * @param {string} owner - Owner address
+   * @param {number} index - Position among the owner's items
+   * @returns {string} Item ID
+   */
+  tokenOfOwnerByIndex(owner, index) {
+    const itemIds = this.tokensOfOwner(owner);
+    if (!Number.isInteger(index) || index < 0 || index >= itemIds.length) {
+      throw new TokenError(`Index out of bounds: ${index}`);
+    }
+    return itemIds[index];
+  }
+
+  /**
+   * Get all item IDs owned by an address
+   * @param {string} owner - Owner address
+   * @returns {Array<string>} Item IDs
+   */
+  tokensOfOwner(owner) {
+    return Array.from(this.ownedItems.get(owner) || []);
+  }
+
+  /**
+   * Get the details of an item
+   * @param {string} itemId - Item ID
+   * @returns {Object} Item details
+   */
+  getItem(itemId) {
+    const owner = this.ownerOf(itemId);
+    const item = this.items.get(String(itemId));
+    return { ...item, categories: [...item.categories], owner, collectionId: this.id };
+  }
+
+  /**
+   * Load the metadata of an item from storage
+   * @param {string} itemId - Item ID
+   * @returns {Promise<Object>} Item metadata
+   */
+  async getItemMetadata(itemId) {
+    const { metadataCid } = this.getItem(itemId);
+    const bytes = await this.storage.getBytes(metadataCid);
+    return JSON.parse(new TextDecoder().decode(bytes));
+  }
+
+  /**
+   * Get collection summary
+   * @returns {Object} Collection summary
+   */
+  getInfo() {
+    return {
+      collectionId: this.id,
+      name: this.state.name,
+      symbol: this.state.symbol,
+      owner: this.state.owner,
+      totalSupply: this.getTotalSupply(),
+      genesisBlock: this.cid
+    };
+  }
+
+  /**
+   * Get transaction history
+   * @returns {Promise<Array>} Transaction history
+   */
+  async getTransactionHistory() {
+    return [...this.transactionHistory]; // Return copy of history
+  }
+
+  /**
+   * Categorize a new item and make sure it is non-fungible
+   * @private
+   * @param {string} itemId - Item ID
+   * @param {Object} metadata - Item metadata
+   * @returns {Array<string>} Category names
+   */
+  _categorize(itemId, metadata) {
+    const categories = this.categorization.categorizeToken({
+      ...metadata,
+      isToken: true,
+      fungible: false,
+      uniqueId: `${this.id}:${itemId}`
+    });
+
+    if (!categories.includes(NFT_CATEGORY)) {
+      throw new TokenError(`Item is not categorized as ${NFT_CATEGORY}`);
+    }
+    return categories;
+  }
+
+  /**
+   * Apply the governance rules of the categorization system
+   * @private
+   * @param {Object} operation - NFT operation
+   * @param {Array<string>} categories - Categories of the affected item
+   */
+  _applyRules(operation, categories) {
+    const result = this.categorization.applyRules(
+      { ...operation, collectionId: this.id },
+      { categories, collection: this.getInfo() }
+    );
+
+    if (!result.valid) {
+      throw new TokenError(`Operation rejected: ${result.reason}`);
+    }
+  }
+
+  /**
+   * Check whether an address may transfer an item
+   * @private
+   * @param {string} spender - Address performing the transfer
+   * @param {string} itemId - Item ID
+   * @returns {boolean} Whether the address is allowed
+   */
+  _isApprovedOrOwner(spender, itemId) {
+    const owner = this.owners.get(itemId);
+    return spender === owner ||
+      this.itemApprovals.get(itemId) === spender ||
+      this.isApprovedForAll(owner, spender);
+  }
+
+  /**
+   * Move an item to a new owner and update enumeration
+   * @private
+   * @param {string} itemId - Item ID
+   * @param {string} to - New owner
+   */
+  _setOwner(itemId, to) {
+    const previousOwner = this.owners.get(itemId);
+    if (previousOwner) {
+      this.ownedItems.get(previousOwner).delete(itemId);
+    }
+
+    const owned = this.ownedItems.get(to) || new Set();
+    owned.add(itemId);
+    this.ownedItems.set(to, owned);
+    this.owners.set(itemId, to);
+  }
+
+  /**
+   * Record a transaction in the collection history
+   * @private
+   * @param {Object} transaction - Transaction details
+   * @returns {Object} Recorded history entry
+   */
+  _recordTransaction(transaction) {
+    const entry = {
+      id: `${this.id}:${this.transactionHistory.length}`,
+      collectionId: this.id,
+      ...transaction,
+      timestamp: Date.now()
+    };
+    this.transactionHistory.push(entry);
+    return entry;
+  }
+}
+
+module.exports = {
+  NFT_CATEGORY,
+  NFTLedger
+};
@@ -0,0 +1,39 @@
+/**
+ * Roles for access control in the Helia blockchain token ledger
+ *
+ * Privileged operations check the caller's role instead of comparing the
+ * caller with the token owner. The owner receives every role when a token
+ * is created and can hand roles to other accounts through ROLE_ADMIN.
+ * The caller is the `from` address of an operation; unless the token
+ * requires signatures nothing proves it, so roles are then advisory.
+ *
+ * @see Related modules:
+ * - {@link ./token-ledger.js} - Ledger that enforces roles
+ */
+
+const { TokenError } = require('./errors');
+
+const Roles = {
+  MINTER: 'MINTER',           // mint new tokens
+  BURNER: 'BURNER',           // burn tokens held by other accounts
+  PAUSER: 'PAUSER',           // pause the token and freeze accounts
+  RULE_ADMIN: 'RULE_ADMIN',   // add and clear governance rules
+  ROLE_ADMIN: 'ROLE_ADMIN'    // grant and revoke roles
+};
+
+/**
+ * Checks that a role name is known
+ * @param {string} role - Role name
+ * @returns {string} - The role name
+ */
+function assertRole(role) {
+  if (!Object.values(Roles).includes(role)) {
+    throw new TokenError(`Unknown role: ${role}`);
+  }
+  return role;
+}
+
+module.exports = {
+  Roles,
+  assertRole
+};
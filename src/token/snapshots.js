@@ -0,0 +1,75 @@
+/**
+ * Balance snapshots for the Helia blockchain token ledger
+ *
+ * Taking a snapshot only increments the current snapshot ID. The ledger
+ * then stores the old value of a balance (or of the total supply) the
+ * first time it changes after each snapshot. A value at snapshot N is the
+ * first checkpoint recorded at or after N, or the current value when it
+ * has not changed since. Accounts that never move cost nothing.
+ *
+ * @see Related modules:
+ * - {@link ./token-ledger.js} - Ledger recording the checkpoints
+ */
+
+/**
+ * Records the value held before a change, once per snapshot
+ * @param {Array<Object>} checkpoints - Checkpoints `{ snapshotId, value }` in ascending order
+ * @param {number} snapshotId - Current snapshot ID
+ * @param {bigint} value - Value before the change
+ */
+function recordCheckpoint(checkpoints, snapshotId, value) {
+  if (snapshotId === 0) {
+    return;
+  }
+  const last = checkpoints[checkpoints.length - 1];
+  if (!last || last.snapshotId < snapshotId) {
+    checkpoints.push({ snapshotId, value });
+  }
+}
+
+/**
+ * Looks up the value at a snapshot
+ * @param {Array<Object>} checkpoints - Checkpoints `{ snapshotId, value }` in ascending order
+ * @param {number} snapshotId - Snapshot ID
+ * @param {bigint} current - Current value
+ * @returns {bigint} - Value when the snapshot was taken
+ */
+function valueAt(checkpoints, snapshotId, current) {
+  // Binary search for the first checkpoint at or after the snapshot
+  let low = 0;
+  let high = checkpoints.length;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (checkpoints[middle].snapshotId < snapshotId) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low < checkpoints.length ? checkpoints[low].value : current;
+}
+
+/**
+ * Converts checkpoints into a JSON-safe array
+ * @param {Array<Object>} checkpoints - Checkpoints with BigInt values
+ * @returns {Array<Object>} - Checkpoints with decimal string values
+ */
+function serializeCheckpoints(checkpoints) {
+  return checkpoints.map(({ snapshotId, value }) => ({ snapshotId, value: value.toString() }));
+}
+
+/**
+ * Converts stored checkpoints back to BigInt values
+ * @param {Array<Object>} checkpoints - Checkpoints with decimal string values
+ * @returns {Array<Object>} - Checkpoints with BigInt values
+ */
+function deserializeCheckpoints(checkpoints = []) {
+  return checkpoints.map(({ snapshotId, value }) => ({ snapshotId, value: BigInt(value) }));
+}
+
+module.exports = {
+  recordCheckpoint,
+  valueAt,
+  serializeCheckpoints,
+  deserializeCheckpoints
+};
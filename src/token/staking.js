@@ -0,0 +1,302 @@
+/**
+ * Staking with reward accrual for the Helia blockchain token ledger
+ *
+ * Stakers lock tokens in a pool and earn rewards paid from a reward pool
+ * funded in the same token. Rewards accrue every whole second at
+ * `rewardRate` base units, shared by all stakers in proportion to their
+ * stake, and never exceed what the reward pool holds. Instead of touching
+ * every staker each second, the pool keeps a reward-per-token accumulator:
+ * an account's earnings are its stake times the growth of the accumulator
+ * since the account was last settled, so every operation is O(1).
+ *
+ * Unstaked tokens unbond for `unbondingPeriod` milliseconds before they
+ * can be withdrawn and earn nothing meanwhile. The pool only does the
+ * accounting; the ledger moves the balances and records the history.
+ *
+ * @see Related modules:
+ * - {@link ./token-ledger.js} - Ledger holding the staking pool
+ */
+
+const { TokenError } = require('./errors');
+
+// Fixed-point precision of the reward-per-token accumulator
+const PRECISION = BigInt(10) ** BigInt(18);
+
+/**
+ * StakingPool tracks stakes, unbonding tokens and accrued rewards of one token
+ */
+class StakingPool {
+  /**
+   * Creates a pool
+   * @param {Object} [state] - Serialized pool state to restore
+   */
+  constructor(state = null) {
+    this.rewardRate = BigInt(0); // Reward in base units per second
+    this.unbondingPeriod = 0; // Milliseconds before unstaked tokens can be withdrawn
+    this.rewardPerToken = BigInt(0); // Accumulated reward per staked base unit, scaled by PRECISION
+    this.lastUpdate = null; // Time up to which rewards have accrued
+    this.totalStaked = BigInt(0);
+    this.rewardPool = BigInt(0); // Funded rewards not yet accrued
+    this.rewardsAccrued = BigInt(0); // Accrued rewards not yet claimed
+    this.accounts = new Map(); // address -> { staked, rewardPerTokenPaid, rewards }
+    this.unbonding = []; // Unbonding entries { id, address, amount, releaseAt }
+    this.nextUnbondingId = 0;
+
+    if (state) {
+      this._restore(state);
+    }
+  }
+
+  /**
+   * Set the reward rate and unbonding period
+   * Rewards accrued so far keep the previous rate
+   * @param {Object} params - Staking parameters
+   * @param {bigint} params.rewardRate - Reward in base units per second
+   * @param {number} params.unbondingPeriod - Unbonding period in milliseconds
+   * @param {number} now - Current time in milliseconds
+   */
+  configure({ rewardRate, unbondingPeriod }, now) {
+    if (rewardRate < BigInt(0)) {
+      throw new TokenError('Reward rate must be non-negative');
+    }
+    if (!Number.isSafeInteger(unbondingPeriod) || unbondingPeriod < 0) {
+      throw new TokenError('Unbonding period must be a non-negative number of milliseconds');
+    }
+
+    this.update(now);
+    this.rewardRate = rewardRate;
+    this.unbondingPeriod = unbondingPeriod;
+  }
+
+  /**
+   * Accrue the rewards of the whole seconds elapsed since the last update
+   * @param {number} now - Current time in milliseconds
+   */
+  update(now) {
+    if (this.lastUpdate === null) {
+      this.lastUpdate = now;
+      return;
+    }
+
+    const seconds = Math.floor((now - this.lastUpdate) / 1000);
+    if (seconds <= 0) {
+      return;
+    }
+    this.lastUpdate += seconds * 1000;
+
+    // Time without stakers accrues nothing
+    if (this.totalStaked === BigInt(0)) {
+      return;
+    }
+
+    let reward = this.rewardRate * BigInt(seconds);
+    if (reward > this.rewardPool) {
+      reward = this.rewardPool;
+    }
+    this.rewardPool -= reward;
+    this.rewardsAccrued += reward;
+    this.rewardPerToken += (reward * PRECISION) / this.totalStaked;
+  }
+
+  /**
+   * Add funds to the reward pool
+   * @param {bigint} amount - Amount in base units
+   * @param {number} now - Current time in milliseconds
+   */
+  fund(amount, now) {
+    this.update(now);
+    this.rewardPool += amount;
+  }
+
+  /**
+   * Stake tokens for an account
+   * @param {string} address - Staker address
+   * @param {bigint} amount - Amount in base units
+   * @param {number} now - Current time in milliseconds
+   */
+  stake(address, amount, now) {
+    const account = this._settle(address, now);
+    account.staked += amount;
+    this.totalStaked += amount;
+  }
+
+  /**
+   * Unstake tokens of an account and start their unbonding
+   * @param {string} address - Staker address
+   * @param {bigint} amount - Amount in base units
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object} - Unbonding entry
+   */
+  unstake(address, amount, now) {
+    const account = this._settle(address, now);
+    if (account.staked < amount) {
+      throw new TokenError('Insufficient staked balance');
+    }
+
+    account.staked -= amount;
+    this.totalStaked -= amount;
+
+    const unbonding = {
+      id: String(this.nextUnbondingId++),
+      address,
+      amount,
+      releaseAt: now + this.unbondingPeriod
+    };
+    this.unbonding.push(unbonding);
+    return unbonding;
+  }
+
+  /**
+   * Remove the unbonded tokens of an account that can be withdrawn
+   * @param {string} address - Staker address
+   * @param {number} now - Current time in milliseconds
+   * @returns {bigint} - Withdrawn amount
+   */
+  withdraw(address, now) {
+    const amount = this.withdrawableOf(address, now);
+    this.unbonding = this.unbonding.filter(entry => entry.address !== address || entry.releaseAt > now);
+    return amount;
+  }
+
+  /**
+   * Take the accrued rewards of an account
+   * @param {string} address - Staker address
+   * @param {number} now - Current time in milliseconds
+   * @returns {bigint} - Claimed amount
+   */
+  claim(address, now) {
+    const account = this._settle(address, now);
+    const amount = account.rewards;
+    account.rewards = BigInt(0);
+    this.rewardsAccrued -= amount;
+    return amount;
+  }
+
+  /**
+   * Get the staked amount of an account
+   * @param {string} address - Staker address
+   * @returns {bigint} - Staked amount
+   */
+  stakedOf(address) {
+    const account = this.accounts.get(address);
+    return account ? account.staked : BigInt(0);
+  }
+
+  /**
+   * Compute the rewards an account could claim, without changing the pool
+   * @param {string} address - Staker address
+   * @param {number} now - Current time in milliseconds
+   * @returns {bigint} - Claimable rewards
+   */
+  pendingRewardsOf(address, now) {
+    const preview = new StakingPool(this.serialize());
+    return preview.claim(address, now);
+  }
+
+  /**
+   * Get the unbonding entries of an account
+   * @param {string} address - Staker address
+   * @returns {Array<Object>} - Unbonding entries
+   */
+  unbondingOf(address) {
+    return this.unbonding.filter(entry => entry.address === address).map(entry => ({ ...entry }));
+  }
+
+  /**
+   * Sum the unbonded tokens of an account that can be withdrawn
+   * @param {string} address - Staker address
+   * @param {number} now - Current time in milliseconds
+   * @returns {bigint} - Withdrawable amount
+   */
+  withdrawableOf(address, now) {
+    return this.unbonding
+      .filter(entry => entry.address === address && entry.releaseAt <= now)
+      .reduce((total, entry) => total + entry.amount, BigInt(0));
+  }
+
+  /**
+   * Sum every token held by the pool: stakes, unbonding tokens and rewards
+   * @returns {bigint} - Tokens outside all balances
+   */
+  heldTotal() {
+    const unbonding = this.unbonding.reduce((total, entry) => total + entry.amount, BigInt(0));
+    return this.totalStaked + unbonding + this.rewardPool + this.rewardsAccrued;
+  }
+
+  /**
+   * Convert the pool into a JSON-safe object
+   * @returns {Object} - Pool state with amounts as decimal strings
+   */
+  serialize() {
+    return {
+      rewardRate: this.rewardRate.toString(),
+      unbondingPeriod: this.unbondingPeriod,
+      rewardPerToken: this.rewardPerToken.toString(),
+      lastUpdate: this.lastUpdate,
+      totalStaked: this.totalStaked.toString(),
+      rewardPool: this.rewardPool.toString(),
+      rewardsAccrued: this.rewardsAccrued.toString(),
+      accounts: Object.fromEntries(
+        Array.from(this.accounts.entries()).map(([address, account]) => [address, {
+          staked: account.staked.toString(),
+          rewardPerTokenPaid: account.rewardPerTokenPaid.toString(),
+          rewards: account.rewards.toString()
+        }])
+      ),
+      unbonding: this.unbonding.map(entry => ({ ...entry, amount: entry.amount.toString() })),
+      nextUnbondingId: this.nextUnbondingId
+    };
+  }
+
+  /**
+   * Accrue rewards and credit an account with its earnings since it was last settled
+   * @private
+   * @param {string} address - Staker address
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object} - Settled account
+   */
+  _settle(address, now) {
+    this.update(now);
+
+    if (!this.accounts.has(address)) {
+      this.accounts.set(address, {
+        staked: BigInt(0),
+        rewardPerTokenPaid: this.rewardPerToken,
+        rewards: BigInt(0)
+      });
+    }
+    const account = this.accounts.get(address);
+    account.rewards += (account.staked * (this.rewardPerToken - account.rewardPerTokenPaid)) / PRECISION;
+    account.rewardPerTokenPaid = this.rewardPerToken;
+    return account;
+  }
+
+  /**
+   * Restore the pool from its serialized state
+   * @private
+   * @param {Object} state - Serialized pool state
+   */
+  _restore(state) {
+    this.rewardRate = BigInt(state.rewardRate);
+    this.unbondingPeriod = state.unbondingPeriod;
+    this.rewardPerToken = BigInt(state.rewardPerToken);
+    this.lastUpdate = state.lastUpdate;
+    this.totalStaked = BigInt(state.totalStaked);
+    this.rewardPool = BigInt(state.rewardPool);
+    this.rewardsAccrued = BigInt(state.rewardsAccrued);
+    this.accounts = new Map(
+      Object.entries(state.accounts || {}).map(([address, account]) => [address, {
+        staked: BigInt(account.staked),
+        rewardPerTokenPaid: BigInt(account.rewardPerTokenPaid),
+        rewards: BigInt(account.rewards)
+      }])
+    );
+    this.unbonding = (state.unbonding || []).map(entry => ({ ...entry, amount: BigInt(entry.amount) }));
+    this.nextUnbondingId = state.nextUnbondingId || 0;
+  }
+}
+
+module.exports = {
+  PRECISION,
+  StakingPool
+};
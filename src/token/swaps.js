@@ -0,0 +1,86 @@
+/**
+ * Atomic swap offers for the Helia blockchain token registry
+ *
+ * A maker offers an amount of one token (the sell token) for an amount of
+ * another (the buy token). The offered tokens are escrowed by the ledger of
+ * the sell token when the offer is made, so a taker never depends on the
+ * maker still holding them. A taker fills the offer fully or in part: the
+ * payment in the buy token and the delivery of the sell token are applied
+ * together or not at all. The maker can cancel an offer at any time and
+ * gets back whatever is still unfilled.
+ *
+ * Partial fills pay in proportion to the amount taken, rounded up to whole
+ * quanta (see Planck). Rounding is applied to the running total rather than
+ * to each fill, so the payments always add up to exactly the asked amount.
+ *
+ * @see Related modules:
+ * - {@link ../utils/planck.js} - Rounding of payments
+ * - {@link ./token-ledger.js} - Ledger escrowing the offered tokens
+ * - {@link ../network/index.js} - Pubsub topic broadcasting the offers
+ */
+
+const planck = require('../utils/planck');
+const { TokenError } = require('./errors');
+
+// Lifecycle of a swap offer
+const SwapStatus = {
+  OPEN: 'open',
+  FILLED: 'filled',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Computes the payment owed for filling part of an offer
+ * @param {Object} offer - Open swap offer
+ * @param {bigint} amount - Amount of the sell token taken, at most `offer.remaining`
+ * @returns {bigint} - Payment in base units of the buy token
+ */
+function quoteFill(offer, amount) {
+  if (amount > offer.remaining) {
+    throw new TokenError(`Fill amount exceeds the ${offer.remaining} remaining in offer ${offer.id}`);
+  }
+
+  const taken = offer.sellAmount - offer.remaining + amount;
+  const owed = planck.quantize(
+    planck.divideRounded(offer.buyAmount * taken, offer.sellAmount, planck.RoundingModes.CEIL),
+    planck.RoundingModes.CEIL
+  );
+  return owed - offer.paid;
+}
+
+/**
+ * Converts a swap offer into a JSON-safe object
+ * @param {Object} offer - Swap offer
+ * @returns {Object} - Offer with amounts as decimal strings
+ */
+function serializeOffer(offer) {
+  return {
+    ...offer,
+    sellAmount: offer.sellAmount.toString(),
+    buyAmount: offer.buyAmount.toString(),
+    remaining: offer.remaining.toString(),
+    paid: offer.paid.toString()
+  };
+}
+
+/**
+ * Converts a stored swap offer back to BigInt amounts
+ * @param {Object} offer - Serialized swap offer
+ * @returns {Object} - Swap offer
+ */
+function deserializeOffer(offer) {
+  return {
+    ...offer,
+    sellAmount: BigInt(offer.sellAmount),
+    buyAmount: BigInt(offer.buyAmount),
+    remaining: BigInt(offer.remaining),
+    paid: BigInt(offer.paid)
+  };
+}
+
+module.exports = {
+  SwapStatus,
+  quoteFill,
+  serializeOffer,
+  deserializeOffer
+};
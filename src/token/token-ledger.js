@@ -0,0 +1,3686 @@
+/**
+ * Token ledger for a single token in the Helia blockchain token registry
+ * Each ledger owns its balances, supply, owner, rules and history
+ *
+ * All amounts are BigInt base units; `decimals` only affects how amounts
+ * are parsed from and formatted to decimal strings (see Planck).
+ *
+ * Recorded transactions are sealed into hash-linked blocks stored in Helia
+ * (see blocks.js); `head` is the CID of the latest block.
+ */
+
+const planck = require('../utils/planck');
+const leibniz = require('../utils/leibniz');
+const { verifyTransactionSignature } = require('./transaction-signing');
+const { collectApprovals } = require('./multisig');
+const { TRANSFER_INTENT, hashIntent } = require('./intents');
+const blocks = require('./blocks');
+const vesting = require('./vesting');
+const escrow = require('./escrow');
+const { Roles, assertRole } = require('./roles');
+const fees = require('./fees');
+const { TokenEvents } = require('./events');
+const snapshots = require('./snapshots');
+const { applyMetadataPatch } = require('./metadata');
+const distributions = require('./distributions');
+const emission = require('./emission');
+const { StakingPool } = require('./staking');
+const swaps = require('./swaps');
+const { LiquidityPool } = require('./amm');
+const { STATE_SCHEMA_VERSION } = require('./migrations');
+const { TokenError, UnauthorizedError, NotFoundError, wrapError } = require('./errors');
+
+// History fields that hold BigInt amounts and are stored as strings
+const AMOUNT_FIELDS = ['amount', 'fee', 'net', 'relayerFee', 'emitted', 'rewardRate', 'buyAmount', 'payment', 'amountOut', 'amountA', 'amountB'];
+
+/**
+ * TokenLedger holds the complete state of one token
+ */
+class TokenLedger {
+  /**
+   * Creates a new ledger for a token
+   * @param {Object} params - Ledger parameters
+   * @param {string} params.id - Token ID
+   * @param {string} params.name - Token name
+   * @param {string} params.symbol - Token symbol
+   * @param {number} params.decimals - Token decimals
+   * @param {string} params.owner - Owner address
+   * @param {bigint} params.initialSupply - Initial supply credited to the owner
+   * @param {bigint} [params.maxSupply] - Optional cap on the total supply
+   * @param {Object} params.metadata - Token metadata
+   * @param {string} params.cid - CID of the stored metadata
+   * @param {string} [params.metadataHead] - CID of the latest metadata version, defaults to `cid`
+   * @param {boolean} [params.requireSignatures] - Reject unsigned state changes
+   * @param {Object} [params.fees] - Transfer fee model (see fees.js)
+   * @param {Object} [params.emission] - Emission schedule (see emission.js)
+   * @param {Object} [params.pool] - Liquidity pool whose shares this token represents (see amm.js)
+   * @param {Function} [params.clock] - Returns the current time in milliseconds, defaults to Date.now
+   * @param {Map<string, string>} [params.publicKeys] - Registered public keys by address
+   * @param {Map<string, Object>} [params.multisigAccounts] - Registered multisig accounts by address
+   * @param {Function} [params.onCommit] - Called with the token ID and CID of every new head block
+   * @param {TokenEventBus} [params.events] - Event bus receiving the events of this token
+   * @param {Object} params.storage - Storage interface
+   * @param {Object} params.network - Network interface
+   */
+  constructor(params) {
+    const initialSupply = planck.quantize(params.initialSupply || 0);
+
+    this.id = params.id;
+    this.cid = params.cid || null;
+    this.metadata = params.metadata || {};
+    this.metadataHead = params.metadataHead || this.cid; // CID of the latest metadata version
+    this.metadataQueue = Promise.resolve();
+    this.storage = params.storage;
+    this.network = params.network;
+    this.transactionHistory = [];
+    this.allowances = new Map(); // owner -> Map(spender -> amount)
+    this.nonces = new Map(); // address -> next expected nonce
+    this.vestingSchedules = []; // Vesting schedules in creation order
+    this.frozenAccounts = new Set(); // Accounts that cannot move tokens
+    this.escrowMachine = escrow.createEscrowMachine(); // Hash time-locked escrows
+    this.roles = new Map(); // role -> Set of accounts
+    this.feeModel = params.fees ? fees.normalizeFeeModel(params.fees) : null; // Transfer fees
+    this.distributions = []; // Pro-rata distributions in creation order
+    this.emissionSchedule = params.emission ? emission.normalizeEmission(params.emission) : null;
+    this.emitted = BigInt(0); // Total minted by the emission schedule
+    this.clock = params.clock || Date.now;
+    this.stakingPool = new StakingPool(); // Stakes, unbonding tokens and staking rewards
+    this.swapOffers = []; // Swap offers selling this token, in creation order
+    this.liquidityPool = params.pool ? new LiquidityPool(params.pool) : null; // Pool of an LP share token
+
+    // Balance snapshots, stored as per-account checkpoints
+    this.snapshots = []; // Snapshots in creation order
+    this.balanceCheckpoints = new Map(); // address -> Array of { snapshotId, value }
+    this.supplyCheckpoints = []; // Array of { snapshotId, value }
+    this.publicKeys = params.publicKeys || new Map();
+    this.multisigAccounts = params.multisigAccounts || new Map();
+
+    // Block chain of this token
+    this.head = null; // CID of the latest block
+    this.height = -1; // Height of the latest block
+    this.committedCount = 0; // Transactions already sealed into blocks
+    this.commitQueue = Promise.resolve();
+    this.onCommit = params.onCommit || null;
+    this.events = params.events || null;
+
+    // Internal state of this token only
+    this.state = {
+      name: params.name || '',
+      symbol: params.symbol || '',
+      totalSupply: initialSupply,
+      maxSupply: params.maxSupply !== undefined && params.maxSupply !== null
+        ? planck.quantize(params.maxSupply)
+        : null,
+      decimals: params.decimals !== undefined ? params.decimals : 18,
+      owner: params.owner || null,
+      requireSignatures: params.requireSignatures === true,
+      paused: false,
+      metadata: this.metadata,
+      rules: new Map()
+    };
+
+    if (this.state.maxSupply !== null && this.state.totalSupply > this.state.maxSupply) {
+      throw new TokenError('Initial supply exceeds max supply');
+    }
+
+    // Owner starts with every role
+    if (this.state.owner) {
+      Object.values(Roles).forEach(role => this.roles.set(role, new Set([this.state.owner])));
+    }
+
+    // Owner starts with the initial supply
+    this.balances = new Map();
+    if (this.state.owner && initialSupply > BigInt(0)) {
+      this.balances.set(this.state.owner, initialSupply);
+    }
+    this._assertSupplyInvariant();
+  }
+
+  /**
+   * Mint new tokens to an address
+   * @param {string} to - Address to mint tokens to
+   * @param {bigint|number|string} amount - Amount to mint in base units
+   * @param {Object} options - Minting options
+   * @param {string} options.from - Address requesting the mint
+   * @param {string} [options.signature] - Signature of the minter (see transaction-signing.js)
+   * @returns {Promise<Object>} Transaction result
+   */
+  async mint(to, amount, options = {}) {
+    try {
+      // Check authorization - only minters can mint
+      this._assertNotPoolShares('mint');
+      this._requireRole(Roles.MINTER, options.from, 'mint');
+
+      // Convert amount to base units (quantum discretization)
+      const mintAmount = this._toAmount(amount);
+      const authorization = this._authorize('mint', options.from, { from: options.from, to, amount: mintAmount }, options);
+      this._assertActive(to);
+
+      // Enforce the supply cap
+      const newSupply = this.state.totalSupply + mintAmount;
+      if (this.state.maxSupply !== null && newSupply > this.state.maxSupply) {
+        throw new TokenError(`Mint would exceed max supply of ${this.state.maxSupply}`);
+      }
+
+      // Update balances
+      const currentBalance = this.balances.get(to) || BigInt(0);
+      this._setBalance(to, currentBalance + mintAmount);
+
+      // Update total supply
+      this._setTotalSupply(newSupply);
+      this._assertSupplyInvariant();
+
+      // Track transaction
+      const entry = this._recordTransaction({
+        type: 'mint',
+        to: to,
+        amount: mintAmount,
+        from: options.from
+      }, authorization);
+      this._emit(TokenEvents.MINT, entry, { minter: options.from, to, amount: mintAmount });
+
+      return { success: true, tokenId: this.id, transactionId: entry.id };
+    } catch (error) {
+      console.error('Error minting tokens:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Transfer tokens between addresses
+   * @param {string} from - Source address
+   * @param {string} to - Destination address
+   * @param {bigint|number|string} amount - Amount to transfer in base units
+   * @param {Object} options - Signature options (signature, publicKey, nonce, expiry)
+   * @returns {Promise<Object>} Transaction result
+   */
+  async transfer(from, to, amount, options = {}) {
+    try {
+      amount = this._toAmount(amount);
+      const authorization = this._authorize('transfer', from, { from, to, amount }, options);
+      this._assertActive(from, to);
+
+      // Validate that source and destination are different (Gödel's consistency)
+      if (from === to) {
+        throw new TokenError('Cannot transfer to the same address');
+      }
+
+      // Check governance rules if they exist
+      this._checkRules({ type: 'transfer', from, to, amount });
+
+      const quote = this._moveWithFee(from, to, amount);
+      this._assertSupplyInvariant();
+
+      // Track transaction
+      const entry = this._recordTransaction({
+        type: 'transfer',
+        from: from,
+        to: to,
+        amount: amount,
+        ...this._feeFields(quote)
+      }, authorization);
+      this._emit(TokenEvents.TRANSFER, entry, { from, to, amount, fee: quote.fee, net: quote.net });
+
+      return {
+        success: true,
+        tokenId: this.id,
+        transactionId: entry.id,
+        gross: quote.gross,
+        fee: quote.fee,
+        net: quote.net
+      };
+    } catch (error) {
+      console.error('Error transferring tokens:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Burn tokens from the caller's own balance
+   * An account holding the BURNER role may burn another account's tokens
+   * by passing its own address as `options.from`
+   * @param {string} from - Address whose tokens are destroyed
+   * @param {bigint|number|string} amount - Amount to burn in base units
+   * @param {Object} options - Signature options (signature, publicKey, nonce, expiry)
+   * @param {string} [options.from] - Burner when burning someone else's tokens
+   * @returns {Promise<Object>} Transaction result
+   */
+  async burn(from, amount, options = {}) {
+    try {
+      amount = this._toAmount(amount, 'Burn amount');
+      this._assertNotPoolShares('burn');
+
+      const burner = options.from && options.from !== from ? options.from : null;
+      let authorization;
+      if (burner) {
+        this._requireRole(Roles.BURNER, burner, 'burn');
+        authorization = this._authorize('burn', burner, { burner, from, amount }, options);
+      } else {
+        authorization = this._authorize('burn', from, { from, amount }, options);
+      }
+      this._assertActive(from);
+
+      this._checkRules({ type: 'burn', from, amount });
+
+      this._destroy(from, amount);
+
+      const transaction = { type: 'burn', from: from, amount: amount };
+      if (burner) {
+        transaction.burner = burner;
+      }
+      const entry = this._recordTransaction(transaction, authorization);
+      this._emit(TokenEvents.BURN, entry, { from, amount, burner: burner || from });
+
+      return { success: true, tokenId: this.id, transactionId: entry.id };
+    } catch (error) {
+      console.error('Error burning tokens:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Burn tokens on behalf of their holder using an allowance
+   * The holder authorizes the burn beforehand through `approve`
+   * @param {string} spender - Address spending the allowance
+   * @param {string} from - Address whose tokens are destroyed
+   * @param {bigint|number|string} amount - Amount to burn in base units
+   * @param {Object} options - Signature options (signature, publicKey, nonce, expiry)
+   * @returns {Promise<Object>} Transaction result
+   */
+  async burnFrom(spender, from, amount, options = {}) {
+    try {
+      amount = this._toAmount(amount, 'Burn amount');
+      this._assertNotPoolShares('burnFrom');
+      const authorization = this._authorize('burnFrom', spender, { spender, from, amount }, options);
+      this._assertActive(spender, from);
+
+      const currentAllowance = this.allowance(from, spender);
+      if (currentAllowance < amount) {
+        throw new TokenError('Insufficient allowance');
+      }
+
+      this._checkRules({ type: 'burn', from, amount, spender });
+
+      this._destroy(from, amount);
+      this.allowances.get(from).set(spender, currentAllowance - amount);
+
+      const entry = this._recordTransaction({
+        type: 'burnFrom',
+        spender: spender,
+        from: from,
+        amount: amount
+      }, authorization);
+      this._emit(TokenEvents.BURN, entry, { from, spender, amount, burner: spender });
+
+      return { success: true, tokenId: this.id, transactionId: entry.id };
+    } catch (error) {
+      console.error('Error burning tokens from allowance:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Approve a spender to transfer tokens on behalf of an owner
+   * Like ERC-20, a new approval replaces the previous allowance
+   * @param {string} owner - Address whose tokens may be spent
+   * @param {string} spender - Address allowed to spend
+   * @param {bigint|number|string} amount - Allowance amount in base units
+   * @param {Object} options - Signature options (signature, publicKey, nonce, expiry)
+   * @returns {Promise<Object>} Transaction result
+   */
+  async approve(owner, spender, amount, options = {}) {
+    try {
+      amount = this._toAmount(amount, 'Allowance amount', true);
+      const authorization = this._authorize('approve', owner, { owner, spender, amount }, options);
+
+      // Approvals are subject to governance rules as well
+      this._checkRules({ type: 'approve', owner, spender, amount });
+
+      return this._setAllowance(owner, spender, amount, 'approve', authorization);
+    } catch (error) {
+      console.error('Error approving allowance:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Increase the allowance of a spender
+   * @param {string} owner - Address whose tokens may be spent
+   * @param {string} spender - Address allowed to spend
+   * @param {bigint|number|string} addedValue - Amount to add to the allowance
+   * @param {Object} options - Signature options (signature, publicKey, nonce, expiry)
+   * @returns {Promise<Object>} Transaction result
+   */
+  async increaseAllowance(owner, spender, addedValue, options = {}) {
+    try {
+      addedValue = this._toAmount(addedValue, 'Allowance amount', true);
+      const authorization = this._authorize('increaseAllowance', owner, { owner, spender, amount: addedValue }, options);
+
+      const amount = this.allowance(owner, spender) + addedValue;
+      this._checkRules({ type: 'approve', owner, spender, amount });
+
+      return this._setAllowance(owner, spender, amount, 'increaseAllowance', authorization);
+    } catch (error) {
+      console.error('Error increasing allowance:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Decrease the allowance of a spender
+   * @param {string} owner - Address whose tokens may be spent
+   * @param {string} spender - Address allowed to spend
+   * @param {bigint|number|string} subtractedValue - Amount to remove from the allowance
+   * @param {Object} options - Signature options (signature, publicKey, nonce, expiry)
+   * @returns {Promise<Object>} Transaction result
+   */
+  async decreaseAllowance(owner, spender, subtractedValue, options = {}) {
+    try {
+      subtractedValue = this._toAmount(subtractedValue, 'Allowance amount', true);
+      const authorization = this._authorize('decreaseAllowance', owner, { owner, spender, amount: subtractedValue }, options);
+
+      const current = this.allowance(owner, spender);
+      if (current < subtractedValue) {
+        throw new TokenError('Decreased allowance below zero');
+      }
+
+      const amount = current - subtractedValue;
+      this._checkRules({ type: 'approve', owner, spender, amount });
+
+      return this._setAllowance(owner, spender, amount, 'decreaseAllowance', authorization);
+    } catch (error) {
+      console.error('Error decreasing allowance:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the remaining amount a spender may transfer on behalf of an owner
+   * @param {string} owner - Address whose tokens may be spent
+   * @param {string} spender - Address allowed to spend
+   * @returns {bigint} Remaining allowance
+   */
+  allowance(owner, spender) {
+    const spenders = this.allowances.get(owner);
+    return (spenders && spenders.get(spender)) || BigInt(0);
+  }
+
+  /**
+   * Transfer tokens on behalf of an owner using an allowance
+   * @param {string} spender - Address spending the allowance
+   * @param {string} from - Source address (the owner)
+   * @param {string} to - Destination address
+   * @param {bigint|number|string} amount - Amount to transfer in base units
+   * @param {Object} options - Signature options (signature, publicKey, nonce, expiry)
+   * @returns {Promise<Object>} Transaction result
+   */
+  async transferFrom(spender, from, to, amount, options = {}) {
+    try {
+      amount = this._toAmount(amount);
+      const authorization = this._authorize('transferFrom', spender, { spender, from, to, amount }, options);
+      this._assertActive(spender, from, to);
+
+      if (from === to) {
+        throw new TokenError('Cannot transfer to the same address');
+      }
+
+      const currentAllowance = this.allowance(from, spender);
+      if (currentAllowance < amount) {
+        throw new TokenError('Insufficient allowance');
+      }
+
+      // A delegated transfer is still a transfer for the governance rules
+      this._checkRules({ type: 'transfer', from, to, amount, spender });
+
+      const quote = this._moveWithFee(from, to, amount);
+      this.allowances.get(from).set(spender, currentAllowance - amount);
+      this._assertSupplyInvariant();
+
+      const entry = this._recordTransaction({
+        type: 'transferFrom',
+        spender: spender,
+        from: from,
+        to: to,
+        amount: amount,
+        ...this._feeFields(quote)
+      }, authorization);
+      this._emit(TokenEvents.TRANSFER, entry, { from, to, spender, amount, fee: quote.fee, net: quote.net });
+
+      return {
+        success: true,
+        tokenId: this.id,
+        transactionId: entry.id,
+        gross: quote.gross,
+        fee: quote.fee,
+        net: quote.net
+      };
+    } catch (error) {
+      console.error('Error transferring tokens from allowance:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply a transfer intent signed by the user and submitted by a relayer
+   * The intent must carry the user's own signature, even on tokens that
+   * accept unsigned operations. The relayer fee is paid by the user on top
+   * of the transferred amount and is not subject to the transfer fee model.
+   * @param {Object} intent - Signed transfer intent (see intents.js)
+   * @param {string} [intent.signature] - User's signature over the intent
+   * @param {string} [intent.publicKey] - User's public key
+   * @param {Array<Object>} [intent.signatures] - Approvals when the user is a multisig account
+   * @param {string} relayer - Address submitting the intent and receiving the relayer fee
+   * @returns {Promise<Object>} Transaction result
+   */
+  async relayTransfer(intent, relayer) {
+    try {
+      const { from, to, signature, publicKey, signatures, nonce, expiry } = intent;
+
+      if (!relayer) {
+        throw new TokenError('Relayer address is required');
+      }
+      if (intent.relayer && intent.relayer !== relayer) {
+        throw new UnauthorizedError(`Unauthorized: intent may only be relayed by ${intent.relayer}`);
+      }
+
+      const amount = this._toAmount(intent.amount);
+      const relayerFee = this._toAmount(intent.relayerFee || 0, 'Relayer fee', true);
+      const fields = { from, to, amount, relayerFee, relayer: intent.relayer };
+
+      // Never the optional path of _authorize: the user signs even where unsigned operations pass
+      const multisig = this.multisigAccounts.get(from);
+      if (!multisig && !signature) {
+        throw new UnauthorizedError(`Unauthorized: transfer intents require a signature from ${from}`);
+      }
+      const authorization = multisig
+        ? this._authorizeMultisig(TRANSFER_INTENT, multisig, fields, { signatures, nonce, expiry })
+        : this._verifySignature(TRANSFER_INTENT, from, fields, { signature, publicKey, nonce, expiry });
+      this._assertActive(from, to, relayer);
+
+      if (from === to) {
+        throw new TokenError('Cannot transfer to the same address');
+      }
+
+      this._checkRules({ type: 'transfer', from, to, amount });
+
+      // The user pays the transfer and the relayer fee or neither
+      this._assertSpendable(from, amount + relayerFee);
+      const quote = this._moveWithFee(from, to, amount);
+      if (relayerFee > BigInt(0)) {
+        this._moveBalance(from, relayer, relayerFee);
+      }
+      this._assertSupplyInvariant();
+
+      const entry = this._recordTransaction({
+        type: 'relayedTransfer',
+        from,
+        to,
+        amount,
+        relayer,
+        relayerFee,
+        ...this._feeFields(quote)
+      }, authorization);
+      this._emit(TokenEvents.TRANSFER, entry, { from, to, amount, relayer, fee: quote.fee, net: quote.net });
+      if (relayerFee > BigInt(0)) {
+        this._emit(TokenEvents.TRANSFER, entry, { from, to: relayer, amount: relayerFee, relayer });
+      }
+
+      return {
+        success: true,
+        tokenId: this.id,
+        transactionId: entry.id,
+        intentHash: hashIntent({ ...intent, tokenId: this.id }),
+        relayer,
+        relayerFee,
+        gross: quote.gross,
+        fee: quote.fee,
+        net: quote.net
+      };
+    } catch (error) {
+      console.error('Error relaying transfer intent:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply a list of mint, transfer and burn operations all-or-nothing
+   * Every operation is checked against the same rules as its standalone
+   * counterpart and against the balances left by the operations before it.
+   * Nothing is applied unless all of them pass, and the whole batch is
+   * recorded as a single history entry signed once by the submitter.
+   * @param {Array<Object>} ops - Operations `{ type, from, to, amount }`; `from` defaults to the submitter
+   * @param {Object} options - Batch options
+   * @param {string} options.from - Address submitting the batch
+   * @param {string} [options.signature] - Signature over `{ from, operations }`
+   * @returns {Promise<Object>} Transaction result
+   */
+  async executeBatch(ops, options = {}) {
+    try {
+      const { from } = options;
+      if (!from) {
+        throw new TokenError('Batch submitter address is required');
+      }
+      if (!Array.isArray(ops) || ops.length === 0) {
+        throw new TokenError('A batch requires at least one operation');
+      }
+
+      const operations = ops.map((op, index) => this._normalizeBatchOperation(op, index, from));
+      const authorization = this._authorize('batch', from, { from, operations }, options);
+
+      // Work on copies so a failing operation leaves the ledger untouched
+      const balances = new Map(this.balances);
+      let totalSupply = this.state.totalSupply;
+      let batchFee = BigInt(0);
+
+      const debit = (address, amount) => {
+        const balance = balances.get(address) || BigInt(0);
+        if (balance < amount) {
+          throw new TokenError('Insufficient balance');
+        }
+        this._assertUnlocked(address, balance, amount);
+        balances.set(address, balance - amount);
+      };
+      const credit = (address, amount) => {
+        balances.set(address, (balances.get(address) || BigInt(0)) + amount);
+      };
+
+      operations.forEach((op, index) => {
+        try {
+          switch (op.type) {
+            case 'mint':
+              this._assertActive(op.to);
+              totalSupply += op.amount;
+              if (this.state.maxSupply !== null && totalSupply > this.state.maxSupply) {
+                throw new TokenError(`Mint would exceed max supply of ${this.state.maxSupply}`);
+              }
+              credit(op.to, op.amount);
+              break;
+            case 'transfer': {
+              this._assertActive(op.from, op.to);
+              this._checkRules(op);
+              const quote = this.previewFee(op.amount);
+              debit(op.from, op.amount);
+              credit(op.to, quote.net);
+              quote.splits.forEach(split => credit(split.address, split.amount));
+              batchFee += quote.fee;
+              break;
+            }
+            case 'burn':
+              this._assertActive(op.from);
+              this._checkRules(op);
+              debit(op.from, op.amount);
+              totalSupply -= op.amount;
+              break;
+          }
+        } catch (error) {
+          throw wrapError(`Batch operation ${index} (${op.type}) failed`, error);
+        }
+      });
+
+      // Every operation passed, apply them together
+      balances.forEach((balance, address) => {
+        if (balance !== (this.balances.get(address) || BigInt(0))) {
+          this._setBalance(address, balance);
+        }
+      });
+      this._setTotalSupply(totalSupply);
+      this._assertSupplyInvariant();
+
+      const transaction = { type: 'batch', from: from, operations: operations };
+      if (this.feeModel) {
+        transaction.fee = batchFee;
+      }
+      const entry = this._recordTransaction(transaction, authorization);
+      operations.forEach(op => this._emitBatchOperation(entry, from, op));
+
+      return {
+        success: true,
+        tokenId: this.id,
+        transactionId: entry.id,
+        operations: operations.length
+      };
+    } catch (error) {
+      console.error('Error executing batch:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Grant tokens that unlock over time
+   * The amount moves to the beneficiary at once but stays locked until released
+   * @param {string} grantor - Address granting the tokens
+   * @param {string} beneficiary - Address receiving the tokens
+   * @param {bigint|number|string} amount - Amount to vest in base units
+   * @param {Object} schedule - Schedule timing (see vesting.js)
+   * @param {Object} options - Signature options (signature, publicKey, nonce, expiry)
+   * @returns {Promise<Object>} Transaction result with the schedule ID
+   */
+  async createVestingSchedule(grantor, beneficiary, amount, schedule = {}, options = {}) {
+    try {
+      amount = this._toAmount(amount, 'Vesting amount');
+      const timing = vesting.normalizeSchedule(schedule);
+      const authorization = this._authorize('createVesting', grantor, {
+        grantor,
+        beneficiary,
+        amount,
+        ...timing
+      }, options);
+      this._assertActive(grantor, beneficiary);
+
+      if (grantor === beneficiary) {
+        throw new TokenError('Cannot vest tokens to the same address');
+      }
+
+      this._checkRules({ type: 'transfer', from: grantor, to: beneficiary, amount });
+
+      this._moveBalance(grantor, beneficiary, amount);
+      this._assertSupplyInvariant();
+
+      const scheduleId = String(this.vestingSchedules.length);
+      this.vestingSchedules.push({
+        id: scheduleId,
+        grantor,
+        beneficiary,
+        total: amount,
+        released: BigInt(0),
+        ...timing,
+        revokedAt: null
+      });
+
+      const entry = this._recordTransaction({
+        type: 'createVesting',
+        from: grantor,
+        to: beneficiary,
+        amount,
+        scheduleId
+      }, authorization);
+
+      return { success: true, tokenId: this.id, transactionId: entry.id, scheduleId };
+    } catch (error) {
+      console.error('Error creating vesting schedule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the amount of vested tokens that a beneficiary can release
+   * @param {string} address - Beneficiary address
+   * @returns {bigint} Releasable amount
+   */
+  releasable(address) {
+    const now = this.clock();
+    return this._schedulesOf(address).reduce(
+      (total, schedule) => total + vesting.vestedAmount(schedule, now) - schedule.released,
+      BigInt(0)
+    );
+  }
+
+  /**
+   * Unlock all vested tokens of a beneficiary
+   * Anyone may trigger a release; it only unlocks what has already vested,
+   * and not while the token is paused or the beneficiary is frozen
+   * @param {string} beneficiary - Beneficiary address
+   * @returns {Promise<Object>} Transaction result with the released amount
+   */
+  async release(beneficiary) {
+    try {
+      this._assertActive(beneficiary);
+      const now = this.clock();
+      let amount = BigInt(0);
+
+      for (const schedule of this._schedulesOf(beneficiary)) {
+        const due = vesting.vestedAmount(schedule, now) - schedule.released;
+        schedule.released += due;
+        amount += due;
+      }
+
+      if (amount === BigInt(0)) {
+        throw new TokenError('No vested tokens to release');
+      }
+
+      const entry = this._recordTransaction({
+        type: 'release',
+        to: beneficiary,
+        amount
+      });
+
+      return { success: true, tokenId: this.id, transactionId: entry.id, amount };
+    } catch (error) {
+      console.error('Error releasing vested tokens:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a vesting schedule and return its unvested tokens to the grantor
+   * Tokens vested before the revocation remain releasable by the beneficiary
+   * @param {string} grantor - Address that granted the schedule
+   * @param {string} scheduleId - Schedule ID
+   * @param {Object} options - Signature options (signature, publicKey, nonce, expiry)
+   * @returns {Promise<Object>} Transaction result with the returned amount
+   */
+  async revokeVesting(grantor, scheduleId, options = {}) {
+    try {
+      const schedule = this.vestingSchedules.find(item => item.id === String(scheduleId));
+      if (!schedule) {
+        throw new NotFoundError(`Vesting schedule does not exist: ${scheduleId}`);
+      }
+
+      const authorization = this._authorize('revokeVesting', grantor, { grantor, scheduleId: schedule.id }, options);
+
+      if (schedule.grantor !== grantor) {
+        throw new UnauthorizedError('Unauthorized: Only the grantor can revoke a vesting schedule');
+      }
+      if (!schedule.revocable) {
+        throw new TokenError('Vesting schedule is not revocable');
+      }
+      if (schedule.revokedAt !== null) {
+        throw new TokenError('Vesting schedule already revoked');
+      }
+
+      const now = this.clock();
+      const unvested = schedule.total - vesting.vestedAmount(schedule, now);
+
+      // Shrink the schedule first so the returned tokens are no longer locked
+      schedule.total -= unvested;
+      schedule.revokedAt = now;
+      if (unvested > BigInt(0)) {
+        this._moveBalance(schedule.beneficiary, grantor, unvested);
+      }
+      this._assertSupplyInvariant();
+
+      const entry = this._recordTransaction({
+        type: 'revokeVesting',
+        from: schedule.beneficiary,
+        to: grantor,
+        amount: unvested,
+        scheduleId: schedule.id
+      }, authorization);
+
+      return { success: true, tokenId: this.id, transactionId: entry.id, amount: unvested };
+    } catch (error) {
+      console.error('Error revoking vesting schedule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the vesting schedules of a beneficiary with their current progress
+   * @param {string} address - Beneficiary address
+   * @returns {Array<Object>} Schedules with vested, releasable and locked amounts
+   */
+  getVestingSchedules(address) {
+    const now = this.clock();
+    return this._schedulesOf(address).map(schedule => {
+      const vested = vesting.vestedAmount(schedule, now);
+      return {
+        ...schedule,
+        vested,
+        releasable: vested - schedule.released,
+        locked: schedule.total - schedule.released
+      };
+    });
+  }
+
+  /**
+   * Get the locked part of an address's balance
+   * @param {string} address - Account address
+   * @returns {bigint} Locked amount
+   */
+  lockedBalanceOf(address) {
+    return this._schedulesOf(address).reduce(
+      (total, schedule) => total + schedule.total - schedule.released,
+      BigInt(0)
+    );
+  }
+
+  /**
+   * Lock tokens for a recipient under a hashlock and a timelock
+   * The recipient's side claims with the preimage before the timelock;
+   * afterwards the sender can take a refund
+   * @param {string} sender - Address locking the tokens
+   * @param {string} recipient - Address that may receive the tokens
+   * @param {bigint|number|string} amount - Amount to lock in base units
+   * @param {Object} lock - Lock conditions
+   * @param {string} lock.hashlock - sha256 hex digest of the secret preimage
+   * @param {number} lock.timelock - Expiry timestamp in milliseconds
+   * @param {Object} options - Signature options (signature, publicKey, nonce, expiry)
+   * @returns {Promise<Object>} Transaction result with the escrow ID
+   */
+  async lockEscrow(sender, recipient, amount, lock = {}, options = {}) {
+    try {
+      amount = this._toAmount(amount, 'Escrow amount');
+      const { hashlock } = lock;
+      const timelock = Number(lock.timelock);
+      const authorization = this._authorize('lockEscrow', sender, {
+        from: sender,
+        to: recipient,
+        amount,
+        hashlock,
+        timelock
+      }, options);
+      this._assertActive(sender, recipient);
+
+      this._checkRules({ type: 'transfer', from: sender, to: recipient, amount });
+      this._assertSpendable(sender, amount);
+
+      const operation = {
+        type: 'lockEscrow',
+        escrowId: `${this.id}:escrow:${Object.keys(this.escrowMachine.state.escrows).length}`,
+        from: sender,
+        to: recipient,
+        amount,
+        hashlock,
+        timelock,
+        at: this.clock()
+      };
+      this._processEscrow(operation);
+
+      // Escrowed tokens leave the sender but remain part of the supply
+      this._setBalance(sender, this.balances.get(sender) - amount);
+      this._assertSupplyInvariant();
+
+      const entry = this._recordTransaction(operation, authorization);
+
+      return { success: true, tokenId: this.id, transactionId: entry.id, escrowId: operation.escrowId };
+    } catch (error) {
+      console.error('Error locking escrow:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim an escrow for its recipient by revealing the preimage
+   * @param {string} escrowId - Escrow ID
+   * @param {string} preimage - Secret whose sha256 matches the hashlock
+   * @returns {Promise<Object>} Transaction result
+   */
+  async claimEscrow(escrowId, preimage) {
+    try {
+      const { recipient, amount } = this.getEscrow(escrowId);
+      this._assertActive(recipient);
+      const operation = {
+        type: 'claimEscrow',
+        escrowId,
+        to: recipient,
+        amount,
+        preimage: String(preimage),
+        at: this.clock()
+      };
+      this._processEscrow(operation);
+
+      this._setBalance(recipient, (this.balances.get(recipient) || BigInt(0)) + amount);
+      this._assertSupplyInvariant();
+
+      const entry = this._recordTransaction(operation);
+
+      return { success: true, tokenId: this.id, transactionId: entry.id, escrowId };
+    } catch (error) {
+      console.error('Error claiming escrow:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Return an expired escrow to its sender
+   * @param {string} escrowId - Escrow ID
+   * @returns {Promise<Object>} Transaction result
+   */
+  async refundEscrow(escrowId) {
+    try {
+      const { sender, amount } = this.getEscrow(escrowId);
+      this._assertActive(sender);
+      const operation = {
+        type: 'refundEscrow',
+        escrowId,
+        to: sender,
+        amount,
+        at: this.clock()
+      };
+      this._processEscrow(operation);
+
+      this._setBalance(sender, (this.balances.get(sender) || BigInt(0)) + amount);
+      this._assertSupplyInvariant();
+
+      const entry = this._recordTransaction(operation);
+
+      return { success: true, tokenId: this.id, transactionId: entry.id, escrowId };
+    } catch (error) {
+      console.error('Error refunding escrow:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an escrow
+   * @param {string} escrowId - Escrow ID
+   * @returns {Object} Escrow with its amount in base units
+   */
+  getEscrow(escrowId) {
+    const item = this.escrowMachine.state.escrows[escrowId];
+    if (!item) {
+      throw new NotFoundError(`Escrow does not exist: ${escrowId}`);
+    }
+    return { ...item, amount: BigInt(item.amount) };
+  }
+
+  /**
+   * Check that replaying the escrow history reproduces the escrow state
+   * @returns {Promise<boolean>} Whether the replay matches
+   */
+  async verifyEscrows() {
+    const replayed = escrow.replayEscrows(this.transactionHistory);
+    return blocks.computeStateRoot(replayed) === blocks.computeStateRoot(this.escrowMachine.getCurrentState());
+  }
+
+  /**
+   * Distribute an amount from an account to every holder pro rata
+   * Shares follow the balances at the time of the call; the distributor,
+   * frozen accounts and `options.exclude` take no part. The payouts are
+   * listed in a report stored in Helia before any holder is credited.
+   * Distributions move no fees.
+   * @param {string} from - Address paying the distribution
+   * @param {bigint|number|string} amount - Total amount in base units
+   * @param {Object} options - Distribution and signature options
+   * @param {string} [options.mode] - 'push' credits every holder, 'pull' lets them claim
+   * @param {Array<string>} [options.exclude] - Addresses left out of the distribution
+   * @returns {Promise<Object>} Transaction result with the distribution ID and report CID
+   */
+  async distribute(from, amount, options = {}) {
+    let distribution = null;
+    let recorded = false;
+    const paid = [];
+    try {
+      amount = this._toAmount(amount, 'Distribution amount');
+      const mode = options.mode || distributions.DistributionModes.PUSH;
+      if (!Object.values(distributions.DistributionModes).includes(mode)) {
+        throw new TokenError(`Unknown distribution mode: ${mode}`);
+      }
+      const exclude = options.exclude || [];
+      const authorization = this._authorize('distribute', from, {
+        from,
+        amount,
+        mode,
+        exclude: exclude.length > 0 ? exclude : undefined
+      }, options);
+      this._assertActive(from);
+
+      this._checkRules({ type: 'distribute', from, amount });
+      this._assertSpendable(from, amount);
+
+      const holdings = Array.from(this.balances.entries()).filter(([address, balance]) =>
+        balance > BigInt(0) && address !== from &&
+        !this.frozenAccounts.has(address) && !exclude.includes(address)
+      );
+      distribution = {
+        id: `${this.id}:distribution:${this.distributions.length}`,
+        tokenId: this.id,
+        from,
+        mode,
+        total: amount,
+        remaining: amount,
+        payouts: distributions.allocatePayouts(amount, holdings),
+        claimed: new Set(),
+        reportCid: null,
+        createdAt: this.clock()
+      };
+
+      // The total is reserved before the report is stored so balances cannot change underneath it
+      this._setBalance(from, this.balances.get(from) - amount);
+      this.distributions.push(distribution);
+      this._assertSupplyInvariant();
+
+      const report = distributions.createReport(distribution);
+      const reportCid = await this.storage.addBytes(new TextEncoder().encode(JSON.stringify(report)));
+      distribution.reportCid = reportCid.toString();
+
+      if (mode === distributions.DistributionModes.PUSH) {
+        distribution.payouts.forEach(payout => {
+          this._payOut(distribution, payout);
+          paid.push(payout);
+        });
+      }
+      this._assertSupplyInvariant();
+
+      const entry = this._recordTransaction({
+        type: 'distribution',
+        from,
+        amount,
+        mode,
+        distributionId: distribution.id,
+        holders: distribution.payouts.length,
+        reportCid: distribution.reportCid
+      }, authorization);
+      recorded = true;
+      if (mode === distributions.DistributionModes.PUSH) {
+        distribution.payouts.forEach(payout => {
+          this._emit(TokenEvents.TRANSFER, entry, {
+            from, to: payout.address, amount: payout.amount, distributionId: distribution.id
+          });
+        });
+      }
+
+      return {
+        success: true,
+        tokenId: this.id,
+        transactionId: entry.id,
+        distributionId: distribution.id,
+        reportCid: distribution.reportCid,
+        holders: distribution.payouts.length
+      };
+    } catch (error) {
+      // Take back the payouts made so far and release the reservation unless the distribution was recorded;
+      // balances are written directly so snapshots taken meanwhile get no checkpoints of the undone values
+      if (!recorded && distribution && this.distributions.includes(distribution)) {
+        paid.forEach(payout => this.balances.set(payout.address, this.balances.get(payout.address) - payout.amount));
+        this.distributions.pop();
+        this.balances.set(from, this.balances.get(from) + distribution.total);
+      }
+      console.error('Error distributing tokens:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim a holder's payout from a pull distribution
+   * @param {string} distributionId - Distribution ID
+   * @param {string} address - Holder address
+   * @returns {Promise<Object>} Transaction result
+   */
+  async claimDistribution(distributionId, address) {
+    try {
+      const distribution = this._getDistribution(distributionId);
+      if (distribution.mode !== distributions.DistributionModes.PULL) {
+        throw new TokenError(`Distribution ${distributionId} was paid out directly`);
+      }
+      const payout = distribution.payouts.find(item => item.address === address);
+      if (!payout) {
+        throw new TokenError(`No payout for ${address} in distribution ${distributionId}`);
+      }
+      if (distribution.claimed.has(address)) {
+        throw new TokenError(`Payout already claimed by ${address}`);
+      }
+      this._assertActive(address);
+
+      this._payOut(distribution, payout);
+      this._assertSupplyInvariant();
+
+      const entry = this._recordTransaction({
+        type: 'claimDistribution',
+        distributionId,
+        to: address,
+        amount: payout.amount
+      });
+      this._emit(TokenEvents.TRANSFER, entry, {
+        from: distribution.from, to: address, amount: payout.amount, distributionId
+      });
+
+      return { success: true, tokenId: this.id, transactionId: entry.id, distributionId, amount: payout.amount };
+    } catch (error) {
+      console.error('Error claiming distribution:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a distribution with its payouts
+   * @param {string} distributionId - Distribution ID
+   * @returns {Object} Distribution with the addresses paid so far as `claimed`
+   */
+  getDistribution(distributionId) {
+    const distribution = this._getDistribution(distributionId);
+    return {
+      ...distribution,
+      payouts: distribution.payouts.map(payout => ({ ...payout })),
+      claimed: Array.from(distribution.claimed)
+    };
+  }
+
+  /**
+   * Get the unclaimed payouts of a holder across pull distributions
+   * @param {string} address - Holder address
+   * @returns {Array<Object>} Claimable payouts `{ distributionId, amount }`
+   */
+  getClaimableDistributions(address) {
+    return this.distributions
+      .filter(distribution => distribution.mode === distributions.DistributionModes.PULL &&
+        !distribution.claimed.has(address))
+      .map(distribution => ({
+        distributionId: distribution.id,
+        payout: distribution.payouts.find(item => item.address === address)
+      }))
+      .filter(({ payout }) => payout && payout.amount > BigInt(0))
+      .map(({ distributionId, payout }) => ({ distributionId, amount: payout.amount }));
+  }
+
+  /**
+   * Mint the emissions that have come due under the emission schedule
+   * Anyone may trigger an emission; the schedule decides the recipients.
+   * Emissions the supply cap leaves no room for stay due until there is.
+   * @returns {Promise<Object>} Transaction result with the emitted amount and its splits
+   */
+  async emitScheduled() {
+    try {
+      const schedule = this.emissionSchedule;
+      if (!schedule) {
+        throw new TokenError('Token has no emission schedule');
+      }
+
+      const now = this.clock();
+      let amount = emission.scheduledEmission(schedule, now) - this.emitted;
+      if (amount <= BigInt(0)) {
+        throw new TokenError('No scheduled emission is due');
+      }
+      if (this.state.maxSupply !== null && this.state.totalSupply + amount > this.state.maxSupply) {
+        amount = this.state.maxSupply - this.state.totalSupply;
+        if (amount <= BigInt(0)) {
+          throw new TokenError(`Scheduled emission would exceed max supply of ${this.state.maxSupply}`);
+        }
+      }
+
+      const splits = emission.splitEmission(schedule, amount);
+      this._assertActive(...splits.map(split => split.address));
+
+      splits.forEach(split => {
+        this._setBalance(split.address, (this.balances.get(split.address) || BigInt(0)) + split.amount);
+      });
+      this._setTotalSupply(this.state.totalSupply + amount);
+      this.emitted += amount;
+      this._assertSupplyInvariant();
+
+      const entry = this._recordTransaction({
+        type: 'emission',
+        amount,
+        emitted: this.emitted,
+        splits,
+        at: now
+      });
+      splits.forEach(split => {
+        this._emit(TokenEvents.MINT, entry, { to: split.address, amount: split.amount, emission: true });
+      });
+
+      return {
+        success: true,
+        tokenId: this.id,
+        transactionId: entry.id,
+        amount,
+        splits,
+        totalSupply: this.state.totalSupply
+      };
+    } catch (error) {
+      console.error('Error emitting scheduled tokens:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Preview the total supply at future points in time
+   * Assumes the due emissions are minted and nothing else mints or burns
+   * @param {Array<number>} timestamps - Timestamps in milliseconds
+   * @returns {Array<Object>} Points `{ timestamp, emitted, totalSupply }`
+   */
+  previewSupply(timestamps) {
+    return timestamps.map(value => {
+      const timestamp = Number(value);
+      if (!Number.isFinite(timestamp)) {
+        throw new TokenError(`Invalid preview timestamp: ${value}`);
+      }
+
+      const emitted = this.emissionSchedule
+        ? emission.scheduledEmission(this.emissionSchedule, timestamp)
+        : BigInt(0);
+      const pending = emitted > this.emitted ? emitted - this.emitted : BigInt(0);
+      let totalSupply = this.state.totalSupply + pending;
+      if (this.state.maxSupply !== null && totalSupply > this.state.maxSupply) {
+        totalSupply = this.state.maxSupply;
+      }
+
+      return { timestamp, emitted, totalSupply };
+    });
+  }
+
+  /**
+   * Get the emission schedule and how much it has minted
+   * @returns {Object|null} Schedule with `emitted`, or null without a schedule
+   */
+  getEmissionSchedule() {
+    if (!this.emissionSchedule) {
+      return null;
+    }
+    return { ...this.emissionSchedule, emitted: this.emitted };
+  }
+
+  /**
+   * Set the staking reward rate and unbonding period
+   * @param {Object} params - Staking parameters
+   * @param {bigint|number|string} params.rewardRate - Reward in base units per second, shared by all stakers
+   * @param {number} params.unbondingPeriod - Milliseconds before unstaked tokens can be withdrawn
+   * @param {Object} options - Signature options
+   * @param {string} options.from - Address holding RULE_ADMIN
+   * @returns {Promise<Object>} Transaction result
+   */
+  async configureStaking(params = {}, options = {}) {
+    try {
+      const { from } = options;
+      this._requireRole(Roles.RULE_ADMIN, from, 'configureStaking');
+      const rewardRate = this._toAmount(params.rewardRate || 0, 'Reward rate', true);
+      const unbondingPeriod = Number(params.unbondingPeriod || 0);
+      const authorization = this._authorize('configureStaking', from, { from, rewardRate, unbondingPeriod }, options);
+
+      this.stakingPool.configure({ rewardRate, unbondingPeriod }, this.clock());
+
+      const entry = this._recordTransaction({
+        type: 'configureStaking',
+        actor: from,
+        rewardRate,
+        unbondingPeriod
+      }, authorization);
+
+      return { success: true, tokenId: this.id, transactionId: entry.id };
+    } catch (error) {
+      console.error('Error configuring staking:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add tokens to the staking reward pool
+   * @param {string} from - Address funding the rewards
+   * @param {bigint|number|string} amount - Amount in base units
+   * @param {Object} options - Signature options (signature, publicKey, nonce, expiry)
+   * @returns {Promise<Object>} Transaction result
+   */
+  async fundStakingRewards(from, amount, options = {}) {
+    try {
+      amount = this._toAmount(amount, 'Reward amount');
+      const authorization = this._authorize('fundStakingRewards', from, { from, amount }, options);
+      this._assertActive(from);
+      this._assertSpendable(from, amount);
+
+      this.stakingPool.fund(amount, this.clock());
+      this._setBalance(from, this.balances.get(from) - amount);
+      this._assertSupplyInvariant();
+
+      const entry = this._recordTransaction({ type: 'fundStakingRewards', from, amount }, authorization);
+
+      return { success: true, tokenId: this.id, transactionId: entry.id };
+    } catch (error) {
+      console.error('Error funding staking rewards:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stake tokens; they leave the spendable balance until unstaked and withdrawn
+   * @param {string} address - Staker address
+   * @param {bigint|number|string} amount - Amount in base units
+   * @param {Object} options - Signature options (signature, publicKey, nonce, expiry)
+   * @returns {Promise<Object>} Transaction result
+   */
+  async stake(address, amount, options = {}) {
+    try {
+      amount = this._toAmount(amount, 'Stake amount');
+      const authorization = this._authorize('stake', address, { from: address, amount }, options);
+      this._assertActive(address);
+
+      this._checkRules({ type: 'stake', from: address, amount });
+      this._assertSpendable(address, amount);
+
+      this.stakingPool.stake(address, amount, this.clock());
+      this._setBalance(address, this.balances.get(address) - amount);
+      this._assertSupplyInvariant();
+
+      const entry = this._recordTransaction({ type: 'stake', from: address, amount }, authorization);
+
+      return {
+        success: true,
+        tokenId: this.id,
+        transactionId: entry.id,
+        staked: this.stakingPool.stakedOf(address)
+      };
+    } catch (error) {
+      console.error('Error staking tokens:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Unstake tokens; they can be withdrawn once the unbonding period has passed
+   * @param {string} address - Staker address
+   * @param {bigint|number|string} amount - Amount in base units
+   * @param {Object} options - Signature options (signature, publicKey, nonce, expiry)
+   * @returns {Promise<Object>} Transaction result with the release time
+   */
+  async unstake(address, amount, options = {}) {
+    try {
+      amount = this._toAmount(amount, 'Unstake amount');
+      const authorization = this._authorize('unstake', address, { from: address, amount }, options);
+      this._assertActive(address);
+
+      const unbonding = this.stakingPool.unstake(address, amount, this.clock());
+      this._assertSupplyInvariant();
+
+      const entry = this._recordTransaction({
+        type: 'unstake',
+        from: address,
+        amount,
+        unbondingId: unbonding.id,
+        releaseAt: unbonding.releaseAt
+      }, authorization);
+
+      return {
+        success: true,
+        tokenId: this.id,
+        transactionId: entry.id,
+        releaseAt: unbonding.releaseAt
+      };
+    } catch (error) {
+      console.error('Error unstaking tokens:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Return unstaked tokens whose unbonding period has passed to the staker
+   * @param {string} address - Staker address
+   * @returns {Promise<Object>} Transaction result with the withdrawn amount
+   */
+  async withdrawUnstaked(address) {
+    try {
+      this._assertActive(address);
+
+      const amount = this.stakingPool.withdraw(address, this.clock());
+      if (amount === BigInt(0)) {
+        throw new TokenError('No unbonded tokens to withdraw');
+      }
+      this._setBalance(address, (this.balances.get(address) || BigInt(0)) + amount);
+      this._assertSupplyInvariant();
+
+      const entry = this._recordTransaction({ type: 'withdrawUnstaked', to: address, amount });
+
+      return { success: true, tokenId: this.id, transactionId: entry.id, amount };
+    } catch (error) {
+      console.error('Error withdrawing unstaked tokens:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pay a staker the rewards accrued so far
+   * @param {string} address - Staker address
+   * @returns {Promise<Object>} Transaction result with the claimed amount
+   */
+  async claimRewards(address) {
+    try {
+      this._assertActive(address);
+
+      const amount = this.stakingPool.claim(address, this.clock());
+      if (amount === BigInt(0)) {
+        throw new TokenError('No staking rewards to claim');
+      }
+      this._setBalance(address, (this.balances.get(address) || BigInt(0)) + amount);
+      this._assertSupplyInvariant();
+
+      const entry = this._recordTransaction({ type: 'claimRewards', to: address, amount });
+
+      return { success: true, tokenId: this.id, transactionId: entry.id, amount };
+    } catch (error) {
+      console.error('Error claiming staking rewards:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the staked balance of an address
+   * @param {string} address - Staker address
+   * @returns {bigint} Staked amount, excluding unbonding tokens
+   */
+  stakedBalanceOf(address) {
+    return this.stakingPool.stakedOf(address);
+  }
+
+  /**
+   * Get the staking position of an address
+   * @param {string} address - Staker address
+   * @returns {Object} Staked amount, claimable rewards, unbonding entries and withdrawable amount
+   */
+  getStakingInfo(address) {
+    const now = this.clock();
+    return {
+      staked: this.stakingPool.stakedOf(address),
+      pendingRewards: this.stakingPool.pendingRewardsOf(address, now),
+      unbonding: this.stakingPool.unbondingOf(address),
+      withdrawable: this.stakingPool.withdrawableOf(address, now),
+      rewardRate: this.stakingPool.rewardRate,
+      rewardPool: this.stakingPool.rewardPool,
+      totalStaked: this.stakingPool.totalStaked
+    };
+  }
+
+  /**
+   * Offer tokens of this ledger in exchange for tokens of another
+   * The offered amount is escrowed until the offer is filled or cancelled
+   * @param {string} maker - Address making the offer
+   * @param {bigint|number|string} sellAmount - Amount offered in base units of this token
+   * @param {string} buyTokenId - Token asked in exchange
+   * @param {bigint|number|string} buyAmount - Amount asked in base units of the buy token
+   * @param {Object} options - Signature options (signature, publicKey, nonce, expiry)
+   * @returns {Promise<Object>} Transaction result with the offer ID
+   */
+  async createSwapOffer(maker, sellAmount, buyTokenId, buyAmount, options = {}) {
+    try {
+      sellAmount = this._toAmount(sellAmount, 'Offered amount');
+      buyAmount = this._toAmount(buyAmount, 'Asked amount');
+      if (!buyTokenId || buyTokenId === this.id) {
+        throw new TokenError('A swap offer must ask for a different token');
+      }
+      const authorization = this._authorize('createSwapOffer', maker, {
+        from: maker,
+        amount: sellAmount,
+        buyTokenId,
+        buyAmount
+      }, options);
+      this._assertActive(maker);
+
+      this._checkRules({ type: 'swap', from: maker, amount: sellAmount });
+      this._assertSpendable(maker, sellAmount);
+
+      const offer = {
+        id: `${this.id}:swap:${this.swapOffers.length}`,
+        maker,
+        sellTokenId: this.id,
+        sellAmount,
+        buyTokenId,
+        buyAmount,
+        remaining: sellAmount,
+        paid: BigInt(0),
+        status: swaps.SwapStatus.OPEN,
+        createdAt: this.clock()
+      };
+
+      // Offered tokens leave the maker but remain part of the supply
+      this._setBalance(maker, this.balances.get(maker) - sellAmount);
+      this.swapOffers.push(offer);
+      this._assertSupplyInvariant();
+
+      const entry = this._recordTransaction({
+        type: 'createSwapOffer',
+        from: maker,
+        amount: sellAmount,
+        buyTokenId,
+        buyAmount,
+        offerId: offer.id
+      }, authorization);
+
+      return { success: true, tokenId: this.id, transactionId: entry.id, offerId: offer.id };
+    } catch (error) {
+      console.error('Error creating swap offer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fill an offer of this ledger fully or in part
+   * The taker pays the maker on the buy ledger and receives the offered
+   * tokens here; both sides, including the rules of both tokens, are
+   * checked before either is applied.
+   * @param {string} offerId - Offer ID
+   * @param {string} taker - Address filling the offer
+   * @param {bigint|number|string} amount - Amount of this token to take in base units
+   * @param {TokenLedger} buyLedger - Ledger of the token the offer asks for
+   * @param {Object} options - Signature options of the taker (signature, publicKey, nonce, expiry)
+   * @returns {Promise<Object>} Transaction result with the payment and the amount left in the offer
+   */
+  async fillSwapOffer(offerId, taker, amount, buyLedger, options = {}) {
+    try {
+      const offer = this._getSwapOffer(offerId);
+      if (offer.status !== swaps.SwapStatus.OPEN) {
+        throw new TokenError(`Swap offer ${offerId} is already ${offer.status}`);
+      }
+      if (!buyLedger || buyLedger.id !== offer.buyTokenId) {
+        throw new TokenError(`Swap offer ${offerId} is paid in ${offer.buyTokenId}`);
+      }
+      if (taker === offer.maker) {
+        throw new TokenError('A maker cannot fill their own swap offer');
+      }
+      amount = this._toAmount(amount, 'Fill amount');
+      const payment = swaps.quoteFill(offer, amount);
+      if (payment === BigInt(0)) {
+        throw new TokenError('Fill amount is too small to require a payment');
+      }
+
+      // The taker signs on the ledger it pays from
+      const authorization = buyLedger._authorize('fillSwapOffer', taker, {
+        from: taker,
+        offerId,
+        amount
+      }, options);
+      this._assertActive(taker, offer.maker);
+      this._checkRules({ type: 'transfer', from: offer.maker, to: taker, amount });
+      buyLedger._assertActive(taker, offer.maker);
+      buyLedger._checkRules({ type: 'transfer', from: taker, to: offer.maker, amount: payment });
+      buyLedger._assertSpendable(taker, payment);
+
+      // Both sides passed, apply them together
+      buyLedger._moveBalance(taker, offer.maker, payment);
+      buyLedger._assertSupplyInvariant();
+      offer.remaining -= amount;
+      offer.paid += payment;
+      if (offer.remaining === BigInt(0)) {
+        offer.status = swaps.SwapStatus.FILLED;
+      }
+      this._setBalance(taker, (this.balances.get(taker) || BigInt(0)) + amount);
+      this._assertSupplyInvariant();
+
+      const paymentEntry = buyLedger._recordTransaction({
+        type: 'swapPayment',
+        from: taker,
+        to: offer.maker,
+        amount: payment,
+        offerId
+      }, authorization);
+      const entry = this._recordTransaction({
+        type: 'fillSwapOffer',
+        offerId,
+        to: taker,
+        amount,
+        payment,
+        paymentTransactionId: paymentEntry.id
+      });
+      buyLedger._emit(TokenEvents.TRANSFER, paymentEntry, { from: taker, to: offer.maker, amount: payment, offerId });
+      this._emit(TokenEvents.TRANSFER, entry, { from: offer.maker, to: taker, amount, offerId });
+
+      return {
+        success: true,
+        tokenId: this.id,
+        transactionId: entry.id,
+        paymentTransactionId: paymentEntry.id,
+        offerId,
+        amount,
+        payment,
+        remaining: offer.remaining
+      };
+    } catch (error) {
+      console.error('Error filling swap offer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel an offer and return its unfilled tokens to the maker
+   * @param {string} offerId - Offer ID
+   * @param {Object} options - Signature options
+   * @param {string} options.from - Maker of the offer
+   * @returns {Promise<Object>} Transaction result with the refunded amount
+   */
+  async cancelSwapOffer(offerId, options = {}) {
+    try {
+      const { from } = options;
+      const offer = this._getSwapOffer(offerId);
+      if (from !== offer.maker) {
+        throw new UnauthorizedError(`Unauthorized: only the maker may cancel swap offer ${offerId}`);
+      }
+      if (offer.status !== swaps.SwapStatus.OPEN) {
+        throw new TokenError(`Swap offer ${offerId} is already ${offer.status}`);
+      }
+      const authorization = this._authorize('cancelSwapOffer', from, { from, offerId }, options);
+      this._assertActive(from);
+
+      const refund = offer.remaining;
+      offer.remaining = BigInt(0);
+      offer.status = swaps.SwapStatus.CANCELLED;
+      this._setBalance(from, (this.balances.get(from) || BigInt(0)) + refund);
+      this._assertSupplyInvariant();
+
+      const entry = this._recordTransaction({ type: 'cancelSwapOffer', to: from, amount: refund, offerId }, authorization);
+
+      return { success: true, tokenId: this.id, transactionId: entry.id, offerId, amount: refund };
+    } catch (error) {
+      console.error('Error cancelling swap offer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a swap offer selling this token
+   * @param {string} offerId - Offer ID
+   * @returns {Object} Swap offer with its amounts in base units
+   */
+  getSwapOffer(offerId) {
+    return { ...this._getSwapOffer(offerId) };
+  }
+
+  /**
+   * Get the swap offers selling this token
+   * @param {Object} [filter] - Offer filter
+   * @param {string} [filter.status] - Only offers with this status
+   * @param {string} [filter.maker] - Only offers of this maker
+   * @param {string} [filter.buyTokenId] - Only offers asking for this token
+   * @returns {Array<Object>} Swap offers in creation order
+   */
+  getSwapOffers(filter = {}) {
+    return this.swapOffers
+      .filter(offer => (!filter.status || offer.status === filter.status) &&
+        (!filter.maker || offer.maker === filter.maker) &&
+        (!filter.buyTokenId || offer.buyTokenId === filter.buyTokenId))
+      .map(offer => ({ ...offer }));
+  }
+
+  /**
+   * Deposit both tokens of the pool of this LP token and receive shares
+   * Amounts beyond the pool ratio are left with the provider
+   * @param {string} provider - Address depositing the tokens
+   * @param {bigint|number|string} amountA - Most of the pool's first token to deposit
+   * @param {bigint|number|string} amountB - Most of the pool's second token to deposit
+   * @param {Array<TokenLedger>} ledgers - Ledgers of both pool tokens
+   * @param {Object} options - Signature options of the provider
+   * @param {bigint|number|string} [options.minShares] - Fewest shares the provider accepts
+   * @param {Object} [options.authorizations] - Signature options of the provider on each pool token's ledger, by token ID
+   * @returns {Promise<Object>} Transaction result with the deposited amounts and issued shares
+   */
+  async addLiquidity(provider, amountA, amountB, ledgers, options = {}) {
+    try {
+      const pool = this._getLiquidityPool();
+      const byToken = this._poolLedgers(ledgers);
+      amountA = this._toAmount(amountA, 'Deposit amount');
+      amountB = this._toAmount(amountB, 'Deposit amount');
+      const minShares = this._toAmount(options.minShares || 0, 'Minimum shares', true);
+
+      // The provider signs on both ledgers it pays from
+      const fields = { from: provider, amountA, amountB, minShares };
+      const authorizationA = this._authorizePoolLeg(byToken[pool.tokenA], 'addLiquidity', provider, fields, options);
+      const authorizationB = this._authorizePoolLeg(byToken[pool.tokenB], 'addLiquidity', provider, fields, options);
+      this._assertActive(provider);
+
+      const quote = pool.quoteAddLiquidity(amountA, amountB, this.state.totalSupply);
+      if (quote.shares < minShares) {
+        throw new TokenError(`Slippage: deposit would issue ${quote.shares} shares, below the minimum of ${minShares}`);
+      }
+      this._checkPoolLeg(byToken[pool.tokenA], provider, pool.address, quote.amountA);
+      this._checkPoolLeg(byToken[pool.tokenB], provider, pool.address, quote.amountB);
+
+      // Both deposits passed, apply them with the new shares
+      this._applyPoolLeg(byToken[pool.tokenA], provider, pool.address, quote.amountA, authorizationA);
+      this._applyPoolLeg(byToken[pool.tokenB], provider, pool.address, quote.amountB, authorizationB);
+      pool.applyLiquidity(quote.amountA, quote.amountB);
+      this._setTotalSupply(this.state.totalSupply + quote.shares + quote.locked);
+      this._setBalance(provider, (this.balances.get(provider) || BigInt(0)) + quote.shares);
+      if (quote.locked > BigInt(0)) {
+        this._setBalance(pool.address, (this.balances.get(pool.address) || BigInt(0)) + quote.locked);
+      }
+      this._assertSupplyInvariant();
+
+      const entry = this._recordTransaction({
+        type: 'addLiquidity',
+        to: provider,
+        amount: quote.shares,
+        amountA: quote.amountA,
+        amountB: quote.amountB
+      });
+      this._emit(TokenEvents.MINT, entry, { minter: pool.address, to: provider, amount: quote.shares });
+
+      return {
+        success: true,
+        tokenId: this.id,
+        transactionId: entry.id,
+        shares: quote.shares,
+        amountA: quote.amountA,
+        amountB: quote.amountB
+      };
+    } catch (error) {
+      console.error('Error adding liquidity:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Redeem shares of this LP token for their part of both pool reserves
+   * @param {string} provider - Address redeeming the shares
+   * @param {bigint|number|string} shares - Shares to redeem
+   * @param {Array<TokenLedger>} ledgers - Ledgers of both pool tokens
+   * @param {Object} options - Signature options of the provider
+   * @param {bigint|number|string} [options.minAmountA] - Least of the first token the provider accepts
+   * @param {bigint|number|string} [options.minAmountB] - Least of the second token the provider accepts
+   * @returns {Promise<Object>} Transaction result with the withdrawn amounts
+   */
+  async removeLiquidity(provider, shares, ledgers, options = {}) {
+    try {
+      const pool = this._getLiquidityPool();
+      const byToken = this._poolLedgers(ledgers);
+      shares = this._toAmount(shares, 'Shares');
+      const minAmountA = this._toAmount(options.minAmountA || 0, 'Minimum amount', true);
+      const minAmountB = this._toAmount(options.minAmountB || 0, 'Minimum amount', true);
+      const authorization = this._authorize('removeLiquidity', provider, {
+        from: provider,
+        amount: shares,
+        minAmountA,
+        minAmountB
+      }, options);
+      this._assertActive(provider);
+      this._assertSpendable(provider, shares);
+
+      const { amountA, amountB } = pool.quoteRemoveLiquidity(shares, this.state.totalSupply);
+      if (amountA === BigInt(0) || amountB === BigInt(0)) {
+        throw new TokenError('Withdrawal is too small to return both tokens');
+      }
+      if (amountA < minAmountA || amountB < minAmountB) {
+        throw new TokenError(`Slippage: withdrawal would return ${amountA} and ${amountB}, below the minimum of ${minAmountA} and ${minAmountB}`);
+      }
+      this._checkPoolLeg(byToken[pool.tokenA], pool.address, provider, amountA);
+      this._checkPoolLeg(byToken[pool.tokenB], pool.address, provider, amountB);
+
+      // Both withdrawals passed, burn the shares and apply them
+      this._destroy(provider, shares);
+      pool.applyLiquidity(-amountA, -amountB);
+      this._applyPoolLeg(byToken[pool.tokenA], pool.address, provider, amountA);
+      this._applyPoolLeg(byToken[pool.tokenB], pool.address, provider, amountB);
+
+      const entry = this._recordTransaction({
+        type: 'removeLiquidity',
+        from: provider,
+        amount: shares,
+        amountA,
+        amountB
+      }, authorization);
+      this._emit(TokenEvents.BURN, entry, { from: provider, amount: shares, burner: provider });
+
+      return { success: true, tokenId: this.id, transactionId: entry.id, shares, amountA, amountB };
+    } catch (error) {
+      console.error('Error removing liquidity:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Swap an exact amount of one pool token for as much of the other as the pool gives
+   * @param {string} trader - Address swapping
+   * @param {string} tokenIn - Token paid into the pool
+   * @param {bigint|number|string} amountIn - Input amount in base units
+   * @param {bigint|number|string} minAmountOut - Least output the trader accepts
+   * @param {Array<TokenLedger>} ledgers - Ledgers of both pool tokens
+   * @param {Object} options - Signature options of the trader on the ledger of the input token
+   * @returns {Promise<Object>} Transaction result with the swapped amounts
+   */
+  async swapExactIn(trader, tokenIn, amountIn, minAmountOut, ledgers, options = {}) {
+    try {
+      const pool = this._getLiquidityPool();
+      amountIn = this._toAmount(amountIn, 'Swap input');
+      minAmountOut = this._toAmount(minAmountOut || 0, 'Minimum output', true);
+
+      const quote = pool.quoteExactIn(tokenIn, amountIn);
+      if (quote.amountOut < minAmountOut) {
+        throw new TokenError(`Slippage: swap would return ${quote.amountOut}, below the minimum of ${minAmountOut}`);
+      }
+
+      return this._executeSwap('swapExactIn', trader, quote, ledgers, {
+        from: trader,
+        tokenIn,
+        amount: amountIn,
+        minAmountOut
+      }, options);
+    } catch (error) {
+      console.error('Error swapping exact input:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Swap as little of one pool token as needed for an exact amount of the other
+   * @param {string} trader - Address swapping
+   * @param {string} tokenIn - Token paid into the pool
+   * @param {bigint|number|string} amountOut - Output amount in base units
+   * @param {bigint|number|string} maxAmountIn - Most input the trader pays
+   * @param {Array<TokenLedger>} ledgers - Ledgers of both pool tokens
+   * @param {Object} options - Signature options of the trader on the ledger of the input token
+   * @returns {Promise<Object>} Transaction result with the swapped amounts
+   */
+  async swapExactOut(trader, tokenIn, amountOut, maxAmountIn, ledgers, options = {}) {
+    try {
+      const pool = this._getLiquidityPool();
+      amountOut = this._toAmount(amountOut, 'Swap output');
+      maxAmountIn = this._toAmount(maxAmountIn, 'Maximum input');
+
+      const quote = pool.quoteExactOut(tokenIn, amountOut);
+      if (quote.amountIn > maxAmountIn) {
+        throw new TokenError(`Slippage: swap would cost ${quote.amountIn}, above the maximum of ${maxAmountIn}`);
+      }
+
+      return this._executeSwap('swapExactOut', trader, quote, ledgers, {
+        from: trader,
+        tokenIn,
+        amountOut,
+        maxAmountIn
+      }, options);
+    } catch (error) {
+      console.error('Error swapping exact output:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Quote a swap of an exact input without executing it
+   * @param {string} tokenIn - Token paid into the pool
+   * @param {bigint|number|string} amountIn - Input amount in base units
+   * @returns {Object} Quote `{ tokenIn, tokenOut, amountIn, amountOut, fee }`
+   */
+  quoteExactIn(tokenIn, amountIn) {
+    return this._getLiquidityPool().quoteExactIn(tokenIn, this._toAmount(amountIn, 'Swap input'));
+  }
+
+  /**
+   * Quote a swap of an exact output without executing it
+   * @param {string} tokenIn - Token paid into the pool
+   * @param {bigint|number|string} amountOut - Output amount in base units
+   * @returns {Object} Quote `{ tokenIn, tokenOut, amountIn, amountOut, fee }`
+   */
+  quoteExactOut(tokenIn, amountOut) {
+    return this._getLiquidityPool().quoteExactOut(tokenIn, this._toAmount(amountOut, 'Swap output'));
+  }
+
+  /**
+   * Add any surplus the pool address holds over the pool reserves to them
+   * Tokens reaching the pool address outside pool operations, through plain
+   * transfers, distributions or fee routing, are added to the reserves and
+   * so belong to the liquidity providers. Reserves are never lowered, even
+   * when the pool address holds less than them. Anyone may sync a pool that
+   * is not paused.
+   * @param {Array<TokenLedger>} ledgers - Ledgers of both pool tokens
+   * @returns {Promise<Object>} Transaction result with the increases of both reserves
+   */
+  async syncReserves(ledgers) {
+    try {
+      const pool = this._getLiquidityPool();
+      const byToken = this._poolLedgers(ledgers);
+      this._assertActive();
+
+      const surplus = (ledger, reserve) => {
+        const held = ledger.balances.get(pool.address) || BigInt(0);
+        return held > reserve ? held - reserve : BigInt(0);
+      };
+      const amountA = surplus(byToken[pool.tokenA], pool.reserveA);
+      const amountB = surplus(byToken[pool.tokenB], pool.reserveB);
+      if (amountA === BigInt(0) && amountB === BigInt(0)) {
+        return { success: true, tokenId: this.id, transactionId: null, amountA, amountB };
+      }
+
+      pool.applyLiquidity(amountA, amountB);
+      const entry = this._recordTransaction({ type: 'syncPool', amountA, amountB });
+
+      return { success: true, tokenId: this.id, transactionId: entry.id, amountA, amountB };
+    } catch (error) {
+      console.error('Error syncing pool reserves:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the pool of this LP token
+   * @returns {Object} Pool tokens, address, fee, reserves, issued shares and invariant
+   */
+  getPoolInfo() {
+    const pool = this._getLiquidityPool();
+    return {
+      poolId: this.id,
+      tokenA: pool.tokenA,
+      tokenB: pool.tokenB,
+      address: pool.address,
+      fee: pool.fee,
+      reserveA: pool.reserveA,
+      reserveB: pool.reserveB,
+      totalShares: this.state.totalSupply,
+      invariant: pool.invariant()
+    };
+  }
+
+  /**
+   * Pause all token movements
+   * @param {Object} options - Pause options
+   * @param {string} options.from - Address pausing the token
+   * @param {string} options.reason - Why the token is paused
+   * @returns {Promise<Object>} Transaction result
+   */
+  async pause(options = {}) {
+    return this._setPaused(true, options);
+  }
+
+  /**
+   * Resume token movements after a pause
+   * @param {Object} options - Unpause options
+   * @param {string} options.from - Address unpausing the token
+   * @param {string} options.reason - Why the token is unpaused
+   * @returns {Promise<Object>} Transaction result
+   */
+  async unpause(options = {}) {
+    return this._setPaused(false, options);
+  }
+
+  /**
+   * Check whether the token is paused
+   * @returns {boolean} Whether token movements are paused
+   */
+  isPaused() {
+    return this.state.paused;
+  }
+
+  /**
+   * Stop an account from sending or receiving tokens
+   * @param {string} address - Account to freeze
+   * @param {Object} options - Freeze options
+   * @param {string} options.from - Address freezing the account
+   * @param {string} options.reason - Why the account is frozen
+   * @returns {Promise<Object>} Transaction result
+   */
+  async freeze(address, options = {}) {
+    return this._setFrozen(address, true, options);
+  }
+
+  /**
+   * Allow a frozen account to move tokens again
+   * @param {string} address - Account to unfreeze
+   * @param {Object} options - Unfreeze options
+   * @param {string} options.from - Address unfreezing the account
+   * @param {string} options.reason - Why the account is unfrozen
+   * @returns {Promise<Object>} Transaction result
+   */
+  async unfreeze(address, options = {}) {
+    return this._setFrozen(address, false, options);
+  }
+
+  /**
+   * Check whether an account is frozen
+   * @param {string} address - Account address
+   * @returns {boolean} Whether the account is frozen
+   */
+  isFrozen(address) {
+    return this.frozenAccounts.has(address);
+  }
+
+  /**
+   * Give a role to an account
+   * @param {string} role - One of Roles
+   * @param {string} account - Account receiving the role
+   * @param {Object} options - Role options
+   * @param {string} options.from - Address holding ROLE_ADMIN
+   * @returns {Promise<Object>} Transaction result
+   */
+  async grantRole(role, account, options = {}) {
+    return this._setRole('grantRole', role, account, options);
+  }
+
+  /**
+   * Take a role away from an account
+   * @param {string} role - One of Roles
+   * @param {string} account - Account losing the role
+   * @param {Object} options - Role options
+   * @param {string} options.from - Address holding ROLE_ADMIN
+   * @returns {Promise<Object>} Transaction result
+   */
+  async revokeRole(role, account, options = {}) {
+    return this._setRole('revokeRole', role, account, options);
+  }
+
+  /**
+   * Give up a role held by the caller
+   * @param {string} role - One of Roles
+   * @param {Object} options - Role options
+   * @param {string} options.from - Address renouncing the role
+   * @returns {Promise<Object>} Transaction result
+   */
+  async renounceRole(role, options = {}) {
+    return this._setRole('renounceRole', role, options.from, options);
+  }
+
+  /**
+   * Check whether an account holds a role
+   * @param {string} role - One of Roles
+   * @param {string} account - Account address
+   * @returns {boolean} Whether the account holds the role
+   */
+  hasRole(role, account) {
+    const members = this.roles.get(role);
+    return members !== undefined && members.has(account);
+  }
+
+  /**
+   * Get the accounts holding a role
+   * @param {string} role - One of Roles
+   * @returns {Array<string>} Accounts holding the role
+   */
+  getRoleMembers(role) {
+    return Array.from(this.roles.get(assertRole(role)) || []);
+  }
+
+  /**
+   * Get the roles held by an account
+   * @param {string} account - Account address
+   * @returns {Array<string>} Roles held by the account
+   */
+  getRolesOf(account) {
+    return Object.values(Roles).filter(role => this.hasRole(role, account));
+  }
+
+  /**
+   * Set or remove the fee charged on transfers
+   * @param {Object|null} model - Fee model (see fees.js), or null to stop charging fees
+   * @param {Object} options - Fee options
+   * @param {string} options.from - Address holding RULE_ADMIN
+   * @returns {Promise<Object>} Transaction result
+   */
+  async setFeeModel(model, options = {}) {
+    try {
+      const { from } = options;
+      this._requireRole(Roles.RULE_ADMIN, from, 'setFees');
+
+      const feeModel = model ? fees.normalizeFeeModel(model) : null;
+      const serialized = fees.serializeFeeModel(feeModel);
+      const authorization = this._authorize('setFees', from, { from, fees: serialized }, options);
+
+      this.feeModel = feeModel;
+
+      const entry = this._recordTransaction({ type: 'setFees', actor: from, fees: serialized }, authorization);
+
+      return { success: true, tokenId: this.id, transactionId: entry.id };
+    } catch (error) {
+      console.error('Error setting transfer fees:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the fee charged on transfers
+   * @returns {Object|null} Normalized fee model
+   */
+  getFeeModel() {
+    return this.feeModel;
+  }
+
+  /**
+   * Preview the fee of a transfer without moving any tokens
+   * @param {bigint|number|string} amount - Gross transfer amount in base units
+   * @returns {Object} `{ gross, fee, net, splits }`
+   */
+  previewFee(amount) {
+    amount = this._toAmount(amount);
+    if (!this.feeModel) {
+      return { gross: amount, fee: BigInt(0), net: amount, splits: [] };
+    }
+    return fees.calculateFee(this.feeModel, amount);
+  }
+
+  /**
+   * Get the next nonce an account must sign with
+   * @param {string} address - Account address
+   * @returns {number} Next expected nonce
+   */
+  getNonce(address) {
+    return this.nonces.get(address) || 0;
+  }
+
+  /**
+   * Get the name of this token
+   * @returns {string} Token name
+   */
+  getName() {
+    return this.state.name;
+  }
+
+  /**
+   * Get the symbol of this token
+   * @returns {string} Token symbol
+   */
+  getSymbol() {
+    return this.state.symbol;
+  }
+
+  /**
+   * Get the total supply of this token
+   * @returns {bigint} Total supply
+   */
+  getTotalSupply() {
+    return this.state.totalSupply;
+  }
+
+  /**
+   * Get the supply cap of this token
+   * @returns {bigint|null} Max supply, or null when uncapped
+   */
+  getMaxSupply() {
+    return this.state.maxSupply;
+  }
+
+  /**
+   * Get the owner of this token
+   * @returns {string} Owner address
+   */
+  getOwner() {
+    return this.state.owner;
+  }
+
+  /**
+   * Get the number of decimals of this token
+   * @returns {number} Decimals
+   */
+  getDecimals() {
+    return this.state.decimals;
+  }
+
+  /**
+   * Check whether this token rejects unsigned state changes
+   * @returns {boolean} True when signatures are required
+   */
+  requiresSignatures() {
+    return this.state.requireSignatures;
+  }
+
+  /**
+   * Parse a decimal amount (e.g. "1.5") into base units of this token
+   * @param {string|number|bigint} value - Decimal amount
+   * @param {string} rounding - Rounding mode (from planck.RoundingModes)
+   * @returns {bigint} Amount in base units
+   */
+  parseAmount(value, rounding = planck.RoundingModes.EXACT) {
+    try {
+      return planck.parseUnits(value, this.state.decimals, rounding);
+    } catch (error) {
+      throw new TokenError(error.message);
+    }
+  }
+
+  /**
+   * Format an amount in base units as a decimal string of this token
+   * @param {bigint} value - Amount in base units
+   * @returns {string} Decimal amount
+   */
+  formatAmount(value) {
+    return planck.formatUnits(value, this.state.decimals);
+  }
+
+  /**
+   * Get a summary of this token
+   * @returns {Object} Token information
+   */
+  getInfo() {
+    return {
+      tokenId: this.id,
+      name: this.state.name,
+      symbol: this.state.symbol,
+      decimals: this.state.decimals,
+      totalSupply: this.state.totalSupply,
+      maxSupply: this.state.maxSupply,
+      owner: this.state.owner,
+      paused: this.state.paused,
+      genesisBlock: this.cid,
+      metadataHead: this.metadataHead
+    };
+  }
+
+  /**
+   * Store a new version of the token metadata
+   * The new document links to the previous version and becomes the head.
+   * Updates are applied one at a time so versions never fork.
+   * @param {Object} patch - Fields to change; null removes a field (see metadata.js)
+   * @param {Object} options - Signature options
+   * @param {string} options.from - Address updating the metadata, must be the owner
+   * @returns {Promise<Object>} Transaction result with the new metadata CID
+   */
+  async updateMetadata(patch, options = {}) {
+    const update = this.metadataQueue.then(() => this._updateMetadata(patch, options));
+    this.metadataQueue = update.catch(() => {});
+    return update;
+  }
+
+  /**
+   * Walk the metadata versions from the head back to the first one
+   * @returns {Promise<Array<Object>>} Versions `{ cid, version, metadata }`, newest first
+   */
+  async getMetadataHistory() {
+    const history = [];
+    let cid = this.metadataHead;
+
+    while (cid) {
+      const bytes = await this.storage.getBytes(cid);
+      const metadata = JSON.parse(new TextDecoder().decode(bytes));
+      history.push({ cid, version: metadata.version || 1, metadata });
+      cid = metadata.previous || null;
+    }
+
+    return history;
+  }
+
+  /**
+   * Get balance for an address
+   * @param {string} address - Address to check
+   * @returns {Promise<bigint>} Balance as bigint
+   */
+  async balanceOf(address) {
+    return this.balances.get(address) || BigInt(0);
+  }
+
+  /**
+   * Take a snapshot of all balances and the total supply
+   * Nothing is copied; later changes keep the snapshotted values as checkpoints
+   * @param {Object} options - Snapshot options
+   * @param {string} options.from - Address holding RULE_ADMIN
+   * @param {string} [options.signature] - Signature over `{ from }`
+   * @returns {Promise<Object>} Transaction result with the snapshot ID
+   */
+  async snapshot(options = {}) {
+    try {
+      const { from } = options;
+      this._requireRole(Roles.RULE_ADMIN, from, 'snapshot');
+      const authorization = this._authorize('snapshot', from, { from }, options);
+
+      const snapshotId = this.snapshots.length + 1;
+      const entry = this._recordTransaction({ type: 'snapshot', actor: from, snapshotId }, authorization);
+
+      // The snapshot covers every transaction before its own entry
+      this.snapshots.push({
+        id: snapshotId,
+        transactionCount: this.transactionHistory.length - 1,
+        timestamp: entry.timestamp
+      });
+
+      return { success: true, tokenId: this.id, transactionId: entry.id, snapshotId };
+    } catch (error) {
+      console.error('Error taking snapshot:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the balance of an address when a snapshot was taken
+   * @param {string} address - Address to check
+   * @param {number} snapshotId - Snapshot ID
+   * @returns {bigint} Balance at the snapshot
+   */
+  balanceOfAt(address, snapshotId) {
+    this._assertSnapshot(snapshotId);
+    return snapshots.valueAt(
+      this.balanceCheckpoints.get(address) || [],
+      Number(snapshotId),
+      this.balances.get(address) || BigInt(0)
+    );
+  }
+
+  /**
+   * Get the total supply when a snapshot was taken
+   * @param {number} snapshotId - Snapshot ID
+   * @returns {bigint} Total supply at the snapshot
+   */
+  totalSupplyAt(snapshotId) {
+    this._assertSnapshot(snapshotId);
+    return snapshots.valueAt(this.supplyCheckpoints, Number(snapshotId), this.state.totalSupply);
+  }
+
+  /**
+   * List the snapshots of this token
+   * @returns {Array<Object>} Snapshots with their ID, transaction count and timestamp
+   */
+  getSnapshots() {
+    return this.snapshots.map(snapshot => ({ ...snapshot }));
+  }
+
+  /**
+   * Find the latest snapshot taken at or before a point in the history
+   * Values are only kept at snapshots, so a point is rounded down to the
+   * snapshot before it. `exact` tells whether any transaction between that
+   * snapshot and the point is missing from the values read through its ID.
+   * @param {Object} point - Point in the history
+   * @param {number} [point.transaction] - Number of transactions applied, as in `transactionCount`
+   * @param {number} [point.timestamp] - Time in milliseconds
+   * @returns {Object} Snapshot `{ id, transactionCount, timestamp, exact }`
+   */
+  findSnapshot(point = {}) {
+    const { transaction, timestamp } = point;
+    if ((transaction === undefined) === (timestamp === undefined)) {
+      throw new TokenError('Snapshot lookup requires either a transaction count or a timestamp');
+    }
+
+    const [field, value] = transaction !== undefined
+      ? ['transactionCount', Number(transaction)]
+      : ['timestamp', Number(timestamp)];
+    if (!Number.isFinite(value) || value < 0) {
+      throw new TokenError(`Invalid snapshot ${field}: ${transaction !== undefined ? transaction : timestamp}`);
+    }
+
+    const found = this.snapshots.filter(snapshot => snapshot[field] <= value).pop();
+    if (!found) {
+      throw new NotFoundError(`No snapshot at or before ${field} ${value}`);
+    }
+
+    // Transactions applied at the point; the snapshot's own entry changes no values
+    const applied = transaction !== undefined
+      ? value
+      : this.transactionHistory.filter(entry => entry.timestamp <= value).length;
+    return { ...found, exact: applied <= found.transactionCount + 1 };
+  }
+
+  /**
+   * Get transaction history of this token
+   * @returns {Promise<Array>} Transaction history
+   */
+  async getTransactionHistory() {
+    return [...this.transactionHistory]; // Return copy of history
+  }
+
+  /**
+   * Save current token state to storage
+   * Seals uncommitted transactions into a new block; when nothing changed
+   * since the last block, the current head is returned
+   * @returns {Promise<string>} CID of the head block
+   */
+  async saveState() {
+    try {
+      if (this.head && this.committedCount === this.transactionHistory.length) {
+        return this.head;
+      }
+      return await this.commitBlock();
+    } catch (error) {
+      console.error('Error saving state:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Seal all uncommitted transactions into a new block
+   * The block links to the previous head and to the resulting state
+   * @returns {Promise<string>} CID of the new head block
+   */
+  async commitBlock() {
+    // Blocks are committed one at a time so heights and links stay sequential
+    const commit = this.commitQueue.then(() => this._sealBlock());
+    this.commitQueue = commit.catch(() => {});
+    return commit;
+  }
+
+  /**
+   * Get the CID of the latest block
+   * @returns {string|null} Head block CID, or null before the first commit
+   */
+  getHead() {
+    return this.head;
+  }
+
+  /**
+   * Get the height of the latest block
+   * @returns {number} Head height, or -1 before the first commit
+   */
+  getHeight() {
+    return this.height;
+  }
+
+  /**
+   * Verify the block chain of this token
+   * @param {string} [headCid] - Head to verify from (defaults to the current head)
+   * @returns {Promise<Object>} Verification result
+   */
+  async verifyChain(headCid = this.head) {
+    if (!headCid) {
+      return { valid: false, height: null, error: 'No blocks committed' };
+    }
+
+    const result = await blocks.verifyChain(this.storage, headCid);
+    if (result.valid && result.tokenId !== this.id) {
+      return { valid: false, height: result.height, error: `Chain belongs to token ${result.tokenId}` };
+    }
+    return result;
+  }
+
+  /**
+   * Get all blocks of this token from the head back to genesis
+   * @param {string} [headCid] - Head to walk from (defaults to the current head)
+   * @returns {Promise<Array<Object>>} Blocks with their CIDs, newest first
+   */
+  async getBlocks(headCid = this.head) {
+    const chain = [];
+    for await (const entry of blocks.walkChain(this.storage, headCid)) {
+      chain.push(entry);
+    }
+    return chain;
+  }
+
+  /**
+   * Restore this ledger from a stored state and its block chain
+   * Governance rules are not stored and must be added again
+   * @param {Object} stateData - Serialized state linked from the head block, migrated to STATE_SCHEMA_VERSION
+   * @param {Array<Object>} chain - Blocks with their CIDs, newest first
+   */
+  restoreState(stateData, chain) {
+    const { state } = stateData;
+
+    this.cid = stateData.metadataCid || this.cid;
+    this.metadataHead = stateData.metadataHead || this.cid;
+    this.metadata = state.metadata || {};
+    this.state = {
+      ...this.state,
+      ...state,
+      totalSupply: BigInt(state.totalSupply),
+      maxSupply: state.maxSupply !== null && state.maxSupply !== undefined
+        ? BigInt(state.maxSupply)
+        : null,
+      metadata: this.metadata,
+      rules: new Map()
+    };
+
+    this.balances = this._deserializeAmounts(stateData.balances);
+    this.allowances = new Map(
+      Object.entries(stateData.allowances || {}).map(
+        ([owner, spenders]) => [owner, this._deserializeAmounts(spenders)]
+      )
+    );
+    this.nonces = new Map(Object.entries(stateData.nonces || {}));
+    this.frozenAccounts = new Set(stateData.frozen || []);
+    this.feeModel = stateData.fees ? fees.normalizeFeeModel(stateData.fees) : null;
+    this.emissionSchedule = stateData.emission ? emission.normalizeEmission(stateData.emission.schedule) : null;
+    this.emitted = stateData.emission ? BigInt(stateData.emission.emitted) : BigInt(0);
+    const snapshotData = stateData.snapshots || {};
+    this.snapshots = snapshotData.list || [];
+    this.balanceCheckpoints = new Map(
+      Object.entries(snapshotData.balances || {}).map(
+        ([address, checkpoints]) => [address, snapshots.deserializeCheckpoints(checkpoints)]
+      )
+    );
+    this.supplyCheckpoints = snapshots.deserializeCheckpoints(snapshotData.supply);
+    this.roles = new Map(Object.entries(stateData.roles).map(([role, members]) => [role, new Set(members)]));
+    this.escrowMachine = escrow.createEscrowMachine(stateData.escrows || { escrows: {} });
+    this.distributions = (stateData.distributions || []).map(distributions.deserializeDistribution);
+    this.stakingPool = new StakingPool(stateData.staking || null);
+    this.swapOffers = (stateData.swapOffers || []).map(swaps.deserializeOffer);
+    this.liquidityPool = stateData.pool ? new LiquidityPool(stateData.pool) : null;
+    this.vestingSchedules = (stateData.vesting || []).map(schedule => ({
+      ...schedule,
+      total: BigInt(schedule.total),
+      released: BigInt(schedule.released)
+    }));
+
+    // Replay block transactions oldest first to rebuild the history
+    this.transactionHistory = chain
+      .slice()
+      .reverse()
+      .flatMap(({ block }) => block.transactions.map(tx => this._deserializeTransaction(tx)));
+
+    this.head = chain.length > 0 ? chain[0].cid : null;
+    this.height = chain.length > 0 ? chain[0].block.height : -1;
+    this.committedCount = this.transactionHistory.length;
+
+    this._assertSupplyInvariant();
+  }
+
+  /**
+   * Seal a migrated state into a new block linked to the block it was migrated from
+   * Call on a ledger restored from the migrated state
+   * @param {Object} migration - Migration report
+   * @param {number} migration.fromVersion - Schema version of the stored state
+   * @param {number} migration.toVersion - Schema version after the migrations
+   * @param {string} migration.cid - CID of the block holding the stored state
+   * @returns {Promise<string>} CID of the new head block
+   */
+  async commitMigration(migration) {
+    try {
+      if (String(migration.cid) !== String(this.head)) {
+        throw new Error(`Ledger head ${this.head} is not the migrated block ${migration.cid}`);
+      }
+
+      this._recordTransaction({
+        type: 'migrateState',
+        fromVersion: migration.fromVersion,
+        toVersion: migration.toVersion,
+        migratedFrom: migration.cid
+      });
+      return await this.commitBlock();
+    } catch (error) {
+      console.error('Error committing state migration:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a governance rule
+   * @param {string} name - Rule name
+   * @param {Object} rule - Rule definition
+   * @param {Object} options - Rule options
+   * @param {string} options.from - Address holding RULE_ADMIN
+   * @param {string} [options.signature] - Signature over `{ from, name }`
+   * @returns {Promise<Object>} Transaction result
+   */
+  async addRule(name, rule, options = {}) {
+    try {
+      const { from } = options;
+      this._requireRole(Roles.RULE_ADMIN, from, 'addRule');
+      const authorization = this._authorize('addRule', from, { from, name }, options);
+
+      if (!this.state.rules) {
+        this.state.rules = new Map();
+      }
+      this.state.rules.set(name, rule);
+
+      // Rules hold functions, so only their name is recorded
+      const entry = this._recordTransaction({ type: 'addRule', actor: from, name }, authorization);
+      this._emit(TokenEvents.RULE_ADDED, entry, { actor: from, name, message: rule.message });
+
+      return { success: true, tokenId: this.id, transactionId: entry.id };
+    } catch (error) {
+      console.error('Error adding rule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Clear all governance rules
+   * @param {Object} options - Rule options
+   * @param {string} options.from - Address holding RULE_ADMIN
+   * @param {string} [options.signature] - Signature over `{ from }`
+   * @returns {Promise<Object>} Transaction result with the names of the cleared rules
+   */
+  async clearRules(options = {}) {
+    try {
+      const { from } = options;
+      this._requireRole(Roles.RULE_ADMIN, from, 'clearRules');
+      const authorization = this._authorize('clearRules', from, { from }, options);
+
+      // Clearing no rules changes nothing, so nothing is recorded
+      const names = Array.from((this.state.rules || new Map()).keys());
+      if (names.length === 0) {
+        return { success: true, tokenId: this.id, transactionId: null, names };
+      }
+      this.state.rules = new Map();
+
+      const entry = this._recordTransaction({ type: 'clearRules', actor: from, names }, authorization);
+
+      return { success: true, tokenId: this.id, transactionId: entry.id, names };
+    } catch (error) {
+      console.error('Error clearing rules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get transaction statistics using Shannon entropy
+   * @returns {Promise<Object>} Statistics including entropy
+   */
+  async getTransactionStatistics() {
+    const history = await this.getTransactionHistory();
+
+    // Calculate Shannon entropy based on transaction types
+    const typeCounts = {};
+    let totalAmount = BigInt(0);
+
+    history.forEach(tx => {
+      typeCounts[tx.type] = (typeCounts[tx.type] || 0) + 1;
+      totalAmount += tx.amount || BigInt(0);
+    });
+
+    let entropy = 0;
+    const total = history.length;
+
+    if (total > 0) {
+      Object.values(typeCounts).forEach(count => {
+        const probability = count / total;
+        entropy -= probability * Math.log2(probability);
+      });
+    }
+
+    // Calculate patterns (simple analysis)
+    const patterns = {
+      mostActiveAddress: null,
+      averageTimeBetweenTx: 0
+    };
+
+    if (history.length > 1) {
+      const timeGaps = [];
+      for (let i = 1; i < history.length; i++) {
+        timeGaps.push(history[i].timestamp - history[i-1].timestamp);
+      }
+      patterns.averageTimeBetweenTx = timeGaps.reduce((a, b) => a + b, 0) / timeGaps.length;
+    }
+
+    return {
+      totalTransactions: history.length,
+      entropy: entropy,
+      averageAmount: total > 0 ? Number(totalAmount) / total : 0,
+      typeDistribution: typeCounts,
+      patterns: patterns
+    };
+  }
+
+  /**
+   * Check a transaction against the governance rules
+   * @private
+   * @param {Object} transaction - Transaction to check
+   */
+  _checkRules(transaction) {
+    if (!this.state.rules) {
+      return;
+    }
+
+    for (const rule of this.state.rules.values()) {
+      if (!rule.check(transaction)) {
+        throw new TokenError(rule.message);
+      }
+    }
+  }
+
+  /**
+   * Move tokens between two balances
+   * @private
+   * @param {string} from - Source address
+   * @param {string} to - Destination address
+   * @param {bigint} amount - Amount to move
+   */
+  _moveBalance(from, to, amount) {
+    this._assertSpendable(from, amount);
+
+    const fromBalance = this.balances.get(from);
+    this._setBalance(from, fromBalance - amount);
+    const toBalance = this.balances.get(to) || BigInt(0);
+    this._setBalance(to, toBalance + amount);
+  }
+
+  /**
+   * Set a balance, keeping its value at the latest snapshot
+   * @private
+   * @param {string} address - Account address
+   * @param {bigint} balance - New balance
+   */
+  _setBalance(address, balance) {
+    if (this.snapshots.length > 0) {
+      if (!this.balanceCheckpoints.has(address)) {
+        this.balanceCheckpoints.set(address, []);
+      }
+      snapshots.recordCheckpoint(
+        this.balanceCheckpoints.get(address),
+        this.snapshots.length,
+        this.balances.get(address) || BigInt(0)
+      );
+    }
+    this.balances.set(address, balance);
+  }
+
+  /**
+   * Set the total supply, keeping its value at the latest snapshot
+   * @private
+   * @param {bigint} totalSupply - New total supply
+   */
+  _setTotalSupply(totalSupply) {
+    snapshots.recordCheckpoint(this.supplyCheckpoints, this.snapshots.length, this.state.totalSupply);
+    this.state.totalSupply = totalSupply;
+  }
+
+  /**
+   * Store a metadata version once the previous update has finished
+   * @private
+   * @param {Object} patch - Fields to change
+   * @param {Object} options - Signature options with `from`
+   * @returns {Promise<Object>} Transaction result
+   */
+  async _updateMetadata(patch, options) {
+    try {
+      const { from } = options;
+      const authorization = this._authorize('updateMetadata', from, { from, patch }, options);
+      if (from !== this.state.owner) {
+        throw new UnauthorizedError('Unauthorized: only the token owner may update metadata');
+      }
+
+      const metadata = {
+        ...applyMetadataPatch(this.metadata, patch),
+        version: (this.metadata.version || 1) + 1,
+        previous: this.metadataHead,
+        updatedAt: this.clock()
+      };
+      const cid = await this.storage.addBytes(new TextEncoder().encode(JSON.stringify(metadata)));
+      const metadataCid = cid.toString();
+
+      this.metadata = metadata;
+      this.metadataHead = metadataCid;
+      this.state.metadata = metadata;
+      this.state.name = metadata.name;
+      this.state.symbol = metadata.symbol;
+
+      const entry = this._recordTransaction({
+        type: 'updateMetadata',
+        actor: from,
+        metadataCid,
+        version: metadata.version
+      }, authorization);
+      this._emit(TokenEvents.METADATA_UPDATED, entry, { actor: from, metadataCid, version: metadata.version });
+
+      return {
+        success: true,
+        tokenId: this.id,
+        transactionId: entry.id,
+        metadataCid,
+        version: metadata.version
+      };
+    } catch (error) {
+      console.error('Error updating token metadata:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make sure a snapshot exists
+   * @private
+   * @param {number} snapshotId - Snapshot ID
+   */
+  _assertSnapshot(snapshotId) {
+    const id = Number(snapshotId);
+    if (!Number.isInteger(id) || id < 1 || id > this.snapshots.length) {
+      throw new NotFoundError(`Snapshot does not exist: ${snapshotId}`);
+    }
+  }
+
+  /**
+   * Move a transfer and its fee from the sender
+   * The recipient receives the net amount and the treasuries the fee
+   * @private
+   * @param {string} from - Source address
+   * @param {string} to - Destination address
+   * @param {bigint} amount - Gross amount in base units
+   * @returns {Object} Fee quote
+   */
+  _moveWithFee(from, to, amount) {
+    const quote = this.previewFee(amount);
+
+    this._assertSpendable(from, amount);
+    this._moveBalance(from, to, quote.net);
+    quote.splits.forEach(split => this._moveBalance(from, split.address, split.amount));
+
+    return quote;
+  }
+
+  /**
+   * History fields describing the fee of a transfer
+   * Tokens without a fee model keep their history entries unchanged
+   * @private
+   * @param {Object} quote - Fee quote from previewFee
+   * @returns {Object} Fee, net amount and treasury splits
+   */
+  _feeFields(quote) {
+    if (!this.feeModel) {
+      return {};
+    }
+    return { fee: quote.fee, net: quote.net, feeSplits: quote.splits };
+  }
+
+  /**
+   * Make sure a debit only spends unlocked tokens
+   * @private
+   * @param {string} address - Debited address
+   * @param {bigint} balance - Current balance of the address
+   * @param {bigint} amount - Amount to debit
+   */
+  _assertUnlocked(address, balance, amount) {
+    const locked = this.lockedBalanceOf(address);
+    if (balance - locked < amount) {
+      throw new TokenError(`Insufficient unlocked balance: ${locked} of ${balance} is locked by vesting`);
+    }
+  }
+
+  /**
+   * Switch the paused state of the token
+   * @private
+   * @param {boolean} paused - New paused state
+   * @param {Object} options - Actor, reason and signature options
+   * @returns {Promise<Object>} Transaction result
+   */
+  async _setPaused(paused, options) {
+    const type = paused ? 'pause' : 'unpause';
+    try {
+      const { from, reason } = options;
+      const authorization = this._authorizeAdmin(type, from, { from, reason }, options);
+
+      if (this.state.paused === paused) {
+        throw new TokenError(paused ? 'Token is already paused' : 'Token is not paused');
+      }
+      this.state.paused = paused;
+
+      const entry = this._recordTransaction({ type, actor: from, reason }, authorization);
+      this._emit(TokenEvents.PAUSED, entry, { paused, actor: from, reason });
+
+      return { success: true, tokenId: this.id, transactionId: entry.id };
+    } catch (error) {
+      console.error(`Error during ${type}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Switch the frozen state of an account
+   * @private
+   * @param {string} address - Account address
+   * @param {boolean} frozen - New frozen state
+   * @param {Object} options - Actor, reason and signature options
+   * @returns {Promise<Object>} Transaction result
+   */
+  async _setFrozen(address, frozen, options) {
+    const type = frozen ? 'freeze' : 'unfreeze';
+    try {
+      const { from, reason } = options;
+      const authorization = this._authorizeAdmin(type, from, { from, account: address, reason }, options);
+
+      if (!address) {
+        throw new TokenError('Account address is required');
+      }
+      if (this.isFrozen(address) === frozen) {
+        throw new TokenError(frozen ? `Account is already frozen: ${address}` : `Account is not frozen: ${address}`);
+      }
+
+      if (frozen) {
+        this.frozenAccounts.add(address);
+      } else {
+        this.frozenAccounts.delete(address);
+      }
+
+      const entry = this._recordTransaction({ type, actor: from, account: address, reason }, authorization);
+
+      return { success: true, tokenId: this.id, transactionId: entry.id };
+    } catch (error) {
+      console.error(`Error during ${type}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Grant, revoke or renounce a role
+   * @private
+   * @param {string} type - grantRole, revokeRole or renounceRole
+   * @param {string} role - One of Roles
+   * @param {string} account - Account whose role changes
+   * @param {Object} options - Actor and signature options
+   * @returns {Promise<Object>} Transaction result
+   */
+  async _setRole(type, role, account, options) {
+    try {
+      const { from } = options;
+      assertRole(role);
+      if (!account) {
+        throw new TokenError('Account address is required');
+      }
+      if (type !== 'renounceRole') {
+        this._requireRole(Roles.ROLE_ADMIN, from, type);
+      }
+      const authorization = this._authorize(type, from, { from, role, account }, options);
+
+      const granting = type === 'grantRole';
+      if (this.hasRole(role, account) === granting) {
+        throw new TokenError(granting
+          ? `Account already has the ${role} role: ${account}`
+          : `Account does not have the ${role} role: ${account}`);
+      }
+
+      if (!this.roles.has(role)) {
+        this.roles.set(role, new Set());
+      }
+      if (granting) {
+        this.roles.get(role).add(account);
+      } else {
+        this.roles.get(role).delete(account);
+      }
+
+      const entry = this._recordTransaction({ type, actor: from, role, account }, authorization);
+
+      return { success: true, tokenId: this.id, transactionId: entry.id };
+    } catch (error) {
+      console.error(`Error during ${type}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make sure an account holds the role an operation needs
+   * @private
+   * @param {string} role - Required role
+   * @param {string} account - Account performing the operation
+   * @param {string} type - Operation type
+   */
+  _requireRole(role, account, type) {
+    if (!this.hasRole(role, account)) {
+      throw new UnauthorizedError(`Unauthorized: ${type} requires the ${role} role`);
+    }
+  }
+
+  /**
+   * Authorize an emergency action by a PAUSER
+   * @private
+   * @param {string} type - Operation type
+   * @param {string} actor - Address performing the action
+   * @param {Object} fields - Operation fields covered by the signature
+   * @param {Object} options - Signature options
+   * @returns {Object|null} Verified signature details
+   */
+  _authorizeAdmin(type, actor, fields, options) {
+    this._requireRole(Roles.PAUSER, actor, type);
+    if (typeof fields.reason !== 'string' || fields.reason.trim().length === 0) {
+      throw new TokenError(`A reason is required to ${type}`);
+    }
+    return this._authorize(type, actor, fields, options);
+  }
+
+  /**
+   * Validate one batch operation and bring it into its canonical shape
+   * The canonical shape is what the submitter signs
+   * @private
+   * @param {Object} op - Operation as submitted
+   * @param {number} index - Position in the batch
+   * @param {string} submitter - Address submitting the batch
+   * @returns {Object} Operation `{ type, from, to, amount }`
+   */
+  _normalizeBatchOperation(op, index, submitter) {
+    try {
+      const { type } = op || {};
+      const amount = this._toAmount(op && op.amount);
+
+      switch (type) {
+        case 'mint':
+          this._assertNotPoolShares('mint');
+          this._requireRole(Roles.MINTER, submitter, 'mint');
+          if (!op.to) {
+            throw new TokenError('Recipient address is required');
+          }
+          return { type, to: op.to, amount };
+        case 'transfer': {
+          const from = op.from || submitter;
+          if (from !== submitter) {
+            throw new UnauthorizedError('Unauthorized: batch transfers must come from the submitter');
+          }
+          if (!op.to) {
+            throw new TokenError('Recipient address is required');
+          }
+          if (from === op.to) {
+            throw new TokenError('Cannot transfer to the same address');
+          }
+          return { type, from, to: op.to, amount };
+        }
+        case 'burn': {
+          this._assertNotPoolShares('burn');
+          const from = op.from || submitter;
+          if (from !== submitter) {
+            this._requireRole(Roles.BURNER, submitter, 'burn');
+          }
+          return { type, from, amount };
+        }
+        default:
+          throw new TokenError(`Unsupported batch operation: ${type}`);
+      }
+    } catch (error) {
+      throw wrapError(`Batch operation ${index} is invalid`, error);
+    }
+  }
+
+  /**
+   * Make sure the token is not paused and no account involved is frozen
+   * @private
+   * @param {...string} addresses - Accounts taking part in the operation
+   */
+  _assertActive(...addresses) {
+    if (this.state.paused) {
+      throw new TokenError('Token is paused');
+    }
+
+    const frozen = addresses.find(address => this.frozenAccounts.has(address));
+    if (frozen) {
+      throw new TokenError(`Account is frozen: ${frozen}`);
+    }
+  }
+
+  /**
+   * Make sure an address can spend an amount
+   * @private
+   * @param {string} address - Debited address
+   * @param {bigint} amount - Amount to debit
+   */
+  _assertSpendable(address, amount) {
+    const balance = this.balances.get(address) || BigInt(0);
+    if (balance < amount) {
+      throw new TokenError('Insufficient balance');
+    }
+    this._assertUnlocked(address, balance, amount);
+  }
+
+  /**
+   * Run an escrow operation through the escrow state machine
+   * @private
+   * @param {Object} operation - Escrow operation
+   */
+  _processEscrow(operation) {
+    const result = this.escrowMachine.processOperation(escrow.toEscrowOperation(operation));
+    if (!result.success) {
+      throw new TokenError(result.error.replace(/^Transition error: /, ''));
+    }
+  }
+
+  /**
+   * Look up a distribution
+   * @private
+   * @param {string} distributionId - Distribution ID
+   * @returns {Object} Distribution
+   */
+  _getDistribution(distributionId) {
+    const distribution = this.distributions.find(item => item.id === distributionId);
+    if (!distribution) {
+      throw new NotFoundError(`Distribution does not exist: ${distributionId}`);
+    }
+    return distribution;
+  }
+
+  /**
+   * Look up a swap offer
+   * @private
+   * @param {string} offerId - Offer ID
+   * @returns {Object} Swap offer
+   */
+  _getSwapOffer(offerId) {
+    const offer = this.swapOffers.find(item => item.id === offerId);
+    if (!offer) {
+      throw new NotFoundError(`Swap offer does not exist: ${offerId}`);
+    }
+    return offer;
+  }
+
+  /**
+   * Get the pool of this LP token
+   * @private
+   * @returns {LiquidityPool} Liquidity pool
+   */
+  _getLiquidityPool() {
+    if (!this.liquidityPool) {
+      throw new NotFoundError(`Token ${this.id} is not a liquidity pool`);
+    }
+    return this.liquidityPool;
+  }
+
+  /**
+   * Make sure the supply of this token is not LP shares, which only their pool issues and redeems
+   * @private
+   * @param {string} type - Operation type
+   */
+  _assertNotPoolShares(type) {
+    if (this.liquidityPool) {
+      throw new UnauthorizedError(`Unauthorized: LP shares of pool ${this.id} cannot be changed by ${type}, only by adding or removing liquidity`);
+    }
+  }
+
+  /**
+   * Match the ledgers given for a pool operation to the tokens of the pool
+   * @private
+   * @param {Array<TokenLedger>} ledgers - Ledgers of both pool tokens, in any order
+   * @returns {Object} Ledgers by token ID
+   */
+  _poolLedgers(ledgers) {
+    const pool = this._getLiquidityPool();
+    const byToken = Object.fromEntries((ledgers || []).map(ledger => [ledger.id, ledger]));
+    [pool.tokenA, pool.tokenB].forEach(tokenId => {
+      if (!byToken[tokenId]) {
+        throw new TokenError(`Ledger of pool token ${tokenId} is required`);
+      }
+    });
+    return byToken;
+  }
+
+  /**
+   * Verify the signature of an account paying into the pool on the ledger it pays from
+   * Each ledger checks its own signature requirement, nonces and multisig accounts
+   * @private
+   * @param {TokenLedger} ledger - Ledger of the pool token
+   * @param {string} type - Operation type
+   * @param {string} from - Debited address
+   * @param {Object} fields - Operation fields covered by the signature
+   * @param {Object} options - Signature options, or `authorizations` holding them by token ID
+   * @returns {Object|null} Verified signature details
+   */
+  _authorizePoolLeg(ledger, type, from, fields, options) {
+    const legOptions = options.authorizations ? options.authorizations[ledger.id] || {} : options;
+    return ledger._authorize(type, from, { ...fields, poolId: this.id }, legOptions);
+  }
+
+  /**
+   * Make sure a pool token can move between an account and the pool
+   * @private
+   * @param {TokenLedger} ledger - Ledger of the pool token
+   * @param {string} from - Debited address
+   * @param {string} to - Credited address
+   * @param {bigint} amount - Amount to move
+   */
+  _checkPoolLeg(ledger, from, to, amount) {
+    ledger._assertActive(from, to);
+    ledger._checkRules({ type: 'transfer', from, to, amount });
+    ledger._assertSpendable(from, amount);
+  }
+
+  /**
+   * Move a pool token between an account and the pool and record it on its ledger
+   * Pool transfers move no fees
+   * @private
+   * @param {TokenLedger} ledger - Ledger of the pool token
+   * @param {string} from - Debited address
+   * @param {string} to - Credited address
+   * @param {bigint} amount - Amount to move
+   * @param {Object|null} [authorization] - Verified signature of the debited account
+   * @returns {Object} History entry on the pool token's ledger
+   */
+  _applyPoolLeg(ledger, from, to, amount, authorization = null) {
+    ledger._moveBalance(from, to, amount);
+    ledger._assertSupplyInvariant();
+
+    const entry = ledger._recordTransaction({ type: 'poolTransfer', from, to, amount, poolId: this.id }, authorization);
+    ledger._emit(TokenEvents.TRANSFER, entry, { from, to, amount, poolId: this.id });
+    return entry;
+  }
+
+  /**
+   * Apply a quoted swap through the pool of this LP token
+   * @private
+   * @param {string} type - swapExactIn or swapExactOut
+   * @param {string} trader - Address swapping
+   * @param {Object} quote - Swap quote from the pool
+   * @param {Array<TokenLedger>} ledgers - Ledgers of both pool tokens
+   * @param {Object} fields - Operation fields covered by the trader's signature
+   * @param {Object} options - Signature options of the trader on the ledger of the input token
+   * @returns {Object} Transaction result
+   */
+  _executeSwap(type, trader, quote, ledgers, fields, options) {
+    const pool = this._getLiquidityPool();
+    const byToken = this._poolLedgers(ledgers);
+    const authorization = this._authorizePoolLeg(byToken[quote.tokenIn], type, trader, fields, options);
+    this._assertActive(trader);
+    this._checkPoolLeg(byToken[quote.tokenIn], trader, pool.address, quote.amountIn);
+    this._checkPoolLeg(byToken[quote.tokenOut], pool.address, trader, quote.amountOut);
+
+    // Both legs passed, apply them together
+    pool.applySwap(quote.tokenIn, quote.amountIn, quote.amountOut);
+    this._applyPoolLeg(byToken[quote.tokenIn], trader, pool.address, quote.amountIn, authorization);
+    this._applyPoolLeg(byToken[quote.tokenOut], pool.address, trader, quote.amountOut);
+
+    const entry = this._recordTransaction({
+      type,
+      from: trader,
+      tokenIn: quote.tokenIn,
+      tokenOut: quote.tokenOut,
+      amount: quote.amountIn,
+      amountOut: quote.amountOut,
+      fee: quote.fee
+    });
+
+    return {
+      success: true,
+      tokenId: this.id,
+      transactionId: entry.id,
+      ...quote
+    };
+  }
+
+  /**
+   * Credit a payout reserved by a distribution
+   * @private
+   * @param {Object} distribution - Distribution holding the payout
+   * @param {Object} payout - Payout `{ address, amount }`
+   */
+  _payOut(distribution, payout) {
+    distribution.remaining -= payout.amount;
+    distribution.claimed.add(payout.address);
+    this._setBalance(payout.address, (this.balances.get(payout.address) || BigInt(0)) + payout.amount);
+  }
+
+  /**
+   * Sum the tokens currently held in locked escrows
+   * @private
+   * @returns {bigint} Escrowed amount
+   */
+  _escrowedTotal() {
+    return Object.values(this.escrowMachine.state.escrows)
+      .filter(item => item.status === escrow.EscrowStatus.LOCKED)
+      .reduce((total, item) => total + BigInt(item.amount), BigInt(0));
+  }
+
+  /**
+   * Get the vesting schedules of a beneficiary
+   * @private
+   * @param {string} address - Beneficiary address
+   * @returns {Array<Object>} Schedules
+   */
+  _schedulesOf(address) {
+    return this.vestingSchedules.filter(schedule => schedule.beneficiary === address);
+  }
+
+  /**
+   * Remove tokens from a balance and from the total supply
+   * @private
+   * @param {string} from - Address whose tokens are destroyed
+   * @param {bigint} amount - Amount to destroy
+   */
+  _destroy(from, amount) {
+    this._assertSpendable(from, amount);
+
+    this._setBalance(from, this.balances.get(from) - amount);
+    this._setTotalSupply(this.state.totalSupply - amount);
+    this._assertSupplyInvariant();
+  }
+
+  /**
+   * Verify that the balances add up to the total supply
+   * @private
+   */
+  _assertSupplyInvariant() {
+    // Tokens held in escrow, staking, swap offers or reserved for distributions belong to no balance until they are settled
+    let sum = this._escrowedTotal() + this.stakingPool.heldTotal() +
+      this.distributions.reduce((total, distribution) => total + distribution.remaining, BigInt(0)) +
+      this.swapOffers.reduce((total, offer) => total + offer.remaining, BigInt(0));
+    for (const balance of this.balances.values()) {
+      sum += balance;
+    }
+
+    if (sum !== this.state.totalSupply) {
+      throw new Error(`Supply invariant violated: balances, escrows, stakes, distributions and swap offers sum to ${sum} but total supply is ${this.state.totalSupply}`);
+    }
+  }
+
+  /**
+   * Store an allowance and record the change in the history
+   * @private
+   * @param {string} owner - Address whose tokens may be spent
+   * @param {string} spender - Address allowed to spend
+   * @param {bigint} amount - New allowance
+   * @param {string} type - History entry type
+   * @param {Object|null} authorization - Verified signature details
+   * @returns {Object} Transaction result
+   */
+  _setAllowance(owner, spender, amount, type, authorization = null) {
+    if (!this.allowances.has(owner)) {
+      this.allowances.set(owner, new Map());
+    }
+    this.allowances.get(owner).set(spender, amount);
+
+    const entry = this._recordTransaction({
+      type,
+      owner: owner,
+      spender: spender,
+      amount: amount
+    }, authorization);
+    this._emit(TokenEvents.APPROVAL, entry, { owner, spender, amount });
+
+    return { success: true, tokenId: this.id, transactionId: entry.id, allowance: amount };
+  }
+
+  /**
+   * Store a block with the transactions recorded since the last block
+   * @private
+   * @returns {Promise<string>} CID of the new head block
+   */
+  async _sealBlock() {
+    // Capture transactions and state together before any storage round trip
+    const end = this.transactionHistory.length;
+    const transactions = this.transactionHistory.slice(this.committedCount, end);
+    const state = this._serializeState();
+
+    const { cid } = await blocks.storeBlock(this.storage, {
+      tokenId: this.id,
+      height: this.height + 1,
+      previous: this.head,
+      transactions,
+      state
+    });
+
+    this.head = cid;
+    this.height++;
+    this.committedCount = end;
+
+    if (this.onCommit) {
+      await this.onCommit(this.id, cid);
+    }
+    return cid;
+  }
+
+  /**
+   * Serialize the token state for storage
+   * Governance rules hold functions and are not part of the stored state
+   * @private
+   * @returns {Object} JSON-safe state
+   */
+  _serializeState() {
+    const { rules, ...state } = this.state;
+
+    return {
+      schemaVersion: STATE_SCHEMA_VERSION,
+      tokenId: this.id,
+      metadataCid: this.cid,
+      metadataHead: this.metadataHead,
+      state: {
+        ...state,
+        totalSupply: state.totalSupply.toString(), // Convert BigInt to string
+        maxSupply: state.maxSupply !== null ? state.maxSupply.toString() : null
+      },
+      balances: this._serializeAmounts(this.balances),
+      allowances: Object.fromEntries(
+        Array.from(this.allowances.entries()).map(
+          ([owner, spenders]) => [owner, this._serializeAmounts(spenders)]
+        )
+      ),
+      nonces: Object.fromEntries(this.nonces),
+      frozen: Array.from(this.frozenAccounts),
+      fees: fees.serializeFeeModel(this.feeModel),
+      emission: this.emissionSchedule
+        ? { schedule: emission.serializeEmission(this.emissionSchedule), emitted: this.emitted.toString() }
+        : null,
+      snapshots: {
+        list: this.snapshots,
+        balances: Object.fromEntries(
+          Array.from(this.balanceCheckpoints.entries()).map(
+            ([address, checkpoints]) => [address, snapshots.serializeCheckpoints(checkpoints)]
+          )
+        ),
+        supply: snapshots.serializeCheckpoints(this.supplyCheckpoints)
+      },
+      roles: Object.fromEntries(
+        Array.from(this.roles.entries()).map(([role, members]) => [role, Array.from(members)])
+      ),
+      escrows: this.escrowMachine.getCurrentState(),
+      distributions: this.distributions.map(distributions.serializeDistribution),
+      staking: this.stakingPool.serialize(),
+      swapOffers: this.swapOffers.map(swaps.serializeOffer),
+      pool: this.liquidityPool ? this.liquidityPool.serialize() : null,
+      vesting: this.vestingSchedules.map(schedule => ({
+        ...schedule,
+        total: schedule.total.toString(),
+        released: schedule.released.toString()
+      }))
+    };
+  }
+
+  /**
+   * Convert a stored map of amounts back to BigInt base units
+   * @private
+   * @param {Object} amounts - Amounts as decimal strings
+   * @returns {Map<string, bigint>} Amounts by address
+   */
+  _deserializeAmounts(amounts = {}) {
+    return new Map(
+      Object.entries(amounts).map(([address, amount]) => [address, BigInt(amount)])
+    );
+  }
+
+  /**
+   * Convert a stored history entry back to BigInt amounts
+   * @private
+   * @param {Object} transaction - Stored transaction
+   * @returns {Object} History entry
+   */
+  _deserializeTransaction(transaction) {
+    const entry = { ...transaction };
+    AMOUNT_FIELDS.forEach(field => {
+      if (typeof entry[field] === 'string') {
+        entry[field] = BigInt(entry[field]);
+      }
+    });
+    // Batches keep their operations nested in one entry
+    if (Array.isArray(entry.operations)) {
+      entry.operations = entry.operations.map(op => this._deserializeTransaction(op));
+    }
+    ['feeSplits', 'splits'].forEach(field => {
+      if (Array.isArray(entry[field])) {
+        entry[field] = entry[field].map(split => this._deserializeTransaction(split));
+      }
+    });
+    return entry;
+  }
+
+  /**
+   * Verify the signature, nonce and expiry of a state change
+   * Unsigned operations are only accepted when signatures are not required
+   * @private
+   * @param {string} type - Operation type
+   * @param {string} signer - Address that must have signed
+   * @param {Object} fields - Operation fields covered by the signature
+   * @param {Object} options - Signature options
+   * @param {string} [options.signature] - Signature over the canonical payload
+   * @param {string} [options.publicKey] - Signer's public key
+   * @param {number} [options.nonce] - Signer's nonce
+   * @param {number} [options.expiry] - Expiry timestamp in milliseconds
+   * @returns {Object|null} Verified signature details
+   */
+  _authorize(type, signer, fields, options = {}) {
+    // Multisig accounts are never controlled without their approvals
+    const multisig = this.multisigAccounts.get(signer);
+    if (multisig) {
+      return this._authorizeMultisig(type, multisig, fields, options);
+    }
+
+    if (!options.signature) {
+      if (this.state.requireSignatures) {
+        throw new UnauthorizedError(`Unauthorized: ${type} requires a signature from ${signer}`);
+      }
+      return null;
+    }
+
+    return this._verifySignature(type, signer, fields, options);
+  }
+
+  /**
+   * Verify the signature of a single signer, whether or not signatures are required
+   * @private
+   * @param {string} type - Operation type
+   * @param {string} signer - Address that must have signed
+   * @param {Object} fields - Operation fields covered by the signature
+   * @param {Object} options - Signature options (signature, publicKey, nonce, expiry)
+   * @returns {Object} Verified signature details
+   */
+  _verifySignature(type, signer, fields, options) {
+    const { signature, publicKey, expiry } = options;
+    if (!signature) {
+      throw new UnauthorizedError(`Unauthorized: ${type} requires a signature from ${signer}`);
+    }
+
+    const key = this._resolvePublicKey(signer, publicKey);
+    const nonce = this._checkFreshness(signer, options);
+
+    const isValid = verifyTransactionSignature(key, signature, {
+      tokenId: this.id,
+      type,
+      ...fields,
+      nonce,
+      expiry
+    });
+    if (!isValid) {
+      throw new TokenError('Invalid transaction signature');
+    }
+
+    return { signer, nonce };
+  }
+
+  /**
+   * Verify that enough key holders of a multisig account approved an operation
+   * @private
+   * @param {string} type - Operation type
+   * @param {Object} multisig - Multisig account
+   * @param {Object} fields - Operation fields covered by the signatures
+   * @param {Object} options - Approvals (`signatures`), nonce and expiry
+   * @returns {Object} Verified approval details
+   */
+  _authorizeMultisig(type, multisig, fields, options) {
+    const signer = multisig.address;
+    if (!Array.isArray(options.signatures) || options.signatures.length === 0) {
+      throw new UnauthorizedError(`Unauthorized: ${type} from multisig ${signer} requires ${multisig.threshold} approvals`);
+    }
+
+    const nonce = this._checkFreshness(signer, options);
+    const approvers = collectApprovals(multisig, {
+      tokenId: this.id,
+      type,
+      ...fields,
+      nonce,
+      expiry: options.expiry
+    }, options.signatures);
+
+    if (approvers.length < multisig.threshold) {
+      throw new UnauthorizedError(`Unauthorized: multisig ${signer} has ${approvers.length} of ${multisig.threshold} required approvals`);
+    }
+
+    return { signer, nonce, approvers };
+  }
+
+  /**
+   * Check the expiry and nonce of a signed transaction
+   * @private
+   * @param {string} signer - Address of the signer
+   * @param {Object} options - Signature options with `nonce` and `expiry`
+   * @returns {number} The nonce
+   */
+  _checkFreshness(signer, options) {
+    const { expiry } = options;
+
+    if (expiry === undefined || Number(expiry) <= this.clock()) {
+      throw new TokenError('Signed transaction expired');
+    }
+
+    if (options.nonce === undefined || options.nonce === null) {
+      throw new TokenError('Signed transaction is missing a nonce');
+    }
+
+    const nonce = Number(options.nonce);
+    const expectedNonce = this.getNonce(signer);
+    if (nonce < expectedNonce) {
+      throw new TokenError(`Nonce ${nonce} already used by ${signer}`);
+    }
+    if (nonce > expectedNonce) {
+      throw new TokenError(`Out-of-order nonce ${nonce} for ${signer}, expected ${expectedNonce}`);
+    }
+
+    return nonce;
+  }
+
+  /**
+   * Find the public key that must have signed for an address
+   * @private
+   * @param {string} address - Signer address
+   * @param {string} [publicKey] - Public key supplied with the transaction
+   * @returns {string} Public key to verify against
+   */
+  _resolvePublicKey(address, publicKey) {
+    const registeredKey = this.publicKeys.get(address);
+
+    if (registeredKey) {
+      if (publicKey && publicKey !== registeredKey) {
+        throw new TokenError('Public key does not match the registered key');
+      }
+      return registeredKey;
+    }
+
+    // Without a registered key the address must be derived from the key
+    if (!publicKey) {
+      throw new TokenError(`No public key registered for ${address}`);
+    }
+    if (leibniz.monadHash(publicKey) !== address) {
+      throw new TokenError('Public key does not match address');
+    }
+    return publicKey;
+  }
+
+  /**
+   * Convert an amount to base units and validate its sign
+   * @private
+   * @param {bigint|number|string} value - Amount to convert
+   * @param {string} label - Name of the amount used in error messages
+   * @param {boolean} allowZero - Whether zero is acceptable
+   * @returns {bigint} Amount in base units
+   */
+  _toAmount(value, label = 'Amount', allowZero = false) {
+    let amount;
+    try {
+      amount = planck.quantize(value);
+    } catch (error) {
+      throw new TokenError(error.message);
+    }
+
+    if (amount < BigInt(0) || (!allowZero && amount === BigInt(0))) {
+      throw new TokenError(`${label} must be ${allowZero ? 'non-negative' : 'positive'}`);
+    }
+
+    return amount;
+  }
+
+  /**
+   * Convert a map of amounts into a JSON-safe object
+   * @private
+   * @param {Map<string, bigint>} amounts - Amounts by address
+   * @returns {Object} Amounts as decimal strings of base units
+   */
+  _serializeAmounts(amounts) {
+    return Object.fromEntries(
+      Array.from(amounts.entries()).map(([address, amount]) => [address, amount.toString()])
+    );
+  }
+
+  /**
+   * Emit an event for a recorded transaction
+   * @private
+   * @param {string} type - One of TokenEvents
+   * @param {Object} entry - History entry of the transaction
+   * @param {Object} fields - Event fields
+   */
+  _emit(type, entry, fields) {
+    if (this.events) {
+      this.events.emit(type, { tokenId: this.id, transactionId: entry.id, ...fields });
+    }
+  }
+
+  /**
+   * Emit the event of one operation of an applied batch
+   * @private
+   * @param {Object} entry - History entry of the batch
+   * @param {string} submitter - Address that submitted the batch
+   * @param {Object} op - Canonical batch operation
+   */
+  _emitBatchOperation(entry, submitter, op) {
+    switch (op.type) {
+      case 'mint':
+        this._emit(TokenEvents.MINT, entry, { minter: submitter, to: op.to, amount: op.amount });
+        break;
+      case 'transfer': {
+        const quote = this.previewFee(op.amount);
+        this._emit(TokenEvents.TRANSFER, entry, {
+          from: op.from,
+          to: op.to,
+          amount: op.amount,
+          fee: quote.fee,
+          net: quote.net
+        });
+        break;
+      }
+      case 'burn':
+        this._emit(TokenEvents.BURN, entry, { from: op.from, amount: op.amount, burner: submitter });
+        break;
+    }
+  }
+
+  /**
+   * Append an entry to the transaction history
+   * @private
+   * @param {Object} transaction - Transaction details
+   * @param {Object|null} authorization - Verified signature details
+   * @returns {Object} Recorded history entry
+   */
+  _recordTransaction(transaction, authorization = null) {
+    const entry = {
+      id: `${this.id}:${this.transactionHistory.length}`,
+      tokenId: this.id,
+      ...transaction,
+      timestamp: this.clock()
+    };
+
+    // A nonce is only consumed once its transaction has been applied
+    if (authorization) {
+      entry.signer = authorization.signer;
+      entry.nonce = authorization.nonce;
+      if (authorization.approvers) {
+        entry.approvers = authorization.approvers;
+      }
+      this.nonces.set(authorization.signer, authorization.nonce + 1);
+    }
+
+    this.transactionHistory.push(entry);
+    return entry;
+  }
+}
+
+module.exports = {
+  TokenLedger
+};
@@ -0,0 +1,102 @@
+/**
+ * Transaction signing for the Helia blockchain token ledger
+ * Builds the canonical payload that accounts sign and the ledger verifies
+ *
+ * A signed payload always contains the token ID, the operation type, the
+ * operation's own fields, the signer's nonce and an expiry timestamp, so a
+ * signature cannot be replayed on another token, operation or nonce.
+ *
+ * @see Related modules:
+ * - {@link ../utils/leibniz.js} - Signature creation and verification
+ * - {@link ./token-ledger.js} - Ledger that enforces signed transactions
+ */
+
+const leibniz = require('../utils/leibniz');
+const planck = require('../utils/planck');
+const { TokenError } = require('./errors');
+
+/**
+ * Serializes a value as JSON with object keys in sorted order
+ * @param {*} value - Value to serialize
+ * @returns {string} - Canonical JSON
+ */
+function canonicalize(value) {
+  if (typeof value === 'bigint') {
+    return JSON.stringify(value.toString());
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Builds the canonical payload of a transaction
+ * @param {Object} transaction - Transaction to sign
+ * @param {string} transaction.tokenId - Token ID
+ * @param {string} transaction.type - Operation type (e.g. 'transfer')
+ * @param {number} transaction.nonce - Signer's nonce
+ * @param {number} transaction.expiry - Expiry timestamp in milliseconds
+ * @returns {string} - Canonical payload
+ */
+function createSigningPayload(transaction) {
+  const { tokenId, type, nonce, expiry } = transaction;
+
+  if (!tokenId || !type) {
+    throw new TokenError('Signed transactions require a token ID and type');
+  }
+  if (!Number.isInteger(Number(nonce)) || Number(nonce) < 0) {
+    throw new TokenError('Signed transactions require a non-negative integer nonce');
+  }
+  if (!Number.isFinite(Number(expiry))) {
+    throw new TokenError('Signed transactions require an expiry timestamp');
+  }
+
+  const payload = {
+    ...transaction,
+    nonce: Number(nonce),
+    expiry: Number(expiry)
+  };
+
+  // Amounts are always signed in base units
+  if (payload.amount !== undefined) {
+    payload.amount = planck.quantize(payload.amount);
+  }
+
+  return canonicalize(payload);
+}
+
+/**
+ * Signs a transaction with a private key
+ * @param {string} privateKey - Signer's private key
+ * @param {Object} transaction - Transaction to sign
+ * @returns {string} - Signature as hex string
+ */
+function signTransaction(privateKey, transaction) {
+  return leibniz.createSignature(privateKey, createSigningPayload(transaction));
+}
+
+/**
+ * Verifies the signature of a transaction
+ * @param {string} publicKey - Signer's public key
+ * @param {string} signature - Signature to verify
+ * @param {Object} transaction - Signed transaction
+ * @returns {boolean} - Whether the signature is valid
+ */
+function verifyTransactionSignature(publicKey, signature, transaction) {
+  return leibniz.verifySignature(publicKey, signature, createSigningPayload(transaction));
+}
+
+module.exports = {
+  canonicalize,
+  createSigningPayload,
+  signTransaction,
+  verifyTransactionSignature
+};
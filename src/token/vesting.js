@@ -0,0 +1,121 @@
+/**
+ * Vesting schedules for the Helia blockchain token ledger
+ *
+ * A schedule locks an amount in the beneficiary's balance and unlocks it
+ * over time. Three kinds are supported:
+ * - `cliff`: everything unlocks at `start + cliff`
+ * - `linear`: unlocks continuously from `start` to `start + duration`
+ * - `step`: unlocks in `steps` equal parts over `duration`
+ * Linear and step schedules may add a cliff before which nothing unlocks.
+ *
+ * @see Related modules:
+ * - {@link ../utils/planck.js} - Rounding of unlocked amounts
+ * - {@link ./token-ledger.js} - Ledger that enforces locked balances
+ */
+
+const planck = require('../utils/planck');
+const { TokenError } = require('./errors');
+
+// Supported unlock curves
+const VestingKinds = {
+  CLIFF: 'cliff',
+  LINEAR: 'linear',
+  STEP: 'step'
+};
+
+/**
+ * Validates and normalizes the timing of a vesting schedule
+ * @param {Object} schedule - Schedule timing
+ * @param {string} schedule.kind - One of VestingKinds
+ * @param {number} schedule.start - Start timestamp in milliseconds
+ * @param {number} [schedule.duration] - Vesting duration in milliseconds (linear and step)
+ * @param {number} [schedule.cliff] - Cliff in milliseconds after start
+ * @param {number} [schedule.steps] - Number of unlocks (step)
+ * @param {boolean} [schedule.revocable] - Whether the grantor may revoke the schedule
+ * @returns {Object} - Normalized schedule timing
+ */
+function normalizeSchedule(schedule = {}) {
+  const kind = schedule.kind || VestingKinds.LINEAR;
+  const start = Number(schedule.start);
+  const cliff = Number(schedule.cliff || 0);
+  const duration = kind === VestingKinds.CLIFF ? cliff : Number(schedule.duration);
+  const steps = kind === VestingKinds.STEP ? Number(schedule.steps) : null;
+
+  if (!Object.values(VestingKinds).includes(kind)) {
+    throw new TokenError(`Unknown vesting kind: ${kind}`);
+  }
+  if (!Number.isSafeInteger(start) || start < 0) {
+    throw new TokenError('Vesting start must be a timestamp in milliseconds');
+  }
+  if (!Number.isSafeInteger(cliff) || cliff < 0) {
+    throw new TokenError('Vesting cliff must be a non-negative number of milliseconds');
+  }
+  if (kind === VestingKinds.CLIFF && cliff === 0) {
+    throw new TokenError('Cliff vesting requires a cliff');
+  }
+  if (!Number.isSafeInteger(duration) || duration <= 0) {
+    throw new TokenError('Vesting duration must be a positive number of milliseconds');
+  }
+  if (cliff > duration) {
+    throw new TokenError('Vesting cliff cannot exceed the duration');
+  }
+  if (steps !== null && (!Number.isSafeInteger(steps) || steps <= 0)) {
+    throw new TokenError('Step vesting requires a positive number of steps');
+  }
+
+  return {
+    kind,
+    start,
+    cliff,
+    duration,
+    steps,
+    revocable: schedule.revocable === true
+  };
+}
+
+/**
+ * Computes the amount of a schedule that has vested at a point in time
+ * Unlocked amounts are rounded down to whole base units
+ * @param {Object} schedule - Normalized schedule with a BigInt `total`
+ * @param {number} at - Timestamp in milliseconds
+ * @returns {bigint} - Vested amount
+ */
+function vestedAmount(schedule, at) {
+  const elapsed = at - schedule.start;
+
+  // Revoked schedules stop vesting at the moment of revocation
+  if (schedule.revokedAt !== undefined && schedule.revokedAt !== null) {
+    return schedule.total;
+  }
+  if (elapsed < schedule.cliff) {
+    return BigInt(0);
+  }
+  if (elapsed >= schedule.duration) {
+    return schedule.total;
+  }
+
+  switch (schedule.kind) {
+    case VestingKinds.LINEAR:
+      return planck.divideRounded(
+        schedule.total * BigInt(elapsed),
+        BigInt(schedule.duration),
+        planck.RoundingModes.FLOOR
+      );
+    case VestingKinds.STEP: {
+      const completedSteps = Math.floor(elapsed * schedule.steps / schedule.duration);
+      return planck.divideRounded(
+        schedule.total * BigInt(completedSteps),
+        BigInt(schedule.steps),
+        planck.RoundingModes.FLOOR
+      );
+    }
+    default:
+      return BigInt(0);
+  }
+}
+
+module.exports = {
+  VestingKinds,
+  normalizeSchedule,
+  vestedAmount
+};
@@ -16,14 +16,144 @@
  */
 const QUANTUM_VALUE = BigInt(1);
 
+/**
+ * Rounding modes used when a value has more precision than a quantum allows
+ */
+const RoundingModes = {
+  FLOOR: 'floor',         // Towards negative infinity
+  CEIL: 'ceil',           // Towards positive infinity
+  TRUNCATE: 'truncate',   // Towards zero
+  HALF_UP: 'half_up',     // To nearest, ties away from zero
+  HALF_EVEN: 'half_even', // To nearest, ties to even (banker's rounding)
+  EXACT: 'exact'          // Reject any value that would need rounding
+};
+
+/**
+ * Divides two BigInts and rounds the quotient according to a rounding mode
+ * @param {BigInt} numerator - Dividend
+ * @param {BigInt} denominator - Divisor (must be positive)
+ * @param {string} rounding - Rounding mode (from RoundingModes)
+ * @returns {BigInt} - Rounded quotient
+ */
+function divideRounded(numerator, denominator, rounding = RoundingModes.FLOOR) {
+  if (denominator <= BigInt(0)) {
+    throw new Error('Denominator must be positive');
+  }
+
+  // BigInt division truncates towards zero
+  const quotient = numerator / denominator;
+  const remainder = numerator % denominator;
+
+  if (remainder === BigInt(0)) {
+    return quotient;
+  }
+
+  const negative = numerator < BigInt(0);
+  const awayFromZero = negative ? quotient - BigInt(1) : quotient + BigInt(1);
+  const doubledRemainder = (negative ? -remainder : remainder) * BigInt(2);
+
+  switch (rounding) {
+    case RoundingModes.FLOOR:
+      return negative ? awayFromZero : quotient;
+    case RoundingModes.CEIL:
+      return negative ? quotient : awayFromZero;
+    case RoundingModes.TRUNCATE:
+      return quotient;
+    case RoundingModes.HALF_UP:
+      return doubledRemainder >= denominator ? awayFromZero : quotient;
+    case RoundingModes.HALF_EVEN:
+      if (doubledRemainder === denominator) {
+        return quotient % BigInt(2) === BigInt(0) ? quotient : awayFromZero;
+      }
+      return doubledRemainder > denominator ? awayFromZero : quotient;
+    case RoundingModes.EXACT:
+      throw new Error('Value cannot be represented without rounding');
+    default:
+      throw new Error(`Unknown rounding mode: ${rounding}`);
+  }
+}
+
+/**
+ * Parses a decimal amount into base units (quanta)
+ * For example "1.5" with 18 decimals becomes 1500000000000000000n
+ * @param {string|number|BigInt} value - Decimal amount
+ * @param {number} decimals - Number of decimals of the token
+ * @param {string} rounding - Rounding mode for excess fractional digits
+ * @returns {BigInt} - Amount in base units
+ */
+function parseUnits(value, decimals = 0, rounding = RoundingModes.FLOOR) {
+  if (!Number.isInteger(decimals) || decimals < 0) {
+    throw new Error('Decimals must be a non-negative integer');
+  }
+
+  const scale = BigInt(10) ** BigInt(decimals);
+
+  if (typeof value === 'bigint') {
+    return value * scale;
+  }
+
+  // Numbers use their shortest round-trip representation (e.g. 0.1 stays "0.1")
+  let text;
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new Error(`Invalid amount: ${value}`);
+    }
+    text = String(value);
+  } else if (typeof value === 'string') {
+    text = value.trim();
+  } else {
+    throw new Error(`Invalid amount: ${value}`);
+  }
+
+  const match = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(text);
+  if (!match || (!match[2] && !match[3])) {
+    throw new Error(`Invalid amount: ${value}`);
+  }
+
+  const [, sign, whole, fraction = '', exponent = '0'] = match;
+  const digits = BigInt((whole || '0') + fraction);
+  const signed = sign === '-' ? -digits : digits;
+
+  // Net power of ten still to apply once the decimal point is removed
+  const shift = Number(exponent) - fraction.length;
+  const numerator = shift >= 0 ? signed * scale * BigInt(10) ** BigInt(shift) : signed * scale;
+  const denominator = shift >= 0 ? BigInt(1) : BigInt(10) ** BigInt(-shift);
+
+  return divideRounded(numerator, denominator, rounding);
+}
+
+/**
+ * Formats an amount in base units as a decimal string
+ * For example 1500000000000000000n with 18 decimals becomes "1.5"
+ * @param {BigInt|number|string} value - Amount in base units
+ * @param {number} decimals - Number of decimals of the token
+ * @returns {string} - Decimal representation without trailing zeros
+ */
+function formatUnits(value, decimals = 0) {
+  if (!Number.isInteger(decimals) || decimals < 0) {
+    throw new Error('Decimals must be a non-negative integer');
+  }
+
+  const amount = BigInt(value);
+  const negative = amount < BigInt(0);
+  const digits = (negative ? -amount : amount).toString().padStart(decimals + 1, '0');
+
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
 /**
  * Quantizes a value to ensure it adheres to the smallest possible unit
+ * Values are handled as BigInt throughout, so no precision is lost above 2^53
  * @param {number|string|BigInt} value - The value to quantize
+ * @param {string} rounding - Rounding mode for fractional values
  * @returns {BigInt} - Quantized value
  */
-function quantize(value) {
-  const bigValue = BigInt(Math.floor(Number(value)));
-  return bigValue;
+function quantize(value, rounding = RoundingModes.FLOOR) {
+  const units = parseUnits(value, 0, rounding);
+  return divideRounded(units, QUANTUM_VALUE, rounding) * QUANTUM_VALUE;
 }
 
 /**
@@ -55,6 +185,10 @@ function calculateEnergyLevel(amount, frequency) {
 
 module.exports = {
   QUANTUM_VALUE,
+  RoundingModes,
+  divideRounded,
+  parseUnits,
+  formatUnits,
   quantize,
   isValidQuantum,
   calculateEnergyLevel
@@ -6,6 +6,7 @@ class Network {
   constructor() {
     this.peers = [];
     this.isStarted = false;
+    this.swapOffers = [];
   }
 
   async start() {
@@ -23,6 +24,12 @@ class Network {
     return { success: true, peers: this.peers.length };
   }
 
+  async broadcastSwapOffer(offer) {
+    // Mock broadcast - keep the offer so tests can inspect it
+    this.swapOffers.push(offer);
+    return true;
+  }
+
   async getPeers() {
     return this.peers;
   }
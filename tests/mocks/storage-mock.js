@@ -9,10 +9,11 @@ class Storage {
   }
 
   async addBytes(bytes) {
+    const cidString = 'QmTest' + Math.random().toString(36).substr(2, 9);
     const cid = {
-      toString: () => 'QmTest' + Math.random().toString(36).substr(2, 9)
+      toString: () => cidString
     };
-    this.mockData.set(cid.toString(), bytes);
+    this.mockData.set(cidString, bytes);
     return cid;
   }
   async getBytes(cid) {
@@ -4,6 +4,21 @@
 
 const { setupTokenTestEnvironment } = require('../helpers/setup');
 const tokenImplementation = require('../../src/token');
+const leibniz = require('../../src/utils/leibniz');
+const { signTransaction } = require('../../src/token/transaction-signing');
+const { HeadPointer } = require('../../src/token/head-pointer');
+const { AristotelianRuleSystem } = require('../../src/utils/aristotle');
+const { createHashlock, replayEscrows } = require('../../src/token/escrow');
+const { Roles } = require('../../src/token/roles');
+const { signIntent, hashIntent } = require('../../src/token/intents');
+const { allocatePayouts } = require('../../src/token/distributions');
+const { LiquidityPool, MINIMUM_LIQUIDITY, getAmountOut } = require('../../src/token/amm');
+const blocks = require('../../src/token/blocks');
+const migrations = require('../../src/token/migrations');
+const { ErrorCodes, TokenError, UnauthorizedError, wrapError } = require('../../src/token/errors');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 describe('Token Implementation Tests', () => {
   let env, fixtures, utils, storage, network;
@@ -34,7 +49,7 @@ describe('Token Implementation Tests', () => {
       });
       
       // Clear any existing rules to prevent test interference
-      await token.clearRules();
+      await token.clearRules({ from: fixtures.wallets.wallet1.address });
     });
     
     test('should initialize with correct metadata', () => {
@@ -148,7 +163,7 @@ describe('Token Implementation Tests', () => {
       // Verify the state was loaded correctly
       expect(loadedToken.getName()).toBe("Storage Test Token");
       expect(loadedToken.getSymbol()).toBe("STT");
-      expect(await loadedToken.balanceOf(fixtures.wallets.wallet1.address)).toBe(300n);
+      expect(await loadedToken.balanceOf(fixtures.wallets.wallet1.address)).toBe(1300n);
       expect(await loadedToken.balanceOf(fixtures.wallets.wallet2.address)).toBe(200n);
     });
   });
@@ -175,7 +190,7 @@ describe('Token Implementation Tests', () => {
       await token.addRule('MinimumTransfer', {
         check: (tx) => tx.type === 'transfer' && tx.amount >= 100n,
         message: 'Transfers must be at least 100 tokens'
-      });
+      }, { from: fixtures.wallets.wallet1.address });
       
       // Valid transfer (meets minimum)
       const validTransfer = token.transfer(
@@ -225,4 +240,2636 @@ describe('Token Implementation Tests', () => {
       expect(stats.patterns).toBeDefined();
     });
   });
+  
+  describe('Multi-Token Registry', () => {
+    let tokenA, tokenB;
+    
+    beforeEach(async () => {
+      tokenA = await tokenImplementation.createToken({
+        name: "Alpha Token",
+        symbol: "ALP",
+        initialSupply: 1000,
+        owner: fixtures.wallets.wallet1.address
+      });
+      
+      tokenB = await tokenImplementation.createToken({
+        name: "Beta Token",
+        symbol: "BET",
+        initialSupply: 50,
+        owner: fixtures.wallets.wallet2.address
+      });
+    });
+    
+    test('should keep metadata and supply separate per token', () => {
+      expect(tokenA.id).not.toBe(tokenB.id);
+      expect(tokenA.getName()).toBe("Alpha Token");
+      expect(tokenA.getOwner()).toBe(fixtures.wallets.wallet1.address);
+      expect(tokenA.getTotalSupply()).toBe(1000n);
+      expect(tokenB.getName()).toBe("Beta Token");
+      expect(tokenB.getOwner()).toBe(fixtures.wallets.wallet2.address);
+      expect(tokenB.getTotalSupply()).toBe(50n);
+    });
+    
+    test('should route operations by token ID', async () => {
+      await tokenImplementation.mint(tokenA.id, fixtures.wallets.wallet3.address, 200, {
+        from: fixtures.wallets.wallet1.address
+      });
+      await tokenImplementation.transfer(
+        tokenB.id,
+        fixtures.wallets.wallet2.address,
+        fixtures.wallets.wallet3.address,
+        20
+      );
+      
+      expect(await tokenImplementation.balanceOf(tokenA.id, fixtures.wallets.wallet3.address)).toBe(200n);
+      expect(await tokenImplementation.balanceOf(tokenB.id, fixtures.wallets.wallet3.address)).toBe(20n);
+      expect(await tokenImplementation.getBalance(fixtures.wallets.wallet1.address, tokenB.id)).toBe(0n);
+      
+      const historyA = await tokenImplementation.getTransactionHistory(tokenA.id);
+      const historyB = await tokenImplementation.getTransactionHistory(tokenB.id);
+      expect(historyA.map(tx => tx.type)).toEqual(['mint']);
+      expect(historyB.map(tx => tx.type)).toEqual(['transfer']);
+      expect(historyB[0].tokenId).toBe(tokenB.id);
+    });
+    
+    test('should keep rules scoped to their token', async () => {
+      await tokenA.addRule('NoTransfers', {
+        check: () => false,
+        message: 'Alpha transfers are disabled'
+      }, { from: fixtures.wallets.wallet1.address });
+      
+      await expect(tokenA.transfer(
+        fixtures.wallets.wallet1.address,
+        fixtures.wallets.wallet2.address,
+        10
+      )).rejects.toThrow(/disabled/);
+      
+      await expect(tokenB.transfer(
+        fixtures.wallets.wallet2.address,
+        fixtures.wallets.wallet1.address,
+        10
+      )).resolves.toMatchObject({ success: true, tokenId: tokenB.id });
+    });
+    
+    test('should list tokens and reject unknown token IDs', async () => {
+      const ids = tokenImplementation.listTokens().map(info => info.tokenId);
+      expect(ids).toEqual(expect.arrayContaining([tokenA.id, tokenB.id]));
+      
+      await expect(tokenImplementation.balanceOf('0xdoesnotexist', fixtures.wallets.wallet1.address))
+        .rejects.toThrow(/Token does not exist/);
+    });
+    
+    test('should throw coded errors for unknown tokens, unauthorized and rejected operations', async () => {
+      await expect(tokenImplementation.getToken('0xdoesnotexist')).rejects.toMatchObject({
+        code: ErrorCodes.NOT_FOUND,
+        message: expect.stringMatching(/^Failed to get token: Token does not exist/)
+      });
+      await expect(tokenImplementation.mint(tokenA.id, fixtures.wallets.wallet3.address, 10, {
+        from: fixtures.wallets.wallet2.address
+      })).rejects.toBeInstanceOf(UnauthorizedError);
+      await expect(tokenB.transfer(
+        fixtures.wallets.wallet2.address,
+        fixtures.wallets.wallet1.address,
+        51
+      )).rejects.toMatchObject({ code: ErrorCodes.REJECTED });
+      
+      expect(wrapError('Failed to load token', new Error('Storage offline'))).not.toBeInstanceOf(TokenError);
+    });
+  });
+  
+  describe('Allowances', () => {
+    let token, owner, spender, recipient;
+    
+    beforeEach(async () => {
+      owner = fixtures.wallets.wallet1.address;
+      spender = fixtures.wallets.wallet2.address;
+      recipient = fixtures.wallets.wallet3.address;
+      
+      token = await tokenImplementation.createToken({
+        name: "Allowance Token",
+        symbol: "ALW",
+        initialSupply: 1000,
+        owner
+      });
+    });
+    
+    test('should approve and spend an allowance', async () => {
+      await token.approve(owner, spender, 300);
+      expect(token.allowance(owner, spender)).toBe(300n);
+      
+      await token.transferFrom(spender, owner, recipient, 120);
+      
+      expect(token.allowance(owner, spender)).toBe(180n);
+      expect(await token.balanceOf(owner)).toBe(880n);
+      expect(await token.balanceOf(recipient)).toBe(120n);
+      
+      const history = await token.getTransactionHistory();
+      expect(history.map(tx => tx.type)).toEqual(['approve', 'transferFrom']);
+      expect(history[1].spender).toBe(spender);
+    });
+    
+    test('should replace, increase and decrease allowances', async () => {
+      await token.approve(owner, spender, 100);
+      await token.approve(owner, spender, 40);
+      expect(token.allowance(owner, spender)).toBe(40n);
+      
+      await token.increaseAllowance(owner, spender, 60);
+      expect(token.allowance(owner, spender)).toBe(100n);
+      
+      await token.decreaseAllowance(owner, spender, 30);
+      expect(token.allowance(owner, spender)).toBe(70n);
+      
+      await expect(token.decreaseAllowance(owner, spender, 71)).rejects.toThrow(/below zero/);
+    });
+    
+    test('should reject spending beyond the allowance or balance', async () => {
+      await expect(token.transferFrom(spender, owner, recipient, 1)).rejects.toThrow(/Insufficient allowance/);
+      
+      await token.approve(owner, spender, 5000);
+      await expect(token.transferFrom(spender, owner, recipient, 2000)).rejects.toThrow(/Insufficient balance/);
+      expect(token.allowance(owner, spender)).toBe(5000n);
+    });
+    
+    test('should apply governance rules to approvals and delegated transfers', async () => {
+      await token.addRule('MinimumTransfer', {
+        check: (tx) => tx.type !== 'transfer' || tx.amount >= 100,
+        message: 'Transfers must be at least 100 tokens'
+      }, { from: owner });
+      await token.addRule('ApprovalCap', {
+        check: (tx) => tx.type !== 'approve' || tx.amount <= 500,
+        message: 'Approvals are capped at 500 tokens'
+      }, { from: owner });
+      
+      await expect(token.approve(owner, spender, 600)).rejects.toThrow(/capped/);
+      
+      await token.approve(owner, spender, 500);
+      await expect(token.transferFrom(spender, owner, recipient, 50)).rejects.toThrow(/at least 100/);
+    });
+    
+    test('should route allowance operations by token ID', async () => {
+      await tokenImplementation.approve(token.id, owner, spender, 10);
+      await tokenImplementation.transferFrom(token.id, spender, owner, recipient, 10);
+      
+      expect(await tokenImplementation.allowance(token.id, owner, spender)).toBe(0n);
+      expect(await tokenImplementation.balanceOf(token.id, recipient)).toBe(10n);
+    });
+  });
+  
+  describe('Burning and Supply Cap', () => {
+    let token, holder, spender;
+    
+    beforeEach(async () => {
+      holder = fixtures.wallets.wallet1.address;
+      spender = fixtures.wallets.wallet2.address;
+      
+      token = await tokenImplementation.createToken({
+        name: "Capped Token",
+        symbol: "CAP",
+        initialSupply: 1000,
+        maxSupply: 1500,
+        owner: holder
+      });
+    });
+    
+    test('should burn tokens and shrink the total supply', async () => {
+      await token.burn(holder, 400);
+      
+      expect(await token.balanceOf(holder)).toBe(600n);
+      expect(token.getTotalSupply()).toBe(600n);
+      
+      await expect(token.burn(holder, 601)).rejects.toThrow(/Insufficient balance/);
+      await expect(token.burn(holder, 0)).rejects.toThrow(/must be positive/);
+    });
+    
+    test('should burn from an allowance granted by the holder', async () => {
+      await expect(token.burnFrom(spender, holder, 100)).rejects.toThrow(/Insufficient allowance/);
+      
+      await token.approve(holder, spender, 150);
+      await token.burnFrom(spender, holder, 100);
+      
+      expect(token.allowance(holder, spender)).toBe(50n);
+      expect(await token.balanceOf(holder)).toBe(900n);
+      expect(token.getTotalSupply()).toBe(900n);
+      
+      const history = await token.getTransactionHistory();
+      expect(history[history.length - 1]).toMatchObject({ type: 'burnFrom', spender, from: holder, amount: 100n });
+    });
+    
+    test('should not mint beyond the max supply', async () => {
+      await token.mint(spender, 500, { from: holder });
+      expect(token.getTotalSupply()).toBe(1500n);
+      
+      await expect(token.mint(spender, 1, { from: holder })).rejects.toThrow(/exceed max supply/);
+      expect(token.getTotalSupply()).toBe(1500n);
+      
+      // Burning frees room under the cap again
+      await token.burn(spender, 10);
+      await token.mint(spender, 10, { from: holder });
+      expect(token.getTotalSupply()).toBe(1500n);
+    });
+    
+    test('should reject an initial supply above the max supply', async () => {
+      await expect(tokenImplementation.createToken({
+        name: "Overflow Token",
+        symbol: "OVF",
+        initialSupply: 10,
+        maxSupply: 5,
+        owner: holder
+      })).rejects.toThrow(/exceeds max supply/);
+    });
+    
+    test('should keep balances equal to the total supply', async () => {
+      await token.mint(spender, 200, { from: holder });
+      await token.transfer(holder, spender, 300);
+      await token.burn(spender, 50);
+      
+      const sum = (await token.balanceOf(holder)) + (await token.balanceOf(spender));
+      expect(sum).toBe(token.getTotalSupply());
+      
+      // Corrupting a balance is detected on the next mutation
+      token.balances.set(spender, 1n);
+      await expect(token.transfer(holder, spender, 1)).rejects.toThrow(/Supply invariant violated/);
+    });
+  });
+  
+  describe('BigInt Amounts and Decimals', () => {
+    let token, owner;
+    
+    beforeEach(async () => {
+      owner = fixtures.wallets.wallet1.address;
+      token = await tokenImplementation.createToken({
+        name: "Precise Token",
+        symbol: "PRC",
+        decimals: 6,
+        initialSupply: 9007199254740993n, // 2^53 + 1
+        owner
+      });
+    });
+    
+    test('should keep precision above 2^53', async () => {
+      await token.mint(owner, 2n, { from: owner });
+      
+      expect(token.getTotalSupply()).toBe(9007199254740995n);
+      expect(await token.balanceOf(owner)).toBe(9007199254740995n);
+    });
+    
+    test('should store decimals per token and parse/format amounts', async () => {
+      expect(token.getDecimals()).toBe(6);
+      expect(token.parseAmount('1.5')).toBe(1500000n);
+      expect(token.formatAmount(1500000n)).toBe('1.5');
+      expect(() => token.parseAmount('0.0000001')).toThrow(/without rounding/);
+      
+      await token.transfer(owner, fixtures.wallets.wallet2.address, token.parseAmount('2.25'));
+      expect(token.formatAmount(await token.balanceOf(fixtures.wallets.wallet2.address))).toBe('2.25');
+    });
+    
+    test('should record BigInt amounts in the history', async () => {
+      await token.transfer(owner, fixtures.wallets.wallet2.address, '42');
+      
+      const history = await token.getTransactionHistory();
+      expect(history[0].amount).toBe(42n);
+      await expect(token.transfer(owner, fixtures.wallets.wallet2.address, -1n)).rejects.toThrow(/must be positive/);
+    });
+  });
+  
+  describe('Signed Transactions', () => {
+    let token, alice, bob, aliceKeys, bobKeys;
+    
+    // Signs an operation on the test token with the given key pair
+    const sign = (keys, type, fields, nonce, expiry = Date.now() + 60000) => ({
+      signature: signTransaction(keys.privateKey, { tokenId: token.id, type, ...fields, nonce, expiry }),
+      publicKey: keys.publicKey,
+      nonce,
+      expiry
+    });
+    
+    beforeAll(() => {
+      aliceKeys = leibniz.createKeyPair();
+      bobKeys = leibniz.createKeyPair();
+      alice = leibniz.monadHash(aliceKeys.publicKey);
+      bob = leibniz.monadHash(bobKeys.publicKey);
+      tokenImplementation.registerPublicKey(alice, aliceKeys.publicKey);
+    });
+    
+    beforeEach(async () => {
+      token = await tokenImplementation.createToken({
+        name: "Signed Token",
+        symbol: "SGN",
+        initialSupply: 1000,
+        owner: alice,
+        requireSignatures: true
+      });
+    });
+    
+    test('should reject unsigned transactions when signatures are required', async () => {
+      await expect(token.transfer(alice, bob, 10n)).rejects.toThrow(/requires a signature/);
+      await expect(token.mint(bob, 10n, { from: alice })).rejects.toThrow(/requires a signature/);
+      await expect(token.approve(alice, bob, 10n)).rejects.toThrow(/requires a signature/);
+    });
+    
+    test('should apply signed transfers, mints and approvals and advance the nonce', async () => {
+      await token.transfer(alice, bob, 10n, sign(aliceKeys, 'transfer', { from: alice, to: bob, amount: 10n }, 0));
+      await token.mint(bob, 5n, { from: alice, ...sign(aliceKeys, 'mint', { from: alice, to: bob, amount: 5n }, 1) });
+      await token.approve(alice, bob, 7n, sign(aliceKeys, 'approve', { owner: alice, spender: bob, amount: 7n }, 2));
+      
+      expect(await token.balanceOf(bob)).toBe(15n);
+      expect(token.allowance(alice, bob)).toBe(7n);
+      expect(token.getNonce(alice)).toBe(3);
+      expect(tokenImplementation.getNonce(token.id, alice)).toBe(3);
+      
+      const history = await token.getTransactionHistory();
+      expect(history[0]).toMatchObject({ signer: alice, nonce: 0 });
+    });
+    
+    test('should reject replayed and out-of-order nonces', async () => {
+      const options = sign(aliceKeys, 'transfer', { from: alice, to: bob, amount: 10n }, 0);
+      await token.transfer(alice, bob, 10n, options);
+      
+      await expect(token.transfer(alice, bob, 10n, options)).rejects.toThrow(/already used/);
+      await expect(token.transfer(alice, bob, 10n,
+        sign(aliceKeys, 'transfer', { from: alice, to: bob, amount: 10n }, 5))).rejects.toThrow(/Out-of-order nonce/);
+      expect(await token.balanceOf(bob)).toBe(10n);
+    });
+    
+    test('should reject expired, tampered and foreign signatures', async () => {
+      await expect(token.transfer(alice, bob, 10n,
+        sign(aliceKeys, 'transfer', { from: alice, to: bob, amount: 10n }, 0, Date.now() - 1))).rejects.toThrow(/expired/);
+      
+      // Signature over a different amount
+      await expect(token.transfer(alice, bob, 11n,
+        sign(aliceKeys, 'transfer', { from: alice, to: bob, amount: 10n }, 0))).rejects.toThrow(/Invalid transaction signature/);
+      
+      // Bob cannot sign for Alice, even with his own key
+      await expect(token.transfer(alice, bob, 10n,
+        sign(bobKeys, 'transfer', { from: alice, to: bob, amount: 10n }, 0))).rejects.toThrow(/does not match the registered key/);
+      
+      // A failed transaction does not consume the nonce
+      expect(token.getNonce(alice)).toBe(0);
+    });
+    
+    test('should require signed rule changes when signatures are required', async () => {
+      const rule = { check: () => true, message: 'Always passes' };
+      await expect(token.addRule('Open', rule, { from: alice })).rejects.toThrow(/addRule requires a signature/);
+      await expect(token.clearRules({ from: alice })).rejects.toThrow(/clearRules requires a signature/);
+      
+      await token.addRule('Open', rule, { from: alice, ...sign(aliceKeys, 'addRule', { from: alice, name: 'Open' }, 0) });
+      await token.clearRules({ from: alice, ...sign(aliceKeys, 'clearRules', { from: alice }, 1) });
+      
+      const history = await token.getTransactionHistory();
+      expect(history.map(entry => [entry.type, entry.signer])).toEqual([['addRule', alice], ['clearRules', alice]]);
+      expect(token.state.rules.size).toBe(0);
+    });
+    
+    test('should verify unregistered signers against their address', async () => {
+      await token.transfer(alice, bob, 10n, sign(aliceKeys, 'transfer', { from: alice, to: bob, amount: 10n }, 0));
+      await token.transfer(bob, alice, 4n, sign(bobKeys, 'transfer', { from: bob, to: alice, amount: 4n }, 0));
+      
+      expect(await token.balanceOf(bob)).toBe(6n);
+      expect(() => tokenImplementation.registerPublicKey(bob, aliceKeys.publicKey)).toThrow(/does not match address/);
+    });
+  });
+  
+  describe('Block Chain', () => {
+    let token, owner, recipient;
+    
+    beforeEach(async () => {
+      owner = fixtures.wallets.wallet1.address;
+      recipient = fixtures.wallets.wallet2.address;
+      token = await tokenImplementation.createToken({
+        name: "Chain Token",
+        symbol: "CHN",
+        initialSupply: 1000,
+        owner
+      });
+    });
+    
+    test('should seal transactions into hash-linked blocks', async () => {
+      await token.transfer(owner, recipient, 100n);
+      await token.transfer(owner, recipient, 50n);
+      const genesis = await token.commitBlock();
+      
+      await token.burn(recipient, 25n);
+      const head = await token.saveState();
+      
+      expect(token.getHead()).toBe(head);
+      expect(token.getHeight()).toBe(1);
+      
+      const chain = await token.getBlocks();
+      expect(chain.map(entry => entry.cid)).toEqual([head, genesis]);
+      expect(chain[0].block.previous).toEqual({ '/': genesis });
+      expect(chain[1].block.previous).toBeNull();
+      expect(chain[1].block.transactions).toHaveLength(2);
+      expect(chain[0].block.transactions[0]).toMatchObject({ type: 'burn', amount: '25' });
+      expect(chain[0].block.merkleRoot).toMatch(/^[0-9a-f]{64}$/);
+    });
+    
+    test('should return the current head when nothing changed', async () => {
+      await token.transfer(owner, recipient, 10n);
+      const head = await token.saveState();
+      
+      expect(await token.saveState()).toBe(head);
+      expect(token.getHeight()).toBe(0);
+    });
+    
+    test('should verify the chain from its head', async () => {
+      await token.transfer(owner, recipient, 10n);
+      await token.commitBlock();
+      await token.transfer(owner, recipient, 20n);
+      await token.commitBlock();
+      
+      const result = await tokenImplementation.verifyChain(token.id);
+      expect(result).toMatchObject({ valid: true, height: 1, blocks: 2 });
+    });
+    
+    test('should detect tampered transactions', async () => {
+      await token.transfer(owner, recipient, 10n);
+      const genesis = await token.commitBlock();
+      await token.transfer(owner, recipient, 20n);
+      await token.commitBlock();
+      
+      // Rewrite the amount of the genesis block's transaction
+      const block = JSON.parse(new TextDecoder().decode(await storage.getBytes(genesis)));
+      block.transactions[0].amount = '999';
+      storage.mockData.set(genesis, Buffer.from(JSON.stringify(block)));
+      
+      const result = await token.verifyChain();
+      expect(result.valid).toBe(false);
+      expect(result.height).toBe(0);
+      expect(result.error).toMatch(/Merkle root/);
+    });
+  });
+  
+  describe('State Restore', () => {
+    let token, owner, recipient, tempDir;
+    
+    beforeEach(async () => {
+      owner = fixtures.wallets.wallet1.address;
+      recipient = fixtures.wallets.wallet2.address;
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-heads-'));
+      token = await tokenImplementation.createToken({
+        name: "Restore Token",
+        symbol: "RST",
+        initialSupply: 1000,
+        maxSupply: 5000,
+        owner
+      });
+    });
+    
+    afterEach(async () => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+    
+    afterAll(async () => {
+      // Leave the registry without a pointer file for later tests
+      await tokenImplementation.initialize({ storage, network });
+    });
+    
+    test('should rebuild balances, supply, metadata and history with loadState', async () => {
+      await token.transfer(owner, recipient, 300n);
+      await token.approve(owner, recipient, 50n);
+      await token.commitBlock();
+      await token.burn(recipient, 100n);
+      const head = await token.saveState();
+      
+      const restored = await tokenImplementation.loadState(head);
+      
+      expect(restored).not.toBe(token);
+      expect(restored.id).toBe(token.id);
+      expect(restored.getName()).toBe("Restore Token");
+      expect(restored.getOwner()).toBe(owner);
+      expect(restored.getTotalSupply()).toBe(900n);
+      expect(restored.getMaxSupply()).toBe(5000n);
+      expect(restored.getInfo().genesisBlock).toBe(token.cid);
+      expect(await restored.balanceOf(recipient)).toBe(200n);
+      expect(restored.allowance(owner, recipient)).toBe(50n);
+      expect(restored.getHead()).toBe(head);
+      expect(restored.getHeight()).toBe(1);
+      
+      const history = await restored.getTransactionHistory();
+      expect(history.map(tx => tx.type)).toEqual(['transfer', 'approve', 'burn']);
+      expect(history[2].amount).toBe(100n);
+      
+      // The restored ledger keeps extending the same chain
+      await restored.transfer(recipient, owner, 10n);
+      await restored.saveState();
+      expect(await restored.verifyChain()).toMatchObject({ valid: true, height: 2 });
+    });
+    
+    test('should refuse to restore a tampered chain', async () => {
+      await token.transfer(owner, recipient, 300n);
+      const head = await token.saveState();
+      
+      const block = JSON.parse(new TextDecoder().decode(await storage.getBytes(head)));
+      block.stateRoot = '0'.repeat(64);
+      storage.mockData.set(head, Buffer.from(JSON.stringify(block)));
+      
+      await expect(tokenImplementation.loadState(head)).rejects.toThrow(/State root/);
+    });
+    
+    test('should resume tokens from the head pointer file', async () => {
+      const headFile = path.join(tempDir, 'heads.json');
+      await tokenImplementation.initialize({ storage, network, headFile });
+      
+      const resumable = await tokenImplementation.createToken({
+        name: "Resumable Token",
+        symbol: "RSM",
+        initialSupply: 1000,
+        owner
+      });
+      await resumable.transfer(owner, recipient, 400n);
+      const head = await resumable.saveState();
+      
+      expect(JSON.parse(fs.readFileSync(headFile, 'utf8')).heads).toEqual({ [resumable.id]: head });
+      
+      // Simulate a restart
+      await tokenImplementation.initialize({ storage, network, headFile, resume: true });
+      
+      const resumed = await tokenImplementation.getToken(resumable.id);
+      expect(resumed).not.toBe(resumable);
+      expect(await resumed.balanceOf(recipient)).toBe(400n);
+      expect(resumed.getHead()).toBe(head);
+    });
+    
+    test('should replace the pointer file atomically', async () => {
+      const headFile = path.join(tempDir, 'heads.json');
+      const pointer = new HeadPointer(headFile);
+      
+      await Promise.all([
+        pointer.write('token-a', 'cid-a'),
+        pointer.write('token-b', 'cid-b')
+      ]);
+      
+      expect(await new HeadPointer(headFile).read()).toEqual({ 'token-a': 'cid-a', 'token-b': 'cid-b' });
+      expect(fs.readdirSync(tempDir)).toEqual(['heads.json']);
+    });
+  });
+  
+  describe('Non-Fungible Tokens', () => {
+    let collection, owner, alice, bob, categorization;
+    
+    beforeAll(async () => {
+      categorization = new AristotelianRuleSystem();
+      const baseToken = categorization.addCategory('Token', { isToken: true });
+      baseToken.addSubcategory('NonFungibleToken', {
+        fungible: false,
+        uniqueId: value => typeof value === 'string' && value.length > 0
+      });
+      baseToken.addSubcategory('GovernanceToken', { governance: true });
+      
+      // Governance items may never leave their collection owner
+      categorization.addRule(
+        'governance-items-locked',
+        (operation, context) => operation.type === 'transferNFT' &&
+          context.categories.includes('GovernanceToken'),
+        () => { throw new Error('Governance items cannot be transferred'); }
+      );
+      
+      await tokenImplementation.initialize({ storage, network, categorization });
+    });
+    
+    beforeEach(async () => {
+      owner = fixtures.wallets.wallet1.address;
+      alice = fixtures.wallets.wallet2.address;
+      bob = fixtures.wallets.wallet3.address;
+      collection = await tokenImplementation.createCollection({
+        name: "Philosophers",
+        symbol: "PHIL",
+        owner
+      });
+    });
+    
+    test('should mint items with metadata stored in Helia', async () => {
+      const result = await tokenImplementation.mintNFT(
+        collection.id, alice, 'ipfs://plato', { name: 'Plato' }, { from: owner }
+      );
+      
+      expect(result.itemId).toBe('0');
+      expect(await tokenImplementation.ownerOf(collection.id, '0')).toBe(alice);
+      expect(await collection.getItemMetadata('0')).toEqual({
+        name: 'Plato',
+        collectionId: collection.id,
+        itemId: '0',
+        tokenURI: 'ipfs://plato'
+      });
+      expect(collection.getItem('0')).toMatchObject({
+        metadataCid: result.metadataCid,
+        categories: ['Token', 'NonFungibleToken']
+      });
+      await expect(collection.mintNFT(alice, 'ipfs://x', {}, { from: alice })).rejects.toThrow(/Only collection owner/);
+    });
+    
+    test('should transfer items through approvals and operators', async () => {
+      await collection.mintNFT(alice, 'ipfs://plato', {}, { from: owner });
+      await collection.mintNFT(alice, 'ipfs://kant', {}, { from: owner });
+      
+      await expect(collection.transferNFT(alice, bob, '0', { spender: bob })).rejects.toThrow(/not owner nor approved/);
+      
+      await collection.approve(alice, bob, '0');
+      expect(collection.getApproved('0')).toBe(bob);
+      await collection.transferNFT(alice, bob, '0', { spender: bob });
+      expect(collection.ownerOf('0')).toBe(bob);
+      expect(collection.getApproved('0')).toBeNull();
+      
+      await tokenImplementation.setApprovalForAll(collection.id, alice, owner, true);
+      expect(collection.isApprovedForAll(alice, owner)).toBe(true);
+      await tokenImplementation.transferNFT(collection.id, alice, bob, '1', { spender: owner });
+      expect(collection.ownerOf('1')).toBe(bob);
+      
+      const history = await collection.getTransactionHistory();
+      expect(history.map(tx => tx.type)).toEqual([
+        'mintNFT', 'mintNFT', 'approveNFT', 'transferNFT', 'approvalForAll', 'transferNFT'
+      ]);
+    });
+    
+    test('should enumerate items per collection and owner', async () => {
+      await collection.mintNFT(alice, 'ipfs://a', {}, { from: owner });
+      await collection.mintNFT(bob, 'ipfs://b', {}, { from: owner });
+      await collection.mintNFT(alice, 'ipfs://c', {}, { from: owner });
+      await collection.transferNFT(alice, bob, '0');
+      
+      expect(collection.getTotalSupply()).toBe(3);
+      expect(collection.tokenByIndex(2)).toBe('2');
+      expect(collection.balanceOf(alice)).toBe(1);
+      expect(collection.tokensOfOwner(bob)).toEqual(['1', '0']);
+      expect(collection.tokenOfOwnerByIndex(alice, 0)).toBe('2');
+      expect(() => collection.tokenOfOwnerByIndex(alice, 1)).toThrow(/out of bounds/);
+      expect(tokenImplementation.listCollections()).toContainEqual(
+        expect.objectContaining({ collectionId: collection.id, totalSupply: 3 })
+      );
+    });
+    
+    test('should apply category rules to items', async () => {
+      await collection.mintNFT(alice, 'ipfs://vote', { governance: true }, { from: owner });
+      
+      expect(collection.getItem('0').categories).toContain('GovernanceToken');
+      await expect(collection.transferNFT(alice, bob, '0')).rejects.toThrow(/Governance items cannot be transferred/);
+      expect(collection.ownerOf('0')).toBe(alice);
+    });
+  });
+  
+  describe('Vesting', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    const start = 1700000000000;
+    let token, grantor, beneficiary, other, now;
+    
+    beforeEach(async () => {
+      grantor = fixtures.wallets.wallet1.address;
+      beneficiary = fixtures.wallets.wallet2.address;
+      other = fixtures.wallets.wallet3.address;
+      now = start;
+      
+      // Vesting reads the ledger clock, so no global timer mocks are needed
+      token = await tokenImplementation.createToken({
+        name: "Vesting Token",
+        symbol: "VST",
+        initialSupply: 10000,
+        owner: grantor,
+        clock: () => now
+      });
+    });
+    
+    test('should lock vested grants in the beneficiary balance', async () => {
+      await token.createVestingSchedule(grantor, beneficiary, 1000n, { kind: 'linear', start, duration: 100 * DAY });
+      
+      expect(await token.balanceOf(beneficiary)).toBe(1000n);
+      expect(token.lockedBalanceOf(beneficiary)).toBe(1000n);
+      await expect(token.transfer(beneficiary, other, 1n)).rejects.toThrow(/Insufficient unlocked balance/);
+      await expect(token.burn(beneficiary, 1n)).rejects.toThrow(/Insufficient unlocked balance/);
+    });
+    
+    test('should release linear vesting proportionally', async () => {
+      await token.createVestingSchedule(grantor, beneficiary, 1000n, { kind: 'linear', start, duration: 100 * DAY, cliff: 10 * DAY });
+      
+      now = start + 5 * DAY;
+      expect(token.releasable(beneficiary)).toBe(0n);
+      await expect(token.release(beneficiary)).rejects.toThrow(/No vested tokens/);
+      
+      now = start + 25 * DAY;
+      expect(token.releasable(beneficiary)).toBe(250n);
+      const result = await tokenImplementation.release(token.id, beneficiary);
+      expect(result.amount).toBe(250n);
+      
+      await token.transfer(beneficiary, other, 250n);
+      await expect(token.transfer(beneficiary, other, 1n)).rejects.toThrow(/Insufficient unlocked balance/);
+      
+      now = start + 200 * DAY;
+      expect(token.releasable(beneficiary)).toBe(750n);
+    });
+    
+    test('should unlock cliff and step schedules in discrete amounts', async () => {
+      await token.createVestingSchedule(grantor, beneficiary, 900n, { kind: 'cliff', start, cliff: 30 * DAY });
+      await token.createVestingSchedule(grantor, other, 900n, { kind: 'step', start, duration: 90 * DAY, steps: 3 });
+      
+      now = start + 29 * DAY;
+      expect(token.releasable(beneficiary)).toBe(0n);
+      expect(token.releasable(other)).toBe(0n);
+      
+      now = start + 30 * DAY;
+      expect(token.releasable(beneficiary)).toBe(900n);
+      expect(token.releasable(other)).toBe(300n);
+      
+      now = start + 75 * DAY;
+      expect(token.releasable(other)).toBe(600n);
+      
+      await expect(token.createVestingSchedule(grantor, other, 1n, { kind: 'step', start, duration: DAY }))
+        .rejects.toThrow(/positive number of steps/);
+    });
+    
+    test('should return unvested tokens to the grantor on revocation', async () => {
+      const { scheduleId } = await token.createVestingSchedule(
+        grantor, beneficiary, 1000n, { kind: 'linear', start, duration: 100 * DAY, revocable: true }
+      );
+      const fixed = await token.createVestingSchedule(grantor, beneficiary, 10n, { kind: 'linear', start, duration: DAY });
+      
+      now = start + 40 * DAY;
+      await expect(token.revokeVesting(beneficiary, scheduleId)).rejects.toThrow(/Only the grantor/);
+      await expect(token.revokeVesting(grantor, fixed.scheduleId)).rejects.toThrow(/not revocable/);
+      
+      const result = await tokenImplementation.revokeVesting(token.id, grantor, scheduleId);
+      expect(result.amount).toBe(600n);
+      expect(await token.balanceOf(grantor)).toBe(9600n - 10n);
+      
+      // Vested tokens stay with the beneficiary and no longer grow
+      now = start + 100 * DAY;
+      expect(token.releasable(beneficiary)).toBe(410n);
+      await expect(token.revokeVesting(grantor, scheduleId)).rejects.toThrow(/already revoked/);
+    });
+    
+    test('should persist schedules through saveState', async () => {
+      await token.createVestingSchedule(grantor, beneficiary, 1000n, { kind: 'linear', start, duration: 100 * DAY });
+      now = start + 50 * DAY;
+      await token.release(beneficiary);
+      
+      const restored = await tokenImplementation.loadState(await token.saveState(), { clock: () => now });
+      
+      expect(restored.lockedBalanceOf(beneficiary)).toBe(500n);
+      expect(restored.getVestingSchedules(beneficiary)[0]).toMatchObject({ total: 1000n, released: 500n, kind: 'linear' });
+      now = start + 60 * DAY;
+      expect(restored.releasable(beneficiary)).toBe(100n);
+    });
+  });
+  
+  describe('Hash Time-Locked Escrow', () => {
+    const preimage = 'the owl of minerva';
+    const hashlock = createHashlock(preimage);
+    let token, sender, recipient, now;
+    
+    beforeEach(async () => {
+      sender = fixtures.wallets.wallet1.address;
+      recipient = fixtures.wallets.wallet2.address;
+      now = 1700000000000;
+      
+      // Timelocks are checked against the ledger clock
+      token = await tokenImplementation.createToken({
+        name: "Escrow Token",
+        symbol: "ESC",
+        initialSupply: 1000,
+        owner: sender,
+        clock: () => now
+      });
+    });
+    
+    test('should hold locked tokens outside both balances', async () => {
+      const { escrowId } = await token.lockEscrow(sender, recipient, 300n, { hashlock, timelock: now + 1000 });
+      
+      expect(await token.balanceOf(sender)).toBe(700n);
+      expect(await token.balanceOf(recipient)).toBe(0n);
+      expect(token.getTotalSupply()).toBe(1000n);
+      expect(token.getEscrow(escrowId)).toMatchObject({ status: 'locked', amount: 300n, hashlock });
+    });
+    
+    test('should release tokens to the recipient for the right preimage', async () => {
+      const { escrowId } = await token.lockEscrow(sender, recipient, 300n, { hashlock, timelock: now + 1000 });
+      
+      await expect(token.claimEscrow(escrowId, 'wrong secret')).rejects.toThrow(/does not match hashlock/);
+      await tokenImplementation.claimEscrow(token.id, escrowId, preimage);
+      
+      expect(await token.balanceOf(recipient)).toBe(300n);
+      expect(token.getEscrow(escrowId)).toMatchObject({ status: 'claimed', preimage });
+      await expect(token.refundEscrow(escrowId)).rejects.toThrow(/already claimed/);
+    });
+    
+    test('should refund the sender only after the timelock', async () => {
+      const { escrowId } = await token.lockEscrow(sender, recipient, 300n, { hashlock, timelock: now + 1000 });
+      
+      await expect(token.refundEscrow(escrowId)).rejects.toThrow(/cannot be refunded before/);
+      
+      now += 1000;
+      await expect(token.claimEscrow(escrowId, preimage)).rejects.toThrow(/expired/);
+      await token.refundEscrow(escrowId);
+      
+      expect(await token.balanceOf(sender)).toBe(1000n);
+      expect(token.getEscrow(escrowId).status).toBe('refunded');
+    });
+    
+    test('should validate locks through the state machine', async () => {
+      await expect(token.lockEscrow(sender, recipient, 300n, { hashlock: 'abc', timelock: now + 1000 }))
+        .rejects.toThrow(/sha256 hex digest/);
+      await expect(token.lockEscrow(sender, recipient, 300n, { hashlock, timelock: now }))
+        .rejects.toThrow(/Timelock must be in the future/);
+      await expect(token.lockEscrow(sender, recipient, 2000n, { hashlock, timelock: now + 1000 }))
+        .rejects.toThrow(/Insufficient balance/);
+      expect(await token.balanceOf(sender)).toBe(1000n);
+    });
+    
+    test('should replay escrows deterministically from the history', async () => {
+      const first = await token.lockEscrow(sender, recipient, 100n, { hashlock, timelock: now + 1000 });
+      const second = await token.lockEscrow(sender, recipient, 200n, { hashlock, timelock: now + 1000 });
+      await token.claimEscrow(first.escrowId, preimage);
+      now += 5000;
+      await token.refundEscrow(second.escrowId);
+      
+      const history = await token.getTransactionHistory();
+      expect(history.map(tx => tx.type)).toEqual(['lockEscrow', 'lockEscrow', 'claimEscrow', 'refundEscrow']);
+      expect(replayEscrows(history)).toEqual(token.escrowMachine.getCurrentState());
+      expect(await token.verifyEscrows()).toBe(true);
+      
+      const restored = await tokenImplementation.loadState(await token.saveState());
+      expect(await restored.verifyEscrows()).toBe(true);
+      expect(restored.getEscrow(second.escrowId).status).toBe('refunded');
+    });
+  });
+  
+  describe('Pausing and Freezing', () => {
+    let token, owner, alice, bob;
+    
+    beforeEach(async () => {
+      owner = fixtures.wallets.wallet1.address;
+      alice = fixtures.wallets.wallet2.address;
+      bob = fixtures.wallets.wallet3.address;
+      token = await tokenImplementation.createToken({
+        name: "Pausable Token",
+        symbol: "PSE",
+        initialSupply: 1000,
+        owner
+      });
+      await token.transfer(owner, alice, 100n);
+    });
+    
+    test('should block transfers, mints and delegated transfers while paused', async () => {
+      await token.approve(alice, bob, 50n);
+      await tokenImplementation.pause(token.id, { from: owner, reason: 'key leak' });
+      
+      expect(token.isPaused()).toBe(true);
+      expect(token.getInfo().paused).toBe(true);
+      await expect(token.transfer(alice, bob, 1n)).rejects.toThrow('Token is paused');
+      await expect(token.mint(bob, 1n, { from: owner })).rejects.toThrow('Token is paused');
+      await expect(token.transferFrom(bob, alice, bob, 1n)).rejects.toThrow('Token is paused');
+      
+      await token.unpause({ from: owner, reason: 'keys rotated' });
+      await token.transfer(alice, bob, 1n);
+      expect(await token.balanceOf(bob)).toBe(1n);
+    });
+    
+    test('should block frozen accounts from sending and receiving', async () => {
+      await tokenImplementation.freeze(token.id, alice, { from: owner, reason: 'suspicious activity' });
+      
+      expect(token.isFrozen(alice)).toBe(true);
+      await expect(token.transfer(alice, bob, 1n)).rejects.toThrow(`Account is frozen: ${alice}`);
+      await expect(token.transfer(owner, alice, 1n)).rejects.toThrow(`Account is frozen: ${alice}`);
+      await expect(token.mint(alice, 1n, { from: owner })).rejects.toThrow(/Account is frozen/);
+      await token.transfer(owner, bob, 1n);
+      
+      await tokenImplementation.unfreeze(token.id, alice, { from: owner, reason: 'cleared' });
+      await token.transfer(alice, bob, 1n);
+      expect(await token.balanceOf(bob)).toBe(2n);
+    });
+    
+    test('should hold vested tokens back while paused or frozen', async () => {
+      await token.createVestingSchedule(owner, alice, 100n, { kind: 'linear', start: 0, duration: 1 });
+      
+      await token.freeze(alice, { from: owner, reason: 'under review' });
+      await expect(token.release(alice)).rejects.toThrow(`Account is frozen: ${alice}`);
+      await token.unfreeze(alice, { from: owner, reason: 'cleared' });
+      
+      await token.pause({ from: owner, reason: 'maintenance' });
+      await expect(token.release(alice)).rejects.toThrow('Token is paused');
+      expect(token.lockedBalanceOf(alice)).toBe(100n);
+      
+      await token.unpause({ from: owner, reason: 'resumed' });
+      expect((await token.release(alice)).amount).toBe(100n);
+      expect(token.lockedBalanceOf(alice)).toBe(0n);
+    });
+    
+    test('should restrict emergency actions to pausers and require a reason', async () => {
+      await expect(token.pause({ from: alice, reason: 'nope' })).rejects.toThrow(/pause requires the PAUSER role/);
+      await expect(token.freeze(bob, { from: owner })).rejects.toThrow(/A reason is required/);
+      await expect(token.unpause({ from: owner, reason: 'x' })).rejects.toThrow(/not paused/);
+    });
+    
+    test('should record the actor and reason and survive a restore', async () => {
+      await token.pause({ from: owner, reason: 'key leak' });
+      await token.freeze(alice, { from: owner, reason: 'compromised' });
+      
+      const history = await token.getTransactionHistory();
+      expect(history.slice(-2)).toEqual([
+        expect.objectContaining({ type: 'pause', actor: owner, reason: 'key leak' }),
+        expect.objectContaining({ type: 'freeze', actor: owner, account: alice, reason: 'compromised' })
+      ]);
+      
+      const restored = await tokenImplementation.loadState(await token.saveState());
+      expect(restored.isPaused()).toBe(true);
+      expect(restored.isFrozen(alice)).toBe(true);
+    });
+  });
+  
+  describe('Roles', () => {
+    let token, owner, alice, bob;
+    
+    beforeEach(async () => {
+      owner = fixtures.wallets.wallet1.address;
+      alice = fixtures.wallets.wallet2.address;
+      bob = fixtures.wallets.wallet3.address;
+      token = await tokenImplementation.createToken({
+        name: "Role Token",
+        symbol: "ROL",
+        initialSupply: 1000,
+        owner
+      });
+      await token.transfer(owner, bob, 100n);
+    });
+    
+    test('should give the owner every role', () => {
+      Object.values(Roles).forEach(role => expect(token.hasRole(role, owner)).toBe(true));
+      expect(token.getRolesOf(alice)).toEqual([]);
+    });
+    
+    test('should reject a spoofed minter on tokens that require signatures', async () => {
+      const signed = await tokenImplementation.createToken({
+        name: "Signed Role Token",
+        symbol: "SRL",
+        initialSupply: 1000,
+        owner,
+        requireSignatures: true
+      });
+      
+      await expect(signed.mint(alice, 10n, { from: owner }))
+        .rejects.toThrow(`Unauthorized: mint requires a signature from ${owner}`);
+      await expect(signed.grantRole(Roles.MINTER, alice, { from: owner })).rejects.toThrow(/grantRole requires a signature/);
+      expect(await signed.balanceOf(alice)).toBe(0n);
+      expect(signed.hasRole(Roles.MINTER, alice)).toBe(false);
+      
+      // Without signatures a role check can only trust the address the caller gives
+      await token.mint(alice, 10n, { from: owner });
+      expect(await token.balanceOf(alice)).toBe(10n);
+    });
+    
+    test('should let minters mint once granted and stop after revocation', async () => {
+      await expect(token.mint(alice, 10n, { from: alice })).rejects.toThrow(/mint requires the MINTER role/);
+      
+      await tokenImplementation.grantRole(token.id, Roles.MINTER, alice, { from: owner });
+      expect(await tokenImplementation.hasRole(token.id, Roles.MINTER, alice)).toBe(true);
+      await token.mint(alice, 10n, { from: alice });
+      expect(await token.balanceOf(alice)).toBe(10n);
+      
+      await tokenImplementation.revokeRole(token.id, Roles.MINTER, alice, { from: owner });
+      await expect(token.mint(alice, 10n, { from: alice })).rejects.toThrow(/MINTER role/);
+    });
+    
+    test('should require ROLE_ADMIN to grant or revoke roles', async () => {
+      await expect(token.grantRole(Roles.MINTER, alice, { from: alice })).rejects.toThrow(/grantRole requires the ROLE_ADMIN role/);
+      await expect(token.revokeRole(Roles.MINTER, owner, { from: bob })).rejects.toThrow(/ROLE_ADMIN role/);
+      await expect(token.grantRole('OWNER', alice, { from: owner })).rejects.toThrow('Unknown role: OWNER');
+      await expect(token.grantRole(Roles.PAUSER, owner, { from: owner })).rejects.toThrow(/already has the PAUSER role/);
+    });
+    
+    test('should let accounts renounce their own roles', async () => {
+      await token.grantRole(Roles.PAUSER, alice, { from: owner });
+      await token.pause({ from: alice, reason: 'drill' });
+      await token.unpause({ from: alice, reason: 'drill over' });
+      
+      await tokenImplementation.renounceRole(token.id, Roles.PAUSER, { from: alice });
+      expect(token.hasRole(Roles.PAUSER, alice)).toBe(false);
+      await expect(token.pause({ from: alice, reason: 'again' })).rejects.toThrow(/PAUSER role/);
+      await expect(token.renounceRole(Roles.PAUSER, { from: alice })).rejects.toThrow(/does not have the PAUSER role/);
+    });
+    
+    test('should require RULE_ADMIN to change governance rules', async () => {
+      const rule = { check: () => true, message: 'Always passes' };
+      await expect(token.addRule('Open', rule, { from: alice })).rejects.toThrow(/addRule requires the RULE_ADMIN role/);
+      await expect(token.clearRules()).rejects.toThrow(/clearRules requires the RULE_ADMIN role/);
+      
+      await token.grantRole(Roles.RULE_ADMIN, alice, { from: owner });
+      await token.addRule('Open', rule, { from: alice });
+      expect(token.state.rules.has('Open')).toBe(true);
+      
+      const cleared = await token.clearRules({ from: alice });
+      expect(cleared.names).toEqual(['Open']);
+      const history = await token.getTransactionHistory();
+      expect(history[history.length - 1]).toEqual(expect.objectContaining({ type: 'clearRules', actor: alice, names: ['Open'] }));
+    });
+    
+    test('should let burners burn the tokens of other accounts', async () => {
+      await expect(token.burn(bob, 10n, { from: alice })).rejects.toThrow(/burn requires the BURNER role/);
+      
+      await token.grantRole(Roles.BURNER, alice, { from: owner });
+      await token.burn(bob, 10n, { from: alice });
+      await token.burn(bob, 5n);
+      
+      expect(await token.balanceOf(bob)).toBe(85n);
+      expect(token.getTotalSupply()).toBe(985n);
+      const history = await token.getTransactionHistory();
+      expect(history[history.length - 2]).toEqual(expect.objectContaining({ type: 'burn', from: bob, burner: alice, amount: 10n }));
+      expect(history[history.length - 1].burner).toBeUndefined();
+    });
+    
+    test('should audit role changes and restore them from saved state', async () => {
+      await token.grantRole(Roles.MINTER, alice, { from: owner });
+      await token.revokeRole(Roles.BURNER, owner, { from: owner });
+      
+      const history = await token.getTransactionHistory();
+      expect(history.slice(-2)).toEqual([
+        expect.objectContaining({ type: 'grantRole', actor: owner, role: Roles.MINTER, account: alice }),
+        expect.objectContaining({ type: 'revokeRole', actor: owner, role: Roles.BURNER, account: owner })
+      ]);
+      
+      const restored = await tokenImplementation.loadState(await token.saveState());
+      expect(restored.hasRole(Roles.MINTER, alice)).toBe(true);
+      expect(restored.hasRole(Roles.BURNER, owner)).toBe(false);
+      expect(restored.getRoleMembers(Roles.MINTER)).toEqual([owner, alice]);
+    });
+  });
+  
+  describe('Batch Operations', () => {
+    let token, owner, alice, bob;
+    
+    beforeEach(async () => {
+      owner = fixtures.wallets.wallet1.address;
+      alice = fixtures.wallets.wallet2.address;
+      bob = fixtures.wallets.wallet3.address;
+      token = await tokenImplementation.createToken({
+        name: "Payroll Token",
+        symbol: "PAY",
+        initialSupply: 1000,
+        maxSupply: 2000,
+        owner
+      });
+    });
+    
+    test('should apply every operation and record a single entry', async () => {
+      const result = await tokenImplementation.executeBatch(token.id, [
+        { type: 'transfer', to: alice, amount: 300n },
+        { type: 'transfer', to: bob, amount: 200n },
+        { type: 'mint', to: alice, amount: 50n },
+        { type: 'burn', amount: 100n }
+      ], { from: owner });
+      
+      expect(result.operations).toBe(4);
+      expect(await token.balanceOf(owner)).toBe(400n);
+      expect(await token.balanceOf(alice)).toBe(350n);
+      expect(await token.balanceOf(bob)).toBe(200n);
+      expect(token.getTotalSupply()).toBe(950n);
+      
+      const history = await token.getTransactionHistory();
+      expect(history).toHaveLength(1);
+      expect(history[0]).toEqual(expect.objectContaining({ type: 'batch', from: owner }));
+      expect(history[0].operations[0]).toEqual({ type: 'transfer', from: owner, to: alice, amount: 300n });
+    });
+    
+    test('should leave the ledger untouched when any operation fails', async () => {
+      await expect(token.executeBatch([
+        { type: 'transfer', to: alice, amount: 600n },
+        { type: 'transfer', to: bob, amount: 600n }
+      ], { from: owner })).rejects.toThrow(/Batch operation 1 \(transfer\) failed: Insufficient balance/);
+      
+      await expect(token.executeBatch([
+        { type: 'mint', to: alice, amount: 500n },
+        { type: 'mint', to: bob, amount: 600n }
+      ], { from: owner })).rejects.toThrow(/exceed max supply/);
+      
+      expect(await token.balanceOf(owner)).toBe(1000n);
+      expect(await token.balanceOf(alice)).toBe(0n);
+      expect(token.getTotalSupply()).toBe(1000n);
+      expect(await token.getTransactionHistory()).toHaveLength(0);
+    });
+    
+    test('should validate operations against rules, roles and submitter', async () => {
+      await token.addRule('MinimumTransfer', {
+        check: (tx) => tx.type !== 'transfer' || tx.amount >= 100n,
+        message: 'Transfers must be at least 100 tokens'
+      }, { from: owner });
+      await token.transfer(owner, alice, 200n);
+      
+      await expect(token.executeBatch([
+        { type: 'transfer', to: bob, amount: 100n },
+        { type: 'transfer', to: bob, amount: 10n }
+      ], { from: owner })).rejects.toThrow('Transfers must be at least 100 tokens');
+      await expect(token.executeBatch([{ type: 'mint', to: alice, amount: 1n }], { from: alice }))
+        .rejects.toThrow(/MINTER role/);
+      await expect(token.executeBatch([{ type: 'transfer', from: alice, to: bob, amount: 100n }], { from: owner }))
+        .rejects.toThrow(/must come from the submitter/);
+      await expect(token.executeBatch([{ type: 'approve', to: bob, amount: 1n }], { from: owner }))
+        .rejects.toThrow(/Unsupported batch operation: approve/);
+      await expect(token.executeBatch([], { from: owner })).rejects.toThrow(/at least one operation/);
+      
+      expect(await token.balanceOf(bob)).toBe(0n);
+    });
+    
+    test('should require one signature over the whole batch and survive a restore', async () => {
+      const keys = leibniz.createKeyPair();
+      const signer = leibniz.monadHash(keys.publicKey);
+      tokenImplementation.registerPublicKey(signer, keys.publicKey);
+      const signed = await tokenImplementation.createToken({
+        name: "Signed Payroll",
+        symbol: "SPY",
+        initialSupply: 1000,
+        owner: signer,
+        requireSignatures: true
+      });
+      
+      const operations = [
+        { type: 'transfer', from: signer, to: alice, amount: 10n },
+        { type: 'transfer', from: signer, to: bob, amount: 20n }
+      ];
+      const expiry = Date.now() + 60000;
+      const signature = signTransaction(keys.privateKey, {
+        tokenId: signed.id, type: 'batch', from: signer, operations, nonce: 0, expiry
+      });
+      
+      await expect(signed.executeBatch(operations, { from: signer })).rejects.toThrow(/requires a signature/);
+      await expect(signed.executeBatch([operations[0]], {
+        from: signer, signature, publicKey: keys.publicKey, nonce: 0, expiry
+      })).rejects.toThrow('Invalid transaction signature');
+      await signed.executeBatch(operations, { from: signer, signature, publicKey: keys.publicKey, nonce: 0, expiry });
+      
+      const restored = await tokenImplementation.loadState(await signed.saveState());
+      expect(await restored.balanceOf(bob)).toBe(20n);
+      const history = await restored.getTransactionHistory();
+      expect(history[0].operations[1].amount).toBe(20n);
+    });
+  });
+  
+  describe('Transfer Fees', () => {
+    let owner, alice, bob, treasuryA, treasuryB;
+    
+    const createFeeToken = (fees) => tokenImplementation.createToken({
+      name: "Fee Token",
+      symbol: "FEE",
+      initialSupply: 100000,
+      owner,
+      fees
+    });
+    
+    beforeAll(() => {
+      owner = fixtures.wallets.wallet1.address;
+      alice = fixtures.wallets.wallet2.address;
+      bob = fixtures.wallets.wallet3.address;
+      treasuryA = leibniz.monadHash('treasury-a');
+      treasuryB = leibniz.monadHash('treasury-b');
+    });
+    
+    test('should charge basis points and split the fee among treasuries', async () => {
+      const token = await createFeeToken({
+        kind: 'bps',
+        bps: 125,
+        treasuries: [{ address: treasuryA, share: 3333 }, { address: treasuryB, share: 6667 }]
+      });
+      
+      const result = await token.transfer(owner, alice, 1001n);
+      
+      // 1.25% of 1001 is 12.5125 -> 12; the shares give 3 and 8, the leftover quantum goes to the first treasury
+      expect(result).toEqual(expect.objectContaining({ gross: 1001n, fee: 12n, net: 989n }));
+      expect(await token.balanceOf(alice)).toBe(989n);
+      expect(await token.balanceOf(treasuryA)).toBe(4n);
+      expect(await token.balanceOf(treasuryB)).toBe(8n);
+      expect(await token.balanceOf(owner)).toBe(98999n);
+      expect(token.getTotalSupply()).toBe(100000n);
+      
+      const history = await token.getTransactionHistory();
+      expect(history[0]).toEqual(expect.objectContaining({
+        amount: 1001n,
+        fee: 12n,
+        net: 989n,
+        feeSplits: [{ address: treasuryA, amount: 4n }, { address: treasuryB, amount: 8n }]
+      }));
+    });
+    
+    test('should clamp fees to the minimum and maximum', async () => {
+      const token = await createFeeToken({
+        kind: 'bps',
+        bps: 100,
+        min: 5,
+        max: 20,
+        treasuries: [{ address: treasuryA, share: 10000 }]
+      });
+      
+      expect(token.previewFee(100n).fee).toBe(5n);
+      expect(token.previewFee(1000n).fee).toBe(10n);
+      expect(token.previewFee(5000n).fee).toBe(20n);
+      await expect(token.transfer(owner, alice, 3n)).rejects.toThrow(/does not cover the fee/);
+    });
+    
+    test('should charge flat and tiered fees', async () => {
+      const flat = await createFeeToken({ kind: 'flat', amount: 7, treasuries: [{ address: treasuryA, share: 10000 }] });
+      expect(await tokenImplementation.previewFee(flat.id, 1000n)).toEqual({
+        gross: 1000n, fee: 7n, net: 993n, splits: [{ address: treasuryA, amount: 7n }]
+      });
+      
+      const tiered = await createFeeToken({
+        kind: 'tiered',
+        tiers: [
+          { upTo: 1000, amount: 1 },
+          { upTo: 10000, bps: 50 },
+          { upTo: null, amount: 10, bps: 10 }
+        ],
+        treasuries: [{ address: treasuryA, share: 10000 }]
+      });
+      expect(tiered.previewFee(1000n).fee).toBe(1n);
+      expect(tiered.previewFee(1001n).fee).toBe(5n);
+      expect(tiered.previewFee(20000n).fee).toBe(30n);
+    });
+    
+    test('should validate fee models', async () => {
+      const treasuries = [{ address: treasuryA, share: 10000 }];
+      await expect(createFeeToken({ kind: 'percent', treasuries })).rejects.toThrow('Unknown fee kind: percent');
+      await expect(createFeeToken({ kind: 'bps', bps: 20000, treasuries })).rejects.toThrow(/between 0 and 10000/);
+      await expect(createFeeToken({ kind: 'bps', bps: 10, treasuries: [{ address: treasuryA, share: 5000 }] }))
+        .rejects.toThrow(/must sum to 10000/);
+      await expect(createFeeToken({ kind: 'flat', amount: 1, min: 10, max: 5, treasuries })).rejects.toThrow(/cannot exceed/);
+      await expect(createFeeToken({ kind: 'tiered', tiers: [{ upTo: 100 }, { upTo: 50 }], treasuries }))
+        .rejects.toThrow(/ascending/);
+    });
+    
+    test('should charge delegated and batched transfers and keep the supply invariant', async () => {
+      const token = await createFeeToken({ kind: 'flat', amount: 2, treasuries: [{ address: treasuryA, share: 10000 }] });
+      
+      await token.approve(owner, bob, 100n);
+      const result = await token.transferFrom(bob, owner, alice, 50n);
+      expect(result.net).toBe(48n);
+      expect(token.allowance(owner, bob)).toBe(50n);
+      
+      await token.executeBatch([
+        { type: 'transfer', to: alice, amount: 10n },
+        { type: 'transfer', to: bob, amount: 10n }
+      ], { from: owner });
+      
+      expect(await token.balanceOf(alice)).toBe(56n);
+      expect(await token.balanceOf(bob)).toBe(8n);
+      expect(await token.balanceOf(treasuryA)).toBe(6n);
+      expect(token.getTotalSupply()).toBe(100000n);
+      const history = await token.getTransactionHistory();
+      expect(history[history.length - 1].fee).toBe(4n);
+    });
+    
+    test('should let rule admins change fees and restore them from saved state', async () => {
+      const token = await createFeeToken();
+      expect(token.previewFee(100n)).toEqual({ gross: 100n, fee: 0n, net: 100n, splits: [] });
+      
+      const model = { kind: 'bps', bps: 1000, treasuries: [{ address: treasuryB, share: 10000 }] };
+      await expect(token.setFeeModel(model, { from: alice })).rejects.toThrow(/setFees requires the RULE_ADMIN role/);
+      await tokenImplementation.setFeeModel(token.id, model, { from: owner });
+      await token.transfer(owner, alice, 100n);
+      
+      const restored = await tokenImplementation.loadState(await token.saveState());
+      expect(restored.previewFee(100n).fee).toBe(10n);
+      const history = await restored.getTransactionHistory();
+      expect(history[0]).toEqual(expect.objectContaining({ type: 'setFees', actor: owner }));
+      expect(history[1].feeSplits).toEqual([{ address: treasuryB, amount: 10n }]);
+      
+      await token.setFeeModel(null, { from: owner });
+      expect(token.previewFee(100n).fee).toBe(0n);
+    });
+  });
+  
+  describe('Token Events', () => {
+    let owner, alice, bob, events, unsubscribe;
+    
+    beforeEach(() => {
+      owner = fixtures.wallets.wallet1.address;
+      alice = fixtures.wallets.wallet2.address;
+      bob = fixtures.wallets.wallet3.address;
+      events = [];
+    });
+    
+    afterEach(() => {
+      if (unsubscribe) {
+        unsubscribe();
+        unsubscribe = null;
+      }
+    });
+    
+    test('should emit typed events with token ID, sequence and transaction ID', async () => {
+      unsubscribe = tokenImplementation.on('*', event => events.push(event));
+      const token = await tokenImplementation.createToken({
+        name: "Evented Token",
+        symbol: "EVT",
+        initialSupply: 1000,
+        owner
+      });
+      
+      await token.transfer(owner, alice, 100n);
+      await token.mint(bob, 50n, { from: owner });
+      await token.burn(alice, 10n);
+      await token.approve(alice, bob, 20n);
+      await token.addRule('Open', { check: () => true, message: 'Always passes' }, { from: owner });
+      await token.pause({ from: owner, reason: 'maintenance' });
+      
+      const ownEvents = events.filter(event => event.tokenId === token.id);
+      expect(ownEvents.map(event => event.type)).toEqual([
+        'TokenCreated', 'Transfer', 'Mint', 'Burn', 'Approval', 'RuleAdded', 'Paused'
+      ]);
+      expect(ownEvents.map(event => event.sequence)).toEqual([0, 1, 2, 3, 4, 5, 6]);
+      expect(ownEvents[0]).toEqual(expect.objectContaining({ transactionId: token.cid, owner, initialSupply: 1000n }));
+      
+      const history = await token.getTransactionHistory();
+      expect(ownEvents.slice(1).map(event => event.transactionId)).toEqual(history.map(entry => entry.id));
+      expect(ownEvents[1]).toEqual(expect.objectContaining({ from: owner, to: alice, amount: 100n, net: 100n }));
+      expect(ownEvents[6]).toEqual(expect.objectContaining({ paused: true, actor: owner, reason: 'maintenance' }));
+    });
+    
+    test('should filter events by token and address', async () => {
+      const tokenA = await tokenImplementation.createToken({ name: "Filter A", symbol: "FLA", initialSupply: 1000, owner });
+      const tokenB = await tokenImplementation.createToken({ name: "Filter B", symbol: "FLB", initialSupply: 1000, owner });
+      unsubscribe = tokenImplementation.on('Transfer', event => events.push(event), { tokenId: tokenA.id, address: bob });
+      
+      await tokenA.transfer(owner, alice, 10n);
+      await tokenA.transfer(owner, bob, 20n);
+      await tokenB.transfer(owner, bob, 30n);
+      await tokenA.approve(bob, alice, 5n);
+      
+      expect(events).toHaveLength(1);
+      expect(events[0]).toEqual(expect.objectContaining({ type: 'Transfer', tokenId: tokenA.id, to: bob, amount: 20n }));
+    });
+    
+    test('should match minters by address and log rejected async handlers', async () => {
+      const token = await tokenImplementation.createToken({ name: "Minter Filter", symbol: "MFL", initialSupply: 1000, owner });
+      await token.grantRole(Roles.MINTER, bob, { from: owner });
+      const logged = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const rejecting = async () => { throw new Error('async subscriber bug'); };
+      tokenImplementation.on('Mint', rejecting);
+      unsubscribe = tokenImplementation.on('*', event => events.push(event), { tokenId: token.id, address: bob });
+      
+      await token.mint(alice, 5n, { from: bob });
+      await new Promise(resolve => setImmediate(resolve));
+      tokenImplementation.off('Mint', rejecting);
+      
+      expect(events).toEqual([expect.objectContaining({ type: 'Mint', minter: bob, to: alice, amount: 5n })]);
+      expect(logged).toHaveBeenCalledWith('Error in Mint event handler:', expect.objectContaining({ message: 'async subscriber bug' }));
+      logged.mockRestore();
+    });
+    
+    test('should emit one event per batch operation and survive failing handlers', async () => {
+      const token = await tokenImplementation.createToken({ name: "Batch Events", symbol: "BEV", initialSupply: 1000, owner });
+      const failing = () => { throw new Error('subscriber bug'); };
+      tokenImplementation.on('Mint', failing);
+      unsubscribe = tokenImplementation.on('*', event => events.push(event), { tokenId: token.id });
+      
+      const result = await token.executeBatch([
+        { type: 'mint', to: alice, amount: 5n },
+        { type: 'transfer', to: bob, amount: 7n }
+      ], { from: owner });
+      tokenImplementation.off('Mint', failing);
+      
+      expect(events.map(event => event.type)).toEqual(['Mint', 'Transfer']);
+      expect(events.every(event => event.transactionId === result.transactionId)).toBe(true);
+      expect(await token.balanceOf(alice)).toBe(5n);
+    });
+    
+    test('should reject unknown event types and stop delivering after unsubscribe', async () => {
+      expect(() => tokenImplementation.on('Explode', () => {})).toThrow('Unknown token event: Explode');
+      
+      const token = await tokenImplementation.createToken({ name: "Quiet Token", symbol: "QUT", initialSupply: 1000, owner });
+      const stop = tokenImplementation.on('Transfer', event => events.push(event), { tokenId: token.id });
+      await token.transfer(owner, alice, 1n);
+      stop();
+      await token.transfer(owner, alice, 1n);
+      
+      expect(events).toHaveLength(1);
+    });
+  });
+  
+  describe('Balance Snapshots', () => {
+    let token, owner, alice, bob;
+    
+    beforeEach(async () => {
+      owner = fixtures.wallets.wallet1.address;
+      alice = fixtures.wallets.wallet2.address;
+      bob = fixtures.wallets.wallet3.address;
+      token = await tokenImplementation.createToken({
+        name: "Snapshot Token",
+        symbol: "SNP",
+        initialSupply: 1000,
+        owner
+      });
+    });
+    
+    test('should return balances and supply as of each snapshot', async () => {
+      await token.transfer(owner, alice, 100n);
+      const first = await tokenImplementation.snapshot(token.id, { from: owner });
+      
+      await token.transfer(alice, bob, 40n);
+      await token.mint(bob, 500n, { from: owner });
+      const second = await token.snapshot({ from: owner });
+      
+      await token.burn(bob, 200n);
+      
+      expect(first.snapshotId).toBe(1);
+      expect(second.snapshotId).toBe(2);
+      expect(token.balanceOfAt(alice, 1)).toBe(100n);
+      expect(token.balanceOfAt(bob, 1)).toBe(0n);
+      expect(token.balanceOfAt(owner, 1)).toBe(900n);
+      expect(await tokenImplementation.totalSupplyAt(token.id, 1)).toBe(1000n);
+      
+      expect(token.balanceOfAt(alice, 2)).toBe(60n);
+      expect(await tokenImplementation.balanceOfAt(token.id, bob, 2)).toBe(540n);
+      expect(token.totalSupplyAt(2)).toBe(1500n);
+      expect(await token.balanceOf(bob)).toBe(340n);
+      
+      expect(token.getSnapshots().map(snapshot => snapshot.transactionCount)).toEqual([1, 4]);
+    });
+    
+    test('should store checkpoints only for accounts that changed', async () => {
+      await token.transfer(owner, alice, 100n);
+      await token.snapshot({ from: owner });
+      await token.snapshot({ from: owner });
+      await token.transfer(owner, bob, 10n);
+      await token.transfer(owner, bob, 10n);
+      
+      expect(token.balanceCheckpoints.has(alice)).toBe(false);
+      expect(token.balanceCheckpoints.get(owner)).toEqual([{ snapshotId: 2, value: 900n }]);
+      expect(token.balanceOfAt(owner, 1)).toBe(900n);
+      expect(token.balanceOfAt(bob, 2)).toBe(0n);
+      expect(token.balanceOfAt(alice, 2)).toBe(100n);
+    });
+    
+    test('should track batches and reject unknown snapshots', async () => {
+      await token.snapshot({ from: owner });
+      await token.executeBatch([
+        { type: 'transfer', to: alice, amount: 10n },
+        { type: 'burn', amount: 5n }
+      ], { from: owner });
+      
+      expect(token.balanceOfAt(owner, 1)).toBe(1000n);
+      expect(token.balanceOfAt(alice, 1)).toBe(0n);
+      expect(token.totalSupplyAt(1)).toBe(1000n);
+      expect(() => token.balanceOfAt(owner, 2)).toThrow('Snapshot does not exist: 2');
+      expect(() => token.totalSupplyAt(0)).toThrow(/Snapshot does not exist/);
+    });
+    
+    test('should require RULE_ADMIN to take a snapshot', async () => {
+      await expect(token.snapshot()).rejects.toThrow(/snapshot requires the RULE_ADMIN role/);
+      await expect(token.snapshot({ from: alice })).rejects.toThrow(/snapshot requires the RULE_ADMIN role/);
+      
+      const { snapshotId } = await token.snapshot({ from: owner });
+      const history = await token.getTransactionHistory();
+      expect(history[history.length - 1]).toEqual(expect.objectContaining({ type: 'snapshot', actor: owner, snapshotId }));
+    });
+    
+    test('should find the latest snapshot at or before a transaction or time', async () => {
+      await token.transfer(owner, alice, 100n);
+      await token.snapshot({ from: owner });
+      await token.transfer(owner, alice, 50n);
+      await token.transfer(owner, alice, 25n);
+      await token.snapshot({ from: owner });
+      const [first, second] = token.getSnapshots();
+      
+      expect(token.findSnapshot({ transaction: 1 })).toEqual({ ...first, exact: true });
+      expect(token.findSnapshot({ transaction: 4 })).toEqual({ ...second, exact: true });
+      expect(tokenImplementation.findSnapshot(token.id, { timestamp: second.timestamp }).id).toBe(2);
+      expect(token.balanceOfAt(alice, token.findSnapshot({ transaction: 4 }).id)).toBe(175n);
+      
+      // A point between two snapshots is rounded down to the earlier one and flagged
+      const between = token.findSnapshot({ transaction: 3 });
+      expect(between).toEqual({ ...first, exact: false });
+      expect(token.balanceOfAt(alice, between.id)).toBe(100n);
+      
+      expect(() => token.findSnapshot({ transaction: 0 })).toThrow('No snapshot at or before transactionCount 0');
+      expect(() => token.findSnapshot({ timestamp: first.timestamp - 1 })).toThrow(/No snapshot at or before timestamp/);
+      expect(() => token.findSnapshot({})).toThrow(/either a transaction count or a timestamp/);
+    });
+    
+    test('should persist snapshots through saveState', async () => {
+      await token.transfer(owner, alice, 100n);
+      await token.snapshot({ from: owner });
+      await token.transfer(alice, bob, 30n);
+      
+      const restored = await tokenImplementation.loadState(await token.saveState());
+      expect(restored.balanceOfAt(alice, 1)).toBe(100n);
+      expect(restored.totalSupplyAt(1)).toBe(1000n);
+      
+      await restored.transfer(owner, bob, 1n);
+      expect(restored.balanceOfAt(owner, 1)).toBe(900n);
+      expect(restored.getSnapshots()).toHaveLength(1);
+    });
+  });
+  
+  describe('Multisig Accounts', () => {
+    let token, owner, alice, keys, account;
+    
+    // Signs the transaction of a proposal with a key holder's key pair
+    const signProposal = (proposal, keyPair) => tokenImplementation.signProposal(
+      proposal.id,
+      keyPair.publicKey,
+      signTransaction(keyPair.privateKey, proposal.transaction)
+    );
+    
+    beforeAll(() => {
+      keys = [leibniz.createKeyPair(), leibniz.createKeyPair(), leibniz.createKeyPair()];
+    });
+    
+    beforeEach(async () => {
+      owner = fixtures.wallets.wallet1.address;
+      alice = fixtures.wallets.wallet2.address;
+      account = tokenImplementation.createMultisig({ publicKeys: keys.map(k => k.publicKey), threshold: 2 });
+      token = await tokenImplementation.createToken({
+        name: "Treasury Token",
+        symbol: "TRS",
+        initialSupply: 1000,
+        owner
+      });
+      await token.transfer(owner, account.address, 500n);
+    });
+    
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+    
+    test('should derive the account address from its keys and threshold', () => {
+      const reordered = tokenImplementation.createMultisig({ publicKeys: keys.map(k => k.publicKey).reverse(), threshold: 2 });
+      const stricter = tokenImplementation.createMultisig({ publicKeys: keys.map(k => k.publicKey), threshold: 3 });
+      
+      expect(reordered.address).toBe(account.address);
+      expect(stricter.address).not.toBe(account.address);
+      expect(() => tokenImplementation.createMultisig({ publicKeys: [keys[0].publicKey], threshold: 2 }))
+        .toThrow(/threshold must be between 1 and 1/);
+      expect(() => tokenImplementation.createMultisig({ publicKeys: [keys[0].publicKey, keys[0].publicKey], threshold: 1 }))
+        .toThrow(/must be distinct/);
+    });
+    
+    test('should execute a transfer once the threshold of signatures is reached', async () => {
+      const proposal = tokenImplementation.proposeMultisig(account.address, {
+        tokenId: token.id,
+        type: 'transfer',
+        fields: { to: alice, amount: 200n }
+      });
+      expect(proposal.transaction).toEqual(expect.objectContaining({ from: account.address, amount: 200n, nonce: 0 }));
+      
+      signProposal(proposal, keys[0]);
+      await expect(tokenImplementation.executeProposal(proposal.id)).rejects.toThrow(/has 1 of 2 required signatures/);
+      
+      signProposal(proposal, keys[2]);
+      const result = await tokenImplementation.executeProposal(proposal.id);
+      
+      expect(await token.balanceOf(alice)).toBe(200n);
+      expect(await token.balanceOf(account.address)).toBe(300n);
+      expect(token.getNonce(account.address)).toBe(1);
+      expect(tokenImplementation.listPendingProposals(account.address)).toHaveLength(0);
+      await expect(tokenImplementation.executeProposal(proposal.id)).rejects.toThrow(/is executed/);
+      
+      const history = await token.getTransactionHistory();
+      const entry = history.find(tx => tx.id === result.transactionId);
+      expect(entry.signer).toBe(account.address);
+      expect(entry.approvers.sort()).toEqual([keys[0].publicKey, keys[2].publicKey].sort());
+    });
+    
+    test('should never move multisig funds without approvals', async () => {
+      await expect(token.transfer(account.address, alice, 1n)).rejects.toThrow(/requires 2 approvals/);
+      
+      const expiry = Date.now() + 60000;
+      const transaction = { tokenId: token.id, type: 'transfer', from: account.address, to: alice, amount: 1n, nonce: 0, expiry };
+      const signatures = [{ publicKey: keys[0].publicKey, signature: signTransaction(keys[0].privateKey, transaction) }];
+      await expect(token.transfer(account.address, alice, 1n, { signatures: [...signatures, ...signatures], nonce: 0, expiry }))
+        .rejects.toThrow(/has 1 of 2 required approvals/);
+      expect(await token.balanceOf(alice)).toBe(0n);
+    });
+    
+    test('should reject foreign, duplicate and invalid signatures', () => {
+      const proposal = tokenImplementation.proposeMultisig(account.address, {
+        tokenId: token.id,
+        type: 'approve',
+        fields: { spender: alice, amount: 10n }
+      });
+      const outsider = leibniz.createKeyPair();
+      
+      expect(() => signProposal(proposal, outsider)).toThrow(/not a key holder/);
+      expect(() => tokenImplementation.signProposal(proposal.id, keys[1].publicKey, signTransaction(keys[0].privateKey, proposal.transaction)))
+        .toThrow('Invalid proposal signature');
+      signProposal(proposal, keys[1]);
+      expect(() => signProposal(proposal, keys[1])).toThrow(/already signed/);
+      expect(() => tokenImplementation.proposeMultisig(account.address, { tokenId: token.id, type: 'revokeVesting' }))
+        .toThrow('Unsupported multisig operation: revokeVesting');
+    });
+    
+    test('should expire proposals that do not reach the threshold in time', async () => {
+      let now = Date.now();
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+      
+      const proposal = tokenImplementation.proposeMultisig(account.address, {
+        tokenId: token.id,
+        type: 'burn',
+        fields: { amount: 50n },
+        expiry: now + 1000
+      });
+      signProposal(proposal, keys[0]);
+      signProposal(proposal, keys[1]);
+      expect(tokenImplementation.listPendingProposals(account.address).map(p => p.id)).toContain(proposal.id);
+      
+      now += 1000;
+      expect(tokenImplementation.listPendingProposals(account.address).map(p => p.id)).not.toContain(proposal.id);
+      await expect(tokenImplementation.executeProposal(proposal.id)).rejects.toThrow(/is expired/);
+      expect(await token.balanceOf(account.address)).toBe(500n);
+    });
+  });
+  
+  describe('Relayed Transfers', () => {
+    let token, user, userKeys, bob, relayer;
+    
+    // Builds a transfer intent on the test token signed by the user
+    const intent = (fields, nonce = 0, expiry = Date.now() + 60000) => {
+      const unsigned = { tokenId: token.id, from: user, to: bob, nonce, expiry, ...fields };
+      return { ...unsigned, publicKey: userKeys.publicKey, signature: signIntent(userKeys.privateKey, unsigned) };
+    };
+    
+    beforeAll(() => {
+      userKeys = leibniz.createKeyPair();
+      user = leibniz.monadHash(userKeys.publicKey);
+    });
+    
+    beforeEach(async () => {
+      bob = fixtures.wallets.wallet2.address;
+      relayer = fixtures.wallets.wallet3.address;
+      token = await tokenImplementation.createToken({
+        name: "Relayed Token",
+        symbol: "RLY",
+        initialSupply: 1000,
+        owner: user
+      });
+    });
+    
+    test('should transfer for the user and pay the relayer its fee', async () => {
+      const signed = intent({ amount: 100n, relayerFee: 2n });
+      const result = await tokenImplementation.submitSignedIntent(signed, relayer);
+      
+      expect(result.relayerFee).toBe(2n);
+      expect(result.intentHash).toBe(hashIntent(signed));
+      expect(await token.balanceOf(user)).toBe(898n);
+      expect(await token.balanceOf(bob)).toBe(100n);
+      expect(await token.balanceOf(relayer)).toBe(2n);
+      expect(token.getTotalSupply()).toBe(1000n);
+      expect(token.getNonce(user)).toBe(1);
+      
+      const history = await token.getTransactionHistory();
+      expect(history[history.length - 1]).toEqual(expect.objectContaining({
+        type: 'relayedTransfer', from: user, to: bob, relayer, relayerFee: 2n, signer: user
+      }));
+    });
+    
+    test('should reject replayed, altered and unsigned intents', async () => {
+      const signed = intent({ amount: 100n });
+      await tokenImplementation.submitSignedIntent(signed, relayer);
+      
+      await expect(tokenImplementation.submitSignedIntent(signed, relayer)).rejects.toThrow(/already used/);
+      await expect(tokenImplementation.submitSignedIntent({ ...intent({ amount: 10n }, 1), amount: 500n }, relayer))
+        .rejects.toThrow('Invalid transaction signature');
+      await expect(tokenImplementation.submitSignedIntent({ ...intent({ amount: 10n, relayerFee: 1n }, 1), relayerFee: 50n }, relayer))
+        .rejects.toThrow('Invalid transaction signature');
+      
+      const { signature, ...unsigned } = intent({ amount: 10n }, 1);
+      await expect(tokenImplementation.submitSignedIntent(unsigned, relayer)).rejects.toThrow(/require a signature/);
+      expect(await token.balanceOf(bob)).toBe(100n);
+    });
+    
+    test('should reject junk signatures on tokens that accept unsigned operations', async () => {
+      const { signature, ...unsigned } = intent({ amount: 500n, relayerFee: 5n }, 0);
+      
+      // Approvals only count for multisig accounts
+      await expect(tokenImplementation.submitSignedIntent({ ...unsigned, signatures: [{}] }, relayer))
+        .rejects.toThrow(/require a signature/);
+      await expect(tokenImplementation.submitSignedIntent({ ...unsigned, signature: 'junk' }, relayer))
+        .rejects.toThrow('Invalid transaction signature');
+      
+      expect(await token.balanceOf(user)).toBe(1000n);
+      expect(await token.balanceOf(relayer)).toBe(0n);
+      expect(token.getNonce(user)).toBe(0);
+    });
+    
+    test('should only let the named relayer submit an intent', async () => {
+      const signed = intent({ amount: 10n, relayerFee: 1n, relayer });
+      
+      await expect(tokenImplementation.submitSignedIntent(signed, bob)).rejects.toThrow(/may only be relayed by/);
+      await tokenImplementation.submitSignedIntent(signed, relayer);
+      expect(await token.balanceOf(relayer)).toBe(1n);
+    });
+    
+    test('should leave balances untouched when the user cannot cover the fee', async () => {
+      const signed = intent({ amount: 1000n, relayerFee: 1n });
+      
+      await expect(tokenImplementation.submitSignedIntent(signed, relayer)).rejects.toThrow('Insufficient balance');
+      expect(await token.balanceOf(user)).toBe(1000n);
+      expect(token.getNonce(user)).toBe(0);
+    });
+  });
+  
+  describe('Versioned Metadata', () => {
+    let token, owner, alice;
+    
+    beforeEach(async () => {
+      owner = fixtures.wallets.wallet1.address;
+      alice = fixtures.wallets.wallet2.address;
+      token = await tokenImplementation.createToken({
+        name: "Metadata Token",
+        symbol: "MTD",
+        initialSupply: 1000,
+        owner,
+        metadata: { description: 'First description' }
+      });
+    });
+    
+    test('should link every version to the previous one', async () => {
+      const genesis = token.getInfo().metadataHead;
+      
+      const first = await tokenImplementation.updateMetadata(token.id, { image: 'ipfs://bafylogo' }, { from: owner });
+      const second = await tokenImplementation.updateMetadata(token.id, {
+        description: 'Second description',
+        links: [{ label: 'Website', url: 'https://example.org' }]
+      }, { from: owner });
+      
+      expect(first.version).toBe(2);
+      expect(second.version).toBe(3);
+      expect(token.getInfo().metadataHead).toBe(second.metadataCid);
+      
+      const history = await tokenImplementation.getMetadataHistory(token.id);
+      expect(history.map(version => version.cid)).toEqual([second.metadataCid, first.metadataCid, genesis]);
+      expect(history[0].metadata).toEqual(expect.objectContaining({
+        description: 'Second description',
+        image: 'ipfs://bafylogo',
+        previous: first.metadataCid
+      }));
+      expect(history[2].metadata.description).toBe('First description');
+      
+      const txHistory = await token.getTransactionHistory();
+      expect(txHistory[txHistory.length - 1]).toEqual(expect.objectContaining({
+        type: 'updateMetadata', actor: owner, metadataCid: second.metadataCid, version: 3
+      }));
+    });
+    
+    test('should only let the owner update metadata', async () => {
+      await expect(tokenImplementation.updateMetadata(token.id, { description: 'Hijacked' }, { from: alice }))
+        .rejects.toThrow('Unauthorized: only the token owner may update metadata');
+      expect(await tokenImplementation.getMetadataHistory(token.id)).toHaveLength(1);
+    });
+    
+    test('should validate versions against the metadata schema', async () => {
+      await expect(token.updateMetadata({ image: 'not a uri' }, { from: owner }))
+        .rejects.toThrow('Invalid token metadata: metadata.image must be a URI');
+      await expect(token.updateMetadata({ links: [{ label: 'Docs' }] }, { from: owner }))
+        .rejects.toThrow(/metadata.links\[0\].url is required/);
+      await expect(token.updateMetadata({ name: null }, { from: owner }))
+        .rejects.toThrow(/metadata.name is required/);
+      await expect(token.updateMetadata({ owner: alice }, { from: owner }))
+        .rejects.toThrow('Metadata field cannot be updated: owner');
+      await expect(tokenImplementation.createToken({ name: "Bad Token", symbol: 42, owner }))
+        .rejects.toThrow(/metadata.symbol must be of type string/);
+    });
+    
+    test('should rename the token and keep the head across saveState', async () => {
+      await token.updateMetadata({ name: 'Renamed Token', description: null }, { from: owner });
+      expect(token.getInfo().name).toBe('Renamed Token');
+      
+      const head = await token.saveState();
+      const restored = await tokenImplementation.loadState(head);
+      
+      expect(restored.getInfo().metadataHead).toBe(token.getInfo().metadataHead);
+      expect(restored.getInfo().name).toBe('Renamed Token');
+      const history = await restored.getMetadataHistory();
+      expect(history).toHaveLength(2);
+      expect(history[0].metadata.description).toBeUndefined();
+    });
+  });
+  
+  describe('Distributions', () => {
+    let token, owner, holders;
+    
+    beforeEach(async () => {
+      owner = fixtures.wallets.wallet1.address;
+      holders = [fixtures.wallets.wallet2.address, fixtures.wallets.wallet3.address, leibniz.monadHash('holder-c')];
+      token = await tokenImplementation.createToken({
+        name: "Dividend Token",
+        symbol: "DIV",
+        initialSupply: 1000,
+        owner
+      });
+      await token.transfer(owner, holders[0], 100n);
+      await token.transfer(owner, holders[1], 200n);
+      await token.transfer(owner, holders[2], 300n);
+    });
+    
+    test('should split amounts pro rata and hand out leftover quanta deterministically', () => {
+      const payouts = allocatePayouts(10n, [['c', 1n], ['a', 1n], ['b', 1n]]);
+      expect(payouts).toEqual([
+        { address: 'a', balance: 1n, amount: 4n },
+        { address: 'b', balance: 1n, amount: 3n },
+        { address: 'c', balance: 1n, amount: 3n }
+      ]);
+      
+      // 7 * 2/7 = 2, 7 * 5/7 = 5 exactly; 5 * 1/3 and 5 * 2/3 leave one quantum for the larger remainder
+      expect(allocatePayouts(7n, [['a', 2n], ['b', 5n]]).map(p => p.amount)).toEqual([2n, 5n]);
+      expect(allocatePayouts(5n, [['a', 1n], ['b', 2n]]).map(p => p.amount)).toEqual([2n, 3n]);
+      expect(() => allocatePayouts(5n, [])).toThrow('There are no holders to distribute to');
+    });
+    
+    test('should push payouts to every holder and store a report', async () => {
+      const result = await tokenImplementation.distribute(token.id, owner, 61n);
+      
+      expect(await token.balanceOf(holders[0])).toBe(110n);
+      expect(await token.balanceOf(holders[1])).toBe(220n);
+      expect(await token.balanceOf(holders[2])).toBe(331n);
+      expect(await token.balanceOf(owner)).toBe(339n);
+      expect(result.holders).toBe(3);
+      
+      const bytes = await storage.getBytes(result.reportCid);
+      const report = JSON.parse(new TextDecoder().decode(bytes));
+      expect(report.distributionId).toBe(result.distributionId);
+      expect(report.total).toBe('61');
+      expect(report.payouts.map(p => p.amount).sort()).toEqual(['10', '20', '31']);
+      
+      const history = await token.getTransactionHistory();
+      expect(history[history.length - 1]).toEqual(expect.objectContaining({
+        type: 'distribution', from: owner, amount: 61n, mode: 'push', reportCid: result.reportCid
+      }));
+    });
+    
+    test('should reserve pull payouts until each holder claims', async () => {
+      const { distributionId } = await token.distribute(owner, 60n, { mode: 'pull', exclude: [holders[2]] });
+      
+      expect(await token.balanceOf(owner)).toBe(340n);
+      expect(await token.balanceOf(holders[0])).toBe(100n);
+      expect(token.getClaimableDistributions(holders[0])).toEqual([{ distributionId, amount: 20n }]);
+      expect(token.getClaimableDistributions(holders[2])).toEqual([]);
+      
+      await tokenImplementation.claimDistribution(token.id, distributionId, holders[0]);
+      expect(await token.balanceOf(holders[0])).toBe(120n);
+      expect(token.getDistribution(distributionId).remaining).toBe(40n);
+      await expect(token.claimDistribution(distributionId, holders[0])).rejects.toThrow(/already claimed/);
+      await expect(token.claimDistribution(distributionId, holders[2])).rejects.toThrow(/No payout/);
+      
+      // Unclaimed payouts survive a restart
+      const restored = await tokenImplementation.loadState(await token.saveState());
+      await restored.claimDistribution(distributionId, holders[1]);
+      expect(await restored.balanceOf(holders[1])).toBe(240n);
+      expect(restored.getDistribution(distributionId).remaining).toBe(0n);
+    });
+    
+    test('should leave balances untouched when the distributor cannot pay', async () => {
+      await expect(token.distribute(holders[0], 500n)).rejects.toThrow('Insufficient balance');
+      await expect(token.distribute(owner, 10n, { mode: 'drip' })).rejects.toThrow('Unknown distribution mode: drip');
+      expect(await token.balanceOf(owner)).toBe(400n);
+      expect(token.getClaimableDistributions(holders[0])).toEqual([]);
+    });
+    
+    test('should take back pushed payouts when a later payout fails', async () => {
+      const payOut = token._payOut.bind(token);
+      jest.spyOn(token, '_payOut')
+        .mockImplementationOnce(payOut)
+        .mockImplementationOnce(() => { throw new Error('Payout failed'); });
+      
+      await expect(token.distribute(owner, 60n)).rejects.toThrow('Payout failed');
+      jest.restoreAllMocks();
+      
+      expect(await token.balanceOf(owner)).toBe(400n);
+      expect(await Promise.all(holders.map(holder => token.balanceOf(holder)))).toEqual([100n, 200n, 300n]);
+      expect(token.distributions).toEqual([]);
+      expect(token.getTotalSupply()).toBe(1000n);
+      
+      const history = await token.getTransactionHistory();
+      expect(history.map(entry => entry.type)).not.toContain('distribution');
+    });
+    
+    test('should leave snapshot values untouched by a failed distribution', async () => {
+      await token.snapshot({ from: owner });
+      const addBytes = token.storage.addBytes.bind(token.storage);
+      
+      // A second snapshot is taken while the report is stored, with the total reserved
+      jest.spyOn(token.storage, 'addBytes').mockImplementationOnce(async bytes => {
+        await token.snapshot({ from: owner });
+        return addBytes(bytes);
+      });
+      jest.spyOn(token, '_payOut').mockImplementationOnce(() => { throw new Error('Payout failed'); });
+      
+      await expect(token.distribute(owner, 60n)).rejects.toThrow('Payout failed');
+      jest.restoreAllMocks();
+      await token.transfer(owner, holders[0], 1n);
+      
+      expect(token.getSnapshots()).toHaveLength(2);
+      expect(token.balanceOfAt(owner, 1)).toBe(400n);
+      expect(token.balanceOfAt(owner, 2)).toBe(400n);
+      expect(token.balanceOfAt(holders[0], 2)).toBe(100n);
+      expect(await token.balanceOf(owner)).toBe(399n);
+    });
+  });
+  
+  describe('Emission Schedules', () => {
+    const start = 1700000000000;
+    const period = 1000;
+    let owner, treasury, staking, now;
+    
+    // Creates a token whose emission schedule runs on the test clock
+    const createEmittingToken = (schedule, extra = {}) => tokenImplementation.createToken({
+      name: "Emission Token",
+      symbol: "EMT",
+      initialSupply: 1000,
+      owner,
+      emission: {
+        start,
+        period,
+        recipients: [{ address: treasury, share: 7000 }, { address: staking, share: 3000 }],
+        ...schedule
+      },
+      clock: () => now,
+      ...extra
+    });
+    
+    beforeEach(() => {
+      owner = fixtures.wallets.wallet1.address;
+      treasury = fixtures.wallets.wallet2.address;
+      staking = fixtures.wallets.wallet3.address;
+      now = start;
+    });
+    
+    test('should mint a fixed rate per elapsed period to the recipients', async () => {
+      const token = await createEmittingToken({ kind: 'fixed', amount: 101n });
+      
+      await expect(token.emitScheduled()).rejects.toThrow('No scheduled emission is due');
+      
+      now = start + 2 * period + 500;
+      const result = await tokenImplementation.emitScheduled(token.id);
+      
+      expect(result.amount).toBe(202n);
+      expect(await token.balanceOf(treasury)).toBe(142n);
+      expect(await token.balanceOf(staking)).toBe(60n);
+      expect(token.getTotalSupply()).toBe(1202n);
+      await expect(token.emitScheduled()).rejects.toThrow('No scheduled emission is due');
+      
+      const history = await token.getTransactionHistory();
+      expect(history[history.length - 1]).toEqual(expect.objectContaining({
+        type: 'emission', amount: 202n, emitted: 202n, at: now
+      }));
+    });
+    
+    test('should halve the rate and stop at the emission cap', async () => {
+      const halving = await createEmittingToken({ kind: 'halving', amount: 100n, halvingPeriods: 2 });
+      const capped = await createEmittingToken({ kind: 'capped', amount: 100n, cap: 250n });
+      
+      now = start + 5 * period;
+      // 100 + 100 + 50 + 50 + 25
+      expect((await halving.emitScheduled()).amount).toBe(325n);
+      expect((await capped.emitScheduled()).amount).toBe(250n);
+      
+      now = start + 50 * period;
+      await expect(capped.emitScheduled()).rejects.toThrow('No scheduled emission is due');
+      expect(capped.getEmissionSchedule().emitted).toBe(250n);
+    });
+    
+    test('should never emit beyond the max supply', async () => {
+      const token = await createEmittingToken({ kind: 'fixed', amount: 100n }, { maxSupply: 1150 });
+      
+      now = start + 3 * period;
+      expect((await token.emitScheduled()).amount).toBe(150n);
+      expect(token.getTotalSupply()).toBe(1150n);
+      await expect(token.emitScheduled()).rejects.toThrow(/would exceed max supply of 1150/);
+      
+      // Burning makes room for the emissions still due
+      await token.burn(owner, 100n);
+      expect((await token.emitScheduled()).amount).toBe(100n);
+    });
+    
+    test('should preview future supply and keep the schedule across saveState', async () => {
+      const token = await createEmittingToken({ kind: 'halving', amount: 100n, halvingPeriods: 1 });
+      
+      expect(tokenImplementation.previewSupply(token.id, [start - 1, start + 3 * period, start + 100 * period]))
+        .toEqual([
+          { timestamp: start - 1, emitted: 0n, totalSupply: 1000n },
+          { timestamp: start + 3 * period, emitted: 175n, totalSupply: 1175n },
+          { timestamp: start + 100 * period, emitted: 197n, totalSupply: 1197n }
+        ]);
+      
+      now = start + 2 * period;
+      await token.emitScheduled();
+      const restored = await tokenImplementation.loadState(await token.saveState());
+      expect(restored.getEmissionSchedule()).toEqual(expect.objectContaining({ kind: 'halving', emitted: 150n }));
+      expect(restored.previewSupply([start + 3 * period])[0].totalSupply).toBe(1175n);
+      
+      expect(() => tokenImplementation.previewSupply(token.id, ['soon'])).toThrow('Invalid preview timestamp: soon');
+      await expect(createEmittingToken({ kind: 'capped', amount: 1n })).rejects.toThrow(/Capped emission requires a cap/);
+    });
+  });
+  
+  describe('Staking', () => {
+    const start = 1700000000000;
+    let token, owner, alice, bob, now;
+    
+    beforeEach(async () => {
+      owner = fixtures.wallets.wallet1.address;
+      alice = fixtures.wallets.wallet2.address;
+      bob = fixtures.wallets.wallet3.address;
+      now = start;
+      token = await tokenImplementation.createToken({
+        name: "Staking Token",
+        symbol: "STK",
+        initialSupply: 1000,
+        owner,
+        clock: () => now
+      });
+      await token.transfer(owner, alice, 100n);
+      await token.transfer(owner, bob, 300n);
+      await tokenImplementation.configureStaking(token.id, { rewardRate: 4n, unbondingPeriod: 10000 }, { from: owner });
+      await tokenImplementation.fundStakingRewards(token.id, owner, 100n);
+    });
+    
+    test('should move staked tokens out of the spendable balance', async () => {
+      await tokenImplementation.stake(token.id, alice, 60n);
+      
+      expect(tokenImplementation.stakedBalanceOf(token.id, alice)).toBe(60n);
+      expect(await token.balanceOf(alice)).toBe(40n);
+      await expect(token.transfer(alice, bob, 50n)).rejects.toThrow('Insufficient balance');
+      await expect(token.stake(alice, 50n)).rejects.toThrow('Insufficient balance');
+      await expect(token.configureStaking({ rewardRate: 1n }, { from: alice }))
+        .rejects.toThrow('Unauthorized: configureStaking requires the RULE_ADMIN role');
+    });
+    
+    test('should accrue rewards per second in proportion to each stake', async () => {
+      await token.stake(alice, 100n);
+      now = start + 10000;
+      await token.stake(bob, 300n);
+      now = start + 20500;
+      
+      // 10s alone at 4 per second, then 10s sharing 4 per second 1:3
+      expect(token.getStakingInfo(alice).pendingRewards).toBe(50n);
+      expect(token.getStakingInfo(bob).pendingRewards).toBe(30n);
+      
+      const claimed = await tokenImplementation.claimRewards(token.id, alice);
+      expect(claimed.amount).toBe(50n);
+      expect(await token.balanceOf(alice)).toBe(50n);
+      await expect(token.claimRewards(alice)).rejects.toThrow('No staking rewards to claim');
+      
+      // The pool only had 100 to give
+      now = start + 60000;
+      expect((await token.claimRewards(bob)).amount).toBe(45n);
+      expect(token.getStakingInfo(alice).pendingRewards).toBe(5n);
+      expect(token.getStakingInfo(bob).rewardPool).toBe(0n);
+    });
+    
+    test('should unbond unstaked tokens before they can be withdrawn', async () => {
+      await token.stake(alice, 100n);
+      now = start + 5000;
+      const result = await tokenImplementation.unstake(token.id, alice, 40n);
+      
+      expect(result.releaseAt).toBe(start + 15000);
+      expect(token.stakedBalanceOf(alice)).toBe(60n);
+      await expect(token.unstake(alice, 100n)).rejects.toThrow('Insufficient staked balance');
+      await expect(tokenImplementation.withdrawUnstaked(token.id, alice)).rejects.toThrow('No unbonded tokens to withdraw');
+      
+      now = start + 15000;
+      expect((await token.withdrawUnstaked(alice)).amount).toBe(40n);
+      expect(await token.balanceOf(alice)).toBe(40n);
+      
+      const types = (await token.getTransactionHistory()).map(tx => tx.type);
+      expect(types).toEqual(expect.arrayContaining(['configureStaking', 'fundStakingRewards', 'stake', 'unstake', 'withdrawUnstaked']));
+    });
+    
+    test('should restore stakes, unbonding tokens and accrued rewards from saveState', async () => {
+      await token.stake(alice, 100n);
+      now = start + 3000;
+      await token.unstake(alice, 20n);
+      now = start + 5000;
+      
+      const restored = await tokenImplementation.loadState(await token.saveState(), { clock: () => now });
+      
+      expect(restored.stakedBalanceOf(alice)).toBe(80n);
+      expect(restored.getStakingInfo(alice)).toEqual(expect.objectContaining({
+        pendingRewards: 20n,
+        withdrawable: 0n,
+        unbonding: [expect.objectContaining({ amount: 20n, releaseAt: start + 13000 })]
+      }));
+      expect(restored.getTotalSupply()).toBe(1000n);
+    });
+  });
+
+  describe('Swap Offers', () => {
+    let gold, silver, alice, bob, offerId;
+    
+    beforeEach(async () => {
+      alice = fixtures.wallets.wallet1.address;
+      bob = fixtures.wallets.wallet2.address;
+      gold = await tokenImplementation.createToken({
+        name: "Gold Token",
+        symbol: "GLD",
+        initialSupply: 100,
+        owner: alice
+      });
+      silver = await tokenImplementation.createToken({
+        name: "Silver Token",
+        symbol: "SLV",
+        initialSupply: 1000,
+        owner: bob
+      });
+      ({ offerId } = await tokenImplementation.createSwapOffer(gold.id, alice, 30n, silver.id, 100n));
+    });
+    
+    test('should escrow the offered tokens and broadcast the offer', async () => {
+      expect(await gold.balanceOf(alice)).toBe(70n);
+      expect(gold.getTotalSupply()).toBe(100n);
+      expect(tokenImplementation.listSwapOffers({ maker: alice, status: 'open' })).toEqual([
+        expect.objectContaining({ id: offerId, sellTokenId: gold.id, buyTokenId: silver.id, remaining: 30n })
+      ]);
+      expect(network.swapOffers[network.swapOffers.length - 1]).toEqual(expect.objectContaining({
+        id: offerId, sellAmount: '30', buyAmount: '100', status: 'open'
+      }));
+      
+      await expect(tokenImplementation.createSwapOffer(gold.id, alice, 80n, silver.id, 1n))
+        .rejects.toThrow('Insufficient balance');
+      await expect(tokenImplementation.createSwapOffer(gold.id, alice, 1n, gold.id, 1n))
+        .rejects.toThrow('A swap offer must ask for a different token');
+    });
+    
+    test('should fill offers in part with payments adding up to the asked amount', async () => {
+      const first = await tokenImplementation.fillSwapOffer(gold.id, offerId, bob, 10n);
+      
+      // 10 of 30 asks for a third of 100, rounded up for the maker
+      expect(first).toEqual(expect.objectContaining({ amount: 10n, payment: 34n, remaining: 20n }));
+      expect(await gold.balanceOf(bob)).toBe(10n);
+      expect(await silver.balanceOf(alice)).toBe(34n);
+      await expect(tokenImplementation.fillSwapOffer(gold.id, offerId, bob, 21n))
+        .rejects.toThrow(`Fill amount exceeds the 20 remaining in offer ${offerId}`);
+      
+      const second = await tokenImplementation.fillSwapOffer(gold.id, offerId, bob, 20n);
+      expect(second.payment).toBe(66n);
+      expect(await silver.balanceOf(alice)).toBe(100n);
+      expect(await gold.balanceOf(bob)).toBe(30n);
+      expect(tokenImplementation.getSwapOffer(gold.id, offerId).status).toBe('filled');
+      expect(network.swapOffers[network.swapOffers.length - 1]).toEqual(expect.objectContaining({
+        id: offerId, remaining: '0', paid: '100', status: 'filled'
+      }));
+      
+      const payments = (await silver.getTransactionHistory()).filter(tx => tx.type === 'swapPayment');
+      expect(payments.map(tx => tx.amount)).toEqual([34n, 66n]);
+    });
+    
+    test('should leave both ledgers untouched when the taker cannot pay', async () => {
+      const carol = fixtures.wallets.wallet3.address;
+      await silver.transfer(bob, carol, 5n);
+      const goldHistory = (await gold.getTransactionHistory()).length;
+      const silverHistory = (await silver.getTransactionHistory()).length;
+      
+      await expect(tokenImplementation.fillSwapOffer(gold.id, offerId, carol, 3n)).rejects.toThrow('Insufficient balance');
+      
+      expect(await gold.balanceOf(carol)).toBe(0n);
+      expect(await silver.balanceOf(carol)).toBe(5n);
+      expect(gold.getSwapOffer(offerId).remaining).toBe(30n);
+      expect((await gold.getTransactionHistory()).length).toBe(goldHistory);
+      expect((await silver.getTransactionHistory()).length).toBe(silverHistory);
+    });
+    
+    test('should apply the rules of the sold token to the delivery', async () => {
+      await gold.addRule('NoDeliveryToBob', {
+        check: transaction => transaction.to !== bob,
+        message: 'Gold cannot be sent to this recipient'
+      }, { from: alice });
+      
+      await expect(tokenImplementation.fillSwapOffer(gold.id, offerId, bob, 10n))
+        .rejects.toThrow('Gold cannot be sent to this recipient');
+      
+      expect(await gold.balanceOf(bob)).toBe(0n);
+      expect(await silver.balanceOf(bob)).toBe(1000n);
+      expect(await silver.balanceOf(alice)).toBe(0n);
+      expect(gold.getSwapOffer(offerId).remaining).toBe(30n);
+    });
+    
+    test('should let only the maker cancel and refund the unfilled tokens', async () => {
+      await tokenImplementation.fillSwapOffer(gold.id, offerId, bob, 12n);
+      await expect(tokenImplementation.cancelSwapOffer(gold.id, offerId, { from: bob }))
+        .rejects.toThrow(`Unauthorized: only the maker may cancel swap offer ${offerId}`);
+      
+      const result = await tokenImplementation.cancelSwapOffer(gold.id, offerId, { from: alice });
+      expect(result.amount).toBe(18n);
+      expect(await gold.balanceOf(alice)).toBe(88n);
+      await expect(tokenImplementation.fillSwapOffer(gold.id, offerId, bob, 1n))
+        .rejects.toThrow(`Swap offer ${offerId} is already cancelled`);
+      expect(tokenImplementation.listSwapOffers({ sellTokenId: gold.id, status: 'open' })).toEqual([]);
+    });
+    
+    test('should restore open offers from saveState', async () => {
+      await tokenImplementation.fillSwapOffer(gold.id, offerId, bob, 15n);
+      
+      const restored = await tokenImplementation.loadState(await gold.saveState());
+      
+      expect(restored.getSwapOffer(offerId)).toEqual(expect.objectContaining({ remaining: 15n, paid: 50n, status: 'open' }));
+      expect(restored.getTotalSupply()).toBe(100n);
+      await tokenImplementation.fillSwapOffer(gold.id, offerId, bob, 15n);
+      expect(await silver.balanceOf(alice)).toBe(100n);
+    });
+  });
+
+  describe('Liquidity Pools', () => {
+    let gold, silver, alice, bob, poolId;
+    
+    // Deterministic pseudo-random generator so property runs are reproducible
+    const createRandom = (seed) => () => {
+      seed = (seed * 16807) % 2147483647;
+      return seed;
+    };
+    
+    beforeEach(async () => {
+      alice = fixtures.wallets.wallet1.address;
+      bob = fixtures.wallets.wallet2.address;
+      gold = await tokenImplementation.createToken({
+        name: "Gold Token",
+        symbol: "GLD",
+        initialSupply: 1000000,
+        owner: alice
+      });
+      silver = await tokenImplementation.createToken({
+        name: "Silver Token",
+        symbol: "SLV",
+        initialSupply: 1000000,
+        owner: alice
+      });
+      await gold.transfer(alice, bob, 100000n);
+      await silver.transfer(alice, bob, 100000n);
+      ({ poolId } = await tokenImplementation.createPool(gold.id, silver.id, { fee: 30 }));
+      await tokenImplementation.addLiquidity(poolId, alice, 10000n, 40000n);
+    });
+    
+    test('should issue LP shares in proportion to the reserves', async () => {
+      const lp = await tokenImplementation.getToken(poolId);
+      const pool = tokenImplementation.getPool(poolId);
+      
+      // sqrt(10000 * 40000) shares, less the locked minimum
+      expect(await lp.balanceOf(alice)).toBe(20000n - MINIMUM_LIQUIDITY);
+      expect(await lp.balanceOf(pool.address)).toBe(MINIMUM_LIQUIDITY);
+      expect(pool).toEqual(expect.objectContaining({ reserveA: 10000n, reserveB: 40000n, totalShares: 20000n }));
+      expect(await gold.balanceOf(pool.address)).toBe(10000n);
+      
+      // Amounts beyond the pool ratio stay with the provider
+      const result = await tokenImplementation.addLiquidity(poolId, bob, 1000n, 9000n, { minShares: 2000n });
+      expect(result).toEqual(expect.objectContaining({ amountA: 1000n, amountB: 4000n, shares: 2000n }));
+      expect(await silver.balanceOf(bob)).toBe(96000n);
+      await expect(tokenImplementation.addLiquidity(poolId, bob, 1000n, 4000n, { minShares: 2001n }))
+        .rejects.toThrow('Slippage: deposit would issue 2000 shares, below the minimum of 2001');
+      await expect(tokenImplementation.createPool(silver.id, gold.id))
+        .rejects.toThrow(`A liquidity pool already exists for this pair: ${poolId}`);
+    });
+    
+    test('should swap exact inputs and outputs within slippage limits', async () => {
+      const quote = tokenImplementation.quoteSwap(poolId, gold.id, { amountIn: 1000n });
+      expect(quote).toEqual({
+        tokenIn: gold.id,
+        tokenOut: silver.id,
+        amountIn: 1000n,
+        amountOut: getAmountOut(1000n, 10000n, 40000n, 30),
+        fee: 3n
+      });
+      await expect(tokenImplementation.swapExactIn(poolId, bob, gold.id, 1000n, quote.amountOut + 1n))
+        .rejects.toThrow(`Slippage: swap would return ${quote.amountOut}, below the minimum of ${quote.amountOut + 1n}`);
+      
+      const swapped = await tokenImplementation.swapExactIn(poolId, bob, gold.id, 1000n, quote.amountOut);
+      expect(swapped.amountOut).toBe(quote.amountOut);
+      expect(await silver.balanceOf(bob)).toBe(100000n + quote.amountOut);
+      
+      const exactOut = tokenImplementation.quoteSwap(poolId, silver.id, { amountOut: 500n });
+      await expect(tokenImplementation.swapExactOut(poolId, bob, silver.id, 500n, exactOut.amountIn - 1n))
+        .rejects.toThrow(`Slippage: swap would cost ${exactOut.amountIn}, above the maximum of ${exactOut.amountIn - 1n}`);
+      const bought = await tokenImplementation.swapExactOut(poolId, bob, silver.id, 500n, exactOut.amountIn);
+      expect(bought).toEqual(expect.objectContaining({ amountIn: exactOut.amountIn, amountOut: 500n }));
+      expect(await gold.balanceOf(bob)).toBe(99000n + 500n);
+      
+      const pool = tokenImplementation.getPool(poolId);
+      expect(pool.reserveA).toBe(10000n + 1000n - 500n);
+      expect(pool.reserveB).toBe(40000n - quote.amountOut + exactOut.amountIn);
+      expect(pool.invariant).toBeGreaterThan(10000n * 40000n);
+      expect(gold.getTotalSupply()).toBe(1000000n);
+    });
+    
+    test('should redeem shares for their part of both reserves', async () => {
+      await tokenImplementation.swapExactIn(poolId, bob, silver.id, 4000n, 0n);
+      const pool = tokenImplementation.getPool(poolId);
+      const goldBefore = await gold.balanceOf(alice);
+      
+      await expect(tokenImplementation.removeLiquidity(poolId, alice, 9500n, { minAmountA: pool.reserveA }))
+        .rejects.toThrow('Slippage: withdrawal would return');
+      const result = await tokenImplementation.removeLiquidity(poolId, alice, 9500n);
+      
+      expect(result.amountA).toBe((9500n * pool.reserveA) / 20000n);
+      expect(result.amountB).toBe((9500n * pool.reserveB) / 20000n);
+      expect(await gold.balanceOf(alice)).toBe(goldBefore + result.amountA);
+      expect(tokenImplementation.getPool(poolId).totalShares).toBe(10500n);
+      
+      const restored = await tokenImplementation.loadState(await (await tokenImplementation.getToken(poolId)).saveState());
+      expect(restored.getPoolInfo()).toEqual(tokenImplementation.getPool(poolId));
+    });
+    
+    test('should leave every ledger untouched when a swap cannot be paid', async () => {
+      const carol = fixtures.wallets.wallet3.address;
+      await gold.transfer(bob, carol, 10n);
+      const before = tokenImplementation.getPool(poolId);
+      
+      await expect(tokenImplementation.swapExactIn(poolId, carol, gold.id, 100n, 0n)).rejects.toThrow('Insufficient balance');
+      await expect(tokenImplementation.swapExactOut(poolId, bob, gold.id, 40000n, 1000000n))
+        .rejects.toThrow('Output exceeds the pool reserve of 40000');
+      
+      expect(tokenImplementation.getPool(poolId)).toEqual(before);
+      expect(await silver.balanceOf(carol)).toBe(0n);
+    });
+    
+    test('should add tokens sent straight to the pool address to its reserves', async () => {
+      const pool = tokenImplementation.getPool(poolId);
+      await gold.transfer(bob, pool.address, 500n);
+      expect(tokenImplementation.getPool(poolId).reserveA).toBe(10000n);
+      
+      const synced = await tokenImplementation.syncPool(poolId);
+      expect(synced).toEqual(expect.objectContaining({ amountA: 500n, amountB: 0n }));
+      expect(tokenImplementation.getPool(poolId)).toEqual(expect.objectContaining({ reserveA: 10500n, reserveB: 40000n }));
+      expect((await tokenImplementation.syncPool(poolId)).transactionId).toBeNull();
+      
+      // The donation is redeemed with the shares
+      const { amountA } = await tokenImplementation.removeLiquidity(poolId, alice, 20000n - MINIMUM_LIQUIDITY);
+      expect(amountA).toBe((19000n * 10500n) / 20000n);
+    });
+    
+    test('should never lower the reserves when the pool address holds less', async () => {
+      const pool = tokenImplementation.getPool(poolId);
+      
+      // The pool tokens accept unsigned transfers, so the keyless pool address can be debited
+      await gold.transfer(pool.address, bob, 400n);
+      await silver.transfer(bob, pool.address, 100n);
+      
+      const synced = await tokenImplementation.syncPool(poolId);
+      expect(synced).toEqual(expect.objectContaining({ amountA: 0n, amountB: 100n }));
+      expect(tokenImplementation.getPool(poolId)).toEqual(expect.objectContaining({ reserveA: 10000n, reserveB: 40100n }));
+      
+      const history = await (await tokenImplementation.getToken(poolId)).getTransactionHistory();
+      expect(history.filter(entry => entry.type === 'syncPool')).toEqual([
+        expect.objectContaining({ amountA: 0n, amountB: 100n })
+      ]);
+    });
+    
+    test('should only issue and redeem LP shares through the pool', async () => {
+      const lp = await tokenImplementation.getToken(poolId);
+      const pool = tokenImplementation.getPool(poolId);
+      
+      expect(lp.getOwner()).toBeNull();
+      Object.values(Roles).forEach(role => expect(lp.getRoleMembers(role)).toEqual([]));
+      await expect(lp.mint(bob, 1000000000n, { from: pool.address })).rejects.toThrow(/cannot be changed by mint/);
+      await expect(lp.burn(alice, 100n)).rejects.toThrow(/cannot be changed by burn/);
+      await expect(lp.executeBatch([{ type: 'mint', to: bob, amount: 1n }], { from: pool.address }))
+        .rejects.toThrow(/cannot be changed by mint/);
+      await expect(lp.grantRole(Roles.MINTER, bob, { from: pool.address })).rejects.toThrow(/ROLE_ADMIN role/);
+      
+      expect(tokenImplementation.getPool(poolId)).toEqual(pool);
+    });
+    
+    test('should require signatures on the ledgers of signed pool tokens', async () => {
+      const keys = leibniz.createKeyPair();
+      const signer = leibniz.monadHash(keys.publicKey);
+      const sign = (ledger, type, fields, nonce) => {
+        const expiry = Date.now() + 60000;
+        return {
+          signature: signTransaction(keys.privateKey, { tokenId: ledger.id, type, ...fields, nonce, expiry }),
+          publicKey: keys.publicKey,
+          nonce,
+          expiry
+        };
+      };
+      const tokenA = await tokenImplementation.createToken({
+        name: "Signed A", symbol: "SGA", initialSupply: 1000000, owner: signer, requireSignatures: true
+      });
+      const tokenB = await tokenImplementation.createToken({
+        name: "Signed B", symbol: "SGB", initialSupply: 1000000, owner: signer, requireSignatures: true
+      });
+      const { poolId: signedPool } = await tokenImplementation.createPool(tokenA.id, tokenB.id);
+      const lp = await tokenImplementation.getToken(signedPool);
+      expect(lp.requiresSignatures()).toBe(true);
+      
+      await expect(tokenImplementation.addLiquidity(signedPool, signer, 100000n, 100000n))
+        .rejects.toThrow(`Unauthorized: addLiquidity requires a signature from ${signer}`);
+      
+      const deposit = { from: signer, amountA: 100000n, amountB: 100000n, minShares: 0n, poolId: signedPool };
+      await tokenImplementation.addLiquidity(signedPool, signer, 100000n, 100000n, {
+        authorizations: {
+          [tokenA.id]: sign(tokenA, 'addLiquidity', deposit, 0),
+          [tokenB.id]: sign(tokenB, 'addLiquidity', deposit, 0)
+        }
+      });
+      expect(tokenImplementation.getPool(signedPool)).toEqual(expect.objectContaining({ reserveA: 100000n, reserveB: 100000n }));
+      expect(tokenA.getNonce(signer)).toBe(1);
+      expect(tokenB.getNonce(signer)).toBe(1);
+      
+      await expect(tokenImplementation.swapExactIn(signedPool, signer, tokenA.id, 1000n, 0n))
+        .rejects.toThrow(/swapExactIn requires a signature/);
+      const swap = { from: signer, tokenIn: tokenA.id, amount: 1000n, minAmountOut: 0n, poolId: signedPool };
+      
+      // A signature on the output token's ledger does not pay from the input token
+      await expect(tokenImplementation.swapExactIn(signedPool, signer, tokenA.id, 1000n, 0n, sign(tokenB, 'swapExactIn', swap, 1)))
+        .rejects.toThrow('Invalid transaction signature');
+      await tokenImplementation.swapExactIn(signedPool, signer, tokenA.id, 1000n, 0n, sign(tokenA, 'swapExactIn', swap, 1));
+      expect(tokenA.getNonce(signer)).toBe(2);
+      expect(tokenB.getNonce(signer)).toBe(1);
+      expect(await tokenA.balanceOf(signer)).toBe(1000000n - 101000n);
+      
+      // Shares cannot be moved or redeemed without the provider's signature on the LP ledger
+      const shares = await lp.balanceOf(signer);
+      await expect(lp.transfer(signer, bob, 5000n, { from: signer }))
+        .rejects.toThrow(`Unauthorized: transfer requires a signature from ${signer}`);
+      await expect(tokenImplementation.removeLiquidity(signedPool, signer, 5000n))
+        .rejects.toThrow(`Unauthorized: removeLiquidity requires a signature from ${signer}`);
+      expect(await lp.balanceOf(signer)).toBe(shares);
+      expect(await lp.balanceOf(bob)).toBe(0n);
+      
+      const redemption = { from: signer, amount: 5000n, minAmountA: 0n, minAmountB: 0n };
+      await tokenImplementation.removeLiquidity(signedPool, signer, 5000n, sign(lp, 'removeLiquidity', redemption, 0));
+      expect(await lp.balanceOf(signer)).toBe(shares - 5000n);
+    });
+    
+    test('property: k never decreases over random swaps', () => {
+      for (let run = 0; run < 20; run++) {
+        const random = createRandom(run + 1);
+        const fee = random() % 100;
+        const pool = new LiquidityPool({
+          tokenA: 'a',
+          tokenB: 'b',
+          fee,
+          reserveA: BigInt(1 + random() % 1000000),
+          reserveB: BigInt(1 + random() % 1000000)
+        });
+        
+        for (let step = 0; step < 50; step++) {
+          const tokenIn = random() % 2 === 0 ? 'a' : 'b';
+          const { reserveOut } = pool.sides(tokenIn);
+          const k = pool.invariant();
+          
+          let quote;
+          try {
+            quote = random() % 2 === 0
+              ? pool.quoteExactIn(tokenIn, BigInt(1 + random() % 500000))
+              : pool.quoteExactOut(tokenIn, BigInt(1 + random() % Number(reserveOut)));
+          } catch (error) {
+            // Inputs too small to return anything and outputs draining the pool are rejected
+            continue;
+          }
+          pool.applySwap(quote.tokenIn, quote.amountIn, quote.amountOut);
+          
+          expect(pool.invariant()).toBeGreaterThanOrEqual(k);
+          expect(pool.reserveA).toBeGreaterThan(0n);
+          expect(pool.reserveB).toBeGreaterThan(0n);
+        }
+      }
+    });
+    
+    test('property: k per share never decreases as liquidity comes and goes', () => {
+      for (let run = 0; run < 20; run++) {
+        const random = createRandom(run + 101);
+        const pool = new LiquidityPool({ tokenA: 'a', tokenB: 'b' });
+        const first = pool.quoteAddLiquidity(BigInt(10000 + random() % 100000), BigInt(10000 + random() % 100000), 0n);
+        pool.applyLiquidity(first.amountA, first.amountB);
+        let shares = first.shares + first.locked;
+        
+        for (let step = 0; step < 50; step++) {
+          const k = pool.invariant();
+          const before = shares;
+          
+          if (random() % 2 === 0) {
+            let quote;
+            try {
+              quote = pool.quoteAddLiquidity(BigInt(1 + random() % 50000), BigInt(1 + random() % 50000), shares);
+            } catch (error) {
+              continue;
+            }
+            pool.applyLiquidity(quote.amountA, quote.amountB);
+            shares += quote.shares;
+          } else {
+            const redeemed = BigInt(1 + random() % Number(shares - MINIMUM_LIQUIDITY));
+            const { amountA, amountB } = pool.quoteRemoveLiquidity(redeemed, shares);
+            pool.applyLiquidity(-amountA, -amountB);
+            shares -= redeemed;
+          }
+          
+          // k / shares^2 must not fall, compared without division
+          expect(pool.invariant() * before * before).toBeGreaterThanOrEqual(k * shares * shares);
+        }
+      }
+    });
+    
+    test('property: swaps through the ledgers keep k and both supplies', async () => {
+      const random = createRandom(7);
+      let k = tokenImplementation.getPool(poolId).invariant;
+      
+      for (let step = 0; step < 30; step++) {
+        const tokenIn = random() % 2 === 0 ? gold.id : silver.id;
+        const trader = random() % 2 === 0 ? alice : bob;
+        await tokenImplementation.swapExactIn(poolId, trader, tokenIn, BigInt(10 + random() % 2000), 0n);
+        
+        const pool = tokenImplementation.getPool(poolId);
+        expect(pool.invariant).toBeGreaterThanOrEqual(k);
+        expect(await gold.balanceOf(pool.address)).toBe(pool.reserveA);
+        expect(await silver.balanceOf(pool.address)).toBe(pool.reserveB);
+        k = pool.invariant;
+      }
+      expect(gold.getTotalSupply()).toBe(1000000n);
+      expect(silver.getTotalSupply()).toBe(1000000n);
+    });
+  });
+
+  describe('State Migrations', () => {
+    let token, owner, recipient;
+    
+    beforeEach(async () => {
+      owner = fixtures.wallets.wallet1.address;
+      recipient = fixtures.wallets.wallet2.address;
+      token = await tokenImplementation.createToken({
+        name: "Legacy Token",
+        symbol: "LGC",
+        initialSupply: 1000,
+        owner
+      });
+      await token.transfer(owner, recipient, 250n);
+    });
+    
+    // Store the state of the token the way ledgers wrote it before schema versions
+    async function storeLegacyState() {
+      await token.saveState();
+      const current = await blocks.loadBlockState(storage, await blocks.loadBlock(storage, token.getHead()));
+      const { schemaVersion, roles, swapOffers, pool, staking, ...legacy } = current;
+      const { cid } = await blocks.storeBlock(storage, {
+        tokenId: token.id,
+        height: 0,
+        previous: null,
+        transactions: [],
+        state: legacy
+      });
+      return cid;
+    }
+    
+    test('should save states with the current schema version', async () => {
+      const head = await token.saveState();
+      const state = await blocks.loadBlockState(storage, await blocks.loadBlock(storage, head));
+      
+      expect(state.schemaVersion).toBe(migrations.STATE_SCHEMA_VERSION);
+      expect(migrations.migrateState(state).applied).toEqual([]);
+    });
+    
+    test('should migrate unversioned states as they are loaded', async () => {
+      const legacy = await storeLegacyState();
+      
+      const restored = await tokenImplementation.loadState(legacy);
+      
+      expect(await restored.balanceOf(recipient)).toBe(250n);
+      expect(restored.getTotalSupply()).toBe(1000n);
+      expect(restored.hasRole(Roles.MINTER, owner)).toBe(true);
+      expect(restored.getSwapOffers()).toEqual([]);
+      expect(restored.getHead()).toBe(legacy);
+    });
+    
+    test('should report the changes of a dry run without registering the token', async () => {
+      const legacy = await storeLegacyState();
+      
+      const report = await tokenImplementation.loadState(legacy, { dryRun: true });
+      
+      expect(report).toMatchObject({ tokenId: token.id, cid: legacy, fromVersion: 1, toVersion: 2 });
+      expect(report.applied).toEqual([{ from: 1, to: 2, description: migrations.MIGRATIONS[1].description }]);
+      const changed = report.changes.map(change => change.path);
+      expect(changed).toEqual(expect.arrayContaining(['schemaVersion', 'roles', 'swapOffers', 'pool']));
+      expect(report.changes.find(change => change.path === 'schemaVersion')).toMatchObject({ kind: 'added', after: 2 });
+      expect(await tokenImplementation.getToken(token.id)).toBe(token);
+    });
+    
+    test('should write the migrated state as a new block linked to the old one', async () => {
+      const legacy = await storeLegacyState();
+      
+      const dryRun = await tokenImplementation.migrateState(legacy, { dryRun: true });
+      expect(dryRun).toMatchObject({ dryRun: true, migratedCid: null, fromVersion: 1 });
+      
+      const report = await tokenImplementation.migrateState(legacy);
+      expect(report.migratedCid).not.toBe(legacy);
+      
+      const head = await blocks.loadBlock(storage, report.migratedCid);
+      expect(blocks.fromLink(head.previous)).toBe(legacy);
+      expect(head.transactions.map(tx => tx.type)).toEqual(['migrateState']);
+      expect(head.transactions[0]).toMatchObject({ fromVersion: 1, toVersion: 2, migratedFrom: legacy });
+      
+      const migrated = await tokenImplementation.getToken(token.id);
+      expect(migrated.getHead()).toBe(report.migratedCid);
+      expect(await migrated.verifyChain()).toMatchObject({ valid: true, height: 1 });
+      
+      // The migrated head is already current
+      const again = await tokenImplementation.migrateState(report.migratedCid);
+      expect(again).toMatchObject({ fromVersion: 2, applied: [], migratedCid: null });
+    });
+    
+    test('should chain migrations and reject unknown versions', () => {
+      const registry = {
+        1: { description: 'v2', migrate: state => ({ ...state, renamed: state.old, old: undefined, schemaVersion: 2 }) },
+        2: { description: 'v3', migrate: state => ({ ...state, schemaVersion: 3 }) }
+      };
+      
+      const result = migrations.migrateState({ old: 'value' }, registry, 3);
+      expect(result.state).toMatchObject({ renamed: 'value', schemaVersion: 3 });
+      expect(result.applied.map(step => step.to)).toEqual([2, 3]);
+      expect(result.changes.map(change => `${change.kind} ${change.path}`))
+        .toEqual(['removed old', 'added renamed', 'added schemaVersion']);
+      
+      expect(() => migrations.migrateState({ schemaVersion: 4 }, registry, 3)).toThrow(/newer than the supported/);
+      expect(() => migrations.migrateState({ schemaVersion: 2 }, { 1: registry[1] }, 3)).toThrow(/No migration from state schema version 2/);
+      expect(() => migrations.migrateState({}, { 1: { migrate: state => state } }, 2)).toThrow(/did not produce version 2/);
+    });
+  });
 });
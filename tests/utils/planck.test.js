@@ -45,6 +45,62 @@ describe('Planck Module - Quantum Discretization', () => {
       const result = planck.quantize(0);
       expect(result).toEqual(0n);
     });
+
+    test('should not lose precision above 2^53', () => {
+      expect(planck.quantize('9007199254740993')).toEqual(9007199254740993n);
+      expect(planck.quantize(9007199254740993n)).toEqual(9007199254740993n);
+    });
+
+    test('should apply an explicit rounding mode', () => {
+      expect(planck.quantize('2.5', planck.RoundingModes.CEIL)).toEqual(3n);
+      expect(planck.quantize('2.5', planck.RoundingModes.HALF_EVEN)).toEqual(2n);
+      expect(() => planck.quantize('2.5', planck.RoundingModes.EXACT)).toThrow();
+    });
+  });
+
+  describe('parseUnits function', () => {
+    test('should convert decimal strings to base units', () => {
+      expect(planck.parseUnits('1.5', 18)).toEqual(1500000000000000000n);
+      expect(planck.parseUnits('0.000001', 6)).toEqual(1n);
+      expect(planck.parseUnits('42', 0)).toEqual(42n);
+      expect(planck.parseUnits('.5', 1)).toEqual(5n);
+    });
+
+    test('should use the shortest representation of numbers', () => {
+      expect(planck.parseUnits(0.1, 18)).toEqual(100000000000000000n);
+      expect(planck.parseUnits(1e-7, 8)).toEqual(10n);
+    });
+
+    test('should round excess fractional digits by mode', () => {
+      const { RoundingModes } = planck;
+      expect(planck.parseUnits('1.25', 1, RoundingModes.FLOOR)).toEqual(12n);
+      expect(planck.parseUnits('1.25', 1, RoundingModes.CEIL)).toEqual(13n);
+      expect(planck.parseUnits('1.25', 1, RoundingModes.HALF_UP)).toEqual(13n);
+      expect(planck.parseUnits('1.25', 1, RoundingModes.HALF_EVEN)).toEqual(12n);
+      expect(planck.parseUnits('-1.25', 1, RoundingModes.FLOOR)).toEqual(-13n);
+      expect(planck.parseUnits('-1.25', 1, RoundingModes.TRUNCATE)).toEqual(-12n);
+      expect(() => planck.parseUnits('1.25', 1, RoundingModes.EXACT)).toThrow(/without rounding/);
+    });
+
+    test('should reject malformed input', () => {
+      expect(() => planck.parseUnits('abc', 2)).toThrow(/Invalid amount/);
+      expect(() => planck.parseUnits('1.2.3', 2)).toThrow(/Invalid amount/);
+      expect(() => planck.parseUnits('1', -1)).toThrow(/Decimals/);
+    });
+  });
+
+  describe('formatUnits function', () => {
+    test('should convert base units to decimal strings', () => {
+      expect(planck.formatUnits(1500000000000000000n, 18)).toBe('1.5');
+      expect(planck.formatUnits(5n, 3)).toBe('0.005');
+      expect(planck.formatUnits(100n, 0)).toBe('100');
+      expect(planck.formatUnits(-1234n, 2)).toBe('-12.34');
+    });
+
+    test('should round-trip with parseUnits', () => {
+      const value = '123456789012345678.123456789012345678';
+      expect(planck.formatUnits(planck.parseUnits(value, 18), 18)).toBe(value);
+    });
   });
 
   describe('isValidQuantum function', () => {